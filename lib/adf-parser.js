@@ -0,0 +1,635 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_jsprim = require('jsprim');
+
+/*
+ * This file converts a document in the Atlassian Document Format (ADF), as
+ * returned by JIRA Cloud's REST API, into a tree of the same form as the one
+ * returned by parse(), so that it can be written out as JIRA markup.
+ *
+ * Most ADF nodes have a JIRA equivalent. Nodes that don't, but hold content
+ * of their own (like layouts and expands), are replaced with their content.
+ * Everything else gets dropped, and is reported to "ops.onDropped", along
+ * with any marks that JIRA markup can't express (like background colors).
+ */
+
+var DEFAULT_OPS = {
+    onDropped: function onDropped() { },
+    formatMention: function formatMention(attrs) {
+        return typeof (attrs.id) === 'string' ? attrs.id : null;
+    },
+    formatMedia: function formatMedia(attrs) {
+        if (attrs.type === 'external' && typeof (attrs.url) === 'string') {
+            return attrs.url;
+        }
+
+        /*
+         * Attachments are identified by their ID in the media service, but
+         * JIRA also puts the filename in "alt".
+         */
+        if (typeof (attrs.alt) === 'string' && attrs.alt !== '') {
+            return attrs.alt;
+        }
+
+        return null;
+    }
+};
+
+/*
+ * The order in which marks are nested, from the outermost to the innermost.
+ * Marks that aren't listed here get dropped.
+ */
+var MARK_ORDER = [
+    'link', 'textColor', 'strong', 'em', 'strike', 'underline', 'subsup', 'code'
+];
+
+var MARK_TYPES = {
+    strong: 'strong',
+    em: 'emphasis',
+    strike: 'deleted',
+    underline: 'inserted',
+    code: 'monospace'
+};
+
+/* The background colors of the different types of ADF panels. */
+var PANEL_COLORS = {
+    info: '#deebff',
+    note: '#eae6ff',
+    success: '#e3fcef',
+    warning: '#fffae6',
+    error: '#ffebe6'
+};
+
+/* ADF nodes that are replaced by their content. */
+var CONTAINER_TYPES = [ 'layoutColumn', 'layoutSection' ];
+
+function text(value) {
+    return { type: 'text', value: value };
+}
+
+function attrsOf(node) {
+    return typeof (node.attrs) === 'object' && node.attrs !== null ?
+        node.attrs : {};
+}
+
+function contentOf(node) {
+    return Array.isArray(node.content) ? node.content : [];
+}
+
+function sameMark(a, b) {
+    return a.type === b.type &&
+        JSON.stringify(attrsOf(a)) === JSON.stringify(attrsOf(b));
+}
+
+function pad(n, width) {
+    var str = String(n);
+
+    while (str.length < width) {
+        str = '0' + str;
+    }
+
+    return str;
+}
+
+/*
+ * Converts ADF nodes into JIRA nodes, reporting anything that gets dropped
+ * to "ops.onDropped".
+ */
+function ADFParser(ops) {
+    this.ap_ops = ops;
+}
+
+ADFParser.prototype.drop = function (kind, value) {
+    var type = typeof (value.type) === 'string' ? value.type : null;
+
+    this.ap_ops.onDropped({
+        message: 'dropped ADF ' + kind + ' of type ' + JSON.stringify(type),
+        kind: kind,
+        type: type,
+        value: value
+    });
+};
+
+ADFParser.prototype.checkNode = function (node) {
+    if (typeof (node) !== 'object' || node === null ||
+        typeof (node.type) !== 'string') {
+        throw new Error('invalid ADF node: ' + JSON.stringify(node));
+    }
+};
+
+
+// --- Block nodes
+
+ADFParser.prototype.convertBlocks = function (nodes) {
+    var self = this;
+    var blocks = [];
+
+    nodes.forEach(function (node) {
+        self.checkNode(node);
+        blocks = blocks.concat(self.convertBlock(node));
+    });
+
+    return blocks;
+};
+
+/*
+ * Convert an ADF block node into a list of JIRA blocks.
+ */
+ADFParser.prototype.convertBlock = function (node) {
+    var attrs = attrsOf(node);
+    var content = contentOf(node);
+    var children;
+
+    this.dropMarks(node);
+
+    switch (node.type) {
+    case 'paragraph':
+        children = this.convertInlines(content);
+        return children.length === 0 ? [] :
+            [ { type: 'paragraph', children: children } ];
+
+    case 'heading':
+        /* Headings can only hold a single line of text. */
+        children = this.convertInlines(content).map(function (child) {
+            return child.type === 'lineBreak' ? text(' ') : child;
+        });
+        return children.length === 0 ? [] : [ {
+            type: 'heading',
+            level: Math.min(Math.max(parseInt(attrs.level, 10) || 1, 1), 6),
+            children: children
+        } ];
+
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+    case 'decisionList':
+        return this.convertList(node);
+
+    case 'listItem':
+    case 'taskItem':
+    case 'decisionItem':
+        /* Items outside of a list */
+        return this.convertList({ type: 'bulletList', content: [ node ] });
+
+    case 'codeBlock':
+        return [ this.convertCode(node) ];
+
+    case 'blockquote':
+        return [ this.convertQuote(node) ];
+
+    case 'panel':
+        return [ this.convertPanel(node) ];
+
+    case 'expand':
+    case 'nestedExpand':
+        return [ {
+            type: 'panel',
+            options: typeof (attrs.title) === 'string' && attrs.title !== '' ?
+                { title: attrs.title } : {},
+            children: this.convertBlocks(content)
+        } ];
+
+    case 'table':
+        return this.convertTable(node);
+
+    case 'mediaSingle':
+    case 'mediaGroup':
+        children = this.convertInlines(content);
+        return children.length === 0 ? [] :
+            [ { type: 'paragraph', children: children } ];
+
+    case 'blockCard':
+    case 'embedCard':
+        children = this.convertInline(node);
+        return children.length === 0 ? [] :
+            [ { type: 'paragraph', children: children } ];
+
+    default:
+        if (CONTAINER_TYPES.indexOf(node.type) !== -1) {
+            return this.convertBlocks(content);
+        }
+
+        this.drop('node', node);
+        return [];
+    }
+};
+
+/*
+ * Task and decision lists become bulleted lists, with the state of each
+ * task written at the start of its item.
+ */
+ADFParser.prototype.convertList = function (node) {
+    var self = this;
+    var ordered = node.type === 'orderedList';
+    var items = [];
+
+    contentOf(node).forEach(function (child) {
+        self.checkNode(child);
+        self.dropMarks(child);
+
+        var last = items[items.length - 1];
+
+        if (child.type === 'listItem') {
+            items.push({
+                type: 'listItem',
+                children: self.convertBlocks(contentOf(child))
+            });
+        } else if (child.type === 'taskItem' ||
+            child.type === 'decisionItem') {
+            var inline = self.convertInlines(contentOf(child));
+            if (child.type === 'taskItem') {
+                inline.unshift(text(attrsOf(child).state === 'DONE' ?
+                    '[x] ' : '[ ] '));
+            }
+            items.push({
+                type: 'listItem',
+                children: [ { type: 'paragraph', children: inline } ]
+            });
+        } else if (last !== undefined) {
+            /* Nested task lists sit directly inside of their list. */
+            last.children = last.children.concat(self.convertBlock(child));
+        } else {
+            items.push({
+                type: 'listItem',
+                children: self.convertBlock(child)
+            });
+        }
+    });
+
+    if (items.length === 0) {
+        return [];
+    }
+
+    return [ {
+        type: 'list',
+        ordered: ordered,
+        bullet: ordered ? '#' : '*',
+        children: items
+    } ];
+};
+
+/*
+ * Code blocks without a language use {noformat}, since JIRA highlights
+ * {code} blocks without a language as Java.
+ */
+ADFParser.prototype.convertCode = function (node) {
+    var self = this;
+    var language = attrsOf(node).language;
+    var value = contentOf(node).map(function (child) {
+        self.checkNode(child);
+        if (child.type === 'text' && typeof (child.text) === 'string') {
+            return child.text;
+        }
+        if (child.type === 'hardBreak') {
+            return '\n';
+        }
+        self.drop('node', child);
+        return '';
+    }).join('');
+
+    if (value !== '') {
+        value += '\n';
+    }
+
+    if (typeof (language) !== 'string' || language === '' ||
+        language === 'none') {
+        return { type: 'noformat', options: {}, value: value };
+    }
+
+    return { type: 'code', language: language, options: {}, value: value };
+};
+
+/*
+ * Quotes holding a single line of text are written using "bq.".
+ */
+ADFParser.prototype.convertQuote = function (node) {
+    var children = this.convertBlocks(contentOf(node));
+
+    if (children.length === 1 && children[0].type === 'paragraph' &&
+        children[0].children.every(function (child) {
+        return child.type !== 'lineBreak';
+    })) {
+        return { type: 'blockquote', children: children[0].children };
+    }
+
+    return { type: 'quote', children: children };
+};
+
+ADFParser.prototype.convertPanel = function (node) {
+    var panelType = attrsOf(node).panelType;
+    var options = {};
+
+    if (typeof (panelType) === 'string' &&
+        mod_jsprim.hasKey(PANEL_COLORS, panelType)) {
+        options.bgColor = PANEL_COLORS[panelType];
+    }
+
+    return {
+        type: 'panel',
+        options: options,
+        children: this.convertBlocks(contentOf(node))
+    };
+};
+
+/*
+ * Cells spanning several columns are followed by empty cells, so that the
+ * columns after them still line up.
+ */
+ADFParser.prototype.convertTable = function (node) {
+    var self = this;
+    var rows = [];
+
+    contentOf(node).forEach(function (row) {
+        self.checkNode(row);
+
+        if (row.type !== 'tableRow') {
+            self.drop('node', row);
+            return;
+        }
+
+        var cells = [];
+        contentOf(row).forEach(function (cell) {
+            self.checkNode(cell);
+
+            if (cell.type !== 'tableCell' && cell.type !== 'tableHeader') {
+                self.drop('node', cell);
+                return;
+            }
+
+            var header = cell.type === 'tableHeader';
+            cells.push({
+                type: 'tableCell',
+                header: header,
+                children: self.convertBlocks(contentOf(cell))
+            });
+
+            var span = parseInt(attrsOf(cell).colspan, 10);
+            for (var i = 1; i < span && i < 1000; ++i) {
+                cells.push({ type: 'tableCell', header: header, children: [] });
+            }
+        });
+
+        if (cells.length > 0) {
+            rows.push({ type: 'tableRow', children: cells });
+        }
+    });
+
+    return rows.length === 0 ? [] : [ { type: 'table', children: rows } ];
+};
+
+
+// --- Inline nodes
+
+/*
+ * Block nodes can't have marks in JIRA, so any marks on them (like
+ * alignment and indentation) are dropped.
+ */
+ADFParser.prototype.dropMarks = function (node) {
+    var self = this;
+
+    if (Array.isArray(node.marks)) {
+        node.marks.forEach(function (mark) {
+            self.drop('mark', mark);
+        });
+    }
+};
+
+/*
+ * Convert a list of ADF inline nodes. Runs of neighbouring nodes that share
+ * a mark are wrapped in a single JIRA node, so that "*a _b_*" stays that
+ * way, rather than becoming "*a*\*_b_*".
+ */
+ADFParser.prototype.convertInlines = function (nodes) {
+    var self = this;
+    var items = [];
+
+    nodes.forEach(function (node) {
+        self.checkNode(node);
+
+        var marks = [];
+        (Array.isArray(node.marks) ? node.marks : []).forEach(function (mark) {
+            if (typeof (mark) !== 'object' || mark === null ||
+                MARK_ORDER.indexOf(mark.type) === -1) {
+                self.drop('mark', mark || {});
+            } else {
+                marks.push(mark);
+            }
+        });
+
+        marks.sort(function (a, b) {
+            return MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type);
+        });
+
+        self.convertInline(node).forEach(function (converted) {
+            items.push({ node: converted, marks: marks });
+        });
+    });
+
+    return this.groupMarks(items);
+};
+
+ADFParser.prototype.groupMarks = function (items) {
+    var result = [];
+    var i = 0;
+
+    function hasMark(item, mark) {
+        return item.marks.some(function (other) {
+            return sameMark(other, mark);
+        });
+    }
+
+    function withoutMark(mark) {
+        return function (item) {
+            return {
+                node: item.node,
+                marks: item.marks.filter(function (other) {
+                    return !sameMark(other, mark);
+                })
+            };
+        };
+    }
+
+    while (i < items.length) {
+        var item = items[i];
+
+        if (item.marks.length === 0) {
+            result.push(item.node);
+            i += 1;
+            continue;
+        }
+
+        var mark = item.marks[0];
+        var j = i + 1;
+        while (j < items.length && hasMark(items[j], mark)) {
+            j += 1;
+        }
+
+        result.push(this.applyMark(mark,
+            this.groupMarks(items.slice(i, j).map(withoutMark(mark)))));
+        i = j;
+    }
+
+    return result;
+};
+
+ADFParser.prototype.applyMark = function (mark, children) {
+    var attrs = attrsOf(mark);
+
+    switch (mark.type) {
+    case 'link':
+        var href = typeof (attrs.href) === 'string' ? attrs.href : '';
+        var link = { type: 'link', href: href, children: children };
+        if (children.length === 1 && children[0].type === 'text' &&
+            children[0].value === href) {
+            link.bare = true;
+        }
+        return link;
+    case 'textColor':
+        return {
+            type: 'color',
+            color: typeof (attrs.color) === 'string' ? attrs.color : null,
+            children: children
+        };
+    case 'subsup':
+        return {
+            type: attrs.type === 'sub' ? 'subscript' : 'superscript',
+            children: children
+        };
+    default:
+        return { type: MARK_TYPES[mark.type], children: children };
+    }
+};
+
+/*
+ * Convert an ADF inline node into a list of JIRA inline nodes.
+ */
+ADFParser.prototype.convertInline = function (node) {
+    var attrs = attrsOf(node);
+    var src, username;
+
+    switch (node.type) {
+    case 'text':
+        return typeof (node.text) === 'string' && node.text !== '' ?
+            [ text(node.text) ] : [];
+
+    case 'hardBreak':
+        return [ { type: 'lineBreak' } ];
+
+    case 'mention':
+        username = this.ap_ops.formatMention(attrs);
+        if (username === null) {
+            break;
+        }
+        return [ { type: 'mention', username: username } ];
+
+    case 'emoji':
+        if (typeof (attrs.text) === 'string' && attrs.text !== '') {
+            return [ text(attrs.text) ];
+        }
+        if (typeof (attrs.shortName) === 'string') {
+            return [ text(attrs.shortName) ];
+        }
+        break;
+
+    case 'status':
+        if (typeof (attrs.text) === 'string') {
+            return [ text(attrs.text) ];
+        }
+        break;
+
+    case 'date':
+        var date = new Date(parseInt(attrs.timestamp, 10));
+        if (isNaN(date.getTime())) {
+            break;
+        }
+        return [ text(date.getUTCFullYear() + '-' +
+            pad(date.getUTCMonth() + 1, 2) + '-' +
+            pad(date.getUTCDate(), 2)) ];
+
+    case 'inlineCard':
+    case 'blockCard':
+    case 'embedCard':
+        if (typeof (attrs.url) !== 'string') {
+            break;
+        }
+        return [ {
+            type: 'link',
+            href: attrs.url,
+            bare: true,
+            children: [ text(attrs.url) ]
+        } ];
+
+    case 'media':
+    case 'mediaInline':
+        src = this.ap_ops.formatMedia(attrs);
+        if (src === null) {
+            break;
+        }
+        var options = [];
+        [ 'width', 'height' ].forEach(function (name) {
+            if (typeof (attrs[name]) === 'number') {
+                options.push(name + '=' + Math.round(attrs[name]));
+            }
+        });
+        return [ { type: 'embed', src: src, options: options } ];
+
+    case 'paragraph':
+        /* Paragraphs are allowed in a few places ADF usually has inlines. */
+        return this.convertInlines(contentOf(node));
+
+    default:
+        break;
+    }
+
+    this.drop('node', node);
+    return [];
+};
+
+
+// --- Entry point
+
+/*
+ * Convert the ADF document "doc" (an object, or a string containing its
+ * JSON) into a "document" node. Unlike the trees returned by parse(), the
+ * nodes don't have positions.
+ */
+function parseADF(doc, ops) {
+    assert.optionalObject(ops, 'ops');
+
+    ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    assert.func(ops.onDropped, 'ops.onDropped');
+    assert.func(ops.formatMention, 'ops.formatMention');
+    assert.func(ops.formatMedia, 'ops.formatMedia');
+
+    if (typeof (doc) === 'string') {
+        doc = JSON.parse(doc);
+    }
+
+    assert.object(doc, 'doc');
+
+    if (doc.type !== 'doc') {
+        throw new Error('expected an ADF "doc" node, but found type ' +
+            JSON.stringify(doc.type));
+    }
+
+    return {
+        type: 'document',
+        children: new ADFParser(ops).convertBlocks(contentOf(doc))
+    };
+}
+
+module.exports = {
+    parseADF: parseADF
+};
@@ -0,0 +1,536 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_util = require('util');
+
+/*
+ * This file renders the tree returned by parse() as a document in the
+ * Atlassian Document Format (ADF), the JSON format that JIRA Cloud's REST API
+ * uses for descriptions and comments.
+ *
+ * ADF is stricter than JIRA markup about what can go where: text effects are
+ * "marks" on text nodes rather than nodes of their own, images are blocks
+ * rather than inline nodes, and most blocks can only hold a few kinds of
+ * other blocks. Each block method therefore returns a list of ADF nodes, so
+ * that paragraphs can be split around images, and blocks that aren't
+ * allowed somewhere get replaced with their contents.
+ */
+
+var DEFAULT_OPS = {
+    formatMention: function formatMention(username) {
+        return { id: username, text: '@' + username };
+    },
+    formatAttachmentLink: function formatAttachmentLink(_filename) {
+        return null;
+    },
+    formatMedia: function formatMedia(src, options) {
+        var attrs = { type: 'external', url: src };
+
+        options.forEach(function (option) {
+            var m = /^(width|height)=([0-9]+)$/.exec(option);
+            if (m !== null) {
+                attrs[m[1]] = parseInt(m[2], 10);
+            }
+        });
+
+        return attrs;
+    }
+};
+
+/* The blocks that each kind of container can hold. */
+var BLOCKQUOTE_CONTENT = [
+    'bulletList', 'codeBlock', 'mediaSingle', 'orderedList', 'paragraph'
+];
+var LIST_ITEM_CONTENT = BLOCKQUOTE_CONTENT;
+var PANEL_CONTENT = BLOCKQUOTE_CONTENT.concat([ 'heading' ]);
+var TABLE_CELL_CONTENT = PANEL_CONTENT.concat([ 'blockquote', 'panel' ]);
+
+/* The marks that can be combined with the "code" mark. */
+var CODE_MARKS = [ 'code', 'link' ];
+
+function paragraph(content) {
+    return { type: 'paragraph', content: content };
+}
+
+/*
+ * Replace any blocks in "blocks" that aren't in "allowed" with their
+ * contents. Headings become paragraphs.
+ */
+function fitBlocks(blocks, allowed) {
+    var fitted = [];
+
+    blocks.forEach(function (block) {
+        if (allowed.indexOf(block.type) !== -1) {
+            fitted.push(block);
+        } else if (block.type === 'heading') {
+            fitted.push(paragraph(block.content));
+        } else if (block.content !== undefined) {
+            fitted = fitted.concat(fitBlocks(block.content, allowed));
+        }
+    });
+
+    return fitted;
+}
+
+function sameMarks(a, b) {
+    return JSON.stringify(a.marks) === JSON.stringify(b.marks);
+}
+
+/*
+ * Merge neighbouring text nodes that have the same marks.
+ */
+function mergeText(nodes) {
+    var merged = [];
+
+    nodes.forEach(function (node) {
+        var last = merged[merged.length - 1];
+
+        if (node.type === 'text' && last !== undefined &&
+            last.type === 'text' && sameMarks(node, last)) {
+            last.text += node.text;
+        } else {
+            merged.push(node);
+        }
+    });
+
+    return merged;
+}
+
+/*
+ * Remove the whitespace from the start and end of a block's inline content,
+ * which JIRA doesn't show.
+ */
+function trimContent(content) {
+    var first = content[0];
+    var last = content[content.length - 1];
+
+    if (first !== undefined && first.type === 'text') {
+        first.text = first.text.replace(/^[ \t]+/, '');
+        if (first.text === '') {
+            return trimContent(content.slice(1));
+        }
+    }
+
+    if (last !== undefined && last.type === 'text') {
+        last.text = last.text.replace(/[ \t]+$/, '');
+        if (last.text === '') {
+            return trimContent(content.slice(0, -1));
+        }
+    }
+
+    return content;
+}
+
+/*
+ * Convert a {color} value to the "#rrggbb" form that ADF requires.
+ */
+function hexColor(color) {
+    if (color === null || !mod_html.COLOR_RE.test(color)) {
+        return null;
+    }
+
+    color = color.toLowerCase();
+    if (color.charAt(0) === '#') {
+        return color;
+    }
+
+    if (!mod_jsprim.hasKey(mod_html.COLOR_NAMES, color)) {
+        return null;
+    }
+
+    return mod_html.COLOR_NAMES[color];
+}
+
+
+/*
+ * Renders the tree returned by parse() as an ADF "doc" node. Some of the
+ * output can be controlled with functions in "ops":
+ *
+ * - "formatMention", which is passed a username and returns the attributes
+ *   of the ADF "mention" node (JIRA Cloud identifies users by account ID)
+ * - "formatAttachmentLink", which is passed the filename of an attachment
+ *   and returns the URL to link to, or null to write just the link's text
+ * - "formatMedia", which is passed the "src" and options of an embedded
+ *   image, and returns the attributes of the ADF "media" node
+ */
+function ADFRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.ar_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    assert.func(this.ar_ops.formatMention, 'ops.formatMention');
+    assert.func(this.ar_ops.formatAttachmentLink, 'ops.formatAttachmentLink');
+    assert.func(this.ar_ops.formatMedia, 'ops.formatMedia');
+
+    /* The marks applied to the text currently being rendered. */
+    this.ar_marks = [];
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(ADFRenderer, mod_renderer.Renderer);
+
+ADFRenderer.prototype.renderBlocks = function (nodes) {
+    var self = this;
+    var blocks = [];
+
+    nodes.forEach(function (node) {
+        blocks = blocks.concat(self.render(node));
+    });
+
+    return blocks;
+};
+
+ADFRenderer.prototype.renderInline = function (nodes) {
+    return mergeText(this.renderBlocks(nodes));
+};
+
+/*
+ * Render "nodes" with "mark" added to their text.
+ */
+ADFRenderer.prototype.renderMarked = function (mark, nodes) {
+    this.ar_marks.push(mark);
+    var content = this.renderInline(nodes);
+    this.ar_marks.pop();
+
+    return content;
+};
+
+/*
+ * Create a text node with the current marks. Text with the "code" mark can
+ * only have a link mark as well, and each type of mark can only be used
+ * once, so inner marks replace outer ones of the same type.
+ */
+ADFRenderer.prototype.createText = function (str) {
+    if (str === '') {
+        return [];
+    }
+
+    var code = this.ar_marks.some(function (mark) {
+        return mark.type === 'code';
+    });
+    var marks = [];
+
+    this.ar_marks.forEach(function (mark) {
+        if (code && CODE_MARKS.indexOf(mark.type) === -1) {
+            return;
+        }
+
+        marks = marks.filter(function (other) {
+            return other.type !== mark.type;
+        });
+        marks.push(mark);
+    });
+
+    var node = { type: 'text', text: str };
+    if (marks.length > 0) {
+        node.marks = marks;
+    }
+
+    return [ node ];
+};
+
+/*
+ * Create a block holding inline content. Embedded images are blocks in ADF,
+ * so the block gets split up around them.
+ */
+ADFRenderer.prototype.renderTextBlock = function (create, nodes) {
+    var blocks = [];
+    var content = [];
+
+    this.renderInline(nodes).forEach(function (node) {
+        if (node.type === 'mediaSingle') {
+            content = trimContent(content);
+            if (content.length > 0) {
+                blocks.push(create(content));
+            }
+            blocks.push(node);
+            content = [];
+        } else {
+            content.push(node);
+        }
+    });
+
+    content = trimContent(content);
+    if (content.length > 0 || blocks.length === 0) {
+        blocks.push(create(content));
+    }
+
+    return blocks;
+};
+
+/*
+ * ADF panels and code blocks don't have titles, so the title is written in
+ * bold before them.
+ */
+ADFRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return [];
+    }
+
+    return [ paragraph([ {
+        type: 'text',
+        text: node.options.title,
+        marks: [ { type: 'strong' } ]
+    } ]) ];
+};
+
+ADFRenderer.prototype.renderCode = function (node, attrs) {
+    var value = node.value.replace(/\n$/, '');
+    var block = { type: 'codeBlock' };
+
+    if (attrs !== null) {
+        block.attrs = attrs;
+    }
+
+    block.content = value === '' ? [] : [ { type: 'text', text: value } ];
+
+    return this.renderTitle(node).concat([ block ]);
+};
+
+ADFRenderer.prototype.document = function (node) {
+    return {
+        version: 1,
+        type: 'doc',
+        content: this.renderBlocks(node.children)
+    };
+};
+
+ADFRenderer.prototype.paragraph = function (node) {
+    return this.renderTextBlock(paragraph, node.children);
+};
+
+ADFRenderer.prototype.heading = function (node) {
+    return this.renderTextBlock(function (content) {
+        return {
+            type: 'heading',
+            attrs: { level: node.level },
+            content: content
+        };
+    }, node.children);
+};
+
+ADFRenderer.prototype.blockquote = function (node) {
+    return [ {
+        type: 'blockquote',
+        content: this.renderTextBlock(paragraph, node.children)
+    } ];
+};
+
+ADFRenderer.prototype.quote = function (node) {
+    var content = fitBlocks(this.renderBlocks(node.children),
+        BLOCKQUOTE_CONTENT);
+
+    return [ {
+        type: 'blockquote',
+        content: content.length === 0 ? [ paragraph([]) ] : content
+    } ];
+};
+
+ADFRenderer.prototype.panel = function (node) {
+    var content = fitBlocks(this.renderTitle(node)
+        .concat(this.renderBlocks(node.children)), PANEL_CONTENT);
+
+    return [ {
+        type: 'panel',
+        attrs: { panelType: 'info' },
+        content: content.length === 0 ? [ paragraph([]) ] : content
+    } ];
+};
+
+ADFRenderer.prototype.code = function (node) {
+    return this.renderCode(node,
+        node.language === null ? null : { language: node.language });
+};
+
+ADFRenderer.prototype.noformat = function (node) {
+    return this.renderCode(node, null);
+};
+
+ADFRenderer.prototype.list = function (node) {
+    return [ {
+        type: node.ordered ? 'orderedList' : 'bulletList',
+        content: this.renderBlocks(node.children)
+    } ];
+};
+
+/*
+ * List items have to start with a paragraph (or a code block or image), so
+ * items holding only a nested list get an empty one.
+ */
+ADFRenderer.prototype.listItem = function (node) {
+    var content = fitBlocks(this.renderBlocks(node.children),
+        LIST_ITEM_CONTENT);
+
+    if (content.length === 0 || content[0].type === 'bulletList' ||
+        content[0].type === 'orderedList') {
+        content.unshift(paragraph([]));
+    }
+
+    return [ { type: 'listItem', content: content } ];
+};
+
+/*
+ * Rows are padded out with empty cells, since JIRA Cloud expects every row
+ * in a table to have the same number of cells.
+ */
+ADFRenderer.prototype.table = function (node) {
+    var rows = this.renderBlocks(node.children);
+    var columns = 0;
+
+    rows.forEach(function (row) {
+        columns = Math.max(columns, row.content.length);
+    });
+
+    rows.forEach(function (row) {
+        var type = row.content.length === 0 ? 'tableCell' :
+            row.content[row.content.length - 1].type;
+
+        while (row.content.length < columns) {
+            row.content.push({
+                type: type,
+                attrs: {},
+                content: [ paragraph([]) ]
+            });
+        }
+    });
+
+    return [ {
+        type: 'table',
+        attrs: { isNumberColumnEnabled: false, layout: 'default' },
+        content: rows
+    } ];
+};
+
+ADFRenderer.prototype.tableRow = function (node) {
+    return [ { type: 'tableRow', content: this.renderBlocks(node.children) } ];
+};
+
+ADFRenderer.prototype.tableCell = function (node) {
+    var content = fitBlocks(this.renderBlocks(node.children),
+        TABLE_CELL_CONTENT);
+
+    return [ {
+        type: node.header ? 'tableHeader' : 'tableCell',
+        attrs: {},
+        content: content.length === 0 ? [ paragraph([]) ] : content
+    } ];
+};
+
+ADFRenderer.prototype.text = function (node) {
+    return this.createText(node.value);
+};
+
+ADFRenderer.prototype.entity = function (node) {
+    return this.createText(node.value);
+};
+
+ADFRenderer.prototype.lineBreak = function (_) {
+    return [ { type: 'hardBreak' } ];
+};
+
+ADFRenderer.prototype.strong = function (node) {
+    return this.renderMarked({ type: 'strong' }, node.children);
+};
+
+ADFRenderer.prototype.emphasis = function (node) {
+    return this.renderMarked({ type: 'em' }, node.children);
+};
+
+/*
+ * ADF has no mark for citations, so they're shown like JIRA shows them, in
+ * italics.
+ */
+ADFRenderer.prototype.citation = function (node) {
+    return this.renderMarked({ type: 'em' }, node.children);
+};
+
+ADFRenderer.prototype.subscript = function (node) {
+    return this.renderMarked({ type: 'subsup', attrs: { type: 'sub' } },
+        node.children);
+};
+
+ADFRenderer.prototype.superscript = function (node) {
+    return this.renderMarked({ type: 'subsup', attrs: { type: 'sup' } },
+        node.children);
+};
+
+ADFRenderer.prototype.deleted = function (node) {
+    return this.renderMarked({ type: 'strike' }, node.children);
+};
+
+ADFRenderer.prototype.inserted = function (node) {
+    return this.renderMarked({ type: 'underline' }, node.children);
+};
+
+ADFRenderer.prototype.monospace = function (node) {
+    return this.renderMarked({ type: 'code' }, node.children);
+};
+
+ADFRenderer.prototype.color = function (node) {
+    var color = hexColor(node.color);
+
+    if (color === null) {
+        return this.renderInline(node.children);
+    }
+
+    return this.renderMarked({ type: 'textColor', attrs: { color: color } },
+        node.children);
+};
+
+ADFRenderer.prototype.link = function (node) {
+    var mark = { type: 'link', attrs: { href: node.href } };
+
+    if (node.children.length === 0) {
+        return this.renderMarked(mark, [ { type: 'text', value: node.href } ]);
+    }
+
+    return this.renderMarked(mark, node.children);
+};
+
+ADFRenderer.prototype.attachment = function (node) {
+    var href = this.ar_ops.formatAttachmentLink(node.filename);
+    var children = node.children.length === 0 ?
+        [ { type: 'text', value: node.filename } ] : node.children;
+
+    if (href === null) {
+        return this.renderInline(children);
+    }
+
+    return this.renderMarked({ type: 'link', attrs: { href: href } },
+        children);
+};
+
+ADFRenderer.prototype.embed = function (node) {
+    return [ {
+        type: 'mediaSingle',
+        attrs: { layout: 'center' },
+        content: [ {
+            type: 'media',
+            attrs: this.ar_ops.formatMedia(node.src, node.options)
+        } ]
+    } ];
+};
+
+ADFRenderer.prototype.mention = function (node) {
+    return [ {
+        type: 'mention',
+        attrs: this.ar_ops.formatMention(node.username)
+    } ];
+};
+
+module.exports = {
+    ADFRenderer: ADFRenderer
+};
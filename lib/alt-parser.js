@@ -46,13 +46,179 @@ function unescapeChar(s) {
 }
 
 
+// --- State for a single call to Grammar.parse()
+
+/*
+ * To be able to explain why the input couldn't be parsed, we track the
+ * farthest position that we tried to match something at, and what we were
+ * expecting to find there. Like Ohm, failures within rules that have a
+ * description are reported using the description instead of the
+ * expressions that make up the rule, and failures inside of negative
+ * lookaheads are ignored. This is only needed once we know that the input
+ * can't be parsed, so it's skipped unless "track" is set.
+ */
+function ParseState(str, track) {
+    this.ps_str = str;
+    this.ps_track = track;
+    this.ps_failpos = -1;
+    this.ps_expected = {};
+    this.ps_quiet = 0;
+    this.ps_memo = [];
+    this.ps_hits = 0;
+    this.ps_misses = 0;
+}
+
+ParseState.prototype.recordFailure = function (pos, expected) {
+    if (!this.ps_track || this.ps_quiet > 0 || pos < this.ps_failpos) {
+        return;
+    }
+
+    if (pos > this.ps_failpos || this.ps_expected === null) {
+        this.ps_failpos = pos;
+        this.ps_expected = {};
+    }
+
+    this.ps_expected[expected] = true;
+};
+
+ParseState.prototype.quiet = function () {
+    this.ps_quiet += 1;
+};
+
+ParseState.prototype.unquiet = function () {
+    this.ps_quiet -= 1;
+};
+
+ParseState.prototype.getFailure = function () {
+    return {
+        offset: this.ps_failpos,
+        expected: Object.keys(this.ps_expected).sort()
+    };
+};
+
+/*
+ * A memoized rule application may be looked up again from a different
+ * context than the one it was first parsed in (for example, outside of a
+ * negative lookahead instead of inside one), so each application tracks the
+ * failures that happen within it separately. They're stored alongside the
+ * result, and replayed into the surrounding context when it's looked up.
+ */
+ParseState.prototype.startTracking = function () {
+    if (!this.ps_track) {
+        return null;
+    }
+
+    var saved = {
+        failpos: this.ps_failpos,
+        expected: this.ps_expected,
+        quiet: this.ps_quiet
+    };
+
+    this.ps_failpos = -1;
+    this.ps_expected = null;
+    this.ps_quiet = 0;
+
+    return saved;
+};
+
+ParseState.prototype.stopTracking = function (saved) {
+    var failure = null;
+
+    if (saved === null) {
+        return null;
+    }
+
+    if (this.ps_expected !== null) {
+        failure = {
+            offset: this.ps_failpos,
+            expected: this.ps_expected
+        };
+    }
+
+    this.ps_failpos = saved.failpos;
+    this.ps_expected = saved.expected;
+    this.ps_quiet = saved.quiet;
+
+    return failure;
+};
+
+/*
+ * Replaying a failure only has an effect when it's at least as far along as
+ * the farthest one so far, and we're not inside of a negative lookahead, so
+ * we check for that up front, instead of going through each description.
+ */
+ParseState.prototype.replayFailure = function (failure) {
+    if (failure === null || this.ps_quiet > 0 ||
+        failure.offset < this.ps_failpos) {
+        return;
+    }
+
+    for (var expected in failure.expected) {
+        this.recordFailure(failure.offset, expected);
+    }
+};
+
+/*
+ * Combine two failures into the one that would result from replaying both
+ * of them, reusing whichever is farther along when they're at different
+ * offsets.
+ */
+function mergeFailures(a, b) {
+    if (a === null || (b !== null && b.offset > a.offset)) {
+        return b;
+    }
+
+    if (b === null || a.offset > b.offset) {
+        return a;
+    }
+
+    return {
+        offset: a.offset,
+        expected: mod_jsprim.mergeObjects(a.expected, b.expected)
+    };
+}
+
+/*
+ * The memo table maps each position in the input to the rules that have
+ * been applied there, keyed by the rule name and its parameters. Since
+ * results are never modified once created, they can be safely shared
+ * between all of the nodes that contain them.
+ */
+ParseState.prototype.lookup = function (pos, key) {
+    var memo = this.ps_memo[pos];
+
+    if (memo !== undefined && mod_jsprim.hasKey(memo, key)) {
+        this.ps_hits += 1;
+        return memo[key];
+    }
+
+    this.ps_misses += 1;
+    return null;
+};
+
+ParseState.prototype.store = function (pos, key, entry) {
+    if (this.ps_memo[pos] === undefined) {
+        this.ps_memo[pos] = {};
+    }
+
+    this.ps_memo[pos][key] = entry;
+};
+
+
 // --- Results for calling .parse()
 
-function InputView(str, begin, end) {
+/*
+ * An InputView describes the range of the input that a node covers. Views
+ * get created for every node that we try to parse, so they only track
+ * offsets into the input: expressions match against the full string using
+ * sticky regular expressions, which start matching at "lastIndex", instead
+ * of copying the remaining input for each view.
+ */
+function InputView(str, begin, end, state) {
     this.iv_str = str;
     this.iv_begin = begin;
     this.iv_end = end;
-    this.iv_rest = str.substring(end);
+    this.iv_state = state;
 }
 
 InputView.prototype.toString = function () {
@@ -67,25 +233,38 @@ InputView.prototype.extend = function (end) {
     if (end < this.iv_end) {
         throw new Error('cannot move InputView backwards!');
     }
-    return new InputView(this.iv_str, this.iv_begin, end);
+    return new InputView(this.iv_str, this.iv_begin, end, this.iv_state);
 };
 
 InputView.prototype.range = function (length) {
-    return new InputView(this.iv_str, this.iv_begin, this.iv_end + length);
+    return new InputView(this.iv_str, this.iv_begin, this.iv_end + length,
+        this.iv_state);
 };
 
 InputView.prototype.next = function () {
-    return new InputView(this.iv_str, this.iv_end, this.iv_end);
+    return new InputView(this.iv_str, this.iv_end, this.iv_end,
+        this.iv_state);
 };
 
-
+/*
+ * Match the sticky RegExp "re" against the input following this view,
+ * returning the match, or null if it didn't match.
+ */
+InputView.prototype.match = function (re) {
+    re.lastIndex = this.iv_end;
+    return re.exec(this.iv_str);
+};
 
 InputView.prototype.rest = function () {
-    return this.iv_rest;
+    return this.iv_str.substring(this.iv_end);
 };
 
 InputView.prototype.hasMore = function () {
-    return this.iv_rest.length > 0;
+    return this.iv_end < this.iv_str.length;
+};
+
+InputView.prototype.fail = function (expected) {
+    this.iv_state.recordFailure(this.iv_end, expected);
 };
 
 
@@ -138,6 +317,15 @@ ParseNode.prototype.hasMore = function () {
     return this.pt_view.hasMore();
 };
 
+/*
+ * Returns a copy of this node that covers a different part of the input.
+ * Nodes may be shared between several parents, so they shouldn't be
+ * modified in place.
+ */
+ParseNode.prototype.withView = function (_) {
+    throw new Error('not yet implemented');
+};
+
 Object.defineProperties(ParseNode.prototype, {
     children: {
         get: function () { throw new Error('not yet implemented'); }
@@ -154,6 +342,24 @@ Object.defineProperties(ParseNode.prototype, {
             }
         }
     },
+    startIdx: {
+        get: function () {
+            if (this.pt_view !== null) {
+                return this.pt_view.iv_begin;
+            } else {
+                throw new Error('ParseNode has no source position!');
+            }
+        }
+    },
+    endIdx: {
+        get: function () {
+            if (this.pt_view !== null) {
+                return this.pt_view.iv_end;
+            } else {
+                throw new Error('ParseNode has no source position!');
+            }
+        }
+    },
     primitiveValue: {
         get: function () { throw new Error('not yet implemented'); }
     }
@@ -281,6 +487,11 @@ ParseWideNode.prototype.prefixWith = function (start, others) {
         start.extend(this.pt_view.getEnd()), this.pt_rname, this.pt_iname);
 };
 
+ParseWideNode.prototype.withView = function (view) {
+    return new ParseWideNode(this.pt_children, view,
+        this.pt_rname, this.pt_iname);
+};
+
 ParseWideNode.prototype.group = function () {
     var view = this.pt_view;
     var grouped = this.pt_children.map(function (node) {
@@ -303,6 +514,11 @@ ParseTallNode.prototype.visit = function (visitor) {
     });
 };
 
+ParseTallNode.prototype.withView = function (view) {
+    return new ParseTallNode(this.pt_children, view,
+        this.pt_rname, this.pt_iname);
+};
+
 ParseTallNode.prototype.getTallNodes = function () {
     return this.pt_children;
 };
@@ -322,6 +538,10 @@ ParseShortNode.prototype.unwrapShort = function () {
     return this.pt_children[0].unwrapShort();
 };
 
+ParseShortNode.prototype.withView = function (view) {
+    return new ParseShortNode(this.pt_children[0], view);
+};
+
 function ParseTerminal(text, view) {
     this.pt_cname = 'ParseTerminal';
     this.pt_text = text;
@@ -334,6 +554,10 @@ ParseTerminal.prototype.visit = function (visitor) {
     return visitor._terminal.apply(this);
 };
 
+ParseTerminal.prototype.withView = function (view) {
+    return new ParseTerminal(this.pt_text, view);
+};
+
 ParseTerminal.prototype.mergeWith = function (_start, _others) {
     throw new Error('cannot merge terminal node');
 };
@@ -373,6 +597,8 @@ Object.defineProperties(ParseTerminal.prototype, {
 function ParseError(why, cause) {
     this.pe_why = why;
     this.pe_cause = cause || null;
+    this.pe_partial = null;
+    this.pe_farthest = null;
 
     ParseNode.call(this, null, null, null);
 }
@@ -426,6 +652,23 @@ ParseError.prototype.hasMore = function () {
     return false;
 };
 
+/*
+ * When the start rule matches, but doesn't consume all of the input, this
+ * returns the successfully parsed prefix. Otherwise it returns null.
+ */
+ParseError.prototype.partial = function () {
+    return this.pe_partial;
+};
+
+/*
+ * When returned from Grammar.parse(), this returns the farthest offset into
+ * the input that the parser reached, and a sorted array of descriptions of
+ * what was expected there.
+ */
+ParseError.prototype.farthestFailure = function () {
+    return this.pe_farthest;
+};
+
 ParseError.prototype.wrap = function () {
     return this;
 };
@@ -444,6 +687,7 @@ function createEmptySlots(width, view) {
 
 function ParseExpression(width) {
     this.pe_width = width;
+    this.pe_key = null;
 }
 
 ParseExpression.prototype.getWidth = function () {
@@ -462,6 +706,107 @@ ParseExpression.prototype.getRegExStr = function (_) {
     return null;
 };
 
+/*
+ * Expressions that can be passed as parameters to a rule need to be able to
+ * produce a key describing their structure, so that we can tell whether
+ * we've already applied a rule with the same parameters. Parameters are
+ * nested inside each other as rules pass them along, so instead of spelling
+ * out the whole structure, each key is interned as a short identifier, and
+ * an expression's key is built from the identifiers of its parts. Since
+ * alternatives are flattened as they're substituted, the table only grows
+ * with the combinations of stop strings that the grammar can build.
+ */
+var KEY_IDS = {};
+var nextKeyId = 0;
+
+function internKey(key) {
+    if (!mod_jsprim.hasKey(KEY_IDS, key)) {
+        KEY_IDS[key] = '#' + nextKeyId;
+        nextKeyId += 1;
+    }
+
+    return KEY_IDS[key];
+}
+
+ParseExpression.prototype.getKey = function () {
+    if (this.pe_key === null) {
+        this.pe_key = internKey(this.buildKey());
+    }
+
+    return this.pe_key;
+};
+
+ParseExpression.prototype.buildKey = function () {
+    throw new Error('not yet implemented');
+};
+
+function applicationKey(name, params) {
+    if (params.length === 0) {
+        return name;
+    }
+
+    return name + '<' + params.map(function (p) {
+        return p.getKey();
+    }).join(', ') + '>';
+}
+
+/*
+ * Match "pred" as many times as possible (and at least "min" times), and
+ * return a node with a slot for each of its parts, holding what that part
+ * matched in each repetition. The matches are collected into arrays, and
+ * the slots only get created at the end, since copying them on each
+ * repetition would take time proportional to the square of their number.
+ */
+function parseRepeated(grammar, params, view, pred, min) {
+    var width = pred.getWidth();
+    var nodes = new Array(width);
+    var views = new Array(width);
+    var slots = new Array(width);
+    var count = 0;
+    var end = view;
+    var next, child, i;
+
+    if (pred instanceof RuleApply && grammar.isMemoized(pred.ra_name)) {
+        next = grammar.applyRepeated(pred.ra_name, pred._subbed(params),
+            view, min);
+        return next.explain(pred);
+    }
+
+    for (i = 0; i < width; ++i) {
+        nodes[i] = [];
+        views[i] = view;
+    }
+
+    while (count < min || end.hasMore()) {
+        next = pred.parse(grammar, params, end.next());
+        if (next.failed()) {
+            if (count < min) {
+                return next;
+            }
+            break;
+        }
+
+        if (next.pt_children.length !== width) {
+            throw new Error('Cannot merge node with a different length!');
+        }
+
+        for (i = 0; i < width; ++i) {
+            child = next.pt_children[i];
+            Array.prototype.push.apply(nodes[i], child.pt_children);
+            views[i] = views[i].extend(child.pt_view.getEnd());
+        }
+
+        end = end.extend(next.pt_view.getEnd());
+        count += 1;
+    }
+
+    for (i = 0; i < width; ++i) {
+        slots[i] = new ParseTallNode(nodes[i], views[i]);
+    }
+
+    return new ParseWideNode(slots, end);
+}
+
 function ZeroOrMore(pred) {
     this.zom_pred = pred;
 
@@ -470,16 +815,7 @@ function ZeroOrMore(pred) {
 mod_util.inherits(ZeroOrMore, ParseExpression);
 
 ZeroOrMore.prototype.parse = function (grammar, params, view) {
-    var result = createEmptySlots(this.getWidth(), view);
-    var next = result;
-
-    do {
-        result = next;
-        if (!result.hasMore()) {
-            break;
-        }
-        next = result.parseAndMerge(grammar, params, this.zom_pred);
-    } while (!next.failed());
+    var result = parseRepeated(grammar, params, view, this.zom_pred, 0);
 
     return result.explain(this).group();
 };
@@ -504,16 +840,7 @@ function OneOrMore(pred) {
 mod_util.inherits(OneOrMore, ParseExpression);
 
 OneOrMore.prototype.parse = function (grammar, params, view) {
-    var result = createEmptySlots(this.getWidth(), view);
-    var next = result.parseAndMerge(grammar, params, this.oom_pred);
-
-    do {
-        result = next;
-        if (!result.hasMore()) {
-            break;
-        }
-        next = result.parseAndMerge(grammar, params, this.oom_pred);
-    } while (!next.failed());
+    var result = parseRepeated(grammar, params, view, this.oom_pred, 1);
 
     return result.explain(this).group();
 };
@@ -560,7 +887,10 @@ function NegLookahead(pred) {
 mod_util.inherits(NegLookahead, ParseExpression);
 
 NegLookahead.prototype.parse = function (grammar, params, view) {
+    view.iv_state.quiet();
     var result = this.nl_pred.parse(grammar, params, view);
+    view.iv_state.unquiet();
+
     if (result.failed()) {
         return new ParseWideNode([], view);
     } else {
@@ -580,9 +910,7 @@ PosLookahead.prototype.parse = function (grammar, params, view) {
     if (result.failed()) {
         return new ParseError('failed PosLookahead');
     } else {
-        // XXX: fix me
-        result.pt_view = view;
-        return result;
+        return result.withView(view);
     }
 };
 
@@ -643,6 +971,10 @@ RuleApply.prototype.substitute = function (params) {
     return new RuleApply(this.ra_name, this._subbed(params));
 };
 
+RuleApply.prototype.buildKey = function () {
+    return applicationKey(this.ra_name, this.ra_args);
+};
+
 RuleApply.prototype.getErrorMsg = function () {
     return 'failed to apply ' + JSON.stringify(this.ra_name);
 };
@@ -671,10 +1003,76 @@ Alternative.prototype.parse = function (grammar, params, view) {
     return new ParseError('failed alternative');
 };
 
+/*
+ * Rules like "markupWordUntil" pass along alternatives built from their own
+ * parameters, like "(stop | excl)", so each level of nesting wraps the last
+ * level's alternative inside of a new one. We flatten these, and drop any
+ * choice that's already been tried, since it would fail again. Runs of
+ * terminals where none is a prefix of another can match at most one of them,
+ * so they're also sorted. Contexts that stop at the same strings then share
+ * the same parameters, and their entries in the memo table, no matter how
+ * deeply nested they are or what order the strings were added in.
+ */
 Alternative.prototype.substitute = function (params) {
-    return new Alternative(this.alt_choices.map(function (a) {
-        return a.substitute(params);
-    }));
+    var choices = [];
+    var terminals = [];
+    var seen = {};
+
+    function endTerminals() {
+        var prefixFree = terminals.every(function (a) {
+            return terminals.every(function (b) {
+                return a === b || b.term_str.indexOf(a.term_str) !== 0;
+            });
+        });
+
+        if (prefixFree) {
+            terminals.sort(function (a, b) {
+                return a.term_str < b.term_str ? -1 : 1;
+            });
+        }
+
+        choices = choices.concat(terminals);
+        terminals = [];
+    }
+
+    function addChoice(choice) {
+        if (choice instanceof Alternative) {
+            choice.alt_choices.forEach(addChoice);
+            return;
+        }
+
+        var key = choice.getKey();
+        if (mod_jsprim.hasKey(seen, key)) {
+            return;
+        }
+
+        seen[key] = true;
+
+        if (choice instanceof Terminal) {
+            terminals.push(choice);
+        } else {
+            endTerminals();
+            choices.push(choice);
+        }
+    }
+
+    this.alt_choices.forEach(function (a) {
+        addChoice(a.substitute(params));
+    });
+
+    endTerminals();
+
+    if (choices.length === 1) {
+        return choices[0];
+    }
+
+    return new Alternative(choices);
+};
+
+Alternative.prototype.buildKey = function () {
+    return '(' + this.alt_choices.map(function (a) {
+        return a.getKey();
+    }).join(' | ') + ')';
 };
 
 Alternative.prototype.getRegExStr = function (grammar) {
@@ -712,10 +1110,26 @@ Sequence.prototype.parse = function (grammar, params, view) {
     return result;
 };
 
+/*
+ * A sequence of a single expression matches the same way as the expression
+ * does, so we unwrap it, to let alternatives see the choices inside of it.
+ */
 Sequence.prototype.substitute = function (params) {
-    return new Sequence(this.seq_parts.map(function (a) {
+    var parts = this.seq_parts.map(function (a) {
         return a.substitute(params);
-    }));
+    });
+
+    if (parts.length === 1) {
+        return parts[0];
+    }
+
+    return new Sequence(parts);
+};
+
+Sequence.prototype.buildKey = function () {
+    return '(' + this.seq_parts.map(function (a) {
+        return a.getKey();
+    }).join(' ') + ')';
 };
 
 Sequence.prototype.getRegExStr = function (grammar) {
@@ -760,15 +1174,17 @@ function Range(from, to) {
     this.rng_to = to;
 
     this.rng_restr = '[' + ef + '-' + et + ']';
-    this.rng_repat = new RegExp('^' + this.rng_restr);
+    this.rng_repat = new RegExp(this.rng_restr, 'y');
 
     ParseExpression.call(this, 1);
 }
 mod_util.inherits(Range, ParseExpression);
 
 Range.prototype.parse = function (_grammar, _params, view) {
-    var m = this.rng_repat.exec(view.rest());
+    var m = view.match(this.rng_repat);
     if (m === null) {
+        view.fail(JSON.stringify(this.rng_from) + '..' +
+            JSON.stringify(this.rng_to));
         return new ParseError('expected a character in the range ' +
             JSON.stringify(this.rng_from) + '..' + JSON.stringify(this.rng_to));
     }
@@ -780,6 +1196,10 @@ Range.prototype.substitute = function (_) {
     return this;
 };
 
+Range.prototype.buildKey = function () {
+    return JSON.stringify(this.rng_from) + '..' + JSON.stringify(this.rng_to);
+};
+
 Range.prototype.getRegExStr = function (_) {
     return this.rng_restr;
 };
@@ -787,14 +1207,15 @@ Range.prototype.getRegExStr = function (_) {
 function Terminal(str) {
     this.term_str = str;
     this.term_restr = escapeRegExp(str);
-    this.term_repat = new RegExp('^' + this.term_restr);
+    this.term_repat = new RegExp(this.term_restr, 'y');
 
     ParseExpression.call(this, 1);
 }
 mod_util.inherits(Terminal, ParseExpression);
 
 Terminal.prototype.parse = function (_grammar, _params, view) {
-    if (!this.term_repat.test(view.rest())) {
+    if (view.match(this.term_repat) === null) {
+        view.fail(JSON.stringify(this.term_str));
         return new ParseError('expected ' + JSON.stringify(this.term_str));
     }
     var result = new ParseTerminal(this.term_str,
@@ -807,19 +1228,24 @@ Terminal.prototype.substitute = function (_) {
     return this;
 };
 
+Terminal.prototype.buildKey = function () {
+    return JSON.stringify(this.term_str);
+};
+
 Terminal.prototype.getRegExStr = function (_) {
     return this.term_restr;
 };
 
 function RegExPred(pattern) {
     this.rep_str = pattern;
-    this.rep_pat = new RegExp('^' + pattern);
+    this.rep_pat = new RegExp(pattern, 'y');
 }
 mod_util.inherits(RegExPred, ParseExpression);
 
 RegExPred.prototype.parse = function (_grammar, _params, view) {
-    var m = this.rep_pat.exec(view.rest());
+    var m = view.match(this.rep_pat);
     if (m === null) {
+        view.fail('a match for /' + this.rep_str + '/');
         return new ParseError('failed to match pattern ' +
             JSON.stringify(this.rep_str));
     }
@@ -839,11 +1265,12 @@ RegExPred.prototype.getRegExStr = function (_) {
 // -- Grammar and rules
 
 var ALNUM_DESC = 'an alphanumeric character';
+var NONLCURLY_DESC = 'a character other than "{"';
 var ANY_DESC = 'any character';
 
 var DEFAULT_RULES = [
     new Rule('alnum', [], ALNUM_DESC, new RegExPred('[a-zA-Z0-9]')),
-    new Rule('nonlcurly', [], '', new RegExPred('[^{]')),
+    new Rule('nonlcurly', [], NONLCURLY_DESC, new RegExPred('[^{]')),
     new Rule('any', [], ANY_DESC, new RegExPred('[^]'))
 ];
 
@@ -878,17 +1305,189 @@ Grammar.prototype.getRule = function (name) {
     return this.g_rules[name];
 };
 
-Grammar.prototype.parse = function (str) {
-    var result = this.apply(this.g_default, [], new InputView(str, 0, 0));
-    if (result.hasMore()) {
-        return new ParseError('failed to parse remaining ' +
+/*
+ * Parse "str" using the grammar's default rule. If "stats" is provided, the
+ * number of rule applications that were found in (hits) and added to
+ * (misses) the memo table are added to its "hits" and "misses" properties.
+ *
+ * Failures are only tracked once parsing has failed, by parsing the input a
+ * second time, since they're only needed to explain why.
+ */
+Grammar.prototype.parse = function (str, stats) {
+    assert.string(str, 'str');
+    assert.optionalObject(stats, 'stats');
+
+    var result = this._parseWith(new ParseState(str, false), stats);
+    var state, err;
+
+    if (!result.failed() && !result.hasMore()) {
+        return result;
+    }
+
+    state = new ParseState(str, true);
+    result = this._parseWith(state, stats);
+
+    if (result.failed()) {
+        err = result;
+    } else {
+        err = new ParseError('failed to parse remaining ' +
             JSON.stringify(result.pt_view.rest()));
+        err.pe_partial = result;
     }
+
+    err.pe_farthest = state.getFailure();
+
+    return err;
+};
+
+Grammar.prototype._parseWith = function (state, stats) {
+    var result = this.apply(this.g_default, [],
+        new InputView(state.ps_str, 0, 0, state));
+
+    /*
+     * The nodes in the result keep the state reachable through their views,
+     * so we clear out the memo table once we're done with it, instead of
+     * holding onto every rule application until the result is gone.
+     */
+    state.ps_memo = [];
+
+    if (stats) {
+        stats.hits += state.ps_hits;
+        stats.misses += state.ps_misses;
+    }
+
     return result;
 };
 
+/*
+ * Rules like "words" and "markupWord" get tried repeatedly at the same
+ * position as alternatives and lookaheads backtrack, so we memoize the
+ * result of each application to keep parsing time linear in the size of the
+ * input. This only happens to rules that take parameters, which is where
+ * the grammar handles formatting; other rules rarely get tried twice at the
+ * same position, and keeping their results around costs more than running
+ * them again. Rules that can be matched with a single regular expression
+ * are also cheaper to run again than to look up, so we don't bother with
+ * them either.
+ */
 Grammar.prototype.apply = function (name, params, view) {
-    return this.getRule(name).parse(this, params, view.next());
+    var rule = this.getRule(name);
+    var start = view.next();
+
+    if (!this.isMemoized(name)) {
+        return rule.parse(this, params, start);
+    }
+
+    var entry = this._memoized(rule, applicationKey(name, params),
+        params, start);
+
+    start.iv_state.replayFailure(entry.failure);
+
+    return entry.result;
+};
+
+Grammar.prototype.isMemoized = function (name) {
+    var rule = this.getRule(name);
+
+    return rule.r_formals.length > 0 && !rule.hasRegEx();
+};
+
+/*
+ * Look up the memo table entry for applying "rule" at the start of "view",
+ * parsing it if it isn't there yet. The caller is responsible for replaying
+ * the entry's failure.
+ */
+Grammar.prototype._memoized = function (rule, key, params, view) {
+    var state = view.iv_state;
+    var pos = view.getEnd();
+    var entry = state.lookup(pos, key);
+
+    if (entry === null) {
+        var saved = state.startTracking();
+        var result = rule.parse(this, params, view);
+
+        entry = {
+            result: result,
+            failure: state.stopTracking(saved),
+            run: null,
+            runIdx: 0,
+            runFailure: null
+        };
+
+        state.store(pos, key, entry);
+    }
+
+    return entry;
+};
+
+/*
+ * Repetitions like "markupWordOne<stop, excl>*" walk over the rest of the
+ * line looking for where a formatted span gets closed. When a formatting
+ * character never gets closed, each later one that tries to open it walks
+ * over the same text again, and finds the same positions in the memo table
+ * along the way, which takes time proportional to the square of the line's
+ * length. To avoid this, each entry that a repetition passes through points
+ * back to the list of matches that it was found in (its "run"), along with
+ * its index in the list and the failures from it until the end of the
+ * repetition. A later repetition that reaches one of these entries knows
+ * that it will end the same way, and can take the rest of its matches from
+ * the run instead of walking over them again.
+ */
+Grammar.prototype.applyRepeated = function (name, params, view, min) {
+    var rule = this.getRule(name);
+    var key = applicationKey(name, params);
+    var entries = [];
+    var nodes = [];
+    var end = view;
+    var tail = null;
+    var entry, run, failure, first, i;
+
+    while (nodes.length < min || end.hasMore()) {
+        entry = this._memoized(rule, key, params, end.next());
+        if (entry.run !== null) {
+            tail = entry;
+            break;
+        }
+
+        entries.push(entry);
+        if (entry.result.failed()) {
+            break;
+        }
+
+        nodes.push(entry.result);
+        end = end.extend(entry.result.pt_view.getEnd());
+    }
+
+    run = {
+        nodes: nodes,
+        tail: tail
+    };
+
+    failure = (tail === null ? null : tail.runFailure);
+    for (i = entries.length - 1; i >= 0; --i) {
+        failure = mergeFailures(entries[i].failure, failure);
+        entries[i].run = run;
+        entries[i].runIdx = i;
+        entries[i].runFailure = failure;
+    }
+
+    view.iv_state.replayFailure(failure);
+
+    while (tail !== null) {
+        nodes = nodes.concat(tail.run.nodes.slice(tail.runIdx));
+        tail = tail.run.tail;
+    }
+
+    if (nodes.length < min) {
+        first = (entries.length > 0 ? entries[0] : run.tail);
+        return first.result;
+    }
+
+    if (nodes.length > 0) {
+        end = view.extend(nodes[nodes.length - 1].pt_view.getEnd());
+    }
+
+    return new ParseWideNode([ new ParseTallNode(nodes, end) ], end);
 };
 
 Grammar.prototype._buildRegExCaches = function () {
@@ -943,8 +1542,9 @@ Rule.prototype.parse = function (grammar, params, view) {
     }
 
     if (this.r_repat !== null) {
-        var m = this.r_repat.exec(view.rest());
+        var m = view.match(this.r_repat);
         if (m === null) {
+            view.fail(this.getDescription());
             return new ParseError(this.getErrorMsg());
         } else {
             return new ParseLazyNode(grammar, params, this.r_body,
@@ -952,13 +1552,36 @@ Rule.prototype.parse = function (grammar, params, view) {
         }
     }
 
+    if (this.r_desc === '') {
+        return this.r_body.parse(grammar, params, view)
+            .explain(this).setRuleName(this.r_name);
+    }
+
+    view.iv_state.quiet();
     var result = this.r_body.parse(grammar, params, view);
+    view.iv_state.unquiet();
+
+    if (result.failed()) {
+        view.fail(this.r_desc);
+    }
 
     return result.explain(this).setRuleName(this.r_name);
 };
 
+Rule.prototype.hasRegEx = function () {
+    return this.r_repat !== null;
+};
+
+/*
+ * Rules can be given a description in the grammar, like "a newline", which
+ * we use when telling the user what we expected to find.
+ */
+Rule.prototype.getDescription = function () {
+    return (this.r_desc === '' ? this.r_name : this.r_desc);
+};
+
 Rule.prototype.getErrorMsg = function () {
-    return 'expected to find ' + this.r_name;
+    return 'expected to find ' + this.getDescription();
 };
 
 Rule.prototype.getRegExStr = function (grammar) {
@@ -981,7 +1604,7 @@ Rule.prototype.getRegExStr = function (grammar) {
     }
 
     this.r_restr = rs;
-    this.r_repat = new RegExp('^' + rs);
+    this.r_repat = new RegExp(rs, 'y');
 
     return rs;
 };
@@ -1137,8 +1760,8 @@ var compileSemantics = ohmSemantics.addOperation('__compile', {
 var jiraGrammar = mod_ohm.ohmGrammar.match(source);
 var matcher = compileSemantics(jiraGrammar).__compile()[0];
 
-function parseJIRA(str) {
-    return matcher.parse(str);
+function parseJIRA(str, stats) {
+    return matcher.parse(str, stats);
 }
 
 module.exports = {
@@ -0,0 +1,847 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var indent = mod_strings.indent;
+var padRight = mod_strings.padRight;
+var repeat = mod_strings.repeat;
+
+/*
+ * This file renders the tree returned by parse() as text for a terminal.
+ * Text effects are shown using ANSI escape sequences (SGR codes), links are
+ * written as OSC 8 hyperlinks, and panels, code blocks and tables are drawn
+ * with box-drawing characters. Everything is wrapped to fit within a given
+ * number of columns.
+ *
+ * Styles are tracked as a stack, so that when an element ends we can reset
+ * the terminal and then turn the styles of the elements around it back on.
+ * Once a block has been wrapped into lines, each line gets the styles that
+ * were active at its start turned on, and turned off again at its end, so
+ * that lines can be indented or put inside boxes without the styles
+ * spilling out onto the surrounding characters.
+ */
+
+var ESC = '\u001b';
+var RESET = ESC + '[0m';
+var LINK_END = ESC + ']8;;' + ESC + '\\';
+
+var ESCAPE_RE = new RegExp(ESC + '\\[[0-9;]*m|' +
+    ESC + '\\]8;;[^' + ESC + ']*' + ESC + '\\\\', 'g');
+
+var DEFAULT_OPS = {
+    width: 80,
+    color: true,
+    hyperlinks: true
+};
+
+/* SGR codes for the text effects. */
+var BOLD = '1';
+var ITALIC = '3';
+var UNDERLINE = '4';
+var STRIKETHROUGH = '9';
+var CYAN = '36';
+var GRAY = '90';
+
+var BULLETS = [ '•', '◦', '▪' ];
+
+/*
+ * The ranges of code points that terminals show using no columns (combining
+ * marks and other zero-width characters), or two columns (East Asian wide
+ * and fullwidth characters, and emoji), as wcwidth(3) does. Everything else
+ * takes up a single column.
+ */
+var ZERO_WIDTH_RANGES = [
+    [ 0x0300, 0x036f ], [ 0x0483, 0x0489 ], [ 0x0591, 0x05bd ],
+    [ 0x05bf, 0x05bf ], [ 0x05c1, 0x05c2 ], [ 0x05c4, 0x05c5 ],
+    [ 0x05c7, 0x05c7 ], [ 0x0610, 0x061a ], [ 0x064b, 0x065f ],
+    [ 0x0670, 0x0670 ], [ 0x06d6, 0x06dc ], [ 0x06df, 0x06e4 ],
+    [ 0x06e7, 0x06e8 ], [ 0x06ea, 0x06ed ], [ 0x0711, 0x0711 ],
+    [ 0x0730, 0x074a ], [ 0x0900, 0x0902 ], [ 0x093c, 0x093c ],
+    [ 0x0941, 0x0948 ], [ 0x094d, 0x094d ], [ 0x0951, 0x0957 ],
+    [ 0x0962, 0x0963 ], [ 0x0e31, 0x0e31 ], [ 0x0e34, 0x0e3a ],
+    [ 0x0e47, 0x0e4e ], [ 0x1160, 0x11ff ], [ 0x1ab0, 0x1aff ],
+    [ 0x1dc0, 0x1dff ], [ 0x200b, 0x200f ], [ 0x202a, 0x202e ],
+    [ 0x2060, 0x2064 ], [ 0x20d0, 0x20ff ], [ 0x302a, 0x302d ],
+    [ 0x3099, 0x309a ], [ 0xfe00, 0xfe0f ], [ 0xfe20, 0xfe2f ],
+    [ 0xfeff, 0xfeff ], [ 0xe0001, 0xe007f ], [ 0xe0100, 0xe01ef ]
+];
+
+var WIDE_RANGES = [
+    [ 0x1100, 0x115f ], [ 0x231a, 0x231b ], [ 0x2329, 0x232a ],
+    [ 0x23e9, 0x23ec ], [ 0x23f0, 0x23f0 ], [ 0x23f3, 0x23f3 ],
+    [ 0x25fd, 0x25fe ], [ 0x2614, 0x2615 ], [ 0x2648, 0x2653 ],
+    [ 0x267f, 0x267f ], [ 0x2693, 0x2693 ], [ 0x26a1, 0x26a1 ],
+    [ 0x26aa, 0x26ab ], [ 0x26bd, 0x26be ], [ 0x26c4, 0x26c5 ],
+    [ 0x26ce, 0x26ce ], [ 0x26d4, 0x26d4 ], [ 0x26ea, 0x26ea ],
+    [ 0x26f2, 0x26f3 ], [ 0x26f5, 0x26f5 ], [ 0x26fa, 0x26fa ],
+    [ 0x26fd, 0x26fd ], [ 0x2705, 0x2705 ], [ 0x270a, 0x270b ],
+    [ 0x2728, 0x2728 ], [ 0x274c, 0x274c ], [ 0x274e, 0x274e ],
+    [ 0x2753, 0x2755 ], [ 0x2757, 0x2757 ], [ 0x2795, 0x2797 ],
+    [ 0x27b0, 0x27b0 ], [ 0x27bf, 0x27bf ], [ 0x2b1b, 0x2b1c ],
+    [ 0x2b50, 0x2b50 ], [ 0x2b55, 0x2b55 ], [ 0x2e80, 0x3029 ],
+    [ 0x302e, 0x303e ], [ 0x3041, 0x3098 ], [ 0x309b, 0x4dbf ],
+    [ 0x4e00, 0xa4cf ], [ 0xa960, 0xa97f ], [ 0xac00, 0xd7a3 ],
+    [ 0xf900, 0xfaff ], [ 0xfe10, 0xfe19 ], [ 0xfe30, 0xfe6f ],
+    [ 0xff00, 0xff60 ], [ 0xffe0, 0xffe6 ], [ 0x16fe0, 0x16fe4 ],
+    [ 0x17000, 0x18aff ], [ 0x1b000, 0x1b2ff ], [ 0x1f004, 0x1f004 ],
+    [ 0x1f0cf, 0x1f0cf ], [ 0x1f18e, 0x1f18e ], [ 0x1f191, 0x1f19a ],
+    [ 0x1f200, 0x1f202 ], [ 0x1f210, 0x1f23b ], [ 0x1f240, 0x1f248 ],
+    [ 0x1f250, 0x1f251 ], [ 0x1f260, 0x1f265 ], [ 0x1f300, 0x1f320 ],
+    [ 0x1f32d, 0x1f335 ], [ 0x1f337, 0x1f37c ], [ 0x1f37e, 0x1f393 ],
+    [ 0x1f3a0, 0x1f3ca ], [ 0x1f3cf, 0x1f3d3 ], [ 0x1f3e0, 0x1f3f0 ],
+    [ 0x1f3f4, 0x1f3f4 ], [ 0x1f3f8, 0x1f43e ], [ 0x1f440, 0x1f440 ],
+    [ 0x1f442, 0x1f4fc ], [ 0x1f4ff, 0x1f53d ], [ 0x1f54b, 0x1f54e ],
+    [ 0x1f550, 0x1f567 ], [ 0x1f57a, 0x1f57a ], [ 0x1f595, 0x1f596 ],
+    [ 0x1f5a4, 0x1f5a4 ], [ 0x1f5fb, 0x1f64f ], [ 0x1f680, 0x1f6c5 ],
+    [ 0x1f6cc, 0x1f6cc ], [ 0x1f6d0, 0x1f6d2 ], [ 0x1f6d5, 0x1f6d7 ],
+    [ 0x1f6eb, 0x1f6ec ], [ 0x1f6f4, 0x1f6fc ], [ 0x1f7e0, 0x1f7eb ],
+    [ 0x1f90c, 0x1f93a ], [ 0x1f93c, 0x1f945 ], [ 0x1f947, 0x1f9ff ],
+    [ 0x1fa70, 0x1faff ], [ 0x20000, 0x2fffd ], [ 0x30000, 0x3fffd ]
+];
+
+/* The 16 standard terminal colors, as xterm shows them. */
+var TERMINAL_COLORS = [
+    { code: '30', rgb: [ 0, 0, 0 ] },
+    { code: '31', rgb: [ 205, 0, 0 ] },
+    { code: '32', rgb: [ 0, 205, 0 ] },
+    { code: '33', rgb: [ 205, 205, 0 ] },
+    { code: '34', rgb: [ 0, 0, 238 ] },
+    { code: '35', rgb: [ 205, 0, 205 ] },
+    { code: '36', rgb: [ 0, 205, 205 ] },
+    { code: '37', rgb: [ 229, 229, 229 ] },
+    { code: '90', rgb: [ 127, 127, 127 ] },
+    { code: '91', rgb: [ 255, 0, 0 ] },
+    { code: '92', rgb: [ 0, 255, 0 ] },
+    { code: '93', rgb: [ 255, 255, 0 ] },
+    { code: '94', rgb: [ 92, 92, 255 ] },
+    { code: '95', rgb: [ 255, 0, 255 ] },
+    { code: '96', rgb: [ 0, 255, 255 ] },
+    { code: '97', rgb: [ 255, 255, 255 ] }
+];
+
+function sgr(codes) {
+    return codes.length === 0 ? '' : ESC + '[' + codes.join(';') + 'm';
+}
+
+function linkStart(href) {
+    return ESC + ']8;;' + href + ESC + '\\';
+}
+
+/*
+ * Find the SGR code of the terminal color closest to "color", which may be
+ * one of the names in mod_html.COLOR_NAMES or an "#rrggbb" value. Returns
+ * null if we don't know the color.
+ */
+function nearestColor(color) {
+    if (color === null || !mod_html.COLOR_RE.test(color)) {
+        return null;
+    }
+
+    var hex = color.toLowerCase();
+    if (hex.charAt(0) !== '#') {
+        if (!mod_jsprim.hasKey(mod_html.COLOR_NAMES, hex)) {
+            return null;
+        }
+        hex = mod_html.COLOR_NAMES[hex];
+    }
+
+    var rgb = [ 1, 3, 5 ].map(function (i) {
+        return parseInt(hex.slice(i, i + 2), 16);
+    });
+    var best = null;
+    var bestDistance = Infinity;
+
+    TERMINAL_COLORS.forEach(function (candidate) {
+        var distance = 0;
+        for (var i = 0; i < 3; ++i) {
+            distance += Math.pow(rgb[i] - candidate.rgb[i], 2);
+        }
+        if (distance < bestDistance) {
+            best = candidate.code;
+            bestDistance = distance;
+        }
+    });
+
+    return best;
+}
+
+/*
+ * Remove control characters (including escape characters) from text in the
+ * document, so that it can't send its own escape sequences to the terminal.
+ */
+function sanitize(str) {
+    var out = '';
+
+    for (var i = 0; i < str.length; ++i) {
+        var code = str.charCodeAt(i);
+        if ((code >= 0x20 && code !== 0x7f) || code === 0x09) {
+            out += str.charAt(i);
+        }
+    }
+
+    return out;
+}
+
+function inRanges(code, ranges) {
+    var lo = 0;
+    var hi = ranges.length - 1;
+
+    while (lo <= hi) {
+        var mid = (lo + hi) >> 1;
+        if (code < ranges[mid][0]) {
+            hi = mid - 1;
+        } else if (code > ranges[mid][1]) {
+            lo = mid + 1;
+        } else {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/*
+ * Return the number of columns that the character "code" takes up.
+ */
+function charWidth(code) {
+    if (inRanges(code, ZERO_WIDTH_RANGES)) {
+        return 0;
+    }
+
+    return inRanges(code, WIDE_RANGES) ? 2 : 1;
+}
+
+/*
+ * Return the code point at index "i" of "str", which may take up two
+ * UTF-16 code units.
+ */
+function codePointAt(str, i) {
+    var hi = str.charCodeAt(i);
+    var lo = str.charCodeAt(i + 1);
+
+    if (hi >= 0xd800 && hi <= 0xdbff && lo >= 0xdc00 && lo <= 0xdfff) {
+        return (hi - 0xd800) * 0x400 + (lo - 0xdc00) + 0x10000;
+    }
+
+    return hi;
+}
+
+/*
+ * Return the number of columns that "str" takes up in the terminal, not
+ * counting any escape sequences.
+ */
+function visibleLength(str) {
+    var text = str.replace(ESCAPE_RE, '');
+    var width = 0;
+    var code;
+
+    for (var i = 0; i < text.length; i += code > 0xffff ? 2 : 1) {
+        code = codePointAt(text, i);
+        width += charWidth(code);
+    }
+
+    return width;
+}
+
+/*
+ * Split "str" after as many characters as fit within its first "n" visible
+ * columns. Characters that take up no columns stay with the one before
+ * them, and at least one character is always taken, even if it's too wide.
+ */
+function splitVisible(str, n) {
+    var count = 0;
+    var i = 0;
+    var m;
+
+    while (i < str.length) {
+        ESCAPE_RE.lastIndex = i;
+        if ((m = ESCAPE_RE.exec(str)) !== null && m.index === i) {
+            if (count >= n) {
+                break;
+            }
+            i += m[0].length;
+            continue;
+        }
+
+        var code = codePointAt(str, i);
+        var width = charWidth(code);
+        if (count + width > n && count > 0) {
+            break;
+        }
+
+        i += code > 0xffff ? 2 : 1;
+        count += width;
+    }
+
+    return [ str.slice(0, i), str.slice(i) ];
+}
+
+/*
+ * Wrap a line of text at its spaces so that each line fits within "width"
+ * columns, breaking up words that are too long to fit on a line by
+ * themselves.
+ */
+function wrapLine(line, width) {
+    var parts = line.split(/( +)/);
+    var lines = [];
+    var current = '';
+    var space = '';
+
+    parts.forEach(function (part, i) {
+        if (i % 2 === 1) {
+            space = part;
+            return;
+        }
+
+        if (visibleLength(current) > 0 && visibleLength(current) +
+            space.length + visibleLength(part) > width) {
+            lines.push(current);
+            current = '';
+            space = '';
+        }
+
+        current += space + part;
+        space = '';
+
+        while (visibleLength(current) > width) {
+            var split = splitVisible(current, width);
+            lines.push(split[0]);
+            current = split[1];
+        }
+    });
+
+    lines.push(current);
+
+    return lines;
+}
+
+/*
+ * Make each line turn on the styles and hyperlink that were active at its
+ * start, and turn them off at its end.
+ */
+function closeLines(lines) {
+    var styles = '';
+    var link = '';
+
+    return lines.map(function (line) {
+        var out = styles + link + line;
+        var m;
+
+        ESCAPE_RE.lastIndex = 0;
+        while ((m = ESCAPE_RE.exec(line)) !== null) {
+            if (m[0] === RESET) {
+                styles = '';
+            } else if (m[0].charAt(1) === '[') {
+                styles += m[0];
+            } else {
+                link = m[0] === LINK_END ? '' : m[0];
+            }
+        }
+
+        if (link !== '') {
+            out += LINK_END;
+        }
+        if (styles !== '') {
+            out += RESET;
+        }
+
+        return out;
+    });
+}
+
+/*
+ * Split the contents of a {code} or {noformat} block into lines that fit
+ * within "width" columns. Tabs are expanded, since they'd otherwise break
+ * the box around the block.
+ */
+function codeLines(value, width) {
+    var lines = [];
+
+    if (value === '') {
+        return lines;
+    }
+
+    value.replace(/\r?\n$/, '').split(/\r\n|\n|\r/).forEach(function (line) {
+        var expanded = '';
+
+        sanitize(line).split('').forEach(function (c) {
+            expanded += c === '\t' ?
+                repeat(' ', 8 - visibleLength(expanded) % 8) : c;
+        });
+
+        do {
+            var split = splitVisible(expanded, width);
+            lines.push(split[0]);
+            expanded = split[1];
+        } while (expanded !== '');
+    });
+
+    return lines;
+}
+
+function truncate(str, width) {
+    if (visibleLength(str) <= width) {
+        return str;
+    }
+
+    return (width > 1 ? splitVisible(str, width - 1)[0] : '') + '…';
+}
+
+/*
+ * Renders the tree returned by parse() as text for a terminal. "ops" may
+ * contain:
+ *
+ * - "width", the number of columns to fit the text within
+ * - "color", which can be set to false to write plain text without any
+ *   escape sequences
+ * - "hyperlinks", which can be set to false to write the URLs of links after
+ *   their text instead of using OSC 8 hyperlinks, for terminals that don't
+ *   support them
+ */
+function ANSIRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.an_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    assert.number(this.an_ops.width, 'ops.width');
+    assert.bool(this.an_ops.color, 'ops.color');
+    assert.bool(this.an_ops.hyperlinks, 'ops.hyperlinks');
+
+    if (this.an_ops.width < 1 || this.an_ops.width % 1 !== 0) {
+        throw new Error('"width" must be a positive integer');
+    }
+
+    /* The number of columns available to the current block. */
+    this.an_width = this.an_ops.width;
+
+    /* The SGR codes of the styles that the current node is within. */
+    this.an_styles = [];
+
+    /* How many lists we're currently within. */
+    this.an_depth = 0;
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(ANSIRenderer, mod_renderer.Renderer);
+
+/*
+ * Write "str" in the style "code", and then go back to the styles that are
+ * currently active.
+ */
+ANSIRenderer.prototype.paint = function (code, str) {
+    if (!this.an_ops.color || str === '') {
+        return str;
+    }
+
+    return sgr([ code ]) + str + RESET + sgr(this.an_styles);
+};
+
+ANSIRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+/*
+ * Render "nodes" in the style "code" (or without any change in style if
+ * it's null).
+ */
+ANSIRenderer.prototype.renderStyled = function (code, nodes) {
+    if (!this.an_ops.color || code === null) {
+        return this.renderInline(nodes);
+    }
+
+    this.an_styles.push(code);
+    var str = sgr([ code ]) + this.renderInline(nodes);
+    this.an_styles.pop();
+
+    return str + RESET + sgr(this.an_styles);
+};
+
+/*
+ * Render inline nodes, wrapped to fit within the current width.
+ */
+ANSIRenderer.prototype.renderText = function (nodes) {
+    var width = this.an_width;
+    var str = sgr(this.an_ops.color ? this.an_styles : []) +
+        this.renderInline(nodes);
+    var lines = [];
+
+    str.split('\n').forEach(function (line) {
+        lines = lines.concat(wrapLine(line, width));
+    });
+
+    return closeLines(lines).join('\n');
+};
+
+/*
+ * Render block nodes within "width" columns, separated by "sep".
+ */
+ANSIRenderer.prototype.renderBlocks = function (nodes, width, sep) {
+    var saved = this.an_width;
+
+    this.an_width = Math.max(width, 1);
+    var str = nodes.map(this.render, this).filter(function (block) {
+        return block !== '';
+    }).join(sep);
+    this.an_width = saved;
+
+    return str;
+};
+
+/*
+ * Draw a box around the lines in "body", with "title" (if it's not null) in
+ * its top border.
+ */
+ANSIRenderer.prototype.renderBox = function (title, body) {
+    var width = Math.max(this.an_width, 5);
+    var top = '┌';
+    var fill = width - 2;
+
+    if (title !== null) {
+        var label = ' ' + truncate(sanitize(title), width - 5) + ' ';
+        top += '─' + (this.an_ops.color ?
+            sgr([ BOLD ]) + label + RESET : label);
+        fill -= visibleLength(label) + 1;
+    }
+
+    var lines = [ top + repeat('─', fill) + '┐' ];
+
+    if (body !== '') {
+        body.split('\n').forEach(function (line) {
+            lines.push('│ ' + padRight(line, width - 4, visibleLength) + ' │');
+        });
+    }
+
+    lines.push('└' + repeat('─', width - 2) + '┘');
+
+    return lines.join('\n');
+};
+
+ANSIRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return null;
+    }
+
+    return node.options.title;
+};
+
+ANSIRenderer.prototype.renderCode = function (node) {
+    return this.renderBox(this.renderTitle(node),
+        codeLines(node.value, Math.max(this.an_width - 4, 1)).join('\n'));
+};
+
+ANSIRenderer.prototype.renderQuoted = function (str) {
+    var bar = this.paint(GRAY, '│');
+
+    return indent(str, bar + ' ', bar + ' ').replace(/ $/gm, '');
+};
+
+ANSIRenderer.prototype.document = function (node) {
+    return this.renderBlocks(node.children, this.an_width, '\n\n');
+};
+
+ANSIRenderer.prototype.paragraph = function (node) {
+    return this.renderText(node.children);
+};
+
+/*
+ * Headings are bold, and top-level ones are also underlined. Without
+ * color, the first two levels get underlined with a line of "=" or "-".
+ */
+ANSIRenderer.prototype.heading = function (node) {
+    this.an_styles.push(node.level === 1 ? BOLD + ';' + UNDERLINE : BOLD);
+    var str = this.renderText(node.children);
+    this.an_styles.pop();
+
+    if (this.an_ops.color || node.level > 2) {
+        return str;
+    }
+
+    var longest = 0;
+    str.split('\n').forEach(function (line) {
+        longest = Math.max(longest, visibleLength(line));
+    });
+
+    return str + '\n' + repeat(node.level === 1 ? '=' : '-', longest);
+};
+
+ANSIRenderer.prototype.blockquote = function (node) {
+    var saved = this.an_width;
+
+    this.an_width = Math.max(saved - 2, 1);
+    var str = this.renderText(node.children);
+    this.an_width = saved;
+
+    return this.renderQuoted(str);
+};
+
+ANSIRenderer.prototype.quote = function (node) {
+    return this.renderQuoted(
+        this.renderBlocks(node.children, this.an_width - 2, '\n\n'));
+};
+
+ANSIRenderer.prototype.panel = function (node) {
+    return this.renderBox(this.renderTitle(node),
+        this.renderBlocks(node.children, this.an_width - 4, '\n\n'));
+};
+
+ANSIRenderer.prototype.code = function (node) {
+    return this.renderCode(node);
+};
+
+ANSIRenderer.prototype.noformat = function (node) {
+    return this.renderCode(node);
+};
+
+/*
+ * Bulleted lists use a different bullet at each level, and numbers are
+ * padded so that the contents of the items line up.
+ */
+ANSIRenderer.prototype.list = function (node) {
+    var self = this;
+    var bullet = BULLETS[this.an_depth % BULLETS.length] + ' ';
+    var width = String(node.children.length).length + 2;
+
+    this.an_depth += 1;
+    var str = node.children.map(function (item, i) {
+        var marker = node.ordered ?
+            padRight((i + 1) + '.', width) : bullet;
+        var contents = self.renderBlocks(item.children,
+            self.an_width - marker.length, '\n');
+
+        return indent(contents, marker, repeat(' ', marker.length));
+    }).join('\n');
+    this.an_depth -= 1;
+
+    return str;
+};
+
+ANSIRenderer.prototype.listItem = function (node) {
+    return this.renderBlocks(node.children, this.an_width, '\n');
+};
+
+ANSIRenderer.prototype.renderCell = function (cell, width) {
+    if (cell === undefined) {
+        return [];
+    }
+
+    if (cell.header && this.an_ops.color) {
+        this.an_styles.push(BOLD);
+    }
+
+    var str = this.renderBlocks(cell.children, width, '\n');
+
+    if (cell.header && this.an_ops.color) {
+        this.an_styles.pop();
+    }
+
+    return str === '' ? [] : str.split('\n');
+};
+
+/*
+ * Tables are drawn with box-drawing characters. Each column starts out as
+ * wide as its widest line, and then the widest columns get narrowed until
+ * the table fits within the current width.
+ */
+ANSIRenderer.prototype.table = function (node) {
+    var self = this;
+    var rows = node.children;
+    var columns = 0;
+    var widths = [];
+    var i;
+
+    rows.forEach(function (row) {
+        columns = Math.max(columns, row.children.length);
+    });
+
+    if (columns === 0) {
+        return '';
+    }
+
+    for (i = 0; i < columns; ++i) {
+        widths.push(1);
+    }
+
+    rows.forEach(function (row) {
+        row.children.forEach(function (cell, j) {
+            self.renderCell(cell, self.an_width).forEach(function (line) {
+                widths[j] = Math.max(widths[j], visibleLength(line));
+            });
+        });
+    });
+
+    var available = this.an_width - (3 * columns + 1);
+    var total = widths.reduce(function (sum, width) {
+        return sum + width;
+    }, 0);
+
+    while (total > available) {
+        var widest = 0;
+        for (i = 1; i < columns; ++i) {
+            if (widths[i] > widths[widest]) {
+                widest = i;
+            }
+        }
+        if (widths[widest] === 1) {
+            break;
+        }
+        widths[widest] -= 1;
+        total -= 1;
+    }
+
+    function border(left, middle, right) {
+        return left + widths.map(function (width) {
+            return repeat('─', width + 2);
+        }).join(middle) + right;
+    }
+
+    function cellLine(l, cell, j) {
+        return ' ' + padRight(l < cell.length ? cell[l] : '', widths[j],
+            visibleLength) + ' ';
+    }
+
+    var lines = [ border('┌', '┬', '┐') ];
+
+    rows.forEach(function (row, r) {
+        var cells = widths.map(function (width, j) {
+            return self.renderCell(row.children[j], width);
+        });
+        var height = 1;
+
+        cells.forEach(function (cell) {
+            height = Math.max(height, cell.length);
+        });
+
+        for (var l = 0; l < height; ++l) {
+            lines.push('│' + cells.map(cellLine.bind(null, l)).join('│') +
+                '│');
+        }
+
+        if (r < rows.length - 1) {
+            lines.push(border('├', '┼', '┤'));
+        }
+    });
+
+    lines.push(border('└', '┴', '┘'));
+
+    return lines.join('\n');
+};
+
+ANSIRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+ANSIRenderer.prototype.tableCell = function (node) {
+    return this.renderBlocks(node.children, this.an_width, '\n');
+};
+
+ANSIRenderer.prototype.text = function (node) {
+    return sanitize(node.value);
+};
+
+ANSIRenderer.prototype.entity = function (node) {
+    return sanitize(node.value);
+};
+
+ANSIRenderer.prototype.lineBreak = function (_) {
+    return '\n';
+};
+
+ANSIRenderer.prototype.strong = function (node) {
+    return this.renderStyled(BOLD, node.children);
+};
+
+ANSIRenderer.prototype.emphasis = function (node) {
+    return this.renderStyled(ITALIC, node.children);
+};
+
+ANSIRenderer.prototype.citation = function (node) {
+    return this.renderStyled(ITALIC, node.children);
+};
+
+ANSIRenderer.prototype.subscript = function (node) {
+    return this.renderInline(node.children);
+};
+
+ANSIRenderer.prototype.superscript = function (node) {
+    return this.renderInline(node.children);
+};
+
+ANSIRenderer.prototype.deleted = function (node) {
+    return this.renderStyled(STRIKETHROUGH, node.children);
+};
+
+ANSIRenderer.prototype.inserted = function (node) {
+    return this.renderStyled(UNDERLINE, node.children);
+};
+
+ANSIRenderer.prototype.monospace = function (node) {
+    return this.renderStyled(CYAN, node.children);
+};
+
+ANSIRenderer.prototype.color = function (node) {
+    return this.renderStyled(nearestColor(node.color), node.children);
+};
+
+/*
+ * Links are written as OSC 8 hyperlinks, which terminals that support them
+ * let you open. Otherwise the URL is written after the text.
+ */
+ANSIRenderer.prototype.link = function (node) {
+    var href = sanitize(node.href).replace(/ /g, '%20');
+    var text = this.renderStyled(UNDERLINE, node.children);
+    var plain = text.replace(ESCAPE_RE, '');
+
+    if (plain === '') {
+        text = this.paint(UNDERLINE, href);
+        plain = href;
+    }
+
+    if (this.an_ops.color && this.an_ops.hyperlinks) {
+        return linkStart(href) + text + LINK_END;
+    }
+
+    return plain === href ? text : text + ' (' + href + ')';
+};
+
+ANSIRenderer.prototype.attachment = function (node) {
+    var filename = sanitize(node.filename);
+    var text = this.renderStyled(UNDERLINE, node.children);
+    var plain = text.replace(ESCAPE_RE, '');
+
+    if (plain === '') {
+        return this.paint(UNDERLINE, filename);
+    }
+
+    return plain === filename ? text : text + ' (' + filename + ')';
+};
+
+ANSIRenderer.prototype.embed = function (node) {
+    return '[' + sanitize(node.src) + ']';
+};
+
+ANSIRenderer.prototype.mention = function (node) {
+    return this.paint(BOLD, '@' + sanitize(node.username));
+};
+
+module.exports = {
+    ANSIRenderer: ANSIRenderer
+};
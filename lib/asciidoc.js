@@ -0,0 +1,643 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var delimit = mod_strings.delimit;
+var repeat = mod_strings.repeat;
+
+/*
+ * This file renders the tree returned by parse() as AsciiDoc, as understood
+ * by Asciidoctor. Text effects that AsciiDoc has no syntax for (like
+ * strikethrough and colors) are written using the roles that Asciidoctor's
+ * default stylesheet provides.
+ */
+
+/* BEGIN JSSTYLED */
+var WORD_RE = /[0-9A-Za-z\u00c0-\uffff]/;
+var ENTITY_RE = /^&(#?[0-9A-Za-z]+);/;
+var LINE_START_RE = /^([=.:>'/|<-]|[0-9]+\.|[a-zA-Z]\.[ \t]|[ivxIVX]+\))/;
+var ADMONITION_RE = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):/;
+var LEADING_SPACE_RE = /^[ \t]+/;
+var DLIST_RE = /([:;])(\1+)(?=\s|$)/g;
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var LANGUAGE_RE = /^[^\s,\]"]+$/;
+var AUTOLINK_RE = /^(https?|ftp|irc):\/\/[^\s[\]<>]+$/;
+var TRAILING_PUNCT_RE = /[.,;:!?)]$/;
+/* END JSSTYLED */
+
+/*
+ * Characters that are always passed through, since they can start markup
+ * wherever they appear.
+ */
+var PASS_CHARS = '`^~[{\\';
+
+/*
+ * Characters that only form markup when they aren't between two word
+ * characters.
+ */
+var CONSTRAINED_CHARS = '*_#';
+
+/*
+ * The colors that Asciidoctor's default stylesheet has roles for.
+ */
+var ROLE_COLORS = [
+    'aqua', 'black', 'blue', 'fuchsia', 'gray', 'green', 'lime', 'maroon',
+    'navy', 'olive', 'purple', 'red', 'silver', 'teal', 'white', 'yellow'
+];
+
+/*
+ * Asciidoctor supports up to five levels of each kind of list marker.
+ */
+var MAX_LIST_DEPTH = 5;
+
+var DEFAULT_OPS = {
+    color: 'role',
+    panel: 'sidebar',
+    formatMention: function formatMention(username) {
+        return '@' + escapeAsciiDoc(username);
+    },
+    formatAttachmentLink: function formatAttachmentLink(filename, asciidoc) {
+        return 'link:' + target(filename) + '[' + asciidoc + ']';
+    },
+    formatEmbedded: function formatEmbedded(src, options) {
+        var attrs = options.filter(function (option) {
+            return /^(width|height)=[0-9]+$/.test(option);
+        });
+
+        return 'image:' + target(src) + '[' + attrs.join(',') + ']';
+    }
+};
+
+function isWordChar(c) {
+    return c !== undefined && c !== '' && WORD_RE.test(c);
+}
+
+/*
+ * Escape the characters in "str" that AsciiDoc would treat as markup. Most
+ * are wrapped in an inline passthrough ("++*++"), which Asciidoctor sets
+ * aside before applying any other substitutions. Within tables, "|" needs
+ * a backslash to keep it from ending the cell, and within the text of a
+ * link, "]" needs one to keep it from ending the text.
+ */
+function escapeAsciiDoc(str, inTable, inLink) {
+    var out = '';
+    var pass = '';
+
+    function flush() {
+        if (pass !== '') {
+            out += '++' + pass + '++';
+            pass = '';
+        }
+    }
+
+    for (var i = 0; i < str.length; ++i) {
+        var c = str[i];
+        var between = isWordChar(str[i - 1]) && isWordChar(str[i + 1]);
+
+        if (PASS_CHARS.indexOf(c) !== -1 ||
+            (CONSTRAINED_CHARS.indexOf(c) !== -1 && !between) ||
+            (c === '<' && str[i + 1] === '<') ||
+            (c === '&' && ENTITY_RE.test(str.slice(i)))) {
+            pass += c;
+            continue;
+        }
+
+        flush();
+
+        if (c === '+' && !between) {
+            out += '{plus}';
+        } else if ((c === '|' && inTable) || (c === ']' && inLink)) {
+            out += '\\' + c;
+        } else {
+            out += c;
+        }
+    }
+
+    flush();
+
+    return out;
+}
+
+/*
+ * Escape a line of text that would otherwise be read as the start of a
+ * block (like a section title, list item or attribute entry), by starting
+ * it with the empty attribute. Leading whitespace is dropped, since it
+ * would start a literal paragraph.
+ */
+function escapeLine(line) {
+    line = line.replace(LEADING_SPACE_RE, '')
+        .replace(DLIST_RE, '$1{empty}$2');
+
+    if (line === '' || LINE_START_RE.test(line) ||
+        ADMONITION_RE.test(line)) {
+        return '{empty}' + line;
+    }
+
+    return line;
+}
+
+/*
+ * Link and image targets that contain spaces or brackets are wrapped in a
+ * passthrough.
+ */
+function target(href) {
+    if (!/[\s[\]]/.test(href)) {
+        return href;
+    }
+
+    return '++' + href + '++';
+}
+
+/*
+ * Return the delimiter line to use for a block whose contents are "body".
+ * Delimiters are made longer than any line in the body that would close
+ * the block, which also allows blocks of the same kind to be nested.
+ */
+function delimiter(c, body) {
+    var lines = body.split('\n');
+    var delim = repeat(c, 4);
+
+    while (lines.indexOf(delim) !== -1) {
+        delim += c;
+    }
+
+    return delim;
+}
+
+function delimited(c, body) {
+    var delim = delimiter(c, body);
+
+    return delim + '\n' + (body === '' ? '' : body + '\n') + delim;
+}
+
+/*
+ * Renders the tree returned by parse() as AsciiDoc. The AsciiDoc used for
+ * mentions, attachments and embedded attachments can be changed by passing
+ * "format" functions in "ops" (see DEFAULT_OPS above). Panels are written as
+ * sidebars, or as example blocks when "ops.panel" is "example". How {color}
+ * text gets written can be selected with "ops.color", which may be:
+ *
+ * - "role", to use one of the color roles built into Asciidoctor when the
+ *   color has one, and to write out just the text otherwise
+ * - "strip", to write out the text without its color
+ * - a function that is passed the AsciiDoc for the text and the color, or
+ *   null if it isn't valid, and returns the AsciiDoc to use
+ */
+function AsciiDocRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.ad_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    if (typeof (this.ad_ops.color) !== 'function' &&
+        this.ad_ops.color !== 'role' && this.ad_ops.color !== 'strip') {
+        throw new Error('"color" must be "role", "strip" or a function');
+    }
+
+    if (this.ad_ops.panel !== 'sidebar' && this.ad_ops.panel !== 'example') {
+        throw new Error('"panel" must be "sidebar" or "example"');
+    }
+
+    /*
+     * How deeply we are nested within blocks, lists, tables and links,
+     * each of which changes how their contents need to be written.
+     */
+    this.ad_blocks = 0;
+    this.ad_lists = 0;
+    this.ad_tables = 0;
+    this.ad_links = 0;
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(AsciiDocRenderer, mod_renderer.Renderer);
+
+AsciiDocRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+/*
+ * Render the contents of a paragraph, which may span multiple lines. JIRA
+ * treats each newline as a line break, so we end each line with a hard
+ * break.
+ */
+AsciiDocRenderer.prototype.renderLines = function (nodes) {
+    var lines = [ [] ];
+
+    nodes.forEach(function (node) {
+        if (node.type === 'lineBreak') {
+            lines.push([]);
+        } else {
+            lines[lines.length - 1].push(node);
+        }
+    });
+
+    return lines.map(function (line) {
+        return escapeLine(this.renderInline(line));
+    }, this).join(' +\n');
+};
+
+/*
+ * Render a list of blocks. Lists that follow each other would be joined
+ * into a single list, so they're separated with an empty comment.
+ */
+AsciiDocRenderer.prototype.renderBlocks = function (nodes) {
+    var self = this;
+
+    return nodes.reduce(function (acc, node, i) {
+        var asciidoc = self.render(node);
+        if (i === 0) {
+            return asciidoc;
+        }
+
+        return acc + (node.type === 'list' && nodes[i - 1].type === 'list' ?
+            '\n\n//-\n\n' : '\n\n') + asciidoc;
+    }, '');
+};
+
+/*
+ * Render the blocks within a delimited block, within which sections
+ * aren't allowed.
+ */
+AsciiDocRenderer.prototype.renderNested = function (nodes) {
+    this.ad_blocks += 1;
+
+    try {
+        return this.renderBlocks(nodes);
+    } finally {
+        this.ad_blocks -= 1;
+    }
+};
+
+AsciiDocRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return '';
+    }
+
+    var title = node.options.title.trim();
+    if (title === '') {
+        return '';
+    }
+
+    return '.' + escapeAsciiDoc(title, false, false) + '\n';
+};
+
+/*
+ * Listings and literal blocks hold their contents as-is, except that they
+ * can't end the cell of a table they're in.
+ */
+AsciiDocRenderer.prototype.renderVerbatim = function (c, value) {
+    var body = value.replace(TRAILING_NL_RE, '');
+
+    if (this.ad_tables > 0) {
+        body = body.replace(/\|/g, '\\|');
+    }
+
+    return delimited(c, body);
+};
+
+/*
+ * Cells holding a single paragraph are written as they are. Anything else
+ * needs an AsciiDoc cell ("a|"), whose contents are parsed as a document.
+ */
+AsciiDocRenderer.prototype.renderCell = function (node, inHeader) {
+    var style = node.header && !inHeader ? 'h|' : '|';
+    var children = node.children;
+
+    this.ad_tables += 1;
+
+    try {
+        if (children.length === 0) {
+            return style;
+        }
+
+        if (children.length === 1 && children[0].type === 'paragraph') {
+            return style + this.renderLines(children[0].children);
+        }
+
+        return 'a|\n' + this.renderNested(children);
+    } finally {
+        this.ad_tables -= 1;
+    }
+};
+
+AsciiDocRenderer.prototype.document = function (node) {
+    return this.renderBlocks(node.children);
+};
+
+AsciiDocRenderer.prototype.paragraph = function (node) {
+    return this.renderLines(node.children);
+};
+
+/*
+ * Top-level headings become sections, starting from level 1 ("=="), since
+ * level 0 is the document title. Sections can't appear within other
+ * blocks, so headings there are written as discrete headings.
+ */
+AsciiDocRenderer.prototype.heading = function (node) {
+    var asciidoc = this.renderInline(node.children.map(function (child) {
+        return child.type === 'lineBreak' ? { type: 'text', value: ' ' } :
+            child;
+    })).trim();
+    var level = Math.min(node.level, 5);
+    var discrete = this.ad_blocks > 0 || this.ad_lists > 0 ?
+        '[discrete]\n' : '';
+
+    return discrete + repeat('=', level + 1) + ' ' + asciidoc;
+};
+
+AsciiDocRenderer.prototype.blockquote = function (node) {
+    this.ad_blocks += 1;
+
+    try {
+        return delimited('_', this.renderLines(node.children));
+    } finally {
+        this.ad_blocks -= 1;
+    }
+};
+
+AsciiDocRenderer.prototype.quote = function (node) {
+    return delimited('_', this.renderNested(node.children));
+};
+
+/*
+ * Example blocks number their titles ("Example 1. Title") unless their
+ * caption is removed.
+ */
+AsciiDocRenderer.prototype.panel = function (node) {
+    var title = this.renderTitle(node);
+    var body = this.renderNested(node.children);
+
+    if (this.ad_ops.panel === 'example') {
+        return (title === '' ? '' : '[caption=""]\n' + title) +
+            delimited('=', body);
+    }
+
+    return title + delimited('*', body);
+};
+
+AsciiDocRenderer.prototype.code = function (node) {
+    var language = node.language !== null &&
+        LANGUAGE_RE.test(node.language) ? ',' + node.language : '';
+
+    return this.renderTitle(node) + '[source' + language + ']\n' +
+        this.renderVerbatim('-', node.value);
+};
+
+AsciiDocRenderer.prototype.noformat = function (node) {
+    return this.renderTitle(node) + this.renderVerbatim('.', node.value);
+};
+
+AsciiDocRenderer.prototype.list = function (node) {
+    var self = this;
+    var marker = repeat(node.ordered ? '.' : '*',
+        Math.min(this.ad_lists + 1, MAX_LIST_DEPTH));
+
+    this.ad_lists += 1;
+
+    try {
+        return node.children.map(function (item) {
+            return marker + ' ' + self.render(item);
+        }).join('\n');
+    } finally {
+        this.ad_lists -= 1;
+    }
+};
+
+/*
+ * The first paragraph of an item is written after its marker, and nested
+ * lists follow directly after it. Other blocks are attached to the item
+ * with a list continuation ("+"), except when they come after a nested
+ * list, where they'd be attached to its last item instead; in that case,
+ * the rest of the item is wrapped in an open block.
+ */
+AsciiDocRenderer.prototype.listItem = function (node) {
+    var self = this;
+    var children = node.children;
+    var first = '{empty}';
+
+    if (children.length > 0 && children[0].type === 'paragraph') {
+        first = this.render(children[0]);
+        children = children.slice(1);
+    }
+
+    var afterList = false;
+    var needsOpen = children.some(function (child) {
+        if (child.type === 'list') {
+            afterList = true;
+            return false;
+        }
+        return afterList;
+    });
+
+    if (needsOpen) {
+        return first + '\n+\n--\n' + this.renderNested(children) + '\n--';
+    }
+
+    return children.reduce(function (acc, child) {
+        if (child.type === 'list') {
+            return acc + '\n' + self.render(child);
+        }
+
+        self.ad_blocks += 1;
+        try {
+            return acc + '\n+\n' + self.render(child);
+        } finally {
+            self.ad_blocks -= 1;
+        }
+    }, first);
+};
+
+/*
+ * Tables list their number of columns up front, and short rows are padded
+ * with empty cells, since AsciiDoc would otherwise move cells up from the
+ * row below. When the first row consists of header cells, it becomes the
+ * table's header row, and header cells elsewhere get the header style.
+ */
+AsciiDocRenderer.prototype.table = function (node) {
+    var self = this;
+    var rows = node.children;
+    var columns = 0;
+
+    rows.forEach(function (row) {
+        columns = Math.max(columns, row.children.length);
+    });
+
+    var header = rows[0].children.every(function (cell) {
+        return cell.header;
+    });
+
+    var rendered = rows.map(function (row, i) {
+        var cells = row.children.map(function (cell) {
+            return self.renderCell(cell, header && i === 0);
+        });
+        while (cells.length < columns) {
+            cells.push('|');
+        }
+        return cells;
+    });
+
+    var multiline = rendered.some(function (cells) {
+        return cells.some(function (cell) {
+            return cell.indexOf('\n') !== -1;
+        });
+    });
+
+    var body = rendered.map(function (cells) {
+        return cells.join(multiline ? '\n' : ' ');
+    }).join(multiline ? '\n\n' : '\n');
+
+    return '[cols="' + columns + '*"' + (header ? ',options="header"' : '') +
+        ']\n|===\n' + body + '\n|===';
+};
+
+AsciiDocRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+AsciiDocRenderer.prototype.tableCell = function (node) {
+    return this.renderCell(node, false);
+};
+
+AsciiDocRenderer.prototype.text = function (node) {
+    return escapeAsciiDoc(node.value, this.ad_tables > 0, this.ad_links > 0);
+};
+
+/*
+ * Asciidoctor passes character references through as they are.
+ */
+AsciiDocRenderer.prototype.entity = function (node) {
+    return node.entity;
+};
+
+AsciiDocRenderer.prototype.lineBreak = function (_) {
+    return ' +\n';
+};
+
+/*
+ * Text effects use the unconstrained form of their markup (like "**a**"),
+ * which works whatever characters are next to it.
+ */
+AsciiDocRenderer.prototype.strong = function (node) {
+    return delimit(this.renderInline(node.children), '**', '**');
+};
+
+AsciiDocRenderer.prototype.emphasis = function (node) {
+    return delimit(this.renderInline(node.children), '__', '__');
+};
+
+AsciiDocRenderer.prototype.citation = function (node) {
+    return delimit(this.renderInline(node.children), '__', '__');
+};
+
+AsciiDocRenderer.prototype.monospace = function (node) {
+    return delimit(this.renderInline(node.children), '``', '``');
+};
+
+AsciiDocRenderer.prototype.deleted = function (node) {
+    return delimit(this.renderInline(node.children),
+        '[.line-through]##', '##');
+};
+
+AsciiDocRenderer.prototype.inserted = function (node) {
+    return delimit(this.renderInline(node.children), '[.underline]##', '##');
+};
+
+/*
+ * Subscripts and superscripts can't contain spaces, so any spaces are
+ * replaced with a non-breaking one.
+ */
+AsciiDocRenderer.prototype.subscript = function (node) {
+    return '~' + this.renderInline(node.children).replace(/ /g, '{nbsp}') +
+        '~';
+};
+
+AsciiDocRenderer.prototype.superscript = function (node) {
+    return '^' + this.renderInline(node.children).replace(/ /g, '{nbsp}') +
+        '^';
+};
+
+AsciiDocRenderer.prototype.color = function (node) {
+    var asciidoc = this.renderInline(node.children);
+    var color = null;
+
+    if (node.color !== null && mod_html.COLOR_RE.test(node.color)) {
+        color = node.color.toLowerCase();
+    }
+
+    switch (this.ad_ops.color) {
+    case 'strip':
+        return asciidoc;
+    case 'role':
+        var role = color === null ? undefined :
+            ROLE_COLORS.filter(function (name) {
+            return name === color || mod_html.COLOR_NAMES[name] === color;
+        })[0];
+        if (role === undefined) {
+            return asciidoc;
+        }
+        return delimit(asciidoc, '[.' + role + ']##', '##');
+    default:
+        return this.ad_ops.color(asciidoc, color);
+    }
+};
+
+/*
+ * Links that were written directly into the text are left for Asciidoctor
+ * to find, when it would find all of their URL.
+ */
+AsciiDocRenderer.prototype.link = function (node) {
+    if (AUTOLINK_RE.test(node.href) && node.bare) {
+        return TRAILING_PUNCT_RE.test(node.href) ? node.href + '[]' :
+            node.href;
+    }
+
+    this.ad_links += 1;
+
+    try {
+        return 'link:' + target(node.href) + '[' +
+            this.renderInline(node.children) + ']';
+    } finally {
+        this.ad_links -= 1;
+    }
+};
+
+AsciiDocRenderer.prototype.attachment = function (node) {
+    this.ad_links += 1;
+
+    try {
+        return this.ad_ops.formatAttachmentLink(node.filename,
+            this.renderInline(node.children));
+    } finally {
+        this.ad_links -= 1;
+    }
+};
+
+AsciiDocRenderer.prototype.embed = function (node) {
+    return this.ad_ops.formatEmbedded(node.src, node.options);
+};
+
+AsciiDocRenderer.prototype.mention = function (node) {
+    return this.ad_ops.formatMention(node.username);
+};
+
+module.exports = {
+    AsciiDocRenderer: AsciiDocRenderer
+};
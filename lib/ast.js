@@ -0,0 +1,658 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_ent = require('ent');
+var mod_jsprim = require('jsprim');
+var mod_position = require('./position');
+
+/*
+ * This file converts the parse tree produced by the grammar in jira.ohm into
+ * a tree of plain objects that can be inspected, transformed and serialized
+ * as JSON. Every node has a "type" property. Nodes that contain other nodes
+ * keep them in a "children" array, and leaf nodes keep their text in "value".
+ * See the README for a description of each node type.
+ */
+
+/* BEGIN JSSTYLED */
+var EMBED_OPTS_RE = /,\s*/;
+/* END JSSTYLED */
+
+var BLOCK_TYPES = [
+    'paragraph',
+    'heading',
+    'blockquote',
+    'quote',
+    'panel',
+    'code',
+    'noformat',
+    'list',
+    'table'
+];
+
+function isBlock(node) {
+    return BLOCK_TYPES.indexOf(node.type) !== -1;
+}
+
+function flatten(arr, out) {
+    for (var i = 0; i < arr.length; ++i) {
+        if (Array.isArray(arr[i])) {
+            flatten(arr[i], out);
+        } else {
+            out.push(arr[i]);
+        }
+    }
+
+    return out;
+}
+
+function text(value, pnode) {
+    return located({ type: 'text', value: value }, pnode);
+}
+
+/*
+ * While building the tree, we record the start and end offsets of the
+ * markup that produced each node. Once the tree is complete, these get
+ * expanded to include line and column numbers (see addLineInfo()).
+ */
+function located(node, pnode) {
+    node.position = {
+        start: pnode.startIdx,
+        end: pnode.endIdx
+    };
+
+    return node;
+}
+
+function spanOf(nodes) {
+    return {
+        start: nodes[0].position.start,
+        end: nodes[nodes.length - 1].position.end
+    };
+}
+
+/*
+ * Adjacent pieces of text are produced separately by the grammar (one per
+ * word, space or punctuation character), so we merge them together to make
+ * the tree easier to work with.
+ */
+function mergeText(nodes) {
+    var merged = [];
+
+    nodes.forEach(function (node) {
+        var last = merged[merged.length - 1];
+        if (node.type === 'text' && last && last.type === 'text') {
+            merged[merged.length - 1] = {
+                type: 'text',
+                value: last.value + node.value,
+                position: spanOf([ last, node ])
+            };
+        } else {
+            merged.push(node);
+        }
+    });
+
+    return merged;
+}
+
+/*
+ * Convert a list of inline nodes back into the string that they were written
+ * as, for places like block options where we want the raw text. Escaped
+ * characters have been resolved, but HTML entities are kept as written.
+ */
+function inlineToString(nodes) {
+    return nodes.map(function (node) {
+        switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'entity':
+            return node.entity;
+        default:
+            return inlineToString(node.children || []);
+        }
+    }).join('');
+}
+
+/*
+ * Options are written as a "|"-separated list of "key=value" pairs, with
+ * some blocks taking a leading positional value (like the language of a
+ * {code} block). When a key is given more than once, the first value is
+ * used.
+ */
+function parseOptions(node) {
+    var str = inlineToString(nodesToAST(node));
+    var result = {
+        positional: [],
+        named: {}
+    };
+
+    if (str === '') {
+        return result;
+    }
+
+    str.split('|').forEach(function (opt) {
+        var idx = opt.indexOf('=');
+        if (idx === -1) {
+            result.positional.push(opt);
+            return;
+        }
+
+        var key = opt.slice(0, idx);
+        if (!mod_jsprim.hasKey(result.named, key)) {
+            result.named[key] = opt.slice(idx + 1);
+        }
+    });
+
+    return result;
+}
+
+/*
+ * Within list items and table cells, the grammar produces a series of
+ * segments, each of which is either a block or a run of inline content.
+ * Consecutive runs of inline content are joined into a single paragraph,
+ * separated by line breaks.
+ */
+function segmentsToBlocks(segments) {
+    var blocks = [];
+    var para = null;
+
+    segments.forEach(function (segment) {
+        if (segment.length === 1 && isBlock(segment[0])) {
+            blocks.push(segment[0]);
+            para = null;
+            return;
+        }
+
+        if (para === null) {
+            para = { type: 'paragraph', children: [] };
+            blocks.push(para);
+        } else {
+            para.children.push({
+                type: 'lineBreak',
+                position: {
+                    start: para.position.end,
+                    end: segment[0].position.start
+                }
+            });
+        }
+
+        para.children = mergeText(para.children.concat(segment));
+        para.position = spanOf(para.children);
+    });
+
+    return blocks;
+}
+
+function bulletOrdered(c) {
+    switch (c) {
+    case '#':
+        return true;
+    case '-':
+    case '*':
+        return false;
+    default:
+        throw new Error('unknown bullet: ' + JSON.stringify(c));
+    }
+}
+
+function createList(c) {
+    return {
+        type: 'list',
+        ordered: bulletOrdered(c),
+        bullet: c,
+        children: []
+    };
+}
+
+/*
+ * JIRA lists are written as a flat series of bullets, where the length of
+ * the bullet determines the nesting level and the last character determines
+ * the kind of list. We rebuild the nesting here, attaching sublists to the
+ * last item of the enclosing list.
+ */
+function bulletsToLists(bullets, items) {
+    var lists = [];
+    var stack = [];
+
+    function attach(list, depth) {
+        if (depth === 0) {
+            lists.push(list);
+            return;
+        }
+
+        var parent = stack[depth - 1];
+        if (parent.item === null) {
+            /*
+             * This item was skipped over in the markup. Its position will
+             * be filled in from its children later.
+             */
+            parent.item = { type: 'listItem', children: [] };
+            parent.list.children.push(parent.item);
+        }
+        parent.item.children.push(list);
+    }
+
+    for (var i = 0; i < bullets.length; ++i) {
+        var bullet = bullets[i];
+        var depth = bullet.length;
+        var c = bullet.charAt(depth - 1);
+
+        while (stack.length > depth) {
+            stack.pop();
+        }
+
+        while (stack.length < depth) {
+            var list = createList(bullet.charAt(stack.length));
+            attach(list, stack.length);
+            stack.push({ list: list, item: null });
+        }
+
+        /* If the list type has changed, start a new list. */
+        var top = stack[depth - 1];
+        if (top.list.ordered !== bulletOrdered(c)) {
+            stack.pop();
+            top = { list: createList(c), item: null };
+            attach(top.list, depth - 1);
+            stack.push(top);
+        }
+
+        top.item = {
+            type: 'listItem',
+            children: segmentsToBlocks(items[i].segments),
+            position: {
+                start: items[i].start,
+                end: items[i].end
+            }
+        };
+        top.list.children.push(top.item);
+    }
+
+    return lists;
+}
+
+function formatted(type, pnode, contents) {
+    return located({
+        type: type,
+        children: nodeToAST(contents)
+    }, pnode);
+}
+
+var ToAST = {
+    Document: function (blocks, block) {
+        return nodeToAST(blocks).concat(nodeToAST(block));
+    },
+    blocks: function (_nl1, blocks, _nl2) {
+        return nodesToAST(blocks);
+    },
+    paragraph: function (lines) {
+        return segmentsToBlocks(lines.children.map(nodeToAST));
+    },
+    paraLine: function (line) {
+        return nodeToAST(line);
+    },
+    simplestr: function (s) {
+        return nodesToAST(s);
+    },
+    block_header: function (h, _sp, sentence) {
+        return located({
+            type: 'heading',
+            level: Number(h.sourceString.charAt(1)),
+            children: nodeToAST(sentence)
+        }, this);
+    },
+    block_blockquote: function (_bq, _sp, contents) {
+        return located({
+            type: 'blockquote',
+            children: nodeToAST(contents)
+        }, this);
+    },
+    block_table: function (rows) {
+        return located({
+            type: 'table',
+            children: nodesToAST(rows)
+        }, this);
+    },
+    row: function (cells, _end) {
+        return located({
+            type: 'tableRow',
+            children: nodesToAST(cells)
+        }, this);
+    },
+    cell: function (sep, content1, _nl, content2) {
+        var segments = [ nodeToAST(content1) ].concat(
+            content2.children.map(nodeToAST));
+
+        return located({
+            type: 'tableCell',
+            header: sep.sourceString.length > 1,
+            children: segmentsToBlocks(segments)
+        }, this);
+    },
+    block_list: function (bullets, _sp, items, _nls) {
+        var bstrs = bullets.children.map(function (bullet) {
+            return bullet.sourceString.replace(/\s/g, '');
+        });
+        var contents = items.children.map(function (item, i) {
+            var segments = item.children.map(nodeToAST);
+            var end = bullets.children[i].endIdx;
+
+            segments.forEach(function (segment) {
+                if (segment.length > 0) {
+                    end = segment[segment.length - 1].position.end;
+                }
+            });
+
+            return {
+                segments: segments,
+                start: bullets.children[i].startIdx,
+                end: end
+            };
+        });
+
+        return bulletsToLists(bstrs, contents);
+    },
+    readUntil: function (_s, _lo, nm, opts, _lc, _nl, contents, _end) {
+        var options = parseOptions(opts);
+        var node = located({
+            type: nm.sourceString,
+            options: options.named,
+            value: contents.sourceString
+        }, this);
+
+        if (node.type === 'code') {
+            node.language = options.positional.length > 0 ?
+                options.positional[0] : null;
+        }
+
+        return node;
+    },
+    namedBlock: function (_s, _lo, nm, opts, _lc, _n, b, _ns, _end) {
+        var node = located({ type: nm.sourceString }, this);
+
+        if (node.type === 'panel') {
+            node.options = parseOptions(opts).named;
+        }
+
+        node.children = nodesToAST(b);
+
+        return node;
+    },
+    upToThreeNl: function (_nl1, _nl2, _nl3) {
+        return [];
+    },
+    options: function (_colon, contents) {
+        return nodesToAST(contents);
+    },
+    words_type1: function (formatted_, sentence) {
+        return nodesToAST(formatted_).concat(nodesToAST(sentence));
+    },
+    words_type2: function (sentence) {
+        return nodesToAST(sentence);
+    },
+    markupWord_link: function (_lb, txt, _s1, uri, _s2, _rb) {
+        return located({
+            type: 'link',
+            href: uri.sourceString,
+            children: nodeToAST(txt.numChildren > 0 ? txt : uri)
+        }, this);
+    },
+    markupWord_attachment: function (_lb, txt, _caret, _s1, uri, _s2, _rb) {
+        return located({
+            type: 'attachment',
+            filename: uri.sourceString,
+            children: nodeToAST(txt.numChildren > 0 ? txt : uri)
+        }, this);
+    },
+    markupWord_embed: function (_lb, uri, _bar, opts, _rb) {
+        var options = [];
+        if (opts.numChildren > 0) {
+            options = inlineToString(nodeToAST(opts)).split(EMBED_OPTS_RE);
+        }
+
+        return located({
+            type: 'embed',
+            src: uri.sourceString,
+            options: options
+        }, this);
+    },
+    markupWord_user: function (_lb, user, _rb) {
+        return located({
+            type: 'mention',
+            username: user.sourceString
+        }, this);
+    },
+    markupWord_color: function (_lb, options, _rb, contents, _close) {
+        var opts = parseOptions(options);
+        var color = null;
+
+        if (opts.positional.length > 0) {
+            color = opts.positional[0];
+        }
+
+        return located({
+            type: 'color',
+            color: color,
+            children: nodeToAST(contents)
+        }, this);
+    },
+    markupWord_formatted: function (sp, fmt) {
+        return nodeToAST(sp).concat(nodesToAST(fmt));
+    },
+    markupWordUntil_multiple: function (first, rest, _st) {
+        return nodeToAST(first).concat(nodesToAST(rest));
+    },
+    markupWordUntil_simple: function (contents, _st) {
+        return nodesToAST(contents);
+    },
+    markupWordOne_formlit: function (a, b) {
+        return nodeToAST(a).concat(nodeToAST(b));
+    },
+    markupWord_monospace: function (_l, contents) {
+        return located({
+            type: 'monospace',
+            children: nodeToAST(contents)
+        }, this);
+    },
+    formatted_citation: function (_l, contents) {
+        return formatted('citation', this, contents);
+    },
+    formatted_strong: function (_l, contents) {
+        return formatted('strong', this, contents);
+    },
+    formatted_emphasis: function (_l, contents) {
+        return formatted('emphasis', this, contents);
+    },
+    formatted_subscript: function (_l, contents) {
+        return formatted('subscript', this, contents);
+    },
+    formatted_superscript: function (_l, contents) {
+        return formatted('superscript', this, contents);
+    },
+    formatted_deleted: function (_l, contents) {
+        return formatted('deleted', this, contents);
+    },
+    formatted_inserted: function (_l, contents) {
+        return formatted('inserted', this, contents);
+    },
+    bareurl: function (_scheme, _sep, _url) {
+        return located({
+            type: 'link',
+            href: this.sourceString,
+            bare: true,
+            children: [ text(this.sourceString, this) ]
+        }, this);
+    },
+    uri_complete: function (_scheme, _sep, _uri) {
+        return text(this.sourceString, this);
+    },
+    uri_relative: function (_sep, _uri) {
+        return text(this.sourceString, this);
+    },
+    uri_fragment: function (_hash, frag) {
+        return text(frag.sourceString, frag);
+    },
+    urichars: function (chars) {
+        return nodesToAST(chars);
+    },
+    ident: function (c) {
+        return nodeToAST(c);
+    },
+    entchar: function (_amp, _hash, _ent, _semi) {
+        return located({
+            type: 'entity',
+            entity: this.sourceString,
+            value: mod_ent.decode(this.sourceString)
+        }, this);
+    },
+    ascchar: function (_) {
+        return text(this.sourceString, this);
+    },
+    escchar: function (_, c) {
+        return text(c.sourceString, this);
+    },
+    _terminal: function () {
+        return text(this.sourceString, this);
+    }
+};
+
+function nodeToAST(node) {
+    var result = node.visit(ToAST);
+    if (Array.isArray(result)) {
+        return mergeText(flatten(result, []));
+    } else {
+        return [ result ];
+    }
+}
+
+function nodesToAST(node) {
+    return mergeText(flatten(node.children.map(nodeToAST), []));
+}
+
+/*
+ * Walk the finished tree, filling in the positions of nodes that were
+ * assembled from their children (like lists), and expanding each offset into
+ * an object with the offset, line and column (both starting at 1). Trailing
+ * newlines consumed by the grammar to end a block aren't considered part of
+ * the node.
+ */
+function addLineInfo(node, str, locate) {
+    var children = node.children || [];
+
+    children.forEach(function (child) {
+        addLineInfo(child, str, locate);
+    });
+
+    if (node.position === undefined) {
+        node.position = {
+            start: children[0].position.start.offset,
+            end: children[children.length - 1].position.end.offset
+        };
+    }
+
+    var start = node.position.start;
+    var end = node.position.end;
+
+    /*
+     * List items get their nested lists attached after we've located them,
+     * so make sure that nodes always cover their children.
+     */
+    children.forEach(function (child) {
+        start = Math.min(start, child.position.start.offset);
+        end = Math.max(end, child.position.end.offset);
+    });
+
+    if (node.type !== 'lineBreak' && node.type !== 'document') {
+        while (end > start && (str.charAt(end - 1) === '\n' ||
+            str.charAt(end - 1) === '\r')) {
+            end -= 1;
+        }
+    }
+
+    node.position = {
+        start: locate(start),
+        end: locate(end)
+    };
+}
+
+function shiftOffsets(node, offset) {
+    if (node.position) {
+        node.position = {
+            start: node.position.start + offset,
+            end: node.position.end + offset
+        };
+    }
+
+    if (node.children) {
+        node.children.forEach(function (child) {
+            shiftOffsets(child, offset);
+        });
+    }
+}
+
+/*
+ * Markup that couldn't be parsed is kept in the tree as a paragraph of text.
+ */
+function skippedToAST(piece) {
+    var position = {
+        start: piece.offset,
+        end: piece.offset + piece.text.length
+    };
+
+    return {
+        type: 'paragraph',
+        children: [ {
+            type: 'text',
+            value: piece.text,
+            position: position
+        } ],
+        position: position
+    };
+}
+
+/*
+ * Convert the pieces that the string "str" was parsed into into a "document"
+ * node. Each piece has the "offset" into "str" that it starts at, and either
+ * the "result" of a successful parseJIRA() or the "text" that was skipped
+ * over because it couldn't be parsed.
+ */
+function parseToAST(pieces, str) {
+    var children = [];
+
+    pieces.forEach(function (piece) {
+        if (piece.result === undefined) {
+            children.push(skippedToAST(piece));
+            return;
+        }
+
+        nodeToAST(piece.result).forEach(function (node) {
+            shiftOffsets(node, piece.offset);
+            children.push(node);
+        });
+    });
+
+    var doc = {
+        type: 'document',
+        children: children,
+        position: {
+            start: 0,
+            end: str.length
+        }
+    };
+
+    addLineInfo(doc, str, mod_position.createLocator(str));
+
+    return doc;
+}
+
+module.exports = {
+    BLOCK_TYPES: BLOCK_TYPES,
+    parseToAST: parseToAST
+};
@@ -0,0 +1,338 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var decodeEntities = mod_strings.decodeEntities;
+var escapeXML = mod_strings.escapeXML;
+var stripInvalidXML = mod_strings.stripInvalidXML;
+
+/*
+ * This file renders the tree returned by parse() in Confluence's "storage
+ * format": the XHTML that Confluence keeps its pages in, and which its REST
+ * API accepts. Blocks with a Confluence equivalent ({code}, {noformat} and
+ * {panel}) become macros, attachments and mentions become resource
+ * identifiers ("ri:" elements), and everything else is written using the
+ * subset of XHTML that Confluence supports.
+ *
+ * The output has to be well-formed XML, so entities are written as the
+ * characters they stand for, rather than by name.
+ */
+
+/* BEGIN JSSTYLED */
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var WEB_URL_RE = /^https?:\/\//i;
+/* END JSSTYLED */
+
+/*
+ * The options that each macro's parameters can be set from. Confluence
+ * doesn't know about the others, and drops them when the page is saved.
+ */
+var CODE_PARAMETERS = [ 'title', 'linenumbers', 'firstline', 'collapse',
+    'theme' ];
+var NOFORMAT_PARAMETERS = [ 'title', 'nopanel' ];
+var PANEL_PARAMETERS = [ 'title', 'borderStyle', 'borderColor', 'borderWidth',
+    'bgColor', 'titleBGColor', 'titleColor' ];
+
+/*
+ * The embedded image options that map to attributes of <ac:image>.
+ */
+var IMAGE_ATTRIBUTES = [ 'align', 'alt', 'border', 'height', 'hspace',
+    'title', 'vspace', 'width' ];
+
+var DEFAULT_OPS = {
+    lookupUser: function lookupUser() {
+        return null;
+    }
+};
+
+/*
+ * Values taken from the markup as it was written (options, URLs and names)
+ * may still contain entities, so we decode them before escaping the result.
+ */
+function escapeRaw(str) {
+    return escapeXML(decodeEntities(str));
+}
+
+/*
+ * The contents of {code} and {noformat} blocks go into a CDATA section,
+ * without the newline before the closing tag. "]]>" would end the section
+ * early, so we split it across two. Characters that XML doesn't allow can't
+ * appear in CDATA either, so they're dropped.
+ */
+function plainTextBody(str) {
+    return '<ac:plain-text-body><![CDATA[' + stripInvalidXML(str)
+        .replace(TRAILING_NL_RE, '').split(']]>').join(']]]]><![CDATA[>') +
+        ']]></ac:plain-text-body>';
+}
+
+function parameter(name, value) {
+    return '<ac:parameter ac:name="' + name + '">' + escapeRaw(value) +
+        '</ac:parameter>';
+}
+
+function macro(name, params, body) {
+    return '<ac:structured-macro ac:name="' + name + '">' + params.join('') +
+        body + '</ac:structured-macro>';
+}
+
+/*
+ * Create the parameters for the block options in "names".
+ */
+function parameters(options, names) {
+    var params = [];
+
+    names.forEach(function (name) {
+        if (mod_jsprim.hasKey(options, name)) {
+            params.push(parameter(name, options[name]));
+        }
+    });
+
+    return params;
+}
+
+function isTextNode(nodes, value) {
+    return nodes.length === 1 && nodes[0].type === 'text' &&
+        nodes[0].value === value;
+}
+
+
+/*
+ * Renders the tree returned by parse() in Confluence's storage format. The
+ * following options can be given:
+ *
+ * - "lookupUser", a function that returns the Atlassian account ID for a
+ *   JIRA username, or null to refer to the user by their username
+ */
+function ConfluenceRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.cr_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    assert.func(this.cr_ops.lookupUser, 'ops.lookupUser');
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(ConfluenceRenderer, mod_renderer.Renderer);
+
+ConfluenceRenderer.prototype.wrap = function (tag, node) {
+    return '<' + tag + '>' + this.renderChildren(node).join('') +
+        '</' + tag + '>';
+};
+
+ConfluenceRenderer.prototype.document = function (node) {
+    return this.renderChildren(node).join('\n');
+};
+
+ConfluenceRenderer.prototype.paragraph = function (node) {
+    return this.wrap('p', node);
+};
+
+ConfluenceRenderer.prototype.heading = function (node) {
+    return this.wrap('h' + node.level, node);
+};
+
+ConfluenceRenderer.prototype.blockquote = function (node) {
+    return '<blockquote>' + this.wrap('p', node) + '</blockquote>';
+};
+
+ConfluenceRenderer.prototype.quote = function (node) {
+    return this.wrap('blockquote', node);
+};
+
+ConfluenceRenderer.prototype.panel = function (node) {
+    return macro('panel', parameters(node.options, PANEL_PARAMETERS),
+        '<ac:rich-text-body>' + this.renderChildren(node).join('') +
+        '</ac:rich-text-body>');
+};
+
+ConfluenceRenderer.prototype.code = function (node) {
+    var params = parameters(node.options, CODE_PARAMETERS);
+
+    if (node.language !== null) {
+        params.unshift(parameter('language', node.language));
+    }
+
+    return macro('code', params, plainTextBody(node.value));
+};
+
+ConfluenceRenderer.prototype.noformat = function (node) {
+    return macro('noformat', parameters(node.options, NOFORMAT_PARAMETERS),
+        plainTextBody(node.value));
+};
+
+ConfluenceRenderer.prototype.list = function (node) {
+    return this.wrap(node.ordered ? 'ol' : 'ul', node);
+};
+
+/*
+ * When a list item's only other contents are nested lists, its paragraph is
+ * written directly in the <li>, as Confluence's editor does.
+ */
+ConfluenceRenderer.prototype.listItem = function (node) {
+    var self = this;
+    var inline = node.children.length > 0 &&
+        node.children[0].type === 'paragraph' &&
+        node.children.slice(1).every(function (child) {
+            return child.type === 'list';
+        });
+
+    return '<li>' + node.children.map(function (child, i) {
+        return inline && i === 0 ? self.renderChildren(child).join('') :
+            self.render(child);
+    }).join('') + '</li>';
+};
+
+ConfluenceRenderer.prototype.table = function (node) {
+    return '<table><tbody>' + this.renderChildren(node).join('') +
+        '</tbody></table>';
+};
+
+ConfluenceRenderer.prototype.tableRow = function (node) {
+    return this.wrap('tr', node);
+};
+
+ConfluenceRenderer.prototype.tableCell = function (node) {
+    return this.wrap(node.header ? 'th' : 'td', node);
+};
+
+ConfluenceRenderer.prototype.text = function (node) {
+    return escapeXML(node.value);
+};
+
+ConfluenceRenderer.prototype.entity = function (node) {
+    return escapeXML(node.value);
+};
+
+ConfluenceRenderer.prototype.lineBreak = function (_) {
+    return '<br />';
+};
+
+ConfluenceRenderer.prototype.strong = function (node) {
+    return this.wrap('strong', node);
+};
+
+ConfluenceRenderer.prototype.emphasis = function (node) {
+    return this.wrap('em', node);
+};
+
+ConfluenceRenderer.prototype.citation = function (node) {
+    return this.wrap('cite', node);
+};
+
+ConfluenceRenderer.prototype.subscript = function (node) {
+    return this.wrap('sub', node);
+};
+
+ConfluenceRenderer.prototype.superscript = function (node) {
+    return this.wrap('sup', node);
+};
+
+ConfluenceRenderer.prototype.deleted = function (node) {
+    return '<span style="text-decoration: line-through;">' +
+        this.renderChildren(node).join('') + '</span>';
+};
+
+ConfluenceRenderer.prototype.inserted = function (node) {
+    return this.wrap('u', node);
+};
+
+ConfluenceRenderer.prototype.monospace = function (node) {
+    return this.wrap('code', node);
+};
+
+/*
+ * Colors that aren't a name or "#rrggbb" are dropped, keeping the text.
+ */
+ConfluenceRenderer.prototype.color = function (node) {
+    var contents = this.renderChildren(node).join('');
+
+    if (node.color === null || !mod_html.COLOR_RE.test(node.color)) {
+        return contents;
+    }
+
+    return '<span style="color: ' + node.color + ';">' + contents +
+        '</span>';
+};
+
+ConfluenceRenderer.prototype.link = function (node) {
+    return '<a href="' + escapeRaw(node.href) + '">' +
+        this.renderChildren(node).join('') + '</a>';
+};
+
+/*
+ * Confluence shows the filename when a link has no body, so we only add
+ * one when the link's text is something else.
+ */
+ConfluenceRenderer.prototype.attachment = function (node) {
+    var xml = '<ac:link><ri:attachment ri:filename="' +
+        escapeRaw(node.filename) + '" />';
+
+    if (!isTextNode(node.children, node.filename)) {
+        xml += '<ac:link-body>' + this.renderChildren(node).join('') +
+            '</ac:link-body>';
+    }
+
+    return xml + '</ac:link>';
+};
+
+/*
+ * Images from the web are referred to by their URL, and anything else is
+ * taken to be the name of an attachment on the page.
+ */
+ConfluenceRenderer.prototype.embed = function (node) {
+    var xml = '<ac:image';
+    var resource;
+
+    node.options.forEach(function (option) {
+        var idx = option.indexOf('=');
+        var name = idx === -1 ? option : option.slice(0, idx).trim();
+
+        if (idx === -1 && name.trim() === 'thumbnail') {
+            xml += ' ac:thumbnail="true"';
+        } else if (idx !== -1 && IMAGE_ATTRIBUTES.indexOf(name) !== -1) {
+            xml += ' ac:' + name + '="' +
+                escapeRaw(option.slice(idx + 1).trim()) + '"';
+        }
+    });
+
+    if (WEB_URL_RE.test(node.src)) {
+        resource = '<ri:url ri:value="' + escapeRaw(node.src) + '" />';
+    } else {
+        resource = '<ri:attachment ri:filename="' + escapeRaw(node.src) +
+            '" />';
+    }
+
+    return xml + '>' + resource + '</ac:image>';
+};
+
+ConfluenceRenderer.prototype.mention = function (node) {
+    var id = this.cr_ops.lookupUser(node.username);
+    var user;
+
+    if (id === null) {
+        user = '<ri:user ri:username="' + escapeRaw(node.username) + '" />';
+    } else {
+        user = '<ri:user ri:account-id="' + escapeXML(id) + '" />';
+    }
+
+    return '<ac:link>' + user + '</ac:link>';
+};
+
+module.exports = {
+    ConfluenceRenderer: ConfluenceRenderer
+};
@@ -0,0 +1,824 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+var mod_zip = require('./zip');
+
+var decodeEntities = mod_strings.decodeEntities;
+var escapeXML = mod_strings.escapeXML;
+var repeat = mod_strings.repeat;
+
+/*
+ * This file renders the tree returned by parse() as a Word document, in the
+ * Office Open XML (.docx) format. The document is a ZIP package holding the
+ * WordprocessingML for the document's body, along with the styles and list
+ * numbering that it uses, and the relationships that point to the targets
+ * of its hyperlinks.
+ *
+ * Blocks use Word's built-in styles where there is one (like "heading 1" or
+ * "Quote"), so that they show up in Word's navigation pane and can be
+ * restyled by the reader. Panels have no style of their own: their
+ * paragraphs are given a border and shading, which Word draws as a single
+ * box around paragraphs that share them.
+ */
+
+/* BEGIN JSSTYLED */
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var NEWLINE_RE = /\r\n|\n|\r/;
+var HEX_COLOR_RE = /^#([0-9a-f]{6})$/i;
+var BORDER_WIDTH_RE = /^([0-9]{1,2})(px)?$/;
+var PARAGRAPH_END_RE = /<\/w:p>$/;
+/* END JSSTYLED */
+
+var NS_MAIN =
+    'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+var NS_RELS =
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+var NS_PACKAGE_RELS =
+    'http://schemas.openxmlformats.org/package/2006/relationships';
+var NS_CONTENT_TYPES =
+    'http://schemas.openxmlformats.org/package/2006/content-types';
+
+var CT_PREFIX = 'application/vnd.openxmlformats-';
+var XML_DECL =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/*
+ * Measurements in WordprocessingML are mostly in twentieths of a point
+ * ("twips"), while border widths are in eighths of a point.
+ */
+var LIST_INDENT = 720;
+var LIST_HANGING = 360;
+var PAGE_WIDTH = 12240;
+var PAGE_HEIGHT = 15840;
+var PAGE_MARGIN = 1440;
+var TABLE_WIDTH = PAGE_WIDTH - 2 * PAGE_MARGIN;
+
+/*
+ * Word supports nine levels of list nesting.
+ */
+var MAX_LIST_LEVEL = 8;
+
+var BULLETS = [ '\u2022', '\u25e6', '\u25aa' ];
+var NUMBER_FORMATS = [ 'decimal', 'lowerLetter', 'lowerRoman' ];
+
+var CODE_FONT = 'Courier New';
+var PANEL_FILL = 'F4F5F7';
+var PANEL_BORDER = 'DFE1E6';
+var HEADER_FILL = 'F4F5F7';
+var HEADING_SIZES = [ 32, 28, 26, 24, 22, 22 ];
+
+var BORDER_STYLES = {
+    solid: 'single',
+    dashed: 'dashed',
+    dotted: 'dotted',
+    double: 'double'
+};
+
+/*
+ * The IDs of the package's fixed relationships. Hyperlinks are numbered
+ * after these.
+ */
+var RID_STYLES = 'rId1';
+var RID_NUMBERING = 'rId2';
+var RID_FIRST_LINK = 3;
+
+var DEFAULT_OPS = {
+    formatMention: function formatMention(username) {
+        return '@' + username;
+    },
+    formatAttachmentLink: function formatAttachmentLink() {
+        return null;
+    },
+    formatEmbedded: function formatEmbedded(src) {
+        return '[' + src + ']';
+    }
+};
+
+/*
+ * Convert a color from the markup into the "RRGGBB" form that Word uses,
+ * returning null for colors that we don't know.
+ */
+function hexColor(color) {
+    if (typeof (color) !== 'string') {
+        return null;
+    }
+
+    color = decodeEntities(color).trim().toLowerCase();
+
+    if (mod_jsprim.hasKey(mod_html.COLOR_NAMES, color)) {
+        color = mod_html.COLOR_NAMES[color];
+    }
+
+    var m = HEX_COLOR_RE.exec(color);
+
+    return m === null ? null : m[1].toUpperCase();
+}
+
+function xmlPart(root, ns, body) {
+    return XML_DECL + '<' + root + ' xmlns="' + ns + '">' + body + '</' +
+        root + '>';
+}
+
+function relationship(id, type, target, external) {
+    return '<Relationship Id="' + id + '" Type="' + NS_RELS + '/' + type +
+        '" Target="' + escapeXML(target) + '"' +
+        (external ? ' TargetMode="External"' : '') + '/>';
+}
+
+function contentTypes() {
+    function override(part, type) {
+        return '<Override PartName="' + part + '" ContentType="' + CT_PREFIX +
+            'officedocument.wordprocessingml.' + type + '+xml"/>';
+    }
+
+    return xmlPart('Types', NS_CONTENT_TYPES,
+        '<Default Extension="rels" ContentType="' + CT_PREFIX +
+        'package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        override('/word/document.xml', 'document.main') +
+        override('/word/styles.xml', 'styles') +
+        override('/word/numbering.xml', 'numbering'));
+}
+
+function packageRels() {
+    return xmlPart('Relationships', NS_PACKAGE_RELS,
+        relationship('rId1', 'officeDocument', 'word/document.xml', false));
+}
+
+function documentRels(links) {
+    return xmlPart('Relationships', NS_PACKAGE_RELS,
+        relationship(RID_STYLES, 'styles', 'styles.xml', false) +
+        relationship(RID_NUMBERING, 'numbering', 'numbering.xml', false) +
+        links.map(function (href, i) {
+            return relationship('rId' + (RID_FIRST_LINK + i), 'hyperlink',
+                href, true);
+        }).join(''));
+}
+
+function fonts(name) {
+    return '<w:rFonts w:ascii="' + name + '" w:hAnsi="' + name +
+        '" w:cs="' + name + '"/>';
+}
+
+function shading(fill) {
+    return '<w:shd w:val="clear" w:color="auto" w:fill="' + fill + '"/>';
+}
+
+function paragraphBorder(val, size, color) {
+    return '<w:pBdr>' + [ 'top', 'left', 'bottom', 'right' ].map(
+        function (side) {
+        return '<w:' + side + ' w:val="' + val + '" w:sz="' + size +
+            '" w:space="4" w:color="' + color + '"/>';
+    }).join('') + '</w:pBdr>';
+}
+
+function style(type, id, name, body) {
+    return '<w:style w:type="' + type + '" w:styleId="' + id + '">' +
+        '<w:name w:val="' + name + '"/>' + body + '</w:style>';
+}
+
+/*
+ * The styles used by the document. Headings and quotes use the names of
+ * Word's built-in styles, so that Word treats them as those styles.
+ */
+function styles() {
+    var xml = '<w:docDefaults><w:rPrDefault><w:rPr>' + fonts('Calibri') +
+        '<w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>' +
+        '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" ' +
+        'w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>';
+
+    xml += '<w:style w:type="paragraph" w:default="1" w:styleId="Normal">' +
+        '<w:name w:val="Normal"/><w:qFormat/></w:style>';
+
+    HEADING_SIZES.forEach(function (size, i) {
+        xml += style('paragraph', 'Heading' + (i + 1), 'heading ' + (i + 1),
+            '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+            '<w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" ' +
+            'w:after="120"/><w:outlineLvl w:val="' + i + '"/></w:pPr>' +
+            '<w:rPr><w:b/><w:sz w:val="' + size + '"/><w:szCs w:val="' +
+            size + '"/></w:rPr>');
+    });
+
+    xml += style('paragraph', 'Quote', 'Quote',
+        '<w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr>' +
+        '<w:left w:val="single" w:sz="18" w:space="8" w:color="' +
+        PANEL_BORDER + '"/></w:pBdr><w:ind w:left="720" w:right="720"/>' +
+        '</w:pPr><w:rPr><w:i/><w:color w:val="595959"/></w:rPr>');
+
+    xml += style('paragraph', 'Code', 'Code',
+        '<w:basedOn w:val="Normal"/><w:qFormat/><w:pPr>' +
+        paragraphBorder('single', 4, PANEL_BORDER) + shading(PANEL_FILL) +
+        '<w:spacing w:after="120" w:line="240" w:lineRule="auto"/></w:pPr>' +
+        '<w:rPr>' + fonts(CODE_FONT) + '<w:sz w:val="20"/>' +
+        '<w:szCs w:val="20"/></w:rPr>');
+
+    xml += style('paragraph', 'CodeTitle', 'Code Title',
+        '<w:basedOn w:val="Normal"/><w:next w:val="Code"/><w:qFormat/>' +
+        '<w:pPr><w:keepNext/><w:spacing w:after="0"/></w:pPr>' +
+        '<w:rPr><w:b/></w:rPr>');
+
+    xml += style('paragraph', 'PanelTitle', 'Panel Title',
+        '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+        '<w:pPr><w:keepNext/></w:pPr><w:rPr><w:b/></w:rPr>');
+
+    xml += style('paragraph', 'ListParagraph', 'List Paragraph',
+        '<w:basedOn w:val="Normal"/><w:qFormat/><w:pPr>' +
+        '<w:spacing w:after="60"/><w:ind w:left="720"/></w:pPr>');
+
+    xml += style('character', 'Hyperlink', 'Hyperlink',
+        '<w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>');
+
+    xml += style('character', 'CodeChar', 'Code Char',
+        '<w:rPr>' + fonts(CODE_FONT) + '</w:rPr>');
+
+    xml += style('table', 'TableGrid', 'Table Grid',
+        '<w:tblPr><w:tblBorders>' + [ 'top', 'left', 'bottom', 'right',
+        'insideH', 'insideV' ].map(function (side) {
+            return '<w:' + side + ' w:val="single" w:sz="4" w:space="0" ' +
+                'w:color="auto"/>';
+        }).join('') + '</w:tblBorders><w:tblCellMar>' +
+        '<w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/>' +
+        '</w:tblCellMar></w:tblPr>');
+
+    return XML_DECL + '<w:styles xmlns:w="' + NS_MAIN + '">' + xml +
+        '</w:styles>';
+}
+
+/*
+ * The list definitions used by the document: one for bulleted lists and
+ * one for numbered lists, each with all nine levels, and an instance of
+ * one of them for each list in the document, so that each list starts
+ * counting again from one.
+ */
+function numbering(lists) {
+    function levels(ordered) {
+        var xml = '';
+
+        for (var i = 0; i <= MAX_LIST_LEVEL; ++i) {
+            var format = ordered ? NUMBER_FORMATS[i % NUMBER_FORMATS.length] :
+                'bullet';
+            var text = ordered ? '%' + (i + 1) + '.' :
+                BULLETS[i % BULLETS.length];
+
+            xml += '<w:lvl w:ilvl="' + i + '"><w:start w:val="1"/>' +
+                '<w:numFmt w:val="' + format + '"/><w:lvlText w:val="' +
+                text + '"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="' +
+                (LIST_INDENT * (i + 1)) + '" w:hanging="' + LIST_HANGING +
+                '"/></w:pPr></w:lvl>';
+        }
+
+        return xml;
+    }
+
+    var xml = [ false, true ].map(function (ordered, i) {
+        return '<w:abstractNum w:abstractNumId="' + i + '">' +
+            '<w:multiLevelType w:val="multilevel"/>' + levels(ordered) +
+            '</w:abstractNum>';
+    }).join('');
+
+    xml += lists.map(function (list, i) {
+        return '<w:num w:numId="' + (i + 1) + '"><w:abstractNumId w:val="' +
+            (list.ordered ? 1 : 0) + '"/><w:lvlOverride w:ilvl="' +
+            list.level + '"><w:startOverride w:val="1"/></w:lvlOverride>' +
+            '</w:num>';
+    }).join('');
+
+    return XML_DECL + '<w:numbering xmlns:w="' + NS_MAIN + '">' + xml +
+        '</w:numbering>';
+}
+
+/*
+ * Create a run holding "str", with the run properties in "rPr". Tabs are
+ * written as their own elements, since <w:t> treats them as spaces.
+ */
+function run(str, rPr) {
+    return '<w:r>' + rPr + str.split('\t').map(function (part) {
+        return part === '' ? '' :
+            '<w:t xml:space="preserve">' + escapeXML(part) + '</w:t>';
+    }).join('<w:tab/>') + '</w:r>';
+}
+
+/*
+ * Renders the tree returned by parse() as a Word document, returning the
+ * .docx package as a Buffer. The following options can be given:
+ *
+ * - "formatMention", a function that returns the text to use for a
+ *   mention of the given username
+ * - "formatAttachmentLink", a function that returns the URL to link an
+ *   attachment's filename to, or null to write out its text without a link
+ * - "formatEmbedded", a function that returns the text to use in place of
+ *   an embedded attachment
+ */
+function DOCXRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.dx_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    assert.func(this.dx_ops.formatMention, 'ops.formatMention');
+    assert.func(this.dx_ops.formatAttachmentLink, 'ops.formatAttachmentLink');
+    assert.func(this.dx_ops.formatEmbedded, 'ops.formatEmbedded');
+
+    /*
+     * The targets of the document's hyperlinks, and the lists that need
+     * numbering instances, in the order that they were found.
+     */
+    this.dx_links = [];
+    this.dx_lists = [];
+
+    /*
+     * The formatting that the blocks and runs we're within apply to the
+     * paragraphs and runs inside of them, and how deeply nested within
+     * lists we are.
+     */
+    this.dx_para = {};
+    this.dx_run = {};
+    this.dx_level = -1;
+
+    /*
+     * The numbering for the current list item, which is given to the
+     * first paragraph written within it.
+     */
+    this.dx_numbering = null;
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(DOCXRenderer, mod_renderer.Renderer);
+
+/*
+ * Call "func" with the paragraph or run formatting ("field") extended by
+ * "changes", restoring it afterwards.
+ */
+DOCXRenderer.prototype.within = function (field, changes, func) {
+    var saved = this[field];
+
+    this[field] = mod_jsprim.mergeObjects(changes, null, saved);
+
+    try {
+        return func();
+    } finally {
+        this[field] = saved;
+    }
+};
+
+DOCXRenderer.prototype.renderContents = function (node) {
+    return this.renderChildren(node).join('');
+};
+
+/*
+ * Render the blocks within "node", with "changes" made to the formatting
+ * of their paragraphs.
+ */
+DOCXRenderer.prototype.renderBlocks = function (node, changes) {
+    var self = this;
+
+    return this.within('dx_para', changes, function () {
+        return self.renderContents(node);
+    });
+};
+
+/*
+ * Render the inline contents of "node", with "changes" made to the
+ * formatting of their runs.
+ */
+DOCXRenderer.prototype.renderRuns = function (node, changes) {
+    var self = this;
+
+    return this.within('dx_run', changes, function () {
+        return self.renderContents(node);
+    });
+};
+
+/*
+ * Build the paragraph properties for a paragraph in "pStyle" (or the style
+ * that the blocks we're within give it, when null), along with the borders,
+ * shading, indentation and numbering that those blocks apply.
+ */
+DOCXRenderer.prototype.renderPPr = function (pStyle, keepNext) {
+    var para = this.dx_para;
+    var xml = '';
+
+    pStyle = pStyle || para.style;
+
+    if (pStyle) {
+        xml += '<w:pStyle w:val="' + pStyle + '"/>';
+    }
+
+    if (keepNext) {
+        xml += '<w:keepNext/>';
+    }
+
+    if (this.dx_numbering !== null) {
+        xml += '<w:numPr><w:ilvl w:val="' + this.dx_numbering.level +
+            '"/><w:numId w:val="' + this.dx_numbering.numId + '"/></w:numPr>';
+    }
+
+    if (para.border) {
+        xml += para.border;
+    }
+
+    if (para.fill) {
+        xml += shading(para.fill);
+    }
+
+    if (this.dx_numbering === null && para.indent) {
+        xml += '<w:ind w:left="' + para.indent + '"/>';
+    }
+
+    this.dx_numbering = null;
+
+    return xml === '' ? '' : '<w:pPr>' + xml + '</w:pPr>';
+};
+
+/*
+ * Build the run properties for the text effects that we're within.
+ */
+DOCXRenderer.prototype.renderRPr = function () {
+    var props = this.dx_run;
+    var xml = '';
+
+    if (props.link) {
+        xml += '<w:rStyle w:val="Hyperlink"/>';
+    } else if (props.code) {
+        xml += '<w:rStyle w:val="CodeChar"/>';
+    }
+
+    if (props.bold) {
+        xml += '<w:b/>';
+    }
+
+    if (props.italic) {
+        xml += '<w:i/>';
+    }
+
+    if (props.strike) {
+        xml += '<w:strike/>';
+    }
+
+    if (props.color) {
+        xml += '<w:color w:val="' + props.color + '"/>';
+    }
+
+    if (props.underline) {
+        xml += '<w:u w:val="single"/>';
+    }
+
+    if (props.vertAlign) {
+        xml += '<w:vertAlign w:val="' + props.vertAlign + '"/>';
+    }
+
+    return xml === '' ? '' : '<w:rPr>' + xml + '</w:rPr>';
+};
+
+DOCXRenderer.prototype.renderParagraph = function (pStyle, runs, keepNext) {
+    return '<w:p>' + this.renderPPr(pStyle, keepNext) + runs + '</w:p>';
+};
+
+DOCXRenderer.prototype.renderText = function (str) {
+    return run(str, this.renderRPr());
+};
+
+/*
+ * Blocks that can have a title get it written as a paragraph above them,
+ * kept on the same page as the block.
+ */
+DOCXRenderer.prototype.renderTitle = function (node, pStyle) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return '';
+    }
+
+    return this.renderParagraph(pStyle,
+        run(decodeEntities(node.options.title), ''), true);
+};
+
+/*
+ * {code} and {noformat} blocks are written as a single paragraph, with a
+ * line break between each line, so that Word keeps them together in one
+ * box.
+ */
+DOCXRenderer.prototype.renderCode = function (node) {
+    var lines = node.value.replace(TRAILING_NL_RE, '').split(NEWLINE_RE);
+    var runs = lines.map(function (line) {
+        return run(line, '');
+    }).join('<w:r><w:br/></w:r>');
+
+    return this.renderTitle(node, 'CodeTitle') +
+        this.renderParagraph('Code', runs, false);
+};
+
+/*
+ * Write a hyperlink to "href" around the inline contents of "node".
+ */
+DOCXRenderer.prototype.renderLink = function (href, node) {
+    var id = 'rId' + (RID_FIRST_LINK + this.dx_links.length);
+
+    this.dx_links.push(decodeEntities(href));
+
+    return '<w:hyperlink r:id="' + id + '" w:history="1">' +
+        this.renderRuns(node, { link: true }) + '</w:hyperlink>';
+};
+
+/*
+ * Write out the numbering that the current list item is waiting to give to
+ * a paragraph, as an empty paragraph of its own. This is needed for items
+ * that start with a nested list or a table, and items that are empty.
+ */
+DOCXRenderer.prototype.flushNumbering = function () {
+    if (this.dx_numbering === null) {
+        return '';
+    }
+
+    return this.renderParagraph(null, '', false);
+};
+
+/*
+ * Each cell of a table must end with a paragraph, even when it's empty or
+ * holds a table of its own.
+ */
+DOCXRenderer.prototype.renderCell = function (node, width) {
+    var self = this;
+    var tcPr = '<w:tcW w:w="' + width + '" w:type="dxa"/>';
+    var contents = '';
+
+    if (node !== null) {
+        if (node.header) {
+            tcPr += shading(HEADER_FILL);
+        }
+
+        contents = this.within('dx_para', { style: null, border: null,
+            fill: null, indent: 0 }, function () {
+            return self.renderRuns(node, { bold: node.header });
+        });
+    }
+
+    if (!PARAGRAPH_END_RE.test(contents)) {
+        contents += '<w:p/>';
+    }
+
+    return '<w:tc><w:tcPr>' + tcPr + '</w:tcPr>' + contents + '</w:tc>';
+};
+
+DOCXRenderer.prototype.document = function (node) {
+    this.dx_links = [];
+    this.dx_lists = [];
+
+    var body = this.renderContents(node);
+    if (body === '') {
+        body = '<w:p/>';
+    }
+
+    var xml = XML_DECL + '<w:document xmlns:w="' + NS_MAIN +
+        '" xmlns:r="' + NS_RELS + '"><w:body>' + body +
+        '<w:sectPr><w:pgSz w:w="' + PAGE_WIDTH + '" w:h="' + PAGE_HEIGHT +
+        '"/><w:pgMar w:top="' + PAGE_MARGIN + '" w:right="' + PAGE_MARGIN +
+        '" w:bottom="' + PAGE_MARGIN + '" w:left="' + PAGE_MARGIN +
+        '" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>';
+
+    return mod_zip.createZip([
+        { name: '[Content_Types].xml', data: contentTypes() },
+        { name: '_rels/.rels', data: packageRels() },
+        { name: 'word/document.xml', data: xml },
+        { name: 'word/_rels/document.xml.rels',
+            data: documentRels(this.dx_links) },
+        { name: 'word/styles.xml', data: styles() },
+        { name: 'word/numbering.xml', data: numbering(this.dx_lists) }
+    ]);
+};
+
+DOCXRenderer.prototype.paragraph = function (node) {
+    return this.renderParagraph(null, this.renderContents(node),
+        false);
+};
+
+DOCXRenderer.prototype.heading = function (node) {
+    return this.renderParagraph('Heading' + node.level,
+        this.renderContents(node), false);
+};
+
+DOCXRenderer.prototype.blockquote = function (node) {
+    return this.renderParagraph('Quote', this.renderContents(node),
+        false);
+};
+
+DOCXRenderer.prototype.quote = function (node) {
+    return this.renderBlocks(node, { style: 'Quote' });
+};
+
+/*
+ * Panels are drawn by giving each of their paragraphs the same border and
+ * shading, taken from the panel's options where they're valid.
+ */
+DOCXRenderer.prototype.panel = function (node) {
+    var self = this;
+    var options = node.options;
+    var fill = hexColor(options.bgColor) || PANEL_FILL;
+    var titleFill = hexColor(options.titleBGColor) || fill;
+    var color = hexColor(options.borderColor) || PANEL_BORDER;
+    var borderStyle = typeof (options.borderStyle) === 'string' &&
+        mod_jsprim.hasKey(BORDER_STYLES, options.borderStyle) ?
+        BORDER_STYLES[options.borderStyle] : 'single';
+    var m = typeof (options.borderWidth) === 'string' ?
+        BORDER_WIDTH_RE.exec(options.borderWidth) : null;
+    /* A pixel is three quarters of a point, or six eighths. */
+    var size = m === null ? 4 : Math.max(2, Math.min(96, 6 * Number(m[1])));
+    var border = paragraphBorder(borderStyle, size, color);
+
+    var title = this.within('dx_para', { border: border, fill: titleFill },
+        function () {
+        return self.renderTitle(node, 'PanelTitle');
+    });
+
+    return title + this.renderBlocks(node, { border: border, fill: fill });
+};
+
+DOCXRenderer.prototype.code = function (node) {
+    return this.renderCode(node);
+};
+
+DOCXRenderer.prototype.noformat = function (node) {
+    return this.renderCode(node);
+};
+
+/*
+ * Each list gets its own numbering instance, whose level is how deeply the
+ * list is nested. Paragraphs within the list's items are indented to line
+ * up with the text after the bullets.
+ */
+DOCXRenderer.prototype.list = function (node) {
+    var self = this;
+    var level = Math.min(this.dx_level + 1, MAX_LIST_LEVEL);
+    var numId = this.dx_lists.length + 1;
+    var pending = this.flushNumbering();
+
+    this.dx_lists.push({ ordered: node.ordered, level: level });
+
+    var saved = this.dx_level;
+    this.dx_level = level;
+
+    try {
+        return pending + this.within('dx_para', {
+            style: this.dx_para.style || 'ListParagraph',
+            indent: LIST_INDENT * (level + 1)
+        }, function () {
+            return node.children.map(function (item) {
+                self.dx_numbering = { numId: numId, level: level };
+                return self.render(item) + self.flushNumbering();
+            }).join('');
+        });
+    } finally {
+        this.dx_level = saved;
+    }
+};
+
+DOCXRenderer.prototype.listItem = function (node) {
+    return this.renderContents(node);
+};
+
+/*
+ * Rows made up of header cells are marked as header rows, which Word
+ * repeats at the top of each page that the table continues onto.
+ */
+DOCXRenderer.prototype.table = function (node) {
+    var self = this;
+    var columns = 1;
+
+    node.children.forEach(function (row) {
+        columns = Math.max(columns, row.children.length);
+    });
+
+    var pending = this.flushNumbering();
+    var indent = this.dx_para.indent || 0;
+    var width = Math.floor((TABLE_WIDTH - indent) / columns);
+    var grid = repeat('<w:gridCol w:w="' + width + '"/>', columns);
+
+    var rows = node.children.map(function (row) {
+        var header = row.children.length > 0 &&
+            row.children.every(function (cell) {
+            return cell.header;
+        });
+        var cells = '';
+
+        for (var i = 0; i < columns; ++i) {
+            cells += self.renderCell(i < row.children.length ?
+                row.children[i] : null, width);
+        }
+
+        return '<w:tr>' + (header ? '<w:trPr><w:tblHeader/></w:trPr>' : '') +
+            cells + '</w:tr>';
+    }).join('');
+
+    return pending + '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/>' +
+        '<w:tblW w:w="' + (width * columns) + '" w:type="dxa"/>' +
+        (indent > 0 ? '<w:tblInd w:w="' + indent + '" w:type="dxa"/>' : '') +
+        '<w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" ' +
+        'w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/>' +
+        '</w:tblPr><w:tblGrid>' + grid + '</w:tblGrid>' + rows + '</w:tbl>';
+};
+
+DOCXRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+DOCXRenderer.prototype.tableCell = function (node) {
+    return this.render({ type: 'table', children: [
+        { type: 'tableRow', children: [ node ] } ] });
+};
+
+DOCXRenderer.prototype.text = function (node) {
+    return this.renderText(node.value);
+};
+
+DOCXRenderer.prototype.entity = function (node) {
+    return this.renderText(node.value);
+};
+
+DOCXRenderer.prototype.lineBreak = function (_) {
+    return '<w:r><w:br/></w:r>';
+};
+
+DOCXRenderer.prototype.strong = function (node) {
+    return this.renderRuns(node, { bold: true });
+};
+
+DOCXRenderer.prototype.emphasis = function (node) {
+    return this.renderRuns(node, { italic: true });
+};
+
+DOCXRenderer.prototype.citation = function (node) {
+    return this.renderRuns(node, { italic: true });
+};
+
+DOCXRenderer.prototype.subscript = function (node) {
+    return this.renderRuns(node, { vertAlign: 'subscript' });
+};
+
+DOCXRenderer.prototype.superscript = function (node) {
+    return this.renderRuns(node, { vertAlign: 'superscript' });
+};
+
+DOCXRenderer.prototype.deleted = function (node) {
+    return this.renderRuns(node, { strike: true });
+};
+
+DOCXRenderer.prototype.inserted = function (node) {
+    return this.renderRuns(node, { underline: true });
+};
+
+DOCXRenderer.prototype.monospace = function (node) {
+    return this.renderRuns(node, { code: true });
+};
+
+/*
+ * Colors that we don't know are dropped, keeping the text.
+ */
+DOCXRenderer.prototype.color = function (node) {
+    var color = hexColor(node.color);
+
+    if (color === null) {
+        return this.renderContents(node);
+    }
+
+    return this.renderRuns(node, { color: color });
+};
+
+DOCXRenderer.prototype.link = function (node) {
+    return this.renderLink(node.href, node);
+};
+
+DOCXRenderer.prototype.attachment = function (node) {
+    var href = this.dx_ops.formatAttachmentLink(node.filename);
+
+    if (href === null) {
+        return this.renderContents(node);
+    }
+
+    return this.renderLink(href, node);
+};
+
+DOCXRenderer.prototype.embed = function (node) {
+    return this.renderText(this.dx_ops.formatEmbedded(node.src,
+        node.options));
+};
+
+DOCXRenderer.prototype.mention = function (node) {
+    return this.renderText(this.dx_ops.formatMention(node.username));
+};
+
+module.exports = {
+    DOCXRenderer: DOCXRenderer
+};
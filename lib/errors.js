@@ -0,0 +1,87 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_position = require('./position');
+var mod_util = require('util');
+
+/*
+ * How many characters to show on either side of the problem when the
+ * offending line is too long to show in full.
+ */
+var EXCERPT_CONTEXT = 40;
+
+function formatExpected(expected) {
+    if (expected.length === 0) {
+        return 'unexpected input';
+    }
+
+    if (expected.length === 1) {
+        return 'expected ' + expected[0];
+    }
+
+    return 'expected ' + expected.slice(0, -1).join(', ') +
+        ' or ' + expected[expected.length - 1];
+}
+
+/*
+ * Show the line that contains the problem, with a caret underneath the
+ * column where it occurred. Tabs are kept in the padding so that the caret
+ * lines up in terminals.
+ */
+function createExcerpt(line, column) {
+    var start = Math.max(0, column - 1 - EXCERPT_CONTEXT);
+    var end = Math.min(line.length, column - 1 + EXCERPT_CONTEXT);
+    var prefix = start > 0 ? '...' : '';
+    var suffix = end < line.length ? '...' : '';
+    var pad = prefix + line.slice(start, column - 1);
+
+    return prefix + line.slice(start, end) + suffix + '\n' +
+        pad.replace(/[^\t]/g, ' ') + '^';
+}
+
+/*
+ * Thrown when some markup can't be parsed. The "failure" is the farthest
+ * position that the parser reached in "str", and what it expected to find
+ * there.
+ */
+function JIRAParseError(str, failure) {
+    assert.string(str, 'str');
+    assert.object(failure, 'failure');
+    assert.number(failure.offset, 'failure.offset');
+    assert.arrayOfString(failure.expected, 'failure.expected');
+
+    var offset = Math.min(Math.max(failure.offset, 0), str.length);
+    var point = mod_position.createLocator(str)(offset);
+    var lineStart = offset - point.column + 1;
+    var lineEnd = str.slice(lineStart).search(/\r|\n|$/) + lineStart;
+    var where = offset === str.length ? 'the end of the input' :
+        'line ' + point.line + ', column ' + point.column;
+
+    this.offset = offset;
+    this.line = point.line;
+    this.column = point.column;
+    this.expected = failure.expected.slice();
+    this.excerpt = createExcerpt(str.slice(lineStart, lineEnd),
+        point.column);
+    this.message = 'failed to parse input at ' + where + ': ' +
+        formatExpected(this.expected) + '\n' + this.excerpt;
+
+    Error.captureStackTrace(this, JIRAParseError);
+}
+mod_util.inherits(JIRAParseError, Error);
+
+JIRAParseError.prototype.name = 'JIRAParseError';
+
+module.exports = {
+    JIRAParseError: JIRAParseError
+};
@@ -0,0 +1,1017 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_strings = require('./strings');
+
+var decodeEntities = mod_strings.decodeEntities;
+
+/*
+ * This file parses HTML into a tree of the same form as the one returned by
+ * parse(), so that it can be written out as JIRA markup. It is meant for the
+ * HTML produced by rich text editors and email clients, as well as the HTML
+ * that markupToHTML() produces (including the <div> structure it uses for
+ * panels and code blocks), rather than for arbitrary web pages.
+ *
+ * Parsing happens in two passes: the input is first read into a simple tree
+ * of elements and text, using a few of the HTML specification's rules for
+ * closing elements whose end tags were left out (like <p> and <li>), and
+ * that tree is then converted into JIRA nodes. Elements that JIRA has no
+ * equivalent for are replaced with their contents.
+ */
+
+/* BEGIN JSSTYLED */
+var ATTRIBUTE = /[^\s/>"'=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/.source;
+var START_TAG_RE = new RegExp(
+    '^<([a-zA-Z][^\\s/>]*)((?:\\s+' + ATTRIBUTE + ')*)\\s*/?>');
+var END_TAG_RE = /^<\/([a-zA-Z][^\s/>]*)[^>]*>/;
+var ATTR_RE = /([^\s/>"'=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+var SPACES_RE = /[ \t\n\r\f]+/g;
+var HEX_COLOR_RE = /^#[0-9a-f]{6}$/;
+var SHORT_COLOR_RE = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/;
+var RGB_COLOR_RE = /^rgba?\(\s*([0-9]+)\s*,\s*([0-9]+)\s*,\s*([0-9]+)/;
+var NAMED_COLOR_RE = /^[a-z]+$/;
+var LANGUAGE_RE = /^(?:code|lang|language)-([a-zA-Z0-9_+#-]+)$/;
+/* END JSSTYLED */
+
+/*
+ * How deeply elements can be nested. Elements nested any deeper are ignored,
+ * and their contents are added to the element around them.
+ */
+var MAX_DEPTH = 100;
+
+/* Elements that never have contents or an end tag. */
+var VOID_TAGS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+    'meta', 'param', 'source', 'track', 'wbr'
+];
+
+/* Elements whose contents are text, rather than HTML. */
+var RAW_TAGS = [ 'script', 'style', 'textarea', 'title', 'xmp' ];
+
+/* Elements that are dropped along with their contents. */
+var SKIPPED_TAGS = [ 'head', 'script', 'style', 'template', 'title' ];
+
+/* Elements that break up the text around them into separate blocks. */
+var BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'center',
+    'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'header', 'hgroup', 'hr', 'html', 'li', 'main', 'menu', 'nav', 'ol',
+    'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+    'thead', 'tr', 'ul'
+];
+
+var HEADING_TAGS = [ 'h1', 'h2', 'h3', 'h4', 'h5', 'h6' ];
+var LIST_TAGS = [ 'dir', 'menu', 'ol', 'ul' ];
+var SECTION_TAGS = [ 'tbody', 'tfoot', 'thead' ];
+
+/* Elements whose start tag closes an open <p>. */
+var P_CLOSERS = [
+    'address', 'article', 'aside', 'blockquote', 'center', 'details',
+    'dialog', 'dir', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+    'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+    'table', 'ul'
+];
+var P_SCOPE = [ 'button', 'caption', 'html', 'table', 'td', 'th' ];
+
+/*
+ * The elements closed by the start tag of another element when their end
+ * tags are left out, as long as they're open within the nearest of the
+ * "within" elements.
+ */
+var IMPLIED_ENDS = {
+    li: { closes: [ 'li' ], within: LIST_TAGS.concat([ 'table' ]) },
+    dt: { closes: [ 'dd', 'dt' ], within: [ 'dl', 'table' ] },
+    dd: { closes: [ 'dd', 'dt' ], within: [ 'dl', 'table' ] },
+    tr: { closes: [ 'tr' ], within: SECTION_TAGS.concat([ 'table' ]) },
+    td: { closes: [ 'td', 'th' ], within: [ 'table', 'tr' ] },
+    th: { closes: [ 'td', 'th' ], within: [ 'table', 'tr' ] },
+    thead: { closes: SECTION_TAGS, within: [ 'table' ] },
+    tbody: { closes: SECTION_TAGS, within: [ 'table' ] },
+    tfoot: { closes: SECTION_TAGS, within: [ 'table' ] }
+};
+
+HEADING_TAGS.forEach(function (tag) {
+    IMPLIED_ENDS[tag] = { closes: HEADING_TAGS, within: P_SCOPE };
+});
+
+/* The JIRA nodes for elements that format text. */
+var INLINE_TYPES = {
+    b: 'strong',
+    cite: 'citation',
+    code: 'monospace',
+    del: 'deleted',
+    dfn: 'emphasis',
+    em: 'emphasis',
+    i: 'emphasis',
+    ins: 'inserted',
+    kbd: 'monospace',
+    s: 'deleted',
+    samp: 'monospace',
+    strike: 'deleted',
+    strong: 'strong',
+    sub: 'subscript',
+    sup: 'superscript',
+    tt: 'monospace',
+    u: 'inserted',
+    var: 'emphasis'
+};
+
+/* CSS color values that don't name a color. */
+var COLOR_KEYWORDS = [
+    'currentcolor', 'inherit', 'initial', 'transparent', 'unset', 'windowtext'
+];
+
+/* The text around the filenames of embeds in markupToHTML()'s output. */
+var EMBED_PREFIX = '[Attachment: ';
+var EMBED_SUFFIX = ']';
+
+
+// --- Reading HTML
+
+function isElement(node, tags) {
+    return mod_jsprim.hasKey(node, 'tag') &&
+        (tags === undefined || tags.indexOf(node.tag) !== -1);
+}
+
+function parseAttributes(str) {
+    var attrs = {};
+    var m;
+
+    ATTR_RE.lastIndex = 0;
+    while ((m = ATTR_RE.exec(str)) !== null) {
+        var name = m[1].toLowerCase();
+        var value = m[2] || m[3] || m[4] || '';
+        if (!mod_jsprim.hasKey(attrs, name)) {
+            attrs[name] = decodeEntities(value);
+        }
+    }
+
+    return attrs;
+}
+
+/*
+ * Reads HTML into a tree of elements, which look like:
+ *
+ *     { tag: 'a', attrs: { href: 'http://example.com' }, children: [ ... ] }
+ *
+ * and text nodes, which look like { text: 'Example' }, with any entities
+ * already decoded.
+ */
+function TreeBuilder(str) {
+    this.tb_str = str;
+    this.tb_lower = str.toLowerCase();
+    this.tb_pos = 0;
+    this.tb_root = { tag: '#root', attrs: {}, children: [] };
+    this.tb_stack = [ this.tb_root ];
+}
+
+TreeBuilder.prototype.current = function () {
+    return this.tb_stack[this.tb_stack.length - 1];
+};
+
+TreeBuilder.prototype.pushText = function (str) {
+    var children = this.current().children;
+    var last = children[children.length - 1];
+
+    if (str === '') {
+        return;
+    }
+
+    if (last !== undefined && !isElement(last)) {
+        last.text += str;
+    } else {
+        children.push({ text: str });
+    }
+};
+
+/*
+ * Close the open element with one of the names in "tags", if there is one
+ * before the nearest of the elements named in "within".
+ */
+TreeBuilder.prototype.closeImplied = function (tags, within) {
+    for (var i = this.tb_stack.length - 1; i > 0; --i) {
+        var tag = this.tb_stack[i].tag;
+        if (tags.indexOf(tag) !== -1) {
+            this.tb_stack.length = i;
+            return;
+        }
+        if (within.indexOf(tag) !== -1) {
+            return;
+        }
+    }
+};
+
+TreeBuilder.prototype.startTag = function (tag, attrs) {
+    if (P_CLOSERS.indexOf(tag) !== -1) {
+        this.closeImplied([ 'p' ], P_SCOPE);
+    }
+
+    if (mod_jsprim.hasKey(IMPLIED_ENDS, tag)) {
+        this.closeImplied(IMPLIED_ENDS[tag].closes, IMPLIED_ENDS[tag].within);
+    }
+
+    if (this.tb_stack.length > MAX_DEPTH && RAW_TAGS.indexOf(tag) === -1) {
+        return;
+    }
+
+    var element = { tag: tag, attrs: attrs, children: [] };
+    this.current().children.push(element);
+
+    if (VOID_TAGS.indexOf(tag) !== -1) {
+        return;
+    }
+
+    if (RAW_TAGS.indexOf(tag) !== -1) {
+        var end = this.tb_lower.indexOf('</' + tag, this.tb_pos);
+        if (end === -1) {
+            end = this.tb_str.length;
+        }
+        var contents = this.tb_str.slice(this.tb_pos, end);
+        if (contents !== '') {
+            element.children.push({ text: decodeEntities(contents) });
+        }
+        this.tb_pos = end;
+        return;
+    }
+
+    this.tb_stack.push(element);
+};
+
+/*
+ * Close the most recently opened element named "tag", along with any
+ * elements opened within it. End tags that don't match an open element are
+ * ignored.
+ */
+TreeBuilder.prototype.endTag = function (tag) {
+    for (var i = this.tb_stack.length - 1; i > 0; --i) {
+        if (this.tb_stack[i].tag === tag) {
+            this.tb_stack.length = i;
+            return;
+        }
+    }
+};
+
+TreeBuilder.prototype.parse = function () {
+    var str = this.tb_str;
+    var m;
+
+    while (this.tb_pos < str.length) {
+        var lt = str.indexOf('<', this.tb_pos);
+        if (lt === -1) {
+            lt = str.length;
+        }
+
+        this.pushText(decodeEntities(str.slice(this.tb_pos, lt)));
+        this.tb_pos = lt;
+
+        if (lt === str.length) {
+            break;
+        }
+
+        var rest = str.slice(lt);
+        var end;
+
+        if (rest.slice(0, 4) === '<!--') {
+            end = str.indexOf('-->', lt + 4);
+            this.tb_pos = end === -1 ? str.length : end + 3;
+        } else if (/^<[!?]/.test(rest)) {
+            /* Doctypes, CDATA sections and processing instructions */
+            end = str.indexOf('>', lt);
+            this.tb_pos = end === -1 ? str.length : end + 1;
+        } else if ((m = START_TAG_RE.exec(rest)) !== null) {
+            this.tb_pos += m[0].length;
+            this.startTag(m[1].toLowerCase(), parseAttributes(m[2]));
+        } else if ((m = END_TAG_RE.exec(rest)) !== null) {
+            this.tb_pos += m[0].length;
+            this.endTag(m[1].toLowerCase());
+        } else {
+            this.pushText('<');
+            this.tb_pos += 1;
+        }
+    }
+
+    return this.tb_root;
+};
+
+
+// --- Helpers for reading elements
+
+function attribute(node, name) {
+    if (!mod_jsprim.hasKey(node.attrs, name)) {
+        return null;
+    }
+
+    return node.attrs[name].trim();
+}
+
+function classNames(node) {
+    var names = attribute(node, 'class');
+
+    return names === null ? [] : names.split(/\s+/).filter(function (name) {
+        return name !== '';
+    });
+}
+
+/*
+ * Parse an element's "style" attribute into an object mapping (lowercase)
+ * property names to their values.
+ */
+function parseStyle(node) {
+    var style = {};
+    var str = attribute(node, 'style');
+
+    if (str === null) {
+        return style;
+    }
+
+    str.split(';').forEach(function (decl) {
+        var idx = decl.indexOf(':');
+        if (idx !== -1) {
+            style[decl.slice(0, idx).trim().toLowerCase()] = decl
+                .slice(idx + 1).replace(/!important/i, '').trim()
+                .toLowerCase();
+        }
+    });
+
+    return style;
+}
+
+/*
+ * Convert a CSS color value into one that can be used with {color}: either
+ * a name, or "#rrggbb". Returns null for values that aren't colors.
+ */
+function parseColor(str) {
+    var color = str.trim().toLowerCase();
+    var m;
+
+    if (HEX_COLOR_RE.test(color)) {
+        return color;
+    }
+
+    if ((m = SHORT_COLOR_RE.exec(color)) !== null) {
+        return '#' + m[1] + m[1] + m[2] + m[2] + m[3] + m[3];
+    }
+
+    if ((m = RGB_COLOR_RE.exec(color)) !== null) {
+        return '#' + m.slice(1, 4).map(function (value) {
+            var hex = Math.min(parseInt(value, 10), 255).toString(16);
+            return hex.length === 1 ? '0' + hex : hex;
+        }).join('');
+    }
+
+    if (NAMED_COLOR_RE.test(color) && COLOR_KEYWORDS.indexOf(color) === -1) {
+        return color;
+    }
+
+    return null;
+}
+
+/*
+ * Get the text within "node", with <br> elements as newlines, as the
+ * contents of <pre> elements are read.
+ */
+function textContent(node) {
+    if (!isElement(node)) {
+        return node.text;
+    }
+
+    if (node.tag === 'br') {
+        return '\n';
+    }
+
+    if (SKIPPED_TAGS.indexOf(node.tag) !== -1) {
+        return '';
+    }
+
+    return node.children.map(textContent).join('');
+}
+
+function findElement(node, test) {
+    for (var i = 0; i < node.children.length; ++i) {
+        var child = node.children[i];
+        if (isElement(child)) {
+            if (test(child)) {
+                return child;
+            }
+            var found = findElement(child, test);
+            if (found !== null) {
+                return found;
+            }
+        }
+    }
+
+    return null;
+}
+
+/*
+ * Returns whether "node" (or anything within it) is a block element.
+ */
+function containsBlock(node) {
+    if (!isElement(node)) {
+        return false;
+    }
+
+    if (BLOCK_TAGS.indexOf(node.tag) !== -1) {
+        return true;
+    }
+
+    return node.children.some(containsBlock);
+}
+
+
+// --- Converting inline elements
+
+function text(value) {
+    return { type: 'text', value: value };
+}
+
+function hasContent(nodes) {
+    return nodes.some(function (node) {
+        return node.type !== 'text' || node.value.trim() !== '';
+    });
+}
+
+function wrap(type, children) {
+    if (!hasContent(children)) {
+        return children;
+    }
+
+    return [ { type: type, children: children } ];
+}
+
+/*
+ * Wrap "children" in the formatting described by an element's "style"
+ * attribute, as written by editors that use <span> for everything.
+ */
+function applyStyle(style, children) {
+    function prop(name) {
+        return mod_jsprim.hasKey(style, name) ? style[name] : '';
+    }
+
+    var decoration = prop('text-decoration') + ' ' +
+        prop('text-decoration-line');
+
+    if (/^(bold|bolder|[6-9]00)$/.test(prop('font-weight'))) {
+        children = wrap('strong', children);
+    }
+    if (/^(italic|oblique)/.test(prop('font-style'))) {
+        children = wrap('emphasis', children);
+    }
+    if (decoration.indexOf('line-through') !== -1) {
+        children = wrap('deleted', children);
+    }
+    if (decoration.indexOf('underline') !== -1) {
+        children = wrap('inserted', children);
+    }
+    if (prop('vertical-align') === 'sub') {
+        children = wrap('subscript', children);
+    } else if (prop('vertical-align') === 'super') {
+        children = wrap('superscript', children);
+    }
+
+    var color = prop('color') === '' ? null : parseColor(prop('color'));
+    if (color !== null && hasContent(children)) {
+        children = [ { type: 'color', color: color, children: children } ];
+    }
+
+    return children;
+}
+
+function convertImage(node) {
+    var src = attribute(node, 'src');
+    var alt = attribute(node, 'alt');
+
+    /*
+     * Images that are inline data or parts of an email can't be linked to,
+     * so we use their alternative text instead.
+     */
+    if (src === null || src === '' || /^(data|cid):/i.test(src)) {
+        return alt === null || alt === '' ? [] : [ text(alt) ];
+    }
+
+    var options = [];
+    [ 'width', 'height' ].forEach(function (name) {
+        var value = attribute(node, name);
+        if (value !== null && /^[0-9]+$/.test(value)) {
+            options.push(name + '=' + value);
+        }
+    });
+
+    return [ { type: 'embed', src: src, options: options } ];
+}
+
+function convertLink(node, children) {
+    var href = attribute(node, 'href');
+
+    if (href === null || href === '' || href.charAt(0) === '#') {
+        return children;
+    }
+
+    var link = { type: 'link', href: href, children: children };
+
+    /* Links whose text is their URL can be written as just the URL. */
+    if (children.length === 1 && children[0].type === 'text' &&
+        children[0].value.trim() === href) {
+        link.bare = true;
+    }
+
+    return [ link ];
+}
+
+function convertInline(node) {
+    if (!isElement(node)) {
+        return [ text(node.text.replace(SPACES_RE, ' ')) ];
+    }
+
+    if (SKIPPED_TAGS.indexOf(node.tag) !== -1) {
+        return [];
+    }
+
+    if (node.tag === 'br') {
+        return [ { type: 'lineBreak' } ];
+    }
+
+    if (node.tag === 'img') {
+        return convertImage(node);
+    }
+
+    var children = convertInlines(node.children);
+    var style = parseStyle(node);
+
+    if (node.tag === 'a') {
+        return convertLink(node, children);
+    }
+
+    if (node.tag === 'span' || node.tag === 'font') {
+        if (node.tag === 'font' && attribute(node, 'color') !== null) {
+            style.color = attribute(node, 'color');
+        }
+        return applyStyle(style, children);
+    }
+
+    if (!mod_jsprim.hasKey(INLINE_TYPES, node.tag)) {
+        return children;
+    }
+
+    /*
+     * Google Docs wraps its documents in <b style="font-weight: normal">,
+     * which shouldn't make anything bold.
+     */
+    if (INLINE_TYPES[node.tag] === 'strong' && mod_jsprim.hasKey(style,
+        'font-weight') && /^(normal|[1-5]00)$/.test(style['font-weight'])) {
+        return children;
+    }
+
+    return wrap(INLINE_TYPES[node.tag], children);
+}
+
+/*
+ * Convert a list of inline elements. This also picks out the embeds in
+ * markupToHTML()'s output, which look like "[Attachment: <tt>a.png</tt>]".
+ */
+function convertInlines(nodes) {
+    var result = [];
+
+    nodes.forEach(function (node, i) {
+        var last = result[result.length - 1];
+        var next = nodes[i + 1];
+
+        if (isElement(node, [ 'tt' ]) && last !== undefined &&
+            last.type === 'text' &&
+            mod_jsprim.endsWith(last.value, EMBED_PREFIX) &&
+            next !== undefined && !isElement(next) &&
+            mod_jsprim.startsWith(next.text, EMBED_SUFFIX)) {
+            last.value = last.value.slice(0, -EMBED_PREFIX.length);
+            next.text = next.text.slice(EMBED_SUFFIX.length);
+            result.push({
+                type: 'embed',
+                src: textContent(node),
+                options: []
+            });
+            return;
+        }
+
+        result = result.concat(convertInline(node));
+    });
+
+    return result;
+}
+
+/*
+ * Collapse the whitespace in a run of inline nodes the way a browser would
+ * display it: runs of whitespace become a single space, and whitespace at
+ * the start and end of lines is removed. Text nodes are merged, and empty
+ * ones (along with any formatting left empty) are dropped.
+ */
+function collapseWhitespace(nodes) {
+    var space = true;
+    var last = null;
+
+    function trimLast() {
+        if (last !== null) {
+            last.value = last.value.replace(/ $/, '');
+        }
+    }
+
+    (function visit(children) {
+        children.forEach(function (node) {
+            if (node.type === 'text') {
+                if (space) {
+                    node.value = node.value.replace(/^ /, '');
+                }
+                if (node.value !== '') {
+                    space = node.value.charAt(node.value.length - 1) === ' ';
+                    last = node;
+                }
+            } else if (node.type === 'lineBreak') {
+                trimLast();
+                space = true;
+                last = null;
+            } else if (node.children !== undefined) {
+                visit(node.children);
+            } else {
+                space = false;
+                last = null;
+            }
+        });
+    })(nodes);
+
+    trimLast();
+
+    return (function prune(children) {
+        var pruned = [];
+
+        children.forEach(function (node) {
+            var prev = pruned[pruned.length - 1];
+
+            if (node.type === 'text') {
+                if (node.value === '') {
+                    return;
+                }
+                if (prev !== undefined && prev.type === 'text') {
+                    prev.value += node.value;
+                    return;
+                }
+            } else if (node.children !== undefined) {
+                node.children = prune(node.children);
+                if (node.children.length === 0 && node.type !== 'link') {
+                    return;
+                }
+            }
+
+            pruned.push(node);
+        });
+
+        return pruned;
+    })(nodes);
+}
+
+
+// --- Converting block elements
+
+function convertBlocks(nodes) {
+    var blocks = [];
+    var inline = [];
+
+    function flush() {
+        var children = collapseWhitespace(convertInlines(inline));
+        if (children.length > 0) {
+            blocks.push({ type: 'paragraph', children: children });
+        }
+        inline = [];
+    }
+
+    nodes.forEach(function (node) {
+        if (containsBlock(node)) {
+            flush();
+            blocks = blocks.concat(convertBlock(node));
+        } else {
+            inline.push(node);
+        }
+    });
+
+    flush();
+
+    return blocks;
+}
+
+/*
+ * Get the language of a <pre> element, or of the <code> element within it,
+ * from classes like "code-java" (as JIRA uses) or "language-js" (as many
+ * editors use).
+ */
+function codeLanguage(pre) {
+    var elements = [ pre ].concat(pre.children.filter(function (child) {
+        return isElement(child, [ 'code' ]);
+    }));
+    var language = null;
+
+    elements.forEach(function (element) {
+        classNames(element).forEach(function (name) {
+            var m = LANGUAGE_RE.exec(name);
+            if (m !== null && language === null) {
+                language = m[1].toLowerCase();
+            }
+        });
+    });
+
+    return language;
+}
+
+function preValue(pre) {
+    /* A newline right after "<pre>" is ignored. */
+    var value = textContent(pre).replace(/^\r?\n/, '');
+
+    if (value !== '' && !/\n$/.test(value)) {
+        value += '\n';
+    }
+
+    return value;
+}
+
+function convertPre(node) {
+    var language = codeLanguage(node);
+
+    if (language === null) {
+        return { type: 'noformat', options: {}, value: preValue(node) };
+    }
+
+    return {
+        type: 'code',
+        language: language,
+        options: {},
+        value: preValue(node)
+    };
+}
+
+/*
+ * Panels, {code} blocks and {noformat} blocks are written by markupToHTML()
+ * (and by JIRA itself) as a <div> with the "panel" class, containing a
+ * "panelHeader" <div> with the title and a "panelContent" <div>. Code blocks
+ * and {noformat} blocks have the "code" and "preformatted" classes, and
+ * their contents in a <pre>.
+ */
+function convertPanel(node) {
+    var names = classNames(node);
+    var header = null;
+    var content = null;
+
+    node.children.forEach(function (child) {
+        if (!isElement(child)) {
+            return;
+        }
+        classNames(child).forEach(function (name) {
+            if (header === null && /Header$/.test(name)) {
+                header = child;
+            } else if (content === null && /Content$/.test(name)) {
+                content = child;
+            }
+        });
+    });
+
+    var options = {};
+    if (header !== null) {
+        var title = textContent(header).replace(SPACES_RE, ' ').trim();
+        if (title !== '') {
+            options.title = title;
+        }
+    }
+
+    var children = content !== null ? content.children :
+        node.children.filter(function (child) {
+            return child !== header;
+        });
+
+    if (names.indexOf('code') === -1 &&
+        names.indexOf('preformatted') === -1) {
+        return { type: 'panel', options: options, children:
+            convertBlocks(children) };
+    }
+
+    var container = { tag: 'div', attrs: {}, children: children };
+    var pre = findElement(container, function (element) {
+        return element.tag === 'pre';
+    });
+    var value = pre === null ? textContent(container).trim() + '\n' :
+        preValue(pre);
+
+    if (value === '\n') {
+        value = '';
+    }
+
+    if (names.indexOf('code') === -1) {
+        return { type: 'noformat', options: options, value: value };
+    }
+
+    return {
+        type: 'code',
+        language: pre === null ? null : codeLanguage(pre),
+        options: options,
+        value: value
+    };
+}
+
+function convertList(node) {
+    var items = [];
+
+    node.children.forEach(function (child) {
+        var last = items[items.length - 1];
+
+        if (isElement(child, [ 'li' ])) {
+            items.push({
+                type: 'listItem',
+                children: convertBlocks(child.children)
+            });
+        } else if (last !== undefined) {
+            /*
+             * Editors often put nested lists directly inside of the outer
+             * list, rather than inside one of its items.
+             */
+            last.children = last.children.concat(convertBlocks([ child ]));
+        } else if (isElement(child) || child.text.trim() !== '') {
+            items.push({
+                type: 'listItem',
+                children: convertBlocks([ child ])
+            });
+        }
+    });
+
+    if (items.length === 0) {
+        return [];
+    }
+
+    var ordered = node.tag === 'ol';
+
+    return [ {
+        type: 'list',
+        ordered: ordered,
+        bullet: ordered ? '#' : '*',
+        children: items
+    } ];
+}
+
+/*
+ * Cells spanning several columns are followed by empty cells, so that the
+ * columns after them still line up.
+ */
+function convertRow(node, header) {
+    var cells = [];
+
+    node.children.forEach(function (child) {
+        if (!isElement(child, [ 'td', 'th' ])) {
+            return;
+        }
+
+        var isHeader = header || child.tag === 'th';
+        cells.push({
+            type: 'tableCell',
+            header: isHeader,
+            children: convertBlocks(child.children)
+        });
+
+        var span = parseInt(attribute(child, 'colspan'), 10);
+        for (var i = 1; i < span && i < 1000; ++i) {
+            cells.push({ type: 'tableCell', header: isHeader, children: [] });
+        }
+    });
+
+    return { type: 'tableRow', children: cells };
+}
+
+/*
+ * JIRA tables don't have captions, so a caption is written before the
+ * table. Cells in the <thead> become header cells.
+ */
+function convertTable(node) {
+    var blocks = [];
+    var rows = [];
+
+    (function collect(children, header) {
+        children.forEach(function (child) {
+            if (isElement(child, [ 'tr' ])) {
+                rows.push(convertRow(child, header));
+            } else if (isElement(child, SECTION_TAGS)) {
+                collect(child.children, child.tag === 'thead');
+            } else if (isElement(child, [ 'caption' ])) {
+                blocks = blocks.concat(convertBlocks(child.children));
+            }
+        });
+    })(node.children, false);
+
+    rows = rows.filter(function (row) {
+        return row.children.length > 0;
+    });
+
+    if (rows.length > 0) {
+        blocks.push({ type: 'table', children: rows });
+    }
+
+    return blocks;
+}
+
+/*
+ * Convert a <blockquote>. A blockquote holding a single line of text can be
+ * written as "bq.", while anything else needs a {quote} block.
+ */
+function convertQuote(node) {
+    var blocks = convertBlocks(node.children);
+
+    if (blocks.length === 0) {
+        return [];
+    }
+
+    if (blocks.length === 1 && blocks[0].type === 'paragraph' &&
+        blocks[0].children.every(function (child) {
+        return child.type !== 'lineBreak';
+    })) {
+        return [ { type: 'blockquote', children: blocks[0].children } ];
+    }
+
+    return [ { type: 'quote', children: blocks } ];
+}
+
+/*
+ * Headings can only hold a single line of text.
+ */
+function convertHeading(node) {
+    var children = collapseWhitespace(convertInlines(node.children)
+        .map(function (child) {
+        return child.type === 'lineBreak' ? text(' ') : child;
+    }));
+
+    if (children.length === 0) {
+        return [];
+    }
+
+    return [ {
+        type: 'heading',
+        level: parseInt(node.tag.charAt(1), 10),
+        children: children
+    } ];
+}
+
+/*
+ * Convert an element holding block elements into a list of blocks.
+ */
+function convertBlock(node) {
+    if (SKIPPED_TAGS.indexOf(node.tag) !== -1 || node.tag === 'hr') {
+        return [];
+    }
+
+    if (HEADING_TAGS.indexOf(node.tag) !== -1) {
+        return convertHeading(node);
+    }
+
+    if (LIST_TAGS.indexOf(node.tag) !== -1) {
+        return convertList(node);
+    }
+
+    switch (node.tag) {
+    case 'blockquote':
+        return convertQuote(node);
+    case 'pre':
+        return [ convertPre(node) ];
+    case 'table':
+        return convertTable(node);
+    case 'div':
+        if (classNames(node).indexOf('panel') !== -1) {
+            return [ convertPanel(node) ];
+        }
+        return convertBlocks(node.children);
+    default:
+        return convertBlocks(node.children);
+    }
+}
+
+
+// --- Entry point
+
+/*
+ * Parse the HTML in "str", returning a "document" node. Unlike the trees
+ * returned by parse(), the nodes don't have positions.
+ */
+function parseHTML(str) {
+    assert.string(str, 'str');
+
+    return {
+        type: 'document',
+        children: convertBlocks(new TreeBuilder(str).parse().children)
+    };
+}
+
+module.exports = {
+    parseHTML: parseHTML
+};
@@ -0,0 +1,397 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_ent = require('ent');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var escapeAroundEntities = mod_strings.escapeAroundEntities;
+var escapeHTML = mod_ent.encode;
+
+/* BEGIN JSSTYLED */
+var COLOR_RE = /^([a-z]+|#[a-f0-9]{6})$/i;
+var URL_ESCAPE_RE = /["'<>]/g;
+/* END JSSTYLED */
+
+/*
+ * The "#rrggbb" values of the color names most often used with {color}, for
+ * renderers that can't use the names themselves.
+ */
+var COLOR_NAMES = {
+    aqua: '#00ffff',
+    black: '#000000',
+    blue: '#0000ff',
+    brown: '#a52a2a',
+    cyan: '#00ffff',
+    darkblue: '#00008b',
+    darkgray: '#a9a9a9',
+    darkgreen: '#006400',
+    darkgrey: '#a9a9a9',
+    darkred: '#8b0000',
+    fuchsia: '#ff00ff',
+    gold: '#ffd700',
+    gray: '#808080',
+    green: '#008000',
+    grey: '#808080',
+    indigo: '#4b0082',
+    lightblue: '#add8e6',
+    lightgray: '#d3d3d3',
+    lightgreen: '#90ee90',
+    lightgrey: '#d3d3d3',
+    lime: '#00ff00',
+    magenta: '#ff00ff',
+    maroon: '#800000',
+    navy: '#000080',
+    olive: '#808000',
+    orange: '#ffa500',
+    pink: '#ffc0cb',
+    purple: '#800080',
+    red: '#ff0000',
+    silver: '#c0c0c0',
+    teal: '#008080',
+    violet: '#ee82ee',
+    white: '#ffffff',
+    yellow: '#ffff00'
+};
+
+function createPanelBlock(names, options, contents) {
+    var title = mod_jsprim.hasKey(options, 'title') ? options.title : null;
+    var html = '<div class="';
+    var i;
+
+    for (i = 0; i < names.length; ++i) {
+        html += names[i] + ' ';
+    }
+
+    html += '">\n';
+
+    if (title !== null) {
+        html += '<div class="';
+        for (i = 0; i < names.length; ++i) {
+            html += names[i] + 'Header ';
+        }
+        html += '"><b>' + title + '</b></div>\n';
+    }
+
+    html += '<div class="';
+    for (i = 0; i < names.length; ++i) {
+        html += names[i] + 'Content ';
+    }
+    html += '">\n' + contents + '\n</div>\n</div>';
+
+    return html;
+}
+
+var DEFAULT_OPS = {
+    formatParagraph: function formatParagraph(html) {
+        return '<p>' + html + '</p>';
+    },
+    formatHeading: function formatHeading(level, html) {
+        return '<h' + level + '>' + html + '</h' + level + '>';
+    },
+    formatBlockquote: function formatBlockquote(html) {
+        return '<blockquote>' + html + '</blockquote>';
+    },
+    formatQuote: function formatQuote(html) {
+        return '<blockquote>\n' + html + '\n</blockquote>';
+    },
+    formatPanel: function formatPanel(html, options) {
+        return createPanelBlock(['panel'], options, html);
+    },
+    formatCode: function formatCode(html, _language, options) {
+        return createPanelBlock(['code', 'panel'], options,
+            '<pre>' + html + '</pre>');
+    },
+    formatNoformat: function formatNoformat(html, options) {
+        return createPanelBlock(['preformatted', 'panel'], options,
+            '<pre>' + html + '</pre>');
+    },
+    formatList: function formatList(items, ordered) {
+        var tag = ordered ? 'ol' : 'ul';
+        return '<' + tag + '>\n' + items.join('\n') + '\n</' + tag + '>';
+    },
+    formatListItem: function formatListItem(html) {
+        return '<li>' + html + '</li>';
+    },
+    formatTable: function formatTable(rows) {
+        return '<table><tbody>\n' + rows.join('\n') + '\n</tbody></table>';
+    },
+    formatTableRow: function formatTableRow(cells) {
+        return '<tr>' + cells.join('') + '</tr>';
+    },
+    formatTableCell: function formatTableCell(html, header) {
+        var tag = header ? 'th' : 'td';
+        return '<' + tag + '>' + html + '</' + tag + '>';
+    },
+    formatColor: function formatColor(html, color) {
+        if (color === null) {
+            return '<span>' + html + '</span>';
+        }
+        return '<span style="color: ' + color + '">' + html + '</span>';
+    },
+    formatMonospace: function formatMonospace(html) {
+        return '<code>' + html + '</code>';
+    },
+    formatCitation: function formatCitation(html) {
+        return '<cite>' + html + '</cite>';
+    },
+    formatStrong: function formatStrong(html) {
+        return '<b>' + html + '</b>';
+    },
+    formatEmphasis: function formatEmphasis(html) {
+        return '<i>' + html + '</i>';
+    },
+    formatSubscript: function formatSubscript(html) {
+        return '<sub>' + html + '</sub>';
+    },
+    formatSuperscript: function formatSuperscript(html) {
+        return '<sup>' + html + '</sup>';
+    },
+    formatDeleted: function formatDeleted(html) {
+        return '<del>' + html + '</del>';
+    },
+    formatInserted: function formatInserted(html) {
+        return '<ins>' + html + '</ins>';
+    },
+    formatMention: function formatMention(username) {
+        return '@' + username;
+    },
+    formatLink: function formatLink(href, text) {
+        return '<a href="' + href + '">' + text + '</a>';
+    },
+    formatAttachmentLink: function formatLink(_href, text) {
+        return '<a href="#">' + text + '</a>';
+    },
+    formatEmbedded: function formatLink(href) {
+        return '[Attachment: <tt>' + escapeHTML(href) + '</tt>]';
+    }
+};
+
+/*
+ * Option values are kept as they were written, including any HTML entities,
+ * so we escape everything around the entities.
+ */
+function escapeOption(str) {
+    return escapeAroundEntities(str, escapeHTML);
+}
+
+/*
+ * Plugins can set a link's URL (or an attachment's filename) to anything,
+ * rather than only what the grammar accepts, so we escape the characters
+ * that could end the attribute or tag that it's written into. Ampersands
+ * are left alone, since they're allowed there, and the URL may already
+ * contain entities.
+ */
+function escapeURL(str) {
+    return str.replace(URL_ESCAPE_RE, function (c) {
+        return '&#' + c.charCodeAt(0) + ';';
+    });
+}
+
+function escapeOptions(options) {
+    var escaped = {};
+
+    mod_jsprim.forEachKey(options, function (key, value) {
+        escaped[escapeOption(key)] = escapeOption(value);
+    });
+
+    return escaped;
+}
+
+
+/*
+ * Renders the tree returned by parse() as HTML. The HTML for each element
+ * comes from the "format" functions in "ops" (see DEFAULT_OPS above for the
+ * full list, and their default output).
+ */
+function HTMLRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.hr_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(HTMLRenderer, mod_renderer.Renderer);
+
+/*
+ * The contents of list items and table cells are rendered without wrapping
+ * their paragraphs in <p> tags. Paragraphs and blocks are separated by
+ * "sep", as are the lines within each paragraph.
+ */
+HTMLRenderer.prototype.renderSegments = function (nodes, sep) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        if (node.type !== 'paragraph') {
+            return self.render(node);
+        }
+
+        return node.children.map(function (child) {
+            return child.type === 'lineBreak' ? sep : self.render(child);
+        }).join('');
+    }).join(sep);
+};
+
+HTMLRenderer.prototype.document = function (node) {
+    return this.renderChildren(node).join('\n');
+};
+
+HTMLRenderer.prototype.paragraph = function (node) {
+    return this.hr_ops.formatParagraph(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.heading = function (node) {
+    return this.hr_ops.formatHeading(node.level,
+        this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.blockquote = function (node) {
+    return this.hr_ops.formatBlockquote(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.quote = function (node) {
+    return this.hr_ops.formatQuote(this.renderChildren(node).join('\n'));
+};
+
+HTMLRenderer.prototype.panel = function (node) {
+    return this.hr_ops.formatPanel(this.renderChildren(node).join('\n'),
+        escapeOptions(node.options));
+};
+
+HTMLRenderer.prototype.code = function (node) {
+    var language = node.language === null ? null : escapeOption(node.language);
+
+    return this.hr_ops.formatCode(escapeHTML(node.value), language,
+        escapeOptions(node.options));
+};
+
+HTMLRenderer.prototype.noformat = function (node) {
+    return this.hr_ops.formatNoformat(escapeHTML(node.value),
+        escapeOptions(node.options));
+};
+
+HTMLRenderer.prototype.list = function (node) {
+    return this.hr_ops.formatList(this.renderChildren(node), node.ordered);
+};
+
+/*
+ * Nested lists come after the item's contents, each on its own line.
+ */
+HTMLRenderer.prototype.listItem = function (node) {
+    var self = this;
+    var contents = node.children.filter(function (child) {
+        return child.type !== 'list';
+    });
+    var html = self.renderSegments(contents, '<br />\n');
+
+    node.children.forEach(function (child) {
+        if (child.type === 'list') {
+            html += '\n' + self.render(child);
+        }
+    });
+
+    return this.hr_ops.formatListItem(html);
+};
+
+HTMLRenderer.prototype.table = function (node) {
+    return this.hr_ops.formatTable(this.renderChildren(node));
+};
+
+HTMLRenderer.prototype.tableRow = function (node) {
+    return this.hr_ops.formatTableRow(this.renderChildren(node));
+};
+
+HTMLRenderer.prototype.tableCell = function (node) {
+    return this.hr_ops.formatTableCell(
+        this.renderSegments(node.children, '<br />'), node.header);
+};
+
+HTMLRenderer.prototype.text = function (node) {
+    return escapeHTML(node.value);
+};
+
+HTMLRenderer.prototype.entity = function (node) {
+    return node.entity;
+};
+
+HTMLRenderer.prototype.lineBreak = function (_) {
+    return '<br />\n';
+};
+
+HTMLRenderer.prototype.strong = function (node) {
+    return this.hr_ops.formatStrong(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.emphasis = function (node) {
+    return this.hr_ops.formatEmphasis(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.citation = function (node) {
+    return this.hr_ops.formatCitation(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.subscript = function (node) {
+    return this.hr_ops.formatSubscript(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.superscript = function (node) {
+    return this.hr_ops.formatSuperscript(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.deleted = function (node) {
+    return this.hr_ops.formatDeleted(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.inserted = function (node) {
+    return this.hr_ops.formatInserted(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.monospace = function (node) {
+    return this.hr_ops.formatMonospace(this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.color = function (node) {
+    var color = null;
+    if (node.color !== null && COLOR_RE.test(node.color)) {
+        color = node.color;
+    }
+
+    return this.hr_ops.formatColor(this.renderChildren(node).join(''), color);
+};
+
+HTMLRenderer.prototype.link = function (node) {
+    return this.hr_ops.formatLink(escapeURL(node.href),
+        this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.attachment = function (node) {
+    return this.hr_ops.formatAttachmentLink(escapeURL(node.filename),
+        this.renderChildren(node).join(''));
+};
+
+HTMLRenderer.prototype.embed = function (node) {
+    return this.hr_ops.formatEmbedded(node.src,
+        node.options.map(escapeOption));
+};
+
+HTMLRenderer.prototype.mention = function (node) {
+    return this.hr_ops.formatMention(escapeHTML(node.username));
+};
+
+module.exports = {
+    COLOR_NAMES: COLOR_NAMES,
+    COLOR_RE: COLOR_RE,
+    HTMLRenderer: HTMLRenderer
+};
@@ -0,0 +1,355 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var decodeEntities = mod_strings.decodeEntities;
+
+/*
+ * This file renders the tree returned by parse() by calling a hyperscript
+ * function, h(tag, props, children), for each element, the way that
+ * virtual DOM libraries (like React, Preact or virtual-dom) build their
+ * trees. Since the result is never turned into HTML by us, nothing is
+ * escaped: text is passed to h() as strings, with entities written as the
+ * characters that they stand for.
+ *
+ * The elements mirror those written by the HTMLRenderer, so that the same
+ * stylesheets can be used with both, and callers can replace the element
+ * for any type of node with a component of their own.
+ */
+
+/*
+ * The properties of nodes that hold text as it was written in the markup,
+ * including any entities, which are decoded before they're given to a
+ * component.
+ */
+var RAW_PROPS = [
+    'color',
+    'filename',
+    'href',
+    'language',
+    'options',
+    'src',
+    'username'
+];
+
+/*
+ * The properties of nodes that aren't passed along to components.
+ */
+var OMITTED_PROPS = [ 'type', 'children', 'position' ];
+
+/*
+ * Decode the entities in a raw value, which is a string, an array of
+ * strings (like the options of an embedded attachment) or an object (like
+ * the options of a block).
+ */
+function decodeRaw(value) {
+    if (typeof (value) === 'string') {
+        return decodeEntities(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(decodeRaw);
+    }
+
+    if (typeof (value) === 'object' && value !== null) {
+        var decoded = {};
+
+        mod_jsprim.forEachKey(value, function (key, val) {
+            decoded[decodeEntities(key)] = decodeRaw(val);
+        });
+
+        return decoded;
+    }
+
+    return value;
+}
+
+/*
+ * Create the props given to a component in place of "node": each of the
+ * node's own properties (like "level" for headings, "href" for links, or
+ * "language", "options" and "value" for {code} blocks).
+ */
+function componentProps(node) {
+    var props = {};
+
+    mod_jsprim.forEachKey(node, function (key, value) {
+        if (OMITTED_PROPS.indexOf(key) !== -1) {
+            return;
+        }
+
+        props[key] = RAW_PROPS.indexOf(key) === -1 ? value : decodeRaw(value);
+    });
+
+    return props;
+}
+
+/*
+ * Renders the tree returned by parse() by calling "h" (which must be given
+ * in "ops") for each element. "ops" may also contain "components", an object
+ * mapping node types to the component (or tag) to use in place of the usual
+ * element for each node of that type.
+ */
+function HyperscriptRenderer(ops) {
+    assert.object(ops, 'ops');
+    assert.func(ops.h, 'ops.h');
+    assert.optionalObject(ops.components, 'ops.components');
+
+    this.hs_h = ops.h;
+    this.hs_components = ops.components || {};
+
+    mod_jsprim.forEachKey(this.hs_components, function (type) {
+        if (mod_renderer.NODE_TYPES.indexOf(type) === -1) {
+            throw new Error('"components" must only contain node types, ' +
+                'but contains ' + JSON.stringify(type));
+        }
+    });
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(HyperscriptRenderer, mod_renderer.Renderer);
+
+/*
+ * Nodes whose type has a component are rendered by passing the component
+ * the node's properties and its rendered children, in place of the usual
+ * element.
+ */
+HyperscriptRenderer.prototype.render = function (node) {
+    assert.object(node, 'node');
+
+    var components = this.hs_components;
+
+    if (!mod_jsprim.hasKey(components, node.type)) {
+        return mod_renderer.Renderer.prototype.render.call(this, node);
+    }
+
+    return this.hs_h(components[node.type], componentProps(node),
+        Array.isArray(node.children) ? this.renderChildren(node) : []);
+};
+
+/*
+ * Create an element using "tag", with no props unless they're given.
+ */
+HyperscriptRenderer.prototype.element = function (tag, props, children) {
+    return this.hs_h(tag, props || {}, children);
+};
+
+/*
+ * The contents of list items and table cells are rendered without wrapping
+ * their paragraphs in <p> elements. Paragraphs and blocks are separated
+ * by line breaks, as are the lines within each paragraph.
+ */
+HyperscriptRenderer.prototype.renderSegments = function (nodes) {
+    var self = this;
+    var children = [];
+
+    nodes.forEach(function (node, i) {
+        if (i > 0) {
+            children.push(self.element('br', null, []));
+        }
+
+        if (node.type !== 'paragraph') {
+            children.push(self.render(node));
+            return;
+        }
+
+        node.children.forEach(function (child) {
+            children.push(self.render(child));
+        });
+    });
+
+    return children;
+};
+
+/*
+ * Panels and blocks of code are written as a <div> with the given class
+ * names, containing an optional header with the block's title, and a
+ * <div> for its contents.
+ */
+HyperscriptRenderer.prototype.renderPanel = function (names, options,
+    contents) {
+    function classes(suffix) {
+        return names.map(function (name) {
+            return name + suffix;
+        }).join(' ');
+    }
+
+    var children = [];
+
+    if (mod_jsprim.hasKey(options, 'title')) {
+        children.push(this.element('div', { className: classes('Header') }, [
+            this.element('b', null, [ decodeEntities(options.title) ])
+        ]));
+    }
+
+    children.push(this.element('div', { className: classes('Content') },
+        contents));
+
+    return this.element('div', { className: classes('') }, children);
+};
+
+HyperscriptRenderer.prototype.document = function (node) {
+    return this.element('div', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.paragraph = function (node) {
+    return this.element('p', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.heading = function (node) {
+    return this.element('h' + node.level, null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.blockquote = function (node) {
+    return this.element('blockquote', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.quote = function (node) {
+    return this.element('blockquote', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.panel = function (node) {
+    return this.renderPanel([ 'panel' ], node.options,
+        this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.code = function (node) {
+    return this.renderPanel([ 'code', 'panel' ], node.options,
+        [ this.element('pre', null, [ node.value ]) ]);
+};
+
+HyperscriptRenderer.prototype.noformat = function (node) {
+    return this.renderPanel([ 'preformatted', 'panel' ], node.options,
+        [ this.element('pre', null, [ node.value ]) ]);
+};
+
+HyperscriptRenderer.prototype.list = function (node) {
+    return this.element(node.ordered ? 'ol' : 'ul', null,
+        this.renderChildren(node));
+};
+
+/*
+ * Nested lists come after the item's contents.
+ */
+HyperscriptRenderer.prototype.listItem = function (node) {
+    var self = this;
+    var children = this.renderSegments(node.children.filter(function (child) {
+        return child.type !== 'list';
+    }));
+
+    node.children.forEach(function (child) {
+        if (child.type === 'list') {
+            children.push(self.render(child));
+        }
+    });
+
+    return this.element('li', null, children);
+};
+
+HyperscriptRenderer.prototype.table = function (node) {
+    return this.element('table', null, [
+        this.element('tbody', null, this.renderChildren(node))
+    ]);
+};
+
+HyperscriptRenderer.prototype.tableRow = function (node) {
+    return this.element('tr', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.tableCell = function (node) {
+    return this.element(node.header ? 'th' : 'td', null,
+        this.renderSegments(node.children));
+};
+
+HyperscriptRenderer.prototype.text = function (node) {
+    return node.value;
+};
+
+HyperscriptRenderer.prototype.entity = function (node) {
+    return node.value;
+};
+
+HyperscriptRenderer.prototype.lineBreak = function (_) {
+    return this.element('br', null, []);
+};
+
+HyperscriptRenderer.prototype.strong = function (node) {
+    return this.element('b', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.emphasis = function (node) {
+    return this.element('i', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.citation = function (node) {
+    return this.element('cite', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.subscript = function (node) {
+    return this.element('sub', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.superscript = function (node) {
+    return this.element('sup', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.deleted = function (node) {
+    return this.element('del', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.inserted = function (node) {
+    return this.element('ins', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.monospace = function (node) {
+    return this.element('code', null, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.color = function (node) {
+    var props = {};
+
+    if (node.color !== null && mod_html.COLOR_RE.test(node.color)) {
+        props.style = { color: node.color };
+    }
+
+    return this.element('span', props, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.link = function (node) {
+    return this.element('a', { href: decodeEntities(node.href) },
+        this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.attachment = function (node) {
+    return this.element('a', { href: '#' }, this.renderChildren(node));
+};
+
+HyperscriptRenderer.prototype.embed = function (node) {
+    return this.element('span', null, [
+        '[Attachment: ',
+        this.element('tt', null, [ decodeEntities(node.src) ]),
+        ']'
+    ]);
+};
+
+HyperscriptRenderer.prototype.mention = function (node) {
+    return '@' + decodeEntities(node.username);
+};
+
+module.exports = {
+    HyperscriptRenderer: HyperscriptRenderer
+};
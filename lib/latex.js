@@ -0,0 +1,595 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_util = require('util');
+
+/*
+ * This file renders the tree returned by parse() as LaTeX. Besides standard
+ * LaTeX, the output uses the following packages, which are loaded by the
+ * preamble written for "standalone" documents:
+ *
+ * - framed, for panels
+ * - hyperref, for links
+ * - listings, for {code} blocks (unless "ops.code" is "verbatim")
+ * - tabularx, for tables
+ * - ulem, for deleted and inserted text
+ * - xcolor, for {color} text
+ */
+
+/* BEGIN JSSTYLED */
+var ESCAPE_RE = /[\\{}$&#^_~%<>|]/g;
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var URL_ESCAPE_RE = /[\\{}%#]/g;
+var HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+/* END JSSTYLED */
+
+var ESCAPES = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '$': '\\$',
+    '&': '\\&',
+    '#': '\\#',
+    '^': '\\textasciicircum{}',
+    '_': '\\_',
+    '~': '\\textasciitilde{}',
+    '%': '\\%',
+    '<': '\\textless{}',
+    '>': '\\textgreater{}',
+    '|': '\\textbar{}'
+};
+
+var SECTIONS = [
+    'section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph'
+];
+
+/*
+ * The names that the listings package uses for the languages JIRA knows
+ * about. Listings fails on languages it doesn't know, so code in any other
+ * language is written without one.
+ */
+var LISTINGS_LANGUAGES = {
+    'ada': 'Ada',
+    'bash': 'bash',
+    'c': 'C',
+    'c++': 'C++',
+    'cpp': 'C++',
+    'erlang': 'erlang',
+    'haskell': 'Haskell',
+    'html': 'HTML',
+    'java': 'Java',
+    'lua': 'Lua',
+    'perl': 'Perl',
+    'php': 'PHP',
+    'python': 'Python',
+    'r': 'R',
+    'ruby': 'Ruby',
+    'sh': 'sh',
+    'sql': 'SQL',
+    'tcl': 'tcl',
+    'xml': 'XML'
+};
+
+/*
+ * LaTeX only allows four levels of each kind of list, and six levels of
+ * lists in total. Lists nested more deeply are written as paragraphs.
+ */
+var MAX_LIST_DEPTH = 4;
+var MAX_TOTAL_LIST_DEPTH = 6;
+
+var PREAMBLE = [
+    '\\documentclass{article}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage[T1]{fontenc}',
+    '\\usepackage{framed}',
+    '\\usepackage{listings}',
+    '\\usepackage{tabularx}',
+    '\\usepackage[normalem]{ulem}',
+    '\\usepackage{xcolor}',
+    '\\usepackage{hyperref}',
+    '\\lstset{basicstyle=\\ttfamily\\small,breaklines=true,frame=single}',
+    '',
+    '\\begin{document}',
+    ''
+].join('\n');
+
+var DEFAULT_OPS = {
+    code: 'listings',
+    color: 'textcolor',
+    numbered: false,
+    standalone: false,
+    formatMention: function formatMention(username) {
+        return '@' + escapeLaTeX(username);
+    },
+    formatAttachmentLink: function formatAttachmentLink(_, latex) {
+        return latex;
+    },
+    formatEmbedded: function formatEmbedded(src) {
+        return '\\texttt{[' + escapeLaTeX(src) + ']}';
+    }
+};
+
+function escapeLaTeX(str) {
+    return str.replace(ESCAPE_RE, function (c) {
+        return ESCAPES[c];
+    });
+}
+
+/*
+ * hyperref reads URLs as they are written, except that "%" and "#" need
+ * escaping when they're inside the argument of another command. Braces and
+ * backslashes can't be escaped, so they're percent-encoded instead.
+ */
+function escapeURL(href) {
+    return href.replace(URL_ESCAPE_RE, function (c) {
+        if (c === '%' || c === '#') {
+            return '\\' + c;
+        }
+
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+/*
+ * A "[" or "*" right after "\\" or "\item" would be read as an argument to
+ * it, so it gets separated with an empty group.
+ */
+function guard(latex) {
+    return /^[[*]/.test(latex) ? '{}' + latex : latex;
+}
+
+/*
+ * Verbatim environments end at the first "\end{name}", so any within the
+ * contents get a space added to them.
+ */
+function verbatim(name, options, value) {
+    var body = value.replace(TRAILING_NL_RE, '')
+        .split('\\end{' + name + '}').join('\\end {' + name + '}');
+
+    return '\\begin{' + name + '}' + options + '\n' +
+        (body === '' ? '' : body + '\n') + '\\end{' + name + '}';
+}
+
+function environment(name, body) {
+    return '\\begin{' + name + '}\n' + (body === '' ? '' : body + '\n') +
+        '\\end{' + name + '}';
+}
+
+/*
+ * Renders the tree returned by parse() as LaTeX. The following options may
+ * be passed in "ops":
+ *
+ * - "standalone", whether to write a complete document, with a preamble
+ *   that loads the packages the output uses, rather than just its body
+ * - "numbered", whether headings become numbered sections
+ * - "code", which is "listings" to write {code} blocks using the listings
+ *   package, or "verbatim" to use the verbatim environment
+ * - "color", which is "textcolor" to write {color} text using \textcolor,
+ *   "strip" to write out the text without its color, or a function that is
+ *   passed the LaTeX for the text and the color as "#rrggbb" (or null if it
+ *   isn't valid), and returns the LaTeX to use
+ * - "format" functions for mentions, attachments and embedded attachments
+ *   (see DEFAULT_OPS above)
+ */
+function LaTeXRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.lt_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    assert.bool(this.lt_ops.standalone, 'ops.standalone');
+    assert.bool(this.lt_ops.numbered, 'ops.numbered');
+
+    if (this.lt_ops.code !== 'listings' && this.lt_ops.code !== 'verbatim') {
+        throw new Error('"code" must be "listings" or "verbatim"');
+    }
+
+    if (typeof (this.lt_ops.color) !== 'function' &&
+        this.lt_ops.color !== 'textcolor' && this.lt_ops.color !== 'strip') {
+        throw new Error('"color" must be "textcolor", "strip" or a function');
+    }
+
+    /*
+     * How deeply we're nested within blocks, tables and each kind of list,
+     * which affects what can be written there.
+     */
+    this.lt_blocks = 0;
+    this.lt_tables = 0;
+    this.lt_lists = { itemize: 0, enumerate: 0 };
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(LaTeXRenderer, mod_renderer.Renderer);
+
+LaTeXRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+/*
+ * Render the contents of a paragraph, which may span multiple lines. Within
+ * tables, "\\" would end the row, so lines are ended with "\newline".
+ */
+LaTeXRenderer.prototype.renderLines = function (nodes) {
+    var lines = [ [] ];
+    var sep = this.lt_tables > 0 ? ' \\newline\n' : ' \\\\\n';
+
+    nodes.forEach(function (node) {
+        if (node.type === 'lineBreak') {
+            lines.push([]);
+        } else {
+            lines[lines.length - 1].push(node);
+        }
+    });
+
+    return lines.map(function (line, i) {
+        var latex = this.renderInline(line).trim();
+        if (latex === '') {
+            return '\\mbox{}';
+        }
+        return i === 0 ? latex : guard(latex);
+    }, this).join(sep);
+};
+
+/*
+ * Render the blocks within another block, where sectioning commands can't
+ * be used. Within tables, blocks are separated with "\par", since the whole
+ * table is read as an argument.
+ */
+LaTeXRenderer.prototype.renderNested = function (nodes) {
+    var self = this;
+
+    this.lt_blocks += 1;
+
+    try {
+        return nodes.map(function (node) {
+            return self.render(node);
+        }).join(this.lt_tables > 0 ? '\n\\par\n' : '\n\n');
+    } finally {
+        this.lt_blocks -= 1;
+    }
+};
+
+LaTeXRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return '';
+    }
+
+    return '\\noindent\\textbf{' + escapeLaTeX(node.options.title) + '}\n';
+};
+
+/*
+ * Verbatim environments can't be used within tables, so code there is
+ * written as monospaced text instead.
+ */
+LaTeXRenderer.prototype.renderCode = function (node, language) {
+    if (this.lt_tables > 0) {
+        var lines = node.value.replace(TRAILING_NL_RE, '').split(/\r\n|\n|\r/);
+        return this.renderTitle(node) + '\\texttt{' +
+            lines.map(function (line) {
+            return escapeLaTeX(line).replace(/^ +/, function (spaces) {
+                return spaces.replace(/ /g, '~');
+            });
+        }).join(' \\newline\n') + '}';
+    }
+
+    if (language === undefined) {
+        return this.renderTitle(node) + verbatim('verbatim', '', node.value);
+    }
+
+    var options = [];
+    if (language !== null) {
+        options.push('language=' + language);
+    }
+    if (mod_jsprim.hasKey(node.options, 'title')) {
+        options.push('title={' + escapeLaTeX(node.options.title) + '}');
+    }
+
+    return verbatim('lstlisting',
+        options.length === 0 ? '' : '[' + options.join(',') + ']',
+        node.value);
+};
+
+LaTeXRenderer.prototype.renderCell = function (node) {
+    var latex;
+
+    this.lt_tables += 1;
+
+    try {
+        latex = this.renderNested(node.children);
+    } finally {
+        this.lt_tables -= 1;
+    }
+
+    if (node.header && latex !== '') {
+        latex = '\\bfseries ' + latex;
+    }
+
+    return latex;
+};
+
+LaTeXRenderer.prototype.document = function (node) {
+    var self = this;
+    var latex = node.children.map(function (child) {
+        return self.render(child);
+    }).join('\n\n');
+
+    if (!this.lt_ops.standalone) {
+        return latex;
+    }
+
+    return PREAMBLE + (latex === '' ? '' : latex + '\n') + '\n\\end{document}';
+};
+
+LaTeXRenderer.prototype.paragraph = function (node) {
+    return this.renderLines(node.children);
+};
+
+/*
+ * Headings become sectioning commands, with "h6." using the same one as
+ * "h5.". Within other blocks, where they can't be used, headings are
+ * written in bold instead.
+ */
+LaTeXRenderer.prototype.heading = function (node) {
+    var latex = this.renderInline(node.children.map(function (child) {
+        return child.type === 'lineBreak' ? { type: 'text', value: ' ' } :
+            child;
+    })).trim();
+
+    if (this.lt_blocks > 0) {
+        return '\\textbf{' + latex + '}';
+    }
+
+    var section = SECTIONS[Math.min(node.level, SECTIONS.length) - 1];
+
+    return '\\' + section + (this.lt_ops.numbered ? '' : '*') +
+        '{' + latex + '}';
+};
+
+LaTeXRenderer.prototype.blockquote = function (node) {
+    return environment('quote', this.renderLines(node.children));
+};
+
+LaTeXRenderer.prototype.quote = function (node) {
+    return environment('quote', this.renderNested(node.children));
+};
+
+LaTeXRenderer.prototype.panel = function (node) {
+    var title = '';
+
+    if (mod_jsprim.hasKey(node.options, 'title')) {
+        title = '\\textbf{' + escapeLaTeX(node.options.title) + '}\n\n';
+    }
+
+    if (this.lt_tables > 0) {
+        return title + this.renderNested(node.children);
+    }
+
+    return environment('framed', title + this.renderNested(node.children));
+};
+
+LaTeXRenderer.prototype.code = function (node) {
+    if (this.lt_ops.code === 'verbatim') {
+        return this.renderCode(node, undefined);
+    }
+
+    var language = null;
+    if (node.language !== null) {
+        var name = node.language.toLowerCase();
+        if (mod_jsprim.hasKey(LISTINGS_LANGUAGES, name)) {
+            language = LISTINGS_LANGUAGES[name];
+        }
+    }
+
+    return this.renderCode(node, language);
+};
+
+LaTeXRenderer.prototype.noformat = function (node) {
+    return this.renderCode(node, undefined);
+};
+
+LaTeXRenderer.prototype.list = function (node) {
+    var self = this;
+    var name = node.ordered ? 'enumerate' : 'itemize';
+    var lists = this.lt_lists;
+
+    if (lists[name] >= MAX_LIST_DEPTH ||
+        lists.itemize + lists.enumerate >= MAX_TOTAL_LIST_DEPTH) {
+        return node.children.map(function (item, i) {
+            var marker = node.ordered ? (i + 1) + '.' : '\\textbullet{}';
+            return marker + ' ' + self.render(item);
+        }).join(this.lt_tables > 0 ? '\n\\par\n' : '\n\n');
+    }
+
+    lists[name] += 1;
+
+    try {
+        return environment(name, node.children.map(function (item) {
+            return '\\item ' + self.render(item);
+        }).join('\n'));
+    } finally {
+        lists[name] -= 1;
+    }
+};
+
+/*
+ * Nested lists follow directly after the item's contents, while other
+ * blocks start new paragraphs.
+ */
+LaTeXRenderer.prototype.listItem = function (node) {
+    var self = this;
+    var sep = this.lt_tables > 0 ? '\n\\par\n' : '\n\n';
+
+    this.lt_blocks += 1;
+
+    try {
+        return guard(node.children.reduce(function (acc, child, i) {
+            var latex = self.render(child);
+            if (i === 0) {
+                return latex;
+            }
+
+            return acc + (child.type === 'list' ? '\n' : sep) + latex;
+        }, ''));
+    } finally {
+        this.lt_blocks -= 1;
+    }
+};
+
+/*
+ * Tables use tabularx, so that their columns share the width of the page
+ * and their cells can wrap. Short rows are padded with empty cells, so that
+ * every row gets its borders.
+ */
+LaTeXRenderer.prototype.table = function (node) {
+    var self = this;
+    var columns = 0;
+
+    node.children.forEach(function (row) {
+        columns = Math.max(columns, row.children.length);
+    });
+
+    var rows = node.children.map(function (row) {
+        var cells = row.children.map(function (cell) {
+            return self.renderCell(cell);
+        });
+        while (cells.length < columns) {
+            cells.push('');
+        }
+        return cells.join(' & ').replace(/ +$/, '') + ' \\\\\n\\hline';
+    });
+
+    return '\\begin{tabularx}{\\linewidth}{|' +
+        new Array(columns + 1).join('X|') + '}\n\\hline\n' +
+        rows.join('\n') + '\n\\end{tabularx}';
+};
+
+LaTeXRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+LaTeXRenderer.prototype.tableCell = function (node) {
+    return this.renderCell(node);
+};
+
+LaTeXRenderer.prototype.text = function (node) {
+    return escapeLaTeX(node.value);
+};
+
+/*
+ * LaTeX doesn't know about HTML entities, so we write out the character.
+ */
+LaTeXRenderer.prototype.entity = function (node) {
+    return escapeLaTeX(node.value);
+};
+
+LaTeXRenderer.prototype.lineBreak = function (_) {
+    return this.lt_tables > 0 ? ' \\newline\n' : ' \\\\\n';
+};
+
+LaTeXRenderer.prototype.strong = function (node) {
+    return '\\textbf{' + this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.emphasis = function (node) {
+    return '\\emph{' + this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.citation = function (node) {
+    return '\\emph{' + this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.monospace = function (node) {
+    return '\\texttt{' + this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.subscript = function (node) {
+    return '\\textsubscript{' + this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.superscript = function (node) {
+    return '\\textsuperscript{' + this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.deleted = function (node) {
+    return '\\sout{' + this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.inserted = function (node) {
+    return '\\uline{' + this.renderInline(node.children) + '}';
+};
+
+/*
+ * Colors are given to \textcolor in xcolor's HTML model, so that every
+ * color JIRA knows is written the same way.
+ */
+LaTeXRenderer.prototype.color = function (node) {
+    var latex = this.renderInline(node.children);
+    var color = null;
+
+    if (node.color !== null) {
+        var name = node.color.toLowerCase();
+        if (HEX_COLOR_RE.test(name)) {
+            color = name;
+        } else if (mod_jsprim.hasKey(mod_html.COLOR_NAMES, name)) {
+            color = mod_html.COLOR_NAMES[name];
+        }
+    }
+
+    switch (this.lt_ops.color) {
+    case 'strip':
+        return latex;
+    case 'textcolor':
+        if (color === null) {
+            return latex;
+        }
+        return '\\textcolor[HTML]{' + color.slice(1).toUpperCase() + '}{' +
+            latex + '}';
+    default:
+        return this.lt_ops.color(latex, color);
+    }
+};
+
+/*
+ * Links that were written directly into the text are written using \url.
+ */
+LaTeXRenderer.prototype.link = function (node) {
+    if (node.bare) {
+        return '\\url{' + escapeURL(node.href) + '}';
+    }
+
+    return '\\href{' + escapeURL(node.href) + '}{' +
+        this.renderInline(node.children) + '}';
+};
+
+LaTeXRenderer.prototype.attachment = function (node) {
+    return this.lt_ops.formatAttachmentLink(node.filename,
+        this.renderInline(node.children));
+};
+
+LaTeXRenderer.prototype.embed = function (node) {
+    return this.lt_ops.formatEmbedded(node.src, node.options);
+};
+
+LaTeXRenderer.prototype.mention = function (node) {
+    return this.lt_ops.formatMention(node.username);
+};
+
+module.exports = {
+    LaTeXRenderer: LaTeXRenderer
+};
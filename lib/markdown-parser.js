@@ -0,0 +1,1023 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_ent = require('ent');
+var mod_jsprim = require('jsprim');
+var mod_strings = require('./strings');
+
+var decodeEntities = mod_strings.decodeEntities;
+
+/*
+ * This file parses Markdown into a tree of the same form as the one returned
+ * by parse(), so that it can be written out as JIRA markup (or rendered in
+ * any of the other ways that a parsed JIRA document can be). It follows the
+ * CommonMark specification, along with the GitHub Flavored Markdown
+ * extensions for tables and strikethrough, closely enough for the Markdown
+ * that people write by hand. Constructs that JIRA has no equivalent for
+ * (like thematic breaks and HTML blocks) are dropped or kept as text.
+ *
+ * Parsing happens in two passes, as in the specification: the input is
+ * first broken up into blocks, and then the inline content of each block is
+ * parsed once all of the link reference definitions have been found.
+ */
+
+/* BEGIN JSSTYLED */
+var NEWLINE_RE = /\r\n|\n|\r/;
+var BLANK_RE = /^[ \t]*$/;
+var ATX_RE = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*)$/;
+var ATX_CLOSE_RE = /(^|[ \t]+)#+[ \t]*$/;
+var FENCE_RE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`]*)$/;
+var THEMATIC_RE = /^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/;
+var SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+var QUOTE_RE = /^ {0,3}> ?/;
+var ITEM_RE = /^( {0,3})([-+*]|[0-9]{1,9}[.)])([ \t]+|$)/;
+var DELIM_CELL = /[ \t]*:?-+:?[ \t]*/.source;
+var TABLE_DELIM_RE = new RegExp(
+    '^ {0,3}\\|?' + DELIM_CELL + '(\\|' + DELIM_CELL + ')*\\|?[ \\t]*$');
+var LABEL_CHAR = /(?:[^\\[\]]|\\.)/.source;
+var LINK_TITLE = /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\))/
+    .source;
+var REFDEF_RE = new RegExp('^ {0,3}\\[(' + LABEL_CHAR + '{1,999})\\]' +
+    ':[ \\t]*\\n?[ \\t]*(<[^<>\\n]*>|\\S+)' +
+    '(?:(?:[ \\t]+|[ \\t]*\\n[ \\t]*)' + LINK_TITLE + ')?[ \\t]*(?:\\n|$)');
+var LINK_LABEL_RE = new RegExp('^\\[(' + LABEL_CHAR + '{0,999})\\]');
+var LINK_END_RE = new RegExp('^(?:[ \\t\\n]+' + LINK_TITLE + ')?[ \\t\\n]*\\)');
+var PUNCT_RE = /^[!-/:-@[-`{-~\u00a1-\u00bf\u2010-\u2027\u2030-\u205e]$/;
+var SPACE_RE = /^\s$/;
+var ESCAPABLE_RE = /^[!-/:-@[-`{-~]$/;
+var ENTITY_RE =
+    /^&(#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+var AUTOLINK_RE = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/;
+var DOMAIN_LABEL = /[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?/.source;
+var EMAIL_RE = new RegExp('^<([a-zA-Z0-9.!#$%&\'*+/=?^_`{|}~-]+@' +
+    DOMAIN_LABEL + '(?:\\.' + DOMAIN_LABEL + ')*)>');
+var BREAK_TAG_RE = /^<br[ \t]*\/?>/i;
+var BACKTICKS_RE = /^`+/;
+/* END JSSTYLED */
+
+
+// --- Block parsing
+
+function isBlank(line) {
+    return BLANK_RE.test(line);
+}
+
+/*
+ * Expand tabs in the indentation of a line to spaces (using tab stops of 4
+ * columns), since indentation determines how blocks nest.
+ */
+function expandIndent(line) {
+    var col = 0;
+    var i;
+
+    for (i = 0; i < line.length; ++i) {
+        var c = line.charAt(i);
+        if (c === '\t') {
+            col += 4 - (col % 4);
+        } else if (c === ' ') {
+            col += 1;
+        } else {
+            break;
+        }
+    }
+
+    return new Array(col + 1).join(' ') + line.slice(i);
+}
+
+function indentOf(line) {
+    return /^ */.exec(line)[0].length;
+}
+
+/*
+ * Split a table row into the raw contents of its cells. Pipes escaped with a
+ * backslash (even within code spans) don't separate cells.
+ */
+function splitRow(line) {
+    var cells = [];
+    var cell = '';
+
+    line = line.trim();
+    if (line.charAt(0) === '|') {
+        line = line.slice(1);
+    }
+
+    for (var i = 0; i < line.length; ++i) {
+        var c = line.charAt(i);
+        if (c === '\\' && line.charAt(i + 1) === '|') {
+            cell += '|';
+            i += 1;
+        } else if (c === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+
+    if (cell.trim() !== '' || line.charAt(line.length - 1) !== '|') {
+        cells.push(cell.trim());
+    }
+
+    return cells;
+}
+
+function isTableStart(lines, i) {
+    return i + 1 < lines.length && lines[i].indexOf('|') !== -1 &&
+        TABLE_DELIM_RE.test(lines[i + 1]) &&
+        splitRow(lines[i]).length === splitRow(lines[i + 1]).length;
+}
+
+/*
+ * Checks whether "line" begins a block that can interrupt a paragraph.
+ */
+function startsBlock(line) {
+    if (ATX_RE.test(line) || FENCE_RE.test(line) || QUOTE_RE.test(line) ||
+        THEMATIC_RE.test(line)) {
+        return true;
+    }
+
+    var m = ITEM_RE.exec(line);
+    if (m === null || isBlank(line.slice(m[0].length))) {
+        return false;
+    }
+
+    /* Only ordered lists starting at 1 can interrupt a paragraph. */
+    return !/^[0-9]/.test(m[2]) || parseInt(m[2], 10) === 1;
+}
+
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function unescapeString(str) {
+    return decodeEntities(str.replace(/\\([!-/:-@[-`{-~])/g, '$1'));
+}
+
+function unwrapDestination(dest) {
+    if (dest.charAt(0) === '<') {
+        dest = dest.slice(1, -1);
+    }
+
+    return unescapeString(dest);
+}
+
+/*
+ * Remove any link reference definitions from the start of a paragraph,
+ * adding them to "refs", and return what's left.
+ */
+function extractDefinitions(raw, refs) {
+    var m;
+
+    while ((m = REFDEF_RE.exec(raw)) !== null) {
+        var label = normalizeLabel(m[1]);
+        if (label === '') {
+            break;
+        }
+
+        if (!mod_jsprim.hasKey(refs, label)) {
+            refs[label] = unwrapDestination(m[2]);
+        }
+
+        raw = raw.slice(m[0].length);
+    }
+
+    return raw;
+}
+
+function BlockParser(lines, refs) {
+    this.bp_lines = lines;
+    this.bp_refs = refs;
+    this.bp_pos = 0;
+    this.bp_blocks = [];
+}
+
+BlockParser.prototype.peek = function () {
+    return this.bp_lines[this.bp_pos];
+};
+
+BlockParser.prototype.done = function () {
+    return this.bp_pos >= this.bp_lines.length;
+};
+
+BlockParser.prototype.parse = function () {
+    while (!this.done()) {
+        var line = this.peek();
+        var m;
+
+        if (isBlank(line)) {
+            this.bp_pos += 1;
+        } else if (indentOf(line) >= 4) {
+            this.parseIndentedCode();
+        } else if ((m = FENCE_RE.exec(line)) !== null &&
+            (m[2].charAt(0) === '~' || m[3].indexOf('`') === -1)) {
+            this.parseFencedCode(m);
+        } else if ((m = ATX_RE.exec(line)) !== null) {
+            this.bp_blocks.push({
+                type: 'heading',
+                level: m[1].length,
+                raw: m[2].replace(ATX_CLOSE_RE, '').trim()
+            });
+            this.bp_pos += 1;
+        } else if (THEMATIC_RE.test(line)) {
+            /* JIRA doesn't have horizontal rules. */
+            this.bp_pos += 1;
+        } else if (QUOTE_RE.test(line)) {
+            this.parseBlockquote();
+        } else if ((m = ITEM_RE.exec(line)) !== null) {
+            this.parseList(m);
+        } else if (isTableStart(this.bp_lines, this.bp_pos)) {
+            this.parseTable();
+        } else {
+            this.parseParagraph();
+        }
+    }
+
+    return this.bp_blocks;
+};
+
+BlockParser.prototype.pushCode = function (lines, info) {
+    var language = info === null ? null : unescapeString(info.split(/\s/)[0]);
+
+    while (lines.length > 0 && isBlank(lines[lines.length - 1])) {
+        lines.pop();
+    }
+
+    var value = lines.length === 0 ? '' : lines.join('\n') + '\n';
+
+    /*
+     * JIRA's {code} blocks highlight their contents (assuming Java if they
+     * have no language), so code without a language uses {noformat}.
+     */
+    if (language === null || language === '') {
+        this.bp_blocks.push({
+            type: 'noformat',
+            options: {},
+            value: value
+        });
+    } else {
+        this.bp_blocks.push({
+            type: 'code',
+            language: language,
+            options: {},
+            value: value
+        });
+    }
+};
+
+BlockParser.prototype.parseIndentedCode = function () {
+    var lines = [];
+
+    while (!this.done()) {
+        var line = this.peek();
+        if (isBlank(line)) {
+            lines.push(line.slice(4));
+        } else if (indentOf(line) >= 4) {
+            lines.push(line.slice(4));
+        } else {
+            break;
+        }
+        this.bp_pos += 1;
+    }
+
+    this.pushCode(lines, null);
+};
+
+BlockParser.prototype.parseFencedCode = function (m) {
+    var indent = m[1].length;
+    var fence = m[2];
+    var close = new RegExp('^ {0,3}' + fence.charAt(0) + '{' +
+        fence.length + ',}[ \\t]*$');
+    var lines = [];
+
+    this.bp_pos += 1;
+
+    while (!this.done()) {
+        var line = this.peek();
+        this.bp_pos += 1;
+
+        if (close.test(line)) {
+            break;
+        }
+
+        lines.push(line.slice(Math.min(indent, indentOf(line))));
+    }
+
+    this.pushCode(lines, m[3].trim());
+};
+
+BlockParser.prototype.parseBlockquote = function () {
+    var lines = [];
+    var lazy = false;
+
+    while (!this.done()) {
+        var line = this.peek();
+        var m = QUOTE_RE.exec(line);
+
+        if (m !== null) {
+            line = line.slice(m[0].length);
+            lines.push(line);
+            lazy = !isBlank(line) && !startsBlock(line) &&
+                indentOf(line) < 4;
+        } else if (lazy && !isBlank(line) && !startsBlock(line)) {
+            /* A paragraph within the quote can continue without a ">". */
+            lines.push(line);
+        } else {
+            break;
+        }
+
+        this.bp_pos += 1;
+    }
+
+    this.bp_blocks.push({
+        type: 'quote',
+        children: new BlockParser(lines, this.bp_refs).parse()
+    });
+};
+
+/*
+ * Parse a list item, returning the lines of its contents with the
+ * indentation of the item removed.
+ */
+BlockParser.prototype.parseItemLines = function (m) {
+    var line = this.peek();
+    var rest = line.slice(m[0].length);
+    var width = m[0].length;
+    var lines = [];
+    var lazy;
+
+    if (isBlank(rest)) {
+        width = m[1].length + m[2].length + 1;
+    } else if (m[3].length > 4) {
+        /* The contents start with an indented code block. */
+        width = m[1].length + m[2].length + 1;
+        rest = line.slice(width);
+    }
+
+    lines.push(rest);
+    lazy = !isBlank(rest);
+    this.bp_pos += 1;
+
+    /* An item can begin with at most one blank line. */
+    if (isBlank(rest) && !this.done() && isBlank(this.peek())) {
+        return [];
+    }
+
+    while (!this.done()) {
+        line = this.peek();
+
+        if (isBlank(line)) {
+            lines.push('');
+            lazy = false;
+        } else if (indentOf(line) >= width) {
+            lines.push(line.slice(width));
+            lazy = true;
+        } else if (lazy && !startsBlock(line) && !ITEM_RE.test(line) &&
+            !isTableStart(this.bp_lines, this.bp_pos)) {
+            lines.push(line.trim());
+        } else {
+            break;
+        }
+
+        this.bp_pos += 1;
+    }
+
+    return lines;
+};
+
+BlockParser.prototype.parseList = function (m) {
+    var marker = m[2].charAt(m[2].length - 1);
+    var ordered = /^[0-9]/.test(m[2]);
+    var list = {
+        type: 'list',
+        ordered: ordered,
+        bullet: ordered ? '#' : '*',
+        children: []
+    };
+
+    while (m !== null && m[2].charAt(m[2].length - 1) === marker &&
+        /^[0-9]/.test(m[2]) === ordered) {
+        var lines = this.parseItemLines(m);
+
+        list.children.push({
+            type: 'listItem',
+            children: new BlockParser(lines, this.bp_refs).parse()
+        });
+
+        m = this.done() ? null : ITEM_RE.exec(this.peek());
+    }
+
+    this.bp_blocks.push(list);
+};
+
+BlockParser.prototype.parseTable = function () {
+    var header = splitRow(this.peek());
+    var columns = header.length;
+    var rows = [ header ];
+
+    this.bp_pos += 2;
+
+    while (!this.done()) {
+        var line = this.peek();
+        if (isBlank(line) || startsBlock(line)) {
+            break;
+        }
+
+        var row = splitRow(line).slice(0, columns);
+        while (row.length < columns) {
+            row.push('');
+        }
+        rows.push(row);
+
+        this.bp_pos += 1;
+    }
+
+    this.bp_blocks.push({
+        type: 'table',
+        children: rows.map(function (cells, i) {
+            return {
+                type: 'tableRow',
+                children: cells.map(function (raw) {
+                    return {
+                        type: 'tableCell',
+                        header: i === 0,
+                        children: raw === '' ? [] :
+                            [ { type: 'paragraph', raw: raw } ]
+                    };
+                })
+            };
+        })
+    });
+};
+
+BlockParser.prototype.parseParagraph = function () {
+    var lines = [];
+
+    while (!this.done()) {
+        var line = this.peek();
+        var m;
+
+        if (lines.length > 0 && (m = SETEXT_RE.exec(line)) !== null) {
+            this.bp_pos += 1;
+
+            var raw = extractDefinitions(lines.join('\n'), this.bp_refs);
+            if (raw !== '') {
+                this.bp_blocks.push({
+                    type: 'heading',
+                    level: m[1].charAt(0) === '=' ? 1 : 2,
+                    raw: raw
+                });
+                return;
+            }
+
+            /*
+             * The paragraph was only link reference definitions, so this
+             * line is a thematic break (or a paragraph of "=" characters).
+             */
+            lines = [];
+            if (m[1].charAt(0) === '=') {
+                lines.push(line.trim());
+            }
+            continue;
+        }
+
+        if (isBlank(line) || (lines.length > 0 && (startsBlock(line) ||
+            isTableStart(this.bp_lines, this.bp_pos)))) {
+            break;
+        }
+
+        lines.push(line.replace(/^[ \t]+/, ''));
+        this.bp_pos += 1;
+    }
+
+    var contents = extractDefinitions(lines.join('\n'), this.bp_refs);
+    if (contents !== '') {
+        this.bp_blocks.push({
+            type: 'paragraph',
+            raw: contents.replace(/[ \t]+$/, '')
+        });
+    }
+};
+
+
+// --- Inline parsing
+
+function text(value) {
+    return { type: 'text', value: value };
+}
+
+function isPunct(c) {
+    return c !== null && PUNCT_RE.test(c);
+}
+
+function isSpace(c) {
+    return c === null || SPACE_RE.test(c);
+}
+
+function mergeText(nodes) {
+    var merged = [];
+
+    nodes.forEach(function (node) {
+        var last = merged[merged.length - 1];
+        if (node.type === 'delim') {
+            node = text(new Array(node.length + 1).join(node.c));
+        }
+
+        if (node.type === 'text' && last !== undefined &&
+            last.type === 'text') {
+            last.value += node.value;
+        } else if (node.type !== 'text' || node.value !== '') {
+            merged.push(node);
+        }
+    });
+
+    return merged;
+}
+
+/*
+ * Match up the emphasis delimiters in "nodes", following the algorithm
+ * described in the CommonMark specification, and return the list of nodes
+ * with the emphasized runs nested inside of "strong", "emphasis" and
+ * "deleted" nodes.
+ */
+function processEmphasis(nodes) {
+    var bottoms = {};
+    var i = 0;
+
+    while (i < nodes.length) {
+        var closer = nodes[i];
+        if (closer.type !== 'delim' || !closer.canClose) {
+            i += 1;
+            continue;
+        }
+
+        var key = closer.c + closer.canOpen + (closer.orig % 3);
+        var bottom = mod_jsprim.hasKey(bottoms, key) ? bottoms[key] : null;
+        var found = -1;
+
+        for (var j = i - 1; j >= 0 && nodes[j] !== bottom; --j) {
+            var opener = nodes[j];
+            if (opener.type !== 'delim' || opener.c !== closer.c ||
+                !opener.canOpen) {
+                continue;
+            }
+
+            if (closer.c === '~') {
+                if (opener.length === closer.length) {
+                    found = j;
+                    break;
+                }
+                continue;
+            }
+
+            if ((opener.canClose || closer.canOpen) &&
+                (opener.orig + closer.orig) % 3 === 0 &&
+                (opener.orig % 3 !== 0 || closer.orig % 3 !== 0)) {
+                continue;
+            }
+
+            found = j;
+            break;
+        }
+
+        if (found === -1) {
+            bottoms[key] = i > 0 ? nodes[i - 1] : null;
+            i += 1;
+            continue;
+        }
+
+        opener = nodes[found];
+
+        var use, type;
+        if (closer.c === '~') {
+            use = closer.length;
+            type = 'deleted';
+        } else if (opener.length >= 2 && closer.length >= 2) {
+            use = 2;
+            type = 'strong';
+        } else {
+            use = 1;
+            type = 'emphasis';
+        }
+
+        opener.length -= use;
+        closer.length -= use;
+
+        nodes.splice(found + 1, i - found - 1, {
+            type: type,
+            children: mergeText(nodes.slice(found + 1, i))
+        });
+
+        i = found + 2;
+        if (opener.length === 0) {
+            nodes.splice(found, 1);
+            i -= 1;
+        }
+        if (closer.length === 0) {
+            nodes.splice(i, 1);
+        }
+    }
+
+    return mergeText(nodes);
+}
+
+function InlineParser(str, refs) {
+    this.ip_str = str;
+    this.ip_refs = refs;
+    this.ip_pos = 0;
+    this.ip_nodes = [];
+    this.ip_brackets = [];
+}
+
+InlineParser.prototype.parse = function () {
+    var str = this.ip_str;
+
+    while (this.ip_pos < str.length) {
+        var c = str.charAt(this.ip_pos);
+
+        switch (c) {
+        case '\\':
+            this.parseBackslash();
+            break;
+        case '`':
+            this.parseCodeSpan();
+            break;
+        case '*':
+        case '_':
+        case '~':
+            this.parseDelimiters(c);
+            break;
+        case '[':
+            this.pushBracket(false, 1);
+            break;
+        case '!':
+            if (str.charAt(this.ip_pos + 1) === '[') {
+                this.pushBracket(true, 2);
+            } else {
+                this.pushText(c, 1);
+            }
+            break;
+        case ']':
+            this.parseCloseBracket();
+            break;
+        case '<':
+            this.parseAngle();
+            break;
+        case '&':
+            this.parseEntity();
+            break;
+        case '\n':
+            this.parseNewline();
+            break;
+        default:
+            this.parseText();
+            break;
+        }
+    }
+
+    return processEmphasis(this.ip_nodes);
+};
+
+InlineParser.prototype.pushText = function (value, consumed) {
+    this.ip_nodes.push(text(value));
+    this.ip_pos += consumed;
+};
+
+InlineParser.prototype.parseText = function () {
+    var str = this.ip_str;
+    var start = this.ip_pos;
+    var end = start + 1;
+
+    while (end < str.length && '\\`*_~[]!<&\n'.indexOf(str.charAt(end)) ===
+        -1) {
+        end += 1;
+    }
+
+    this.pushText(str.slice(start, end), end - start);
+};
+
+InlineParser.prototype.parseBackslash = function () {
+    var next = this.ip_str.charAt(this.ip_pos + 1);
+
+    if (next === '\n') {
+        this.ip_nodes.push({ type: 'lineBreak' });
+        this.ip_pos += 2;
+    } else if (ESCAPABLE_RE.test(next)) {
+        this.pushText(next, 2);
+    } else {
+        this.pushText('\\', 1);
+    }
+};
+
+InlineParser.prototype.parseCodeSpan = function () {
+    var str = this.ip_str;
+    var ticks = BACKTICKS_RE.exec(str.slice(this.ip_pos))[0];
+    var start = this.ip_pos + ticks.length;
+    var end = start;
+
+    for (;;) {
+        end = str.indexOf(ticks, end);
+        if (end === -1) {
+            this.pushText(ticks, ticks.length);
+            return;
+        }
+
+        var run = BACKTICKS_RE.exec(str.slice(end))[0];
+        if (run.length === ticks.length) {
+            break;
+        }
+        end += run.length;
+    }
+
+    var code = str.slice(start, end).replace(/\n/g, ' ');
+    if (/^ [\s\S]* $/.test(code) && code.trim() !== '') {
+        code = code.slice(1, -1);
+    }
+
+    this.ip_nodes.push({
+        type: 'monospace',
+        children: [ text(code) ]
+    });
+    this.ip_pos = end + ticks.length;
+};
+
+/*
+ * Whether a run of delimiters can open or close emphasis depends on the
+ * characters on either side of it (see "left-flanking" and
+ * "right-flanking" delimiter runs in the CommonMark specification).
+ */
+InlineParser.prototype.parseDelimiters = function (c) {
+    var str = this.ip_str;
+    var start = this.ip_pos;
+    var end = start;
+
+    while (str.charAt(end) === c) {
+        end += 1;
+    }
+
+    var length = end - start;
+    if (c === '~' && length > 2) {
+        this.pushText(str.slice(start, end), length);
+        return;
+    }
+
+    var before = start === 0 ? null : str.charAt(start - 1);
+    var after = end === str.length ? null : str.charAt(end);
+    var left = !isSpace(after) &&
+        (!isPunct(after) || isSpace(before) || isPunct(before));
+    var right = !isSpace(before) &&
+        (!isPunct(before) || isSpace(after) || isPunct(after));
+
+    this.ip_nodes.push({
+        type: 'delim',
+        c: c,
+        length: length,
+        orig: length,
+        canOpen: c === '_' ? left && (!right || isPunct(before)) : left,
+        canClose: c === '_' ? right && (!left || isPunct(after)) : right
+    });
+    this.ip_pos = end;
+};
+
+InlineParser.prototype.pushBracket = function (image, length) {
+    var node = text(this.ip_str.substr(this.ip_pos, length));
+
+    this.ip_nodes.push(node);
+    this.ip_brackets.push({
+        node: node,
+        image: image,
+        active: true,
+        start: this.ip_pos + length
+    });
+    this.ip_pos += length;
+};
+
+/*
+ * Try to parse the destination of an inline link, "(dest "title")",
+ * starting at "pos". Returns the destination and the position after the
+ * closing parenthesis, or null if there isn't one.
+ */
+InlineParser.prototype.parseInlineLink = function (pos) {
+    var str = this.ip_str;
+    var m;
+
+    if (str.charAt(pos) !== '(') {
+        return null;
+    }
+
+    var rest = str.slice(pos + 1);
+    var ws = /^[ \t\n]*/.exec(rest)[0];
+    var dest = '';
+    rest = rest.slice(ws.length);
+
+    if ((m = /^<((?:[^<>\n\\]|\\.)*)>/.exec(rest)) !== null) {
+        dest = m[1];
+    } else {
+        var depth = 0;
+        var i;
+        for (i = 0; i < rest.length; ++i) {
+            var c = rest.charAt(i);
+            if (c === '\\' && ESCAPABLE_RE.test(rest.charAt(i + 1))) {
+                i += 1;
+            } else if (c === '(') {
+                depth += 1;
+            } else if (c === ')') {
+                if (depth === 0) {
+                    break;
+                }
+                depth -= 1;
+            } else if (/\s/.test(c)) {
+                break;
+            }
+        }
+        if (depth !== 0) {
+            return null;
+        }
+        m = [ rest.slice(0, i), rest.slice(0, i) ];
+        dest = m[1];
+    }
+
+    rest = rest.slice(m[0].length);
+
+    var title = LINK_END_RE.exec(rest);
+    if (title === null) {
+        return null;
+    }
+
+    return {
+        href: unescapeString(dest),
+        end: str.length - rest.length + title[0].length
+    };
+};
+
+InlineParser.prototype.parseCloseBracket = function () {
+    var str = this.ip_str;
+    var bracket = this.ip_brackets.pop();
+
+    if (bracket === undefined || !bracket.active) {
+        this.pushText(']', 1);
+        return;
+    }
+
+    var label = str.slice(bracket.start, this.ip_pos);
+    var after = this.ip_pos + 1;
+    var link = this.parseInlineLink(after);
+    var m;
+
+    if (link === null) {
+        /* Try a full, collapsed or shortcut reference link. */
+        m = LINK_LABEL_RE.exec(str.slice(after));
+        if (m !== null && m[1] !== '') {
+            label = m[1];
+            after += m[0].length;
+        } else if (m !== null) {
+            after += m[0].length;
+        }
+
+        var key = normalizeLabel(label);
+        if (mod_jsprim.hasKey(this.ip_refs, key)) {
+            link = { href: this.ip_refs[key], end: after };
+        }
+    }
+
+    if (link === null) {
+        this.pushText(']', 1);
+        return;
+    }
+
+    var idx = this.ip_nodes.indexOf(bracket.node);
+    var children = processEmphasis(this.ip_nodes.slice(idx + 1));
+
+    this.ip_nodes.splice(idx);
+
+    if (bracket.image) {
+        this.ip_nodes.push({
+            type: 'embed',
+            src: link.href,
+            options: []
+        });
+    } else {
+        this.ip_nodes.push({
+            type: 'link',
+            href: link.href,
+            children: children
+        });
+
+        /* Links can't contain other links. */
+        this.ip_brackets.forEach(function (b) {
+            if (!b.image) {
+                b.active = false;
+            }
+        });
+    }
+
+    this.ip_pos = link.end;
+};
+
+InlineParser.prototype.parseAngle = function () {
+    var rest = this.ip_str.slice(this.ip_pos);
+    var m;
+
+    if ((m = AUTOLINK_RE.exec(rest)) !== null) {
+        this.ip_nodes.push({
+            type: 'link',
+            href: m[1],
+            bare: true,
+            children: [ text(m[1]) ]
+        });
+    } else if ((m = EMAIL_RE.exec(rest)) !== null) {
+        this.ip_nodes.push({
+            type: 'link',
+            href: 'mailto:' + m[1],
+            children: [ text(m[1]) ]
+        });
+    } else if ((m = BREAK_TAG_RE.exec(rest)) !== null) {
+        this.ip_nodes.push({ type: 'lineBreak' });
+    } else {
+        this.pushText('<', 1);
+        return;
+    }
+
+    this.ip_pos += m[0].length;
+};
+
+InlineParser.prototype.parseEntity = function () {
+    var m = ENTITY_RE.exec(this.ip_str.slice(this.ip_pos));
+    if (m === null) {
+        this.pushText('&', 1);
+        return;
+    }
+
+    this.pushText(mod_ent.decode(m[0]), m[0].length);
+};
+
+/*
+ * A newline preceded by two or more spaces is a hard line break, and any
+ * other newline is a soft one, which is rendered as a space.
+ */
+InlineParser.prototype.parseNewline = function () {
+    var last = this.ip_nodes[this.ip_nodes.length - 1];
+    var hard = false;
+
+    if (last !== undefined && last.type === 'text') {
+        hard = / {2,}$/.test(last.value);
+        last.value = last.value.replace(/[ \t]+$/, '');
+    }
+
+    this.ip_pos += 1;
+    while (/[ \t]/.test(this.ip_str.charAt(this.ip_pos))) {
+        this.ip_pos += 1;
+    }
+
+    this.ip_nodes.push(hard ? { type: 'lineBreak' } : text(' '));
+};
+
+
+// --- Entry point
+
+/*
+ * Replace the raw inline content of the blocks produced by the BlockParser
+ * with the parsed inline nodes.
+ */
+function parseInlines(node, refs) {
+    if (mod_jsprim.hasKey(node, 'raw')) {
+        node.children = new InlineParser(node.raw, refs).parse();
+        delete node.raw;
+    } else if (node.children) {
+        node.children.forEach(function (child) {
+            parseInlines(child, refs);
+        });
+    }
+
+    return node;
+}
+
+/*
+ * Parse the Markdown in "str", returning a "document" node. Unlike the
+ * trees returned by parse(), the nodes don't have positions.
+ */
+function parseMarkdown(str) {
+    assert.string(str, 'str');
+
+    var refs = {};
+    var lines = str.split(NEWLINE_RE).map(expandIndent);
+    var blocks = new BlockParser(lines, refs).parse();
+
+    return parseInlines({
+        type: 'document',
+        children: blocks
+    }, refs);
+}
+
+module.exports = {
+    parseMarkdown: parseMarkdown
+};
@@ -0,0 +1,451 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var delimit = mod_strings.delimit;
+var indent = mod_strings.indent;
+var repeat = mod_strings.repeat;
+
+/*
+ * This file renders the tree returned by parse() as Markdown, following the
+ * CommonMark specification along with the GitHub Flavored Markdown extensions
+ * for tables and strikethrough. Elements that Markdown has no syntax for
+ * (like subscripts and citations) are written as inline HTML, which
+ * CommonMark passes through.
+ */
+
+/* BEGIN JSSTYLED */
+var ESCAPE_RE = /[\\`*_[\]<~]/g;
+var LINE_START_RE = /^([#>+=-]|[0-9]+[.)])/;
+var LEADING_SPACE_RE = /^[ \t]+/;
+var BACKTICKS_RE = /`+/g;
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var LANGUAGE_RE = /^[^`\s]+$/;
+var DESTINATION_RE = /[\s()<>]/;
+var AUTOLINK_RE = /^[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*$/;
+/* END JSSTYLED */
+
+var DEFAULT_OPS = {
+    color: 'strip',
+    formatMention: function formatMention(username) {
+        return '@' + username;
+    },
+    formatAttachmentLink: function formatAttachmentLink(filename, markdown) {
+        return '[' + markdown + '](' + destination(filename) + ')';
+    },
+    formatEmbedded: function formatEmbedded(src) {
+        return '![' + escapeMarkdown(src) + '](' + destination(src) + ')';
+    }
+};
+
+function escapeMarkdown(str) {
+    return str.replace(ESCAPE_RE, '\\$&');
+}
+
+/*
+ * Escape the start of a line of text that would otherwise begin a block,
+ * like a heading, blockquote or list item. Leading whitespace is dropped,
+ * since it isn't significant in JIRA and four spaces would start an
+ * indented code block.
+ */
+function escapeLineStart(line) {
+    line = line.replace(LEADING_SPACE_RE, '');
+
+    var m = LINE_START_RE.exec(line);
+    if (m === null) {
+        return line;
+    }
+
+    var idx = m[0].length - 1;
+    return line.slice(0, idx) + '\\' + line.slice(idx);
+}
+
+/*
+ * Link destinations containing spaces, parentheses or angle brackets are
+ * wrapped in angle brackets, within which only the angle brackets need
+ * escaping.
+ */
+function destination(href) {
+    if (!DESTINATION_RE.test(href)) {
+        return href;
+    }
+
+    return '<' + href.replace(/[<>\\]/g, '\\$&') + '>';
+}
+
+/*
+ * Code needs to be fenced by a run of backticks that doesn't appear within
+ * it. Returns the length of the longest run within "str".
+ */
+function longestBackticks(str) {
+    var longest = 0;
+    var m;
+
+    BACKTICKS_RE.lastIndex = 0;
+    while ((m = BACKTICKS_RE.exec(str)) !== null) {
+        longest = Math.max(longest, m[0].length);
+    }
+
+    return longest;
+}
+
+function isPlainText(nodes) {
+    return nodes.every(function (node) {
+        return node.type === 'text' || node.type === 'entity';
+    });
+}
+
+/*
+ * Renders the tree returned by parse() as Markdown. The Markdown used for
+ * mentions, attachments and embedded attachments can be changed by passing
+ * "format" functions in "ops" (see DEFAULT_OPS above), and how {color} text
+ * gets written can be selected with "ops.color", which may be:
+ *
+ * - "strip", to write out the text without its color
+ * - "html", to wrap the text in an HTML <span> that sets its color
+ * - a function that is passed the Markdown for the text and the color, or
+ *   null if it isn't valid, and returns the Markdown to use
+ */
+function MarkdownRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.mr_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    if (typeof (this.mr_ops.color) !== 'function' &&
+        this.mr_ops.color !== 'strip' && this.mr_ops.color !== 'html') {
+        throw new Error('"color" must be "strip", "html" or a function');
+    }
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(MarkdownRenderer, mod_renderer.Renderer);
+
+MarkdownRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+/*
+ * Render the contents of a paragraph, which may span multiple lines. JIRA
+ * treats each newline as a line break, so we end each line with a hard
+ * break.
+ */
+MarkdownRenderer.prototype.renderLines = function (nodes) {
+    var lines = [ [] ];
+
+    nodes.forEach(function (node) {
+        if (node.type === 'lineBreak') {
+            lines.push([]);
+        } else {
+            lines[lines.length - 1].push(node);
+        }
+    });
+
+    return lines.map(function (line) {
+        return escapeLineStart(this.renderInline(line));
+    }, this).join('\\\n');
+};
+
+/*
+ * Blocks that can have a title get it written as a bold line above them.
+ */
+MarkdownRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return '';
+    }
+
+    return '**' + escapeMarkdown(node.options.title) + '**\n\n';
+};
+
+MarkdownRenderer.prototype.renderFenced = function (value, language) {
+    var fence = repeat('`', Math.max(3, longestBackticks(value) + 1));
+    var info = language !== null && LANGUAGE_RE.test(language) ?
+        language : '';
+    var body = value.replace(TRAILING_NL_RE, '');
+
+    return fence + info + '\n' + (body === '' ? '' : body + '\n') + fence;
+};
+
+/*
+ * GFM table cells have to fit on a single line, so their blocks and lines
+ * are separated with HTML line breaks instead. Pipes are escaped everywhere
+ * in the cell (even within code spans), since rows get split into cells
+ * before anything else is parsed.
+ */
+MarkdownRenderer.prototype.renderCell = function (node, inHeader) {
+    var self = this;
+    var markdown = node.children.map(function (child) {
+        if (child.type !== 'paragraph') {
+            return self.render(child).split('\n').join('<br>');
+        }
+
+        return child.children.map(function (inline) {
+            return inline.type === 'lineBreak' ? '<br>' : self.render(inline);
+        }).join('');
+    }).join('<br>').replace(/\|/g, '\\|');
+
+    if (node.header && !inHeader) {
+        markdown = delimit(markdown, '**', '**');
+    }
+
+    return markdown === '' ? ' ' : ' ' + markdown + ' ';
+};
+
+MarkdownRenderer.prototype.document = function (node) {
+    return this.renderChildren(node).join('\n\n');
+};
+
+MarkdownRenderer.prototype.paragraph = function (node) {
+    return this.renderLines(node.children);
+};
+
+MarkdownRenderer.prototype.heading = function (node) {
+    var markdown = this.renderInline(node.children);
+
+    /* A trailing run of "#" would be taken as a closing sequence. */
+    if (markdown.charAt(markdown.length - 1) === '#') {
+        markdown = markdown.slice(0, -1) + '\\#';
+    }
+
+    return repeat('#', node.level) + ' ' + markdown;
+};
+
+MarkdownRenderer.prototype.blockquote = function (node) {
+    return '> ' + this.renderLines(node.children);
+};
+
+MarkdownRenderer.prototype.quote = function (node) {
+    return indent(this.renderChildren(node).join('\n\n'), '> ', '> ');
+};
+
+/*
+ * Markdown doesn't have panels, so we use blockquotes to set them apart.
+ */
+MarkdownRenderer.prototype.panel = function (node) {
+    return indent(this.renderTitle(node) +
+        this.renderChildren(node).join('\n\n'), '> ', '> ');
+};
+
+MarkdownRenderer.prototype.code = function (node) {
+    return this.renderTitle(node) +
+        this.renderFenced(node.value, node.language);
+};
+
+MarkdownRenderer.prototype.noformat = function (node) {
+    return this.renderTitle(node) + this.renderFenced(node.value, null);
+};
+
+MarkdownRenderer.prototype.list = function (node) {
+    var self = this;
+
+    return node.children.map(function (item, i) {
+        var marker = node.ordered ? (i + 1) + '. ' : '- ';
+        return indent(self.render(item), marker,
+            repeat(' ', marker.length));
+    }).join('\n');
+};
+
+/*
+ * Nested lists follow directly after the item's contents so that the list
+ * stays tight, while other blocks are separated by blank lines.
+ */
+MarkdownRenderer.prototype.listItem = function (node) {
+    var self = this;
+
+    return node.children.reduce(function (acc, child, i) {
+        var markdown = self.render(child);
+        if (i === 0) {
+            return markdown;
+        }
+
+        return acc + (child.type === 'list' ? '\n' : '\n\n') + markdown;
+    }, '');
+};
+
+/*
+ * GFM tables need a header row, so when the first row of the table doesn't
+ * consist of header cells, we give it an empty one. Header cells elsewhere
+ * in the table are made bold.
+ */
+MarkdownRenderer.prototype.table = function (node) {
+    var self = this;
+    var rows = node.children;
+    var columns = 0;
+    var lines = [];
+
+    rows.forEach(function (row) {
+        columns = Math.max(columns, row.children.length);
+    });
+
+    function line(cells) {
+        while (cells.length < columns) {
+            cells.push(' ');
+        }
+        return '|' + cells.join('|') + '|';
+    }
+
+    var header = rows[0].children.every(function (cell) {
+        return cell.header;
+    });
+
+    if (header) {
+        lines.push(line(rows[0].children.map(function (cell) {
+            return self.renderCell(cell, true);
+        })));
+        rows = rows.slice(1);
+    } else {
+        lines.push(line([]));
+    }
+
+    lines.push(line(repeat(' --- ,', columns).split(',').slice(0, columns)));
+
+    rows.forEach(function (row) {
+        lines.push(line(row.children.map(function (cell) {
+            return self.renderCell(cell, false);
+        })));
+    });
+
+    return lines.join('\n');
+};
+
+MarkdownRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+MarkdownRenderer.prototype.tableCell = function (node) {
+    return this.renderCell(node, false);
+};
+
+MarkdownRenderer.prototype.text = function (node) {
+    return escapeMarkdown(node.value);
+};
+
+MarkdownRenderer.prototype.entity = function (node) {
+    return node.entity;
+};
+
+MarkdownRenderer.prototype.lineBreak = function (_) {
+    return '\\\n';
+};
+
+MarkdownRenderer.prototype.strong = function (node) {
+    return delimit(this.renderInline(node.children), '**', '**');
+};
+
+MarkdownRenderer.prototype.emphasis = function (node) {
+    return delimit(this.renderInline(node.children), '*', '*');
+};
+
+MarkdownRenderer.prototype.deleted = function (node) {
+    return delimit(this.renderInline(node.children), '~~', '~~');
+};
+
+MarkdownRenderer.prototype.citation = function (node) {
+    return '<cite>' + this.renderInline(node.children) + '</cite>';
+};
+
+MarkdownRenderer.prototype.subscript = function (node) {
+    return '<sub>' + this.renderInline(node.children) + '</sub>';
+};
+
+MarkdownRenderer.prototype.superscript = function (node) {
+    return '<sup>' + this.renderInline(node.children) + '</sup>';
+};
+
+MarkdownRenderer.prototype.inserted = function (node) {
+    return '<ins>' + this.renderInline(node.children) + '</ins>';
+};
+
+/*
+ * Code spans can't contain any formatting, so monospaced text that has some
+ * is written with HTML tags instead.
+ */
+MarkdownRenderer.prototype.monospace = function (node) {
+    if (!isPlainText(node.children)) {
+        return '<code>' + this.renderInline(node.children) + '</code>';
+    }
+
+    var str = node.children.map(function (child) {
+        return child.value;
+    }).join('');
+    var fence = repeat('`', longestBackticks(str) + 1);
+
+    /*
+     * A single space is stripped from each side of the contents, so we add
+     * them when the contents would otherwise run into the fence.
+     */
+    if (/^[` ]|[` ]$/.test(str) && str.trim() !== '') {
+        str = ' ' + str + ' ';
+    }
+
+    return fence + str + fence;
+};
+
+MarkdownRenderer.prototype.color = function (node) {
+    var markdown = this.renderInline(node.children);
+    var color = null;
+
+    if (node.color !== null && mod_html.COLOR_RE.test(node.color)) {
+        color = node.color;
+    }
+
+    switch (this.mr_ops.color) {
+    case 'strip':
+        return markdown;
+    case 'html':
+        if (color === null) {
+            return markdown;
+        }
+        return '<span style="color: ' + color + '">' + markdown + '</span>';
+    default:
+        return this.mr_ops.color(markdown, color);
+    }
+};
+
+/*
+ * Links that were written directly into the text are written as autolinks,
+ * when their URL allows it.
+ */
+MarkdownRenderer.prototype.link = function (node) {
+    if (node.bare && AUTOLINK_RE.test(node.href)) {
+        return '<' + node.href + '>';
+    }
+
+    return '[' + this.renderInline(node.children) + '](' +
+        destination(node.href) + ')';
+};
+
+MarkdownRenderer.prototype.attachment = function (node) {
+    return this.mr_ops.formatAttachmentLink(node.filename,
+        this.renderInline(node.children));
+};
+
+MarkdownRenderer.prototype.embed = function (node) {
+    return this.mr_ops.formatEmbedded(node.src, node.options);
+};
+
+MarkdownRenderer.prototype.mention = function (node) {
+    return this.mr_ops.formatMention(node.username);
+};
+
+module.exports = {
+    MarkdownRenderer: MarkdownRenderer
+};
@@ -0,0 +1,1026 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_util = require('util');
+
+/*
+ * This file writes a tree of the form returned by parse() out as JIRA
+ * markup. The markup is written so that parsing it produces the same tree
+ * again: characters in the text that would otherwise be taken as markup get
+ * escaped, either with a backslash (for the characters that the grammar
+ * allows to be escaped that way), or as an HTML entity.
+ *
+ * By default, the markup keeps the choices that are recorded in the tree
+ * (like which bullet a list uses, and the whitespace within table cells).
+ * With "normalize" set, it's written in a consistent style instead.
+ */
+
+/* BEGIN JSSTYLED */
+var ALNUM_RE = /^[a-zA-Z0-9]$/;
+var SPACE_RE = /^\s$/;
+var ENTITY_RE = /^&#?[a-zA-Z0-9]+;/;
+var URL_END_RE = /^[.)!,']*([^a-zA-Z0-9!#-/:;=?@_~]|$)/;
+var URL_EXCL_RE = /^[.)!,']*/;
+var URL_ESCAPE_RE = /^[.)!,']*([*+\-_~]|\?\?)/;
+var URL_EXCL_END_RE = /[.)!,']$/;
+var NOT_URICHAR_RE = /[^a-zA-Z0-9!#-/:;=?@_~]/g;
+var NOT_FILECHAR_RE = /[^a-zA-Z0-9!#-/:;=?@_~ ]/g;
+var URI_RE = /^((https?|ftps?|file|irc):\/\/|\/\/|#)./;
+var BULLET_START_RE = /^([ \t]*)([#*-])(?=([ \t]*[#*-])*[ \t])/;
+var BLOCK_START_RE = /^(h[1-6]|bq)\./;
+var PUNCT_RE = /^[!-/:-@[-`{-~]$/;
+var FILECHARS_RE = /^[a-zA-Z0-9#-/:;=?@_~ ]+/;
+/* END JSSTYLED */
+
+var FORMAT_CHARS = '*_~-+^';
+
+/* The elements that are delimited by FORMAT_CHARS or "??". */
+/*
+ * The elements that start with a character that can't be part of a URL, and
+ * so can follow a bare link.
+ */
+var BRACKETED_TYPES = [ 'lineBreak', 'attachment', 'mention', 'monospace',
+    'color' ];
+
+var FORMAT_DELIMITERS = {
+    strong: '*',
+    emphasis: '_',
+    citation: '??',
+    subscript: '~',
+    superscript: '^',
+    deleted: '-',
+    inserted: '+'
+};
+
+/*
+ * Returns whether "node" has no children, or just the text "str".
+ */
+function hasOnlyText(node, str) {
+    var children = node.children;
+
+    return children.length === 0 || (children.length === 1 &&
+        children[0].type === 'text' && children[0].value === str);
+}
+
+/*
+ * Tests for the nodes that may write out characters that can pair up with
+ * ones earlier on their line: closing brackets (which would end a link or
+ * mention, and which text only leaves unescaped at its end), pipes (which
+ * would end a link's text) and exclamation marks (which would end an
+ * embedded attachment). Links, attachments and embeds get parsed as a
+ * whole, so the pipes within them don't count.
+ */
+var LATER_TESTS = {
+    bracket: function (node) {
+        if (node.type === 'text') {
+            return node.value.charAt(node.value.length - 1) === ']';
+        }
+
+        return node.type === 'link' || node.type === 'attachment' ||
+            node.type === 'mention';
+    },
+    pipe: function (node) {
+        switch (node.type) {
+        case 'text':
+            return node.value.indexOf('|') !== -1;
+        case 'link':
+            /* Links that the grammar doesn't allow are written as text. */
+            return node.href.indexOf('|') !== -1;
+        default:
+            return false;
+        }
+    },
+    bang: function (node) {
+        switch (node.type) {
+        case 'text':
+            return node.value.indexOf('!') !== -1;
+        case 'link':
+            return node.href.indexOf('!') !== -1;
+        case 'attachment':
+            return node.filename.indexOf('!') !== -1;
+        default:
+            return node.type === 'embed';
+        }
+    }
+};
+
+/* Blocks whose contents run until a closing "{name}" tag. */
+var READ_UNTIL_BLOCKS = [ 'code', 'noformat', 'quote', 'panel' ];
+
+var DEFAULT_OPS = {
+    normalize: false
+};
+
+/*
+ * The grammar can only tell a formatting character apart from a literal one
+ * by its surroundings, so we escape any that could begin formatting (ones
+ * that aren't followed by whitespace or preceded by a letter or digit), and
+ * any that could end the formatting that they're within.
+ */
+function needsFormatEscape(c, prev, next, stops) {
+    if (stops.indexOf(c) !== -1) {
+        return true;
+    }
+
+    if (next !== null && SPACE_RE.test(next)) {
+        return false;
+    }
+
+    return prev === null || !ALNUM_RE.test(prev);
+}
+
+/*
+ * Escape the start of a line that would otherwise begin a heading,
+ * blockquote or list. (A pipe that would begin a table gets escaped when
+ * the text is written, since it affects what formatting can follow it.)
+ */
+function escapeLineStart(line) {
+    var m;
+
+    if ((m = BLOCK_START_RE.exec(line)) !== null) {
+        /*
+         * Formatting can't start right after an entity, so when something
+         * other than whitespace follows the dot, we escape the first letter.
+         */
+        if (m[0].length < line.length &&
+            !SPACE_RE.test(line.charAt(m[0].length))) {
+            return '&#' + line.charCodeAt(0) + ';' + line.slice(1);
+        }
+
+        return line.replace('.', '&#46;');
+    }
+
+    if ((m = BULLET_START_RE.exec(line)) !== null) {
+        return m[1] + (m[2] === '#' ? '&#35;' : '\\' + m[2]) +
+            line.slice(m[0].length);
+    }
+
+    return line;
+}
+
+/*
+ * Percent-encode the characters in a URL or filename that the grammar
+ * doesn't allow in them.
+ */
+function encodeURIChars(str, re) {
+    return str.replace(re, function (c) {
+        return encodeURIComponent(c);
+    });
+}
+
+/*
+ * Escape a block option or its value. Pipes separate options and can't be
+ * escaped, so they are written as an entity.
+ */
+function escapeOption(str) {
+    return str.replace(/[\\{}[\]]/g, '\\$&').replace(/\|/g, '&#124;');
+}
+
+/*
+ * Return the last of the inline nodes "nodes", or of their descendants, that
+ * "test" returns true for, or null if there isn't one.
+ */
+function lastMatching(nodes, test) {
+    var last = null;
+
+    nodes.forEach(function visit(node) {
+        if (test(node)) {
+            last = node;
+        }
+
+        if (node.children) {
+            node.children.forEach(visit);
+        }
+    });
+
+    return last;
+}
+
+/*
+ * Return the last of the inline nodes "nodes" that each of the LATER_TESTS
+ * matches, in the form used for "mu_later" below.
+ */
+function laterNodes(nodes) {
+    var later = {};
+
+    mod_jsprim.forEachKey(LATER_TESTS, function (kind, test) {
+        later[kind] = lastMatching(nodes, test);
+    });
+
+    return later;
+}
+
+/*
+ * Count the pipes that the inline nodes "nodes" write out as text, counting
+ * each link that may write some as a single pipe.
+ */
+function countPipes(nodes) {
+    var count = 0;
+
+    nodes.forEach(function visit(node) {
+        if (node.type === 'text') {
+            count += node.value.split('|').length - 1;
+        } else if (LATER_TESTS.pipe(node)) {
+            count += 1;
+        }
+
+        if (node.children) {
+            node.children.forEach(visit);
+        }
+    });
+
+    return count;
+}
+
+/*
+ * Return a copy of the inline nodes "nodes" without the whitespace at their
+ * start (when "first" is true) or end, dropping text nodes left empty.
+ */
+function trimInline(nodes, first) {
+    var re = first ? /^[ \t]+/ : /[ \t]+$/;
+
+    nodes = nodes.slice();
+
+    while (nodes.length > 0) {
+        var i = first ? 0 : nodes.length - 1;
+        if (nodes[i].type !== 'text') {
+            break;
+        }
+
+        var value = nodes[i].value.replace(re, '');
+        if (value !== '') {
+            nodes[i] = { type: 'text', value: value };
+            break;
+        }
+
+        nodes.splice(i, 1);
+    }
+
+    return nodes;
+}
+
+/*
+ * Return a copy of the blocks "nodes" without the whitespace at the start of
+ * the first one and the end of the last one, when they're paragraphs.
+ */
+function trimBlocks(nodes) {
+    nodes = nodes.slice();
+
+    [ 0, nodes.length - 1 ].forEach(function (i, edge) {
+        if (nodes.length > 0 && nodes[i].type === 'paragraph') {
+            nodes[i] = {
+                type: 'paragraph',
+                children: trimInline(nodes[i].children, edge === 0)
+            };
+        }
+    });
+
+    return nodes;
+}
+
+function formatOptions(positional, named) {
+    var opts = positional.map(escapeOption);
+
+    mod_jsprim.forEachKey(named, function (key, value) {
+        opts.push(escapeOption(key) + '=' + escapeOption(value));
+    });
+
+    return opts.length === 0 ? '' : ':' + opts.join('|');
+}
+
+/*
+ * Renders a tree of the form returned by parse() as JIRA markup. When
+ * "ops.normalize" is true, bulleted lists all use "*", whitespace is trimmed
+ * from the ends of headings, and table cells are padded with a single space
+ * on each side.
+ */
+function MarkupRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.mu_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+    assert.bool(this.mu_ops.normalize, 'ops.normalize');
+
+    /* Delimiters of the inline elements that we're currently within. */
+    this.mu_stops = [];
+
+    /* Whether we're within a table cell or link text. */
+    this.mu_pipes = 0;
+
+    /* The bullets of the lists that we're currently within. */
+    this.mu_bullets = '';
+
+    /* How many {quote} and {panel} blocks we're currently within. */
+    this.mu_quotes = 0;
+    this.mu_panels = 0;
+
+    /*
+     * The last character written before the current inline node, or null
+     * when it's at the start of its line or element, and the two nodes that
+     * follow it.
+     */
+    this.mu_prev = null;
+    this.mu_next = null;
+    this.mu_after = null;
+
+    /*
+     * For each of the LATER_TESTS, the last node on the current line that it
+     * matches, or null once that node has been reached. When we don't know
+     * what's on the line, this is null, and we assume that anything could
+     * come later.
+     */
+    this.mu_later = null;
+
+    /*
+     * Whether nothing has been written on the current line yet, and whether
+     * a pipe at its start can be written as is, since the line can't be
+     * taken as a table row.
+     */
+    this.mu_linestart = false;
+    this.mu_keeppipe = false;
+
+    /*
+     * Whether a link or attachment without its own text has been written on
+     * the current line. A pipe after it would be taken as the end of its
+     * text, so any later ones need escaping.
+     */
+    this.mu_textless = false;
+
+    /* Whether the current block is the last thing in the document. */
+    this.mu_final = false;
+
+    /*
+     * Whether the text that's about to be written comes right after a bare
+     * link, and so needs to escape the first character after any leading
+     * punctuation that would otherwise continue the link's URL.
+     */
+    this.mu_url = false;
+
+    /*
+     * Whether formatting like *strong* can begin at the current point. The
+     * grammar only allows it at the start of a line or element, after
+     * whitespace or punctuation that hasn't been escaped, or right after
+     * other formatting.
+     */
+    this.mu_open = true;
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(MarkupRenderer, mod_renderer.Renderer);
+
+MarkupRenderer.prototype.renderInline = function (nodes) {
+    var saved = [ this.mu_prev, this.mu_next, this.mu_after ];
+    var out = '';
+
+    for (var i = 0; i < nodes.length; ++i) {
+        this.mu_prev = out === '' ? null : out.charAt(out.length - 1);
+        this.mu_next = i + 1 < nodes.length ? nodes[i + 1] : null;
+        this.mu_after = i + 2 < nodes.length ? nodes[i + 2] : null;
+        this.reach(nodes[i]);
+        out += this.render(nodes[i]);
+        if (out !== '') {
+            this.mu_linestart = false;
+        }
+    }
+
+    this.mu_prev = saved[0];
+    this.mu_next = saved[1];
+    this.mu_after = saved[2];
+
+    return out;
+};
+
+/*
+ * Note that we've reached "node" on the current line, so that it no longer
+ * counts as coming later.
+ */
+MarkupRenderer.prototype.reach = function (node) {
+    var later = this.mu_later;
+
+    if (later === null) {
+        return;
+    }
+
+    mod_jsprim.forEachKey(later, function (kind, last) {
+        if (last === node) {
+            later[kind] = null;
+        }
+    });
+};
+
+/*
+ * Returns whether a node that the LATER_TESTS entry "kind" matches comes
+ * later on the current line than the node being written, and (if given)
+ * the node "after".
+ */
+MarkupRenderer.prototype.comesLater = function (kind, after) {
+    var last = this.mu_later === null ? undefined : this.mu_later[kind];
+
+    return last !== null && last !== after;
+};
+
+/*
+ * Render inline content that may contain line breaks, joining its lines
+ * with "sep". When that's a newline, the start of each line gets escaped.
+ */
+MarkupRenderer.prototype.renderLines = function (nodes, sep) {
+    var later = this.mu_later;
+    var lines = [ [] ];
+
+    /*
+     * A paragraph can only start with a pipe without being taken as a table
+     * when no row of the table could end: there mustn't be another pipe,
+     * or a blank line after it.
+     */
+    var keepPipe = sep === '\n' && this.mu_final && countPipes(nodes) <= 1;
+
+    this.mu_later = laterNodes(nodes);
+
+    nodes.forEach(function (node) {
+        if (node.type === 'lineBreak') {
+            lines.push([]);
+        } else {
+            lines[lines.length - 1].push(node);
+        }
+    });
+
+    var markup = lines.map(function (line, i) {
+        this.mu_open = true;
+        this.mu_linestart = sep === '\n';
+        this.mu_keeppipe = keepPipe && i === 0;
+        this.mu_textless = false;
+        var str = this.renderInline(line);
+        return sep === '\n' ? escapeLineStart(str) : str;
+    }, this).filter(function (line) {
+        /* An empty line would end the paragraph. */
+        return line !== '';
+    }).join(sep);
+
+    this.mu_later = later;
+    this.mu_linestart = false;
+    this.mu_textless = false;
+
+    return markup;
+};
+
+MarkupRenderer.prototype.renderBlocks = function (nodes, sep) {
+    var final = this.mu_final;
+
+    var markup = nodes.map(function (node, i) {
+        this.mu_final = final && i === nodes.length - 1;
+        return this.render(node);
+    }, this).filter(function (block) {
+        return block !== '';
+    }).join(sep);
+
+    this.mu_final = final;
+
+    return markup;
+};
+
+/*
+ * Elements can't be nested within themselves, and formatting can't end right
+ * before a letter or digit. Returns whether "node" can be written with its
+ * delimiters, given the node that follows it.
+ */
+MarkupRenderer.prototype.canDelimit = function (node, close, next) {
+    if (this.mu_stops.indexOf(close) !== -1) {
+        return false;
+    }
+
+    return !mod_jsprim.hasKey(FORMAT_DELIMITERS, node.type) || next === null ||
+        next.type !== 'text' || !ALNUM_RE.test(next.value.charAt(0));
+};
+
+/*
+ * Render an inline element with the delimiter "open" before its contents,
+ * and "close" after. Whitespace isn't allowed after the opening delimiter
+ * of formatting like *strong*, so we move it to before the element. Where an
+ * element can't be written with its delimiters, we write just its contents.
+ */
+MarkupRenderer.prototype.renderDelimited = function (node, open, close) {
+    var formatted = mod_jsprim.hasKey(FORMAT_DELIMITERS, node.type);
+    var canOpen = this.mu_open;
+
+    if (!this.canDelimit(node, close, this.mu_next)) {
+        return this.renderInline(node.children);
+    }
+
+    this.mu_stops.push(close);
+    this.mu_open = true;
+    this.mu_linestart = false;
+    var markup = this.renderInline(node.children);
+    this.mu_stops.pop();
+
+    if (!formatted) {
+        this.mu_open = false;
+        return markup === '' ? '' : open + markup + close;
+    }
+
+    var m = /^(\s*)([\s\S]*)$/.exec(markup);
+    if (m[2] === '') {
+        return markup;
+    }
+
+    /*
+     * Formatting also can't start where mu_open says it can't, unless the
+     * whitespace moved out from the contents gives it somewhere to start.
+     */
+    if (!canOpen && m[1] === '') {
+        this.mu_open = canOpen;
+        return this.renderInline(node.children);
+    }
+
+    this.mu_open = true;
+
+    return m[1] + open + m[2] + close;
+};
+
+MarkupRenderer.prototype.renderReadUntil = function (name, opts, value) {
+    if (value.indexOf('{' + name) !== -1 && name === 'code' &&
+        value.indexOf('{noformat') === -1) {
+        /* A {code} block can't contain "{code", but {noformat} can. */
+        name = 'noformat';
+        opts = '';
+    }
+
+    return '{' + name + opts + '}\n' + value + '{' + name + '}';
+};
+
+MarkupRenderer.prototype.document = function (node) {
+    this.mu_final = true;
+    var markup = this.renderBlocks(node.children, '\n\n');
+    this.mu_final = false;
+
+    return markup;
+};
+
+MarkupRenderer.prototype.paragraph = function (node) {
+    return this.renderLines(node.children, '\n');
+};
+
+MarkupRenderer.prototype.heading = function (node) {
+    var children = node.children;
+
+    if (this.mu_ops.normalize) {
+        children = trimInline(trimInline(children, true), false);
+    }
+
+    var later = this.mu_later;
+    this.mu_later = laterNodes(children);
+    this.mu_open = true;
+
+    var markup = this.renderInline(children);
+    this.mu_later = later;
+    this.mu_textless = false;
+    if (markup.trim() === '') {
+        return '';
+    }
+
+    return 'h' + node.level + '. ' + markup.replace(/^\s+/, '');
+};
+
+MarkupRenderer.prototype.blockquote = function (node) {
+    var markup = this.renderLines(node.children, ' ');
+    if (markup.trim() === '') {
+        return '';
+    }
+
+    return 'bq. ' + markup;
+};
+
+/*
+ * Blocks can't be nested within blocks of the same kind, so the contents of
+ * nested blocks get merged into the outer one.
+ */
+MarkupRenderer.prototype.quote = function (node) {
+    if (this.mu_quotes > 0) {
+        return this.renderBlocks(node.children, '\n\n');
+    }
+
+    var final = this.mu_final;
+    this.mu_quotes += 1;
+    this.mu_final = false;
+    var markup = this.renderBlocks(node.children, '\n\n');
+    this.mu_quotes -= 1;
+    this.mu_final = final;
+
+    return '{quote}\n' + (markup === '' ? '' : markup + '\n') + '{quote}';
+};
+
+MarkupRenderer.prototype.panel = function (node) {
+    if (this.mu_panels > 0) {
+        return this.renderBlocks(node.children, '\n\n');
+    }
+
+    var final = this.mu_final;
+    this.mu_panels += 1;
+    this.mu_final = false;
+    var markup = this.renderBlocks(node.children, '\n\n');
+    this.mu_panels -= 1;
+    this.mu_final = final;
+
+    return '{panel' + formatOptions([], node.options) + '}\n' +
+        (markup === '' ? '' : markup + '\n') + '{panel}';
+};
+
+MarkupRenderer.prototype.code = function (node) {
+    return this.renderReadUntil('code', formatOptions(
+        node.language === null ? [] : [ node.language ], node.options),
+        node.value);
+};
+
+MarkupRenderer.prototype.noformat = function (node) {
+    return this.renderReadUntil('noformat', formatOptions([], node.options),
+        node.value);
+};
+
+MarkupRenderer.prototype.list = function (node) {
+    var bullets = this.mu_bullets;
+    var bullet = node.bullet;
+
+    if (this.mu_ops.normalize && !node.ordered) {
+        bullet = '*';
+    }
+
+    this.mu_bullets = bullets + bullet;
+    var markup = this.renderBlocks(node.children, '\n');
+    this.mu_bullets = bullets;
+
+    return markup;
+};
+
+/*
+ * The first block of a list item follows its bullet, and any others go on
+ * the lines after it. Items without any contents of their own (which only
+ * hold a nested list) are written as just the nested list.
+ */
+MarkupRenderer.prototype.listItem = function (node) {
+    var self = this;
+    var children = node.children;
+    var final = this.mu_final;
+
+    if (children.length === 0) {
+        return this.mu_bullets + ' &#160;';
+    }
+
+    var markup = children.map(function (child, i) {
+        self.mu_final = final && i === children.length - 1;
+        var block = self.render(child);
+        if (i === 0 && child.type !== 'list') {
+            block = self.mu_bullets + ' ' + block;
+        }
+        return block;
+    });
+
+    this.mu_final = final;
+
+    return markup.filter(function (block) {
+        return block !== '';
+    }).join('\n');
+};
+
+MarkupRenderer.prototype.table = function (node) {
+    return this.renderBlocks(node.children, '\n');
+};
+
+MarkupRenderer.prototype.tableRow = function (node) {
+    var cells = node.children;
+    if (cells.length === 0) {
+        return '';
+    }
+
+    return this.renderChildren(node).join('') +
+        (cells[cells.length - 1].header ? '||' : '|');
+};
+
+MarkupRenderer.prototype.tableCell = function (node) {
+    var normalize = this.mu_ops.normalize;
+
+    this.mu_pipes += 1;
+    var markup = this.renderBlocks(normalize ?
+        trimBlocks(node.children) : node.children, '\n');
+    this.mu_pipes -= 1;
+
+    if (normalize) {
+        markup = markup.replace(/^[ \t]+/, '');
+        if (markup !== '') {
+            /*
+             * Whitespace after a block that ends with a "{name}" tag would
+             * be taken as the start of another paragraph.
+             */
+            var last = node.children[node.children.length - 1];
+            markup = ' ' + markup +
+                (READ_UNTIL_BLOCKS.indexOf(last.type) === -1 ? ' ' : '');
+        }
+    }
+
+    return (node.header ? '||' : '|') + (markup === '' ? ' ' : markup);
+};
+
+/*
+ * Returns whether the exclamation mark at index "i" of the text "str" would
+ * be taken as the start of an embedded attachment: that's when it's followed
+ * by characters that are allowed in a filename, and then another exclamation
+ * mark or a pipe. When "str" is the text after the current node, "after" is
+ * its node.
+ */
+MarkupRenderer.prototype.startsEmbed = function (str, i, after) {
+    var m = FILECHARS_RE.exec(str.slice(i + 1));
+    if (m === null) {
+        return false;
+    }
+
+    var end = i + 1 + m[0].length;
+    if (end < str.length) {
+        return str.charAt(end) === '!' || str.charAt(end) === '|';
+    }
+
+    return this.comesLater('bang', after);
+};
+
+/*
+ * Returns whether the next node is formatting that will be written with its
+ * delimiters, if it's allowed to start.
+ */
+MarkupRenderer.prototype.beforeFormatted = function () {
+    var next = this.mu_next;
+
+    if (next === null || !mod_jsprim.hasKey(FORMAT_DELIMITERS, next.type) ||
+        !this.canDelimit(next, FORMAT_DELIMITERS[next.type], this.mu_after)) {
+        return false;
+    }
+
+    return next.children.some(function (child) {
+        return child.type !== 'text' || /\S/.test(child.value);
+    });
+};
+
+MarkupRenderer.prototype.text = function (node) {
+    var str = node.value;
+    var url = this.mu_url ? URL_EXCL_RE.exec(str)[0].length : -1;
+    var out = '';
+
+    this.mu_url = false;
+
+    for (var i = 0; i < str.length; ++i) {
+        var c = str.charAt(i);
+        var prev = i === 0 ? this.mu_prev : str.charAt(i - 1);
+        var next = i + 1 < str.length ? str.charAt(i + 1) : null;
+        var escaped = c;
+        var lone = false;
+
+        switch (c) {
+        case ']':
+        case '{':
+        case '}':
+            /*
+             * A bracket or brace that's left unescaped can come right before
+             * formatting, which wouldn't be able to start after an escaped
+             * one.
+             */
+            if (next === null && this.beforeFormatted() &&
+                (c !== '}' || this.mu_stops.indexOf('}}') === -1)) {
+                break;
+            }
+            escaped = '\\' + c;
+            break;
+        case '[':
+            /*
+             * The same goes for an opening bracket, unless a closing one
+             * later on could end it as a mention, or as a link with text.
+             */
+            if (next === null && this.beforeFormatted() &&
+                (!this.comesLater('bracket') || (!this.comesLater('pipe') &&
+                this.mu_next.type !== 'subscript'))) {
+                break;
+            }
+            escaped = '\\' + c;
+            break;
+        case '\\':
+            escaped = '\\' + c;
+            break;
+        case '?':
+            if (next !== '?') {
+                break;
+            }
+            /*
+             * Formatting can't start after an escaped "??", but it can after
+             * a lone question mark, so we write the first one as an entity
+             * when formatting (other than a citation) follows.
+             */
+            if (i + 2 === str.length && this.beforeFormatted() &&
+                this.mu_next.type !== 'citation') {
+                escaped = '&#63;?';
+                lone = true;
+            } else {
+                escaped = '\\??';
+            }
+            i += 1;
+            break;
+        case '|':
+            if (this.mu_pipes > 0 || this.mu_textless ||
+                (i === 0 && this.mu_linestart && !this.mu_keeppipe)) {
+                escaped = '&#124;';
+            }
+            break;
+        case '&':
+            if (ENTITY_RE.test(str.slice(i))) {
+                escaped = '&#38;';
+            }
+            break;
+        case '!':
+            /* Text between a pair of them could be an embedded attachment. */
+            if (this.startsEmbed(str, i)) {
+                escaped = '&#33;';
+            }
+            break;
+        default:
+            if (i === url && URL_ESCAPE_RE.test(c)) {
+                escaped = '\\' + c;
+            } else if (FORMAT_CHARS.indexOf(c) !== -1 &&
+                needsFormatEscape(c, prev, next, this.mu_stops)) {
+                escaped = '\\' + c;
+            }
+            break;
+        }
+
+        out += escaped;
+        this.mu_open = lone || (escaped === c && (SPACE_RE.test(c) ||
+            (PUNCT_RE.test(c) && FORMAT_CHARS.indexOf(c) === -1 &&
+            c !== '?')));
+    }
+
+    return out;
+};
+
+MarkupRenderer.prototype.entity = function (node) {
+    this.mu_open = false;
+    return node.entity;
+};
+
+MarkupRenderer.prototype.lineBreak = function (_) {
+    this.mu_open = true;
+    return '\n';
+};
+
+MarkupRenderer.prototype.strong = function (node) {
+    return this.renderDelimited(node, '*', '*');
+};
+
+MarkupRenderer.prototype.emphasis = function (node) {
+    return this.renderDelimited(node, '_', '_');
+};
+
+MarkupRenderer.prototype.citation = function (node) {
+    return this.renderDelimited(node, '??', '??');
+};
+
+MarkupRenderer.prototype.subscript = function (node) {
+    return this.renderDelimited(node, '~', '~');
+};
+
+MarkupRenderer.prototype.superscript = function (node) {
+    return this.renderDelimited(node, '^', '^');
+};
+
+MarkupRenderer.prototype.deleted = function (node) {
+    return this.renderDelimited(node, '-', '-');
+};
+
+MarkupRenderer.prototype.inserted = function (node) {
+    return this.renderDelimited(node, '+', '+');
+};
+
+MarkupRenderer.prototype.monospace = function (node) {
+    return this.renderDelimited(node, '{{', '}}');
+};
+
+MarkupRenderer.prototype.color = function (node) {
+    var opts = node.color === null ? '' : ':' + escapeOption(node.color);
+
+    return this.renderDelimited(node, '{color' + opts + '}', '{color}');
+};
+
+MarkupRenderer.prototype.renderLinkText = function (node) {
+    this.mu_pipes += 1;
+    this.mu_open = true;
+    this.mu_linestart = false;
+    var markup = this.renderInline(node.children);
+    this.mu_pipes -= 1;
+
+    return markup;
+};
+
+/*
+ * Returns whether the text "str" that comes after a bare link to "href"
+ * would end the link's URL. An exclamation mark that gets written as an
+ * entity would continue the URL instead. Text that starts with a character
+ * that we can escape ends the URL at the backslash, unless the URL ends with
+ * characters that would then be left out of it.
+ */
+MarkupRenderer.prototype.endsURL = function (str, href) {
+    var m = URL_END_RE.exec(str);
+    if (m === null) {
+        if ((m = URL_ESCAPE_RE.exec(str)) === null ||
+            URL_EXCL_END_RE.test(href)) {
+            return false;
+        }
+    }
+
+    for (var i = 0; i < m[0].length; ++i) {
+        if (m[0].charAt(i) === '!' &&
+            this.startsEmbed(str, i, this.mu_next)) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/*
+ * Links that were written directly into the text are written out the same
+ * way, unless the surrounding text would run into the URL.
+ */
+MarkupRenderer.prototype.link = function (node) {
+    var href = encodeURIChars(node.href, NOT_URICHAR_RE);
+    var next = this.mu_next;
+
+    if (!URI_RE.test(href)) {
+        /*
+         * The grammar only allows links with some URL schemes, so other
+         * links are written as text followed by the URL.
+         */
+        var str = this.renderInline(node.children);
+        if (str !== node.href) {
+            str += this.text({ type: 'text', value: ' (' + node.href + ')' });
+        }
+        return str;
+    }
+
+    this.mu_open = false;
+
+    if (node.bare && (this.mu_prev === null ||
+        !ALNUM_RE.test(this.mu_prev)) && (next === null ||
+        BRACKETED_TYPES.indexOf(next.type) !== -1 ||
+        (next.type === 'link' && !next.bare) ||
+        (next.type === 'text' && this.endsURL(next.value, href)))) {
+        this.mu_url = next !== null && next.type === 'text';
+        return href;
+    }
+
+    var text = hasOnlyText(node, href) ? '' : this.renderLinkText(node);
+    this.mu_open = false;
+
+    if (text === '') {
+        this.mu_textless = true;
+        return '[' + href + ']';
+    }
+
+    return '[' + text + '|' + href + ']';
+};
+
+MarkupRenderer.prototype.attachment = function (node) {
+    var filename = encodeURIChars(node.filename, NOT_URICHAR_RE);
+    var text = hasOnlyText(node, filename) ? '' : this.renderLinkText(node);
+    this.mu_open = false;
+
+    if (text === '') {
+        this.mu_textless = true;
+        return '[^' + filename + ']';
+    }
+
+    return '[' + text + '|^' + filename + ']';
+};
+
+MarkupRenderer.prototype.embed = function (node) {
+    var src = encodeURIChars(node.src, NOT_FILECHAR_RE);
+    var options = node.options.map(function (option) {
+        return option.replace(/[\\{}[\]]/g, '\\$&').replace(/!/g, '&#33;');
+    });
+
+    this.mu_open = false;
+
+    return '!' + src + (options.length > 0 ?
+        '|' + options.join(',') : '') + '!';
+};
+
+MarkupRenderer.prototype.mention = function (node) {
+    this.mu_open = false;
+    return '[~' + node.username.replace(/\]/g, '') + ']';
+};
+
+module.exports = {
+    MarkupRenderer: MarkupRenderer
+};
@@ -0,0 +1,507 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var delimit = mod_strings.delimit;
+var escapeAroundEntities = mod_strings.escapeAroundEntities;
+var repeat = mod_strings.repeat;
+
+/*
+ * This file renders the tree returned by parse() as MediaWiki wikitext.
+ * Text effects that wikitext has no syntax for (like strikethrough and
+ * subscripts) are written using the HTML tags that MediaWiki allows, and
+ * {code} blocks use the <syntaxhighlight> tag from the SyntaxHighlight
+ * extension that comes bundled with MediaWiki.
+ *
+ * Characters that wikitext would treat as markup are written as character
+ * references ("&#91;"), which MediaWiki decodes after parsing.
+ */
+
+/* BEGIN JSSTYLED */
+var ESCAPE_RE = /[&<[\]{}|]|'{2,}|^'|'$|~{3,}|_{2,}/g;
+var LINE_START_RE = /^(?:[*#:;=!]|----)/;
+var LEADING_SPACE_RE = /^[ \t]+/;
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var LANGUAGE_RE = /^[a-zA-Z0-9_+#-]+$/;
+var URL_ESCAPE_RE = /[\s"<>[\]{}|]/g;
+var WEB_URL_RE = /^https?:\/\//i;
+var END_SYNTAXHIGHLIGHT_RE = /<\/syntaxhighlight/i;
+var BORDER_STYLE_RE =
+    /^(solid|dashed|dotted|double|groove|ridge|inset|outset|none)$/;
+var BORDER_WIDTH_RE = /^[0-9]{1,2}(px)?$/;
+var SIZE_RE = /^[0-9]+$/;
+var ALIGN_RE = /^(left|right|center|none)$/;
+/* END JSSTYLED */
+
+var DEFAULT_OPS = {
+    code: 'syntaxhighlight',
+    formatMention: function formatMention(username) {
+        return '[[User:' + username + '|' + username + ']]';
+    },
+    formatAttachmentLink: function formatAttachmentLink(filename, wikitext) {
+        return '[[Media:' + filename + '|' + wikitext + ']]';
+    },
+    formatEmbedded: function formatEmbedded(src, options) {
+        if (WEB_URL_RE.test(src)) {
+            return escapeURL(src);
+        }
+
+        return '[[File:' + src + fileOptions(options).map(function (opt) {
+            return '|' + opt;
+        }).join('') + ']]';
+    }
+};
+
+function charRef(c) {
+    return '&#' + c.charCodeAt(0) + ';';
+}
+
+/*
+ * Escape the characters in "str" that wikitext would treat as markup. Runs
+ * of apostrophes would start bold or italic text, and apostrophes at the
+ * edges of the string would join up with the ones around it. Runs of
+ * tildes would become signatures, and runs of underscores magic words
+ * (like "__TOC__").
+ */
+function escapeWiki(str) {
+    return str.replace(ESCAPE_RE, function (m) {
+        if (m === '&') {
+            return '&amp;';
+        }
+        if (m === '<') {
+            return '&lt;';
+        }
+
+        return m.split('').map(charRef).join('');
+    });
+}
+
+/*
+ * Option values are kept as they were written, including any entities,
+ * so we escape everything around the entities.
+ */
+function escapeOption(str) {
+    return escapeAroundEntities(str, escapeWiki);
+}
+
+/*
+ * Escape a line of text that would otherwise be read as the start of a
+ * block, like a heading, list item or horizontal rule. Leading whitespace
+ * is dropped, since it would start a preformatted block.
+ */
+function escapeLineStart(line) {
+    line = line.replace(LEADING_SPACE_RE, '');
+
+    if (!LINE_START_RE.test(line)) {
+        return line;
+    }
+
+    return charRef(line.charAt(0)) + line.slice(1);
+}
+
+/*
+ * External links end at whitespace or "]", so those (and anything else
+ * that would be taken as markup) are percent-encoded.
+ */
+function escapeURL(href) {
+    return href.replace(URL_ESCAPE_RE, function (c) {
+        return encodeURIComponent(c);
+    });
+}
+
+/*
+ * Convert the options of an embedded attachment into the options for an
+ * image link: "thumbnail" becomes "thumb", the width and height become its
+ * size ("300x200px"), and the title becomes its caption.
+ */
+function fileOptions(options) {
+    var named = {};
+    var result = [];
+    var size = '';
+
+    options.forEach(function (option) {
+        var idx = option.indexOf('=');
+        if (idx === -1) {
+            named[option.trim()] = true;
+        } else {
+            named[option.slice(0, idx).trim()] = option.slice(idx + 1).trim();
+        }
+    });
+
+    if (named.thumbnail === true) {
+        result.push('thumb');
+    }
+
+    if (typeof (named.width) === 'string' && SIZE_RE.test(named.width)) {
+        size = named.width;
+    }
+
+    if (typeof (named.height) === 'string' && SIZE_RE.test(named.height)) {
+        size += 'x' + named.height;
+    }
+
+    if (size !== '') {
+        result.push(size + 'px');
+    }
+
+    if (typeof (named.align) === 'string' && ALIGN_RE.test(named.align)) {
+        result.push(named.align);
+    }
+
+    if (typeof (named.alt) === 'string') {
+        result.push('alt=' + escapeOption(named.alt));
+    }
+
+    if (typeof (named.title) === 'string') {
+        result.push(escapeOption(named.title));
+    }
+
+    return result;
+}
+
+/*
+ * Renders the tree returned by parse() as MediaWiki wikitext. The wikitext
+ * used for mentions, attachments and embedded attachments can be changed by
+ * passing "format" functions in "ops" (see DEFAULT_OPS above). {code} blocks
+ * are written using <syntaxhighlight>, or using <pre> (like {noformat}
+ * blocks) when "ops.code" is "pre", for wikis without the SyntaxHighlight
+ * extension.
+ */
+function MediaWikiRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.mw_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    if (this.mw_ops.code !== 'syntaxhighlight' && this.mw_ops.code !== 'pre') {
+        throw new Error('"code" must be "syntaxhighlight" or "pre"');
+    }
+
+    /*
+     * The markers for the lists that we are within ("*#"), which start
+     * each line of their items.
+     */
+    this.mw_markers = '';
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(MediaWikiRenderer, mod_renderer.Renderer);
+
+MediaWikiRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+/*
+ * Render the contents of a paragraph, which may span multiple lines.
+ * MediaWiki joins lines within a paragraph together, so they're separated
+ * with a line break. Within lists, each item has to fit on a single line,
+ * so "sep" leaves out the newline there.
+ */
+MediaWikiRenderer.prototype.renderLines = function (nodes, sep) {
+    var lines = [ [] ];
+
+    nodes.forEach(function (node) {
+        if (node.type === 'lineBreak') {
+            lines.push([]);
+        } else {
+            lines[lines.length - 1].push(node);
+        }
+    });
+
+    return lines.map(function (line) {
+        return escapeLineStart(this.renderInline(line));
+    }, this).join(sep);
+};
+
+/*
+ * Blocks that can have a title get it written as a bold line above them.
+ */
+MediaWikiRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return '';
+    }
+
+    return '\'\'\'' + escapeOption(node.options.title) + '\'\'\'\n';
+};
+
+/*
+ * MediaWiki decodes character references within <pre>, which lets us
+ * escape anything that would end the block early.
+ */
+MediaWikiRenderer.prototype.renderPre = function (value) {
+    return '<pre>' + value.replace(TRAILING_NL_RE, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;') + '</pre>';
+};
+
+/*
+ * Style the <div> used for a panel using its options, ignoring any values
+ * that don't look like what they're meant to be.
+ */
+MediaWikiRenderer.prototype.renderPanelStyle = function (options) {
+    function option(name, re, dflt) {
+        return mod_jsprim.hasKey(options, name) && re.test(options[name]) ?
+            options[name] : dflt;
+    }
+
+    var width = option('borderWidth', BORDER_WIDTH_RE, '1px');
+    var style = 'border: ' +
+        (/px$/.test(width) ? width : width + 'px') + ' ' +
+        option('borderStyle', BORDER_STYLE_RE, 'solid') + ' ' +
+        option('borderColor', mod_html.COLOR_RE, '#ccc') + '; ';
+    var bgColor = option('bgColor', mod_html.COLOR_RE, null);
+
+    if (bgColor !== null) {
+        style += 'background-color: ' + bgColor + '; ';
+    }
+
+    return style + 'padding: 0 1em;';
+};
+
+/*
+ * Render the cell of a table. Cells holding a single paragraph are written
+ * after their marker, while cells holding anything else start on a new
+ * line, so that their blocks are parsed like they would be anywhere else.
+ */
+MediaWikiRenderer.prototype.renderCell = function (node) {
+    var marker = node.header ? '!' : '|';
+    var children = node.children;
+
+    if (children.length === 0) {
+        return marker;
+    }
+
+    if (children.length === 1 && children[0].type === 'paragraph') {
+        var wikitext = this.renderLines(children[0].children, '<br />\n');
+        return wikitext === '' ? marker : marker + ' ' + wikitext;
+    }
+
+    return marker + '\n' + this.renderChildren({ children: children })
+        .join('\n\n');
+};
+
+MediaWikiRenderer.prototype.document = function (node) {
+    return this.renderChildren(node).join('\n\n');
+};
+
+MediaWikiRenderer.prototype.paragraph = function (node) {
+    return this.renderLines(node.children, '<br />\n');
+};
+
+MediaWikiRenderer.prototype.heading = function (node) {
+    var wikitext = this.renderInline(node.children.map(function (child) {
+        return child.type === 'lineBreak' ? { type: 'text', value: ' ' } :
+            child;
+    })).trim();
+
+    return repeat('=', node.level) + ' ' + wikitext + ' ' +
+        repeat('=', node.level);
+};
+
+MediaWikiRenderer.prototype.blockquote = function (node) {
+    return '<blockquote>' + this.renderLines(node.children, '<br />\n') +
+        '</blockquote>';
+};
+
+MediaWikiRenderer.prototype.quote = function (node) {
+    return '<blockquote>\n' + this.renderChildren(node).join('\n\n') +
+        '\n</blockquote>';
+};
+
+/*
+ * Wikitext doesn't have panels, so we draw a border around them instead.
+ */
+MediaWikiRenderer.prototype.panel = function (node) {
+    var title = this.renderTitle(node);
+
+    return '<div style="' + this.renderPanelStyle(node.options) + '">\n' +
+        (title === '' ? '' : title + '\n') +
+        this.renderChildren(node).join('\n\n') + '\n</div>';
+};
+
+/*
+ * The contents of <syntaxhighlight> are used as they are, so blocks that
+ * contain its closing tag are written with <pre> instead.
+ */
+MediaWikiRenderer.prototype.code = function (node) {
+    if (this.mw_ops.code === 'pre' ||
+        END_SYNTAXHIGHLIGHT_RE.test(node.value)) {
+        return this.renderTitle(node) + this.renderPre(node.value);
+    }
+
+    var language = node.language !== null &&
+        LANGUAGE_RE.test(node.language) ? node.language : 'text';
+
+    return this.renderTitle(node) + '<syntaxhighlight lang="' + language +
+        '">\n' + node.value.replace(TRAILING_NL_RE, '') +
+        '\n</syntaxhighlight>';
+};
+
+MediaWikiRenderer.prototype.noformat = function (node) {
+    return this.renderTitle(node) + this.renderPre(node.value);
+};
+
+/*
+ * Each item of a list is written on a single line, starting with the
+ * markers of all of the lists it's within. Further blocks in an item are
+ * written on their own lines, continuing the item with a ":", and headings
+ * are written as bold text, since they can't appear within an item.
+ * Extension tags (like <pre>) may span several lines, but other blocks
+ * that do (like tables) end the list.
+ */
+MediaWikiRenderer.prototype.list = function (node) {
+    var self = this;
+    var markers = this.mw_markers + (node.ordered ? '#' : '*');
+    var saved = this.mw_markers;
+
+    this.mw_markers = markers;
+
+    try {
+        return node.children.map(function (item) {
+            return item.children.map(function (child, i) {
+                var wikitext;
+
+                switch (child.type) {
+                case 'list':
+                    return self.render(child);
+                case 'paragraph':
+                    wikitext = self.renderLines(child.children, '<br />');
+                    break;
+                case 'heading':
+                    wikitext = '\'\'\'' + self.renderLines(child.children,
+                        ' ') + '\'\'\'';
+                    break;
+                default:
+                    wikitext = self.render(child);
+                    break;
+                }
+
+                return markers + (i === 0 ? ' ' : ': ') + wikitext;
+            }).join('\n') || markers;
+        }).join('\n');
+    } finally {
+        this.mw_markers = saved;
+    }
+};
+
+MediaWikiRenderer.prototype.listItem = function (node) {
+    return this.render({ type: 'list', ordered: false, children: [ node ] });
+};
+
+MediaWikiRenderer.prototype.table = function (node) {
+    return '{| class="wikitable"\n' + this.renderChildren(node).join('\n') +
+        '\n|}';
+};
+
+MediaWikiRenderer.prototype.tableRow = function (node) {
+    var self = this;
+
+    return '|-\n' + node.children.map(function (cell) {
+        return self.renderCell(cell);
+    }).join('\n');
+};
+
+MediaWikiRenderer.prototype.tableCell = function (node) {
+    return this.renderCell(node);
+};
+
+MediaWikiRenderer.prototype.text = function (node) {
+    return escapeWiki(node.value);
+};
+
+MediaWikiRenderer.prototype.entity = function (node) {
+    return node.entity;
+};
+
+MediaWikiRenderer.prototype.lineBreak = function (_) {
+    return '<br />';
+};
+
+MediaWikiRenderer.prototype.strong = function (node) {
+    return delimit(this.renderInline(node.children), '\'\'\'', '\'\'\'');
+};
+
+MediaWikiRenderer.prototype.emphasis = function (node) {
+    return delimit(this.renderInline(node.children), '\'\'', '\'\'');
+};
+
+MediaWikiRenderer.prototype.citation = function (node) {
+    return '<cite>' + this.renderInline(node.children) + '</cite>';
+};
+
+MediaWikiRenderer.prototype.subscript = function (node) {
+    return '<sub>' + this.renderInline(node.children) + '</sub>';
+};
+
+MediaWikiRenderer.prototype.superscript = function (node) {
+    return '<sup>' + this.renderInline(node.children) + '</sup>';
+};
+
+MediaWikiRenderer.prototype.deleted = function (node) {
+    return '<s>' + this.renderInline(node.children) + '</s>';
+};
+
+MediaWikiRenderer.prototype.inserted = function (node) {
+    return '<u>' + this.renderInline(node.children) + '</u>';
+};
+
+MediaWikiRenderer.prototype.monospace = function (node) {
+    return '<code>' + this.renderInline(node.children) + '</code>';
+};
+
+MediaWikiRenderer.prototype.color = function (node) {
+    var wikitext = this.renderInline(node.children);
+
+    if (node.color === null || !mod_html.COLOR_RE.test(node.color)) {
+        return wikitext;
+    }
+
+    return '<span style="color: ' + node.color + '">' + wikitext + '</span>';
+};
+
+/*
+ * Links that were written directly into the text are left for MediaWiki to
+ * turn back into links.
+ */
+MediaWikiRenderer.prototype.link = function (node) {
+    if (node.bare) {
+        return escapeURL(node.href);
+    }
+
+    return '[' + escapeURL(node.href) + ' ' +
+        this.renderInline(node.children) + ']';
+};
+
+MediaWikiRenderer.prototype.attachment = function (node) {
+    return this.mw_ops.formatAttachmentLink(node.filename,
+        this.renderInline(node.children));
+};
+
+MediaWikiRenderer.prototype.embed = function (node) {
+    return this.mw_ops.formatEmbedded(node.src, node.options);
+};
+
+MediaWikiRenderer.prototype.mention = function (node) {
+    return this.mw_ops.formatMention(node.username);
+};
+
+module.exports = {
+    MediaWikiRenderer: MediaWikiRenderer
+};
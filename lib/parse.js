@@ -0,0 +1,103 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_ast = require('./ast');
+var mod_errors = require('./errors');
+var mod_jsprim = require('jsprim');
+var mod_parser = require('./alt-parser');
+var mod_position = require('./position');
+
+var JIRAParseError = mod_errors.JIRAParseError;
+
+/* BEGIN JSSTYLED */
+var NEWLINE_RE = /\r\n|\n|\r/g;
+/* END JSSTYLED */
+
+var DEFAULT_PARSE_OPS = {
+    strict: true,
+    onSkipped: function onSkipped() { }
+};
+
+/*
+ * Parse the markup in "str", returning a list of the pieces that it was
+ * broken into (see parseToAST() in ast.js for their format).
+ *
+ * In strict mode, we throw a JIRAParseError when the markup can't be parsed.
+ * Otherwise we do what JIRA does, and treat the offending text as a literal:
+ * the blocks parsed before the problem are kept, the rest of the line is
+ * skipped over and reported to "ops.onSkipped", and then parsing resumes on
+ * the next line.
+ */
+function parsePieces(str, ops) {
+    assert.bool(ops.strict, 'ops.strict');
+    assert.func(ops.onSkipped, 'ops.onSkipped');
+
+    var input = str + '\n';
+    var r = mod_parser.parseJIRA(input);
+    if (r.failed() && ops.strict) {
+        throw new JIRAParseError(str, r.farthestFailure());
+    }
+
+    var locate = mod_position.createLocator(str);
+    var pieces = [];
+    var offset = 0;
+
+    while (r.failed()) {
+        var partial = r.partial();
+        var failure = r.farthestFailure();
+        var start = offset;
+
+        if (partial !== null) {
+            pieces.push({ offset: offset, result: partial });
+            start += partial.endIdx;
+        }
+
+        NEWLINE_RE.lastIndex = start;
+        var nl = NEWLINE_RE.exec(input);
+        var text = input.slice(start, nl.index);
+
+        pieces.push({ offset: start, text: text });
+        ops.onSkipped({
+            message: 'failed to parse ' + JSON.stringify(text),
+            text: text,
+            start: locate(start),
+            end: locate(nl.index),
+            error: new JIRAParseError(str, {
+                offset: failure.offset + offset,
+                expected: failure.expected
+            })
+        });
+
+        offset = nl.index + nl[0].length;
+        r = mod_parser.parseJIRA(input.slice(offset));
+    }
+
+    pieces.push({ offset: offset, result: r });
+
+    return pieces;
+}
+
+function parseJIRAMarkup(str, ops) {
+    assert.string(str, 'str');
+    assert.optionalObject(ops, 'ops');
+
+    var pieces = parsePieces(str,
+        mod_jsprim.mergeObjects(ops, null, DEFAULT_PARSE_OPS));
+
+    return mod_ast.parseToAST(pieces, str);
+}
+
+module.exports = {
+    DEFAULT_PARSE_OPS: DEFAULT_PARSE_OPS,
+    parseJIRAMarkup: parseJIRAMarkup
+};
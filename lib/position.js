@@ -0,0 +1,65 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * Helpers for converting offsets into the input into line and column
+ * numbers, which both start at 1.
+ */
+
+function lineStarts(str) {
+    var starts = [ 0 ];
+
+    for (var i = 0; i < str.length; ++i) {
+        var c = str.charAt(i);
+        if (c === '\n' || (c === '\r' && str.charAt(i + 1) !== '\n')) {
+            starts.push(i + 1);
+        }
+    }
+
+    return starts;
+}
+
+function offsetToPoint(starts, offset) {
+    var lo = 0;
+    var hi = starts.length - 1;
+
+    while (lo < hi) {
+        var mid = Math.ceil((lo + hi) / 2);
+        if (starts[mid] <= offset) {
+            lo = mid;
+        } else {
+            hi = mid - 1;
+        }
+    }
+
+    return {
+        offset: offset,
+        line: lo + 1,
+        column: offset - starts[lo] + 1
+    };
+}
+
+/*
+ * Returns a function that converts offsets into "str" into objects with
+ * "offset", "line" and "column" properties.
+ */
+function createLocator(str) {
+    var starts = lineStarts(str);
+
+    return function locate(offset) {
+        return offsetToPoint(starts, offset);
+    };
+}
+
+module.exports = {
+    createLocator: createLocator
+};
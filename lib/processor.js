@@ -0,0 +1,188 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_adf = require('./adf');
+var mod_adf_parser = require('./adf-parser');
+var mod_ansi = require('./ansi');
+var mod_asciidoc = require('./asciidoc');
+var mod_confluence = require('./confluence');
+var mod_docx = require('./docx');
+var mod_html = require('./html');
+var mod_html_parser = require('./html-parser');
+var mod_hyperscript = require('./hyperscript');
+var mod_jsprim = require('jsprim');
+var mod_latex = require('./latex');
+var mod_markdown = require('./markdown');
+var mod_markdown_parser = require('./markdown-parser');
+var mod_markup = require('./markup');
+var mod_mediawiki = require('./mediawiki');
+var mod_parse = require('./parse');
+var mod_slack = require('./slack');
+var mod_text = require('./text');
+var mod_textile = require('./textile');
+
+/*
+ * A Processor holds a list of plugins that get run, in the order that they
+ * were added with use(), on the tree produced by parsing markup and before
+ * it gets rendered. Each plugin is a function that is passed the document
+ * tree and the options it was added with, and returns the (possibly new)
+ * document tree to hand to the next plugin.
+ */
+function Processor() {
+    this.pr_plugins = [];
+}
+
+Processor.prototype.use = function (plugin, options) {
+    assert.func(plugin, 'plugin');
+    assert.optionalObject(options, 'options');
+
+    this.pr_plugins.push({
+        plugin: plugin,
+        options: options || {}
+    });
+
+    return this;
+};
+
+/*
+ * Run each plugin over "tree", returning the result of the last one.
+ */
+Processor.prototype.run = function (tree) {
+    assert.object(tree, 'tree');
+
+    this.pr_plugins.forEach(function (entry, i) {
+        tree = entry.plugin(tree, entry.options);
+
+        if (typeof (tree) !== 'object' || tree === null ||
+            tree.type !== 'document') {
+            throw new Error('plugin ' + (entry.plugin.name || i) +
+                ' did not return a document tree');
+        }
+    });
+
+    return tree;
+};
+
+Processor.prototype.parse = function (str, ops) {
+    return this.run(mod_parse.parseJIRAMarkup(str, ops));
+};
+
+/*
+ * Parse "str", run the plugins over the tree, and render the result using a
+ * new instance of the Renderer subclass "Renderer". The options in "ops" are
+ * used for both parsing and rendering.
+ */
+function renderMarkup(processor, Renderer, str, ops) {
+    assert.string(str, 'str');
+    assert.optionalObject(ops, 'ops');
+
+    var merged = mod_jsprim.mergeObjects(ops, null,
+        mod_parse.DEFAULT_PARSE_OPS);
+    var renderer = new Renderer(merged);
+
+    return renderer.render(processor.parse(str, merged));
+}
+
+Processor.prototype.markupToADF = function (str, ops) {
+    return renderMarkup(this, mod_adf.ADFRenderer, str, ops);
+};
+
+Processor.prototype.markupToANSI = function (str, ops) {
+    return renderMarkup(this, mod_ansi.ANSIRenderer, str, ops);
+};
+
+Processor.prototype.markupToAsciiDoc = function (str, ops) {
+    return renderMarkup(this, mod_asciidoc.AsciiDocRenderer, str, ops);
+};
+
+Processor.prototype.markupToBlockKit = function (str, ops) {
+    return renderMarkup(this, mod_slack.BlockKitRenderer, str, ops);
+};
+
+Processor.prototype.markupToConfluence = function (str, ops) {
+    return renderMarkup(this, mod_confluence.ConfluenceRenderer, str, ops);
+};
+
+Processor.prototype.markupToDOCX = function (str, ops) {
+    return renderMarkup(this, mod_docx.DOCXRenderer, str, ops);
+};
+
+Processor.prototype.markupToHTML = function (str, ops) {
+    return renderMarkup(this, mod_html.HTMLRenderer, str, ops);
+};
+
+Processor.prototype.markupToHyperscript = function (str, ops) {
+    return renderMarkup(this, mod_hyperscript.HyperscriptRenderer, str, ops);
+};
+
+Processor.prototype.markupToLaTeX = function (str, ops) {
+    return renderMarkup(this, mod_latex.LaTeXRenderer, str, ops);
+};
+
+Processor.prototype.markupToMarkdown = function (str, ops) {
+    return renderMarkup(this, mod_markdown.MarkdownRenderer, str, ops);
+};
+
+Processor.prototype.markupToMediaWiki = function (str, ops) {
+    return renderMarkup(this, mod_mediawiki.MediaWikiRenderer, str, ops);
+};
+
+Processor.prototype.markupToSlack = function (str, ops) {
+    return renderMarkup(this, mod_slack.SlackRenderer, str, ops);
+};
+
+Processor.prototype.markupToText = function (str, ops) {
+    return renderMarkup(this, mod_text.TextRenderer, str, ops);
+};
+
+Processor.prototype.markupToTextile = function (str, ops) {
+    return renderMarkup(this, mod_textile.TextileRenderer, str, ops);
+};
+
+Processor.prototype.markupToMarkup = function (str, ops) {
+    return renderMarkup(this, mod_markup.MarkupRenderer, str, ops);
+};
+
+/*
+ * Parse the Markdown in "str", run the plugins over the tree, and write the
+ * result out as JIRA markup.
+ */
+Processor.prototype.markdownToMarkup = function (str) {
+    var tree = this.run(mod_markdown_parser.parseMarkdown(str));
+
+    return new mod_markup.MarkupRenderer().render(tree);
+};
+
+/*
+ * Parse the HTML in "str", run the plugins over the tree, and write the
+ * result out as JIRA markup.
+ */
+Processor.prototype.htmlToMarkup = function (str) {
+    var tree = this.run(mod_html_parser.parseHTML(str));
+
+    return new mod_markup.MarkupRenderer().render(tree);
+};
+
+/*
+ * Convert the ADF document "doc" (an object, or its JSON), run the plugins
+ * over the tree, and write the result out as JIRA markup.
+ */
+Processor.prototype.adfToMarkup = function (doc, ops) {
+    var tree = this.run(mod_adf_parser.parseADF(doc, ops));
+
+    return new mod_markup.MarkupRenderer().render(tree);
+};
+
+module.exports = {
+    Processor: Processor
+};
@@ -0,0 +1,98 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+/*
+ * The types of node that can appear in the tree returned by parse(). The
+ * Renderer has a method with the same name as each of these.
+ */
+var NODE_TYPES = [
+    'document',
+    'paragraph',
+    'heading',
+    'blockquote',
+    'quote',
+    'panel',
+    'code',
+    'noformat',
+    'list',
+    'listItem',
+    'table',
+    'tableRow',
+    'tableCell',
+    'text',
+    'entity',
+    'lineBreak',
+    'strong',
+    'emphasis',
+    'citation',
+    'subscript',
+    'superscript',
+    'deleted',
+    'inserted',
+    'monospace',
+    'color',
+    'link',
+    'attachment',
+    'embed',
+    'mention'
+];
+
+/*
+ * Base class for converting the tree returned by parse() into another
+ * format. Subclasses implement a method for each type of node, named after
+ * the type (e.g., "paragraph" or "tableCell"), which is passed the node and
+ * returns its rendered form. Methods are responsible for rendering the
+ * node's children, usually by calling renderChildren().
+ */
+function Renderer() {
+}
+
+/*
+ * Render "node" using the method for its type.
+ */
+Renderer.prototype.render = function (node) {
+    assert.object(node, 'node');
+    assert.string(node.type, 'node.type');
+
+    if (NODE_TYPES.indexOf(node.type) === -1) {
+        throw new Error('unknown node type: ' + JSON.stringify(node.type));
+    }
+
+    return this[node.type](node);
+};
+
+/*
+ * Render each of the children of "node", returning an array of the results.
+ */
+Renderer.prototype.renderChildren = function (node) {
+    assert.arrayOfObject(node.children, 'node.children');
+
+    var self = this;
+
+    return node.children.map(function (child) {
+        return self.render(child);
+    });
+};
+
+NODE_TYPES.forEach(function (type) {
+    Renderer.prototype[type] = function () {
+        throw new Error('Renderer subclass does not implement ' +
+            JSON.stringify(type));
+    };
+});
+
+module.exports = {
+    NODE_TYPES: NODE_TYPES,
+    Renderer: Renderer
+};
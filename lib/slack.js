@@ -0,0 +1,708 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_text = require('./text');
+var mod_util = require('util');
+
+var delimit = mod_strings.delimit;
+var indent = mod_strings.indent;
+var repeat = mod_strings.repeat;
+
+/*
+ * This file renders the tree returned by parse() for Slack, either as text
+ * in Slack's "mrkdwn" format (SlackRenderer), or as a list of Block Kit
+ * layout blocks (BlockKitRenderer).
+ *
+ * mrkdwn only has bold, italic, strikethrough and code, and no way to escape
+ * the characters used for them; only "&", "<" and ">" need escaping. Things
+ * it has no syntax for (like tables) are written as plain text, using the
+ * TextRenderer.
+ */
+
+/* BEGIN JSSTYLED */
+var ESCAPE_RE = /[&<>]/g;
+var FENCE_RE = /`{3,}/g;
+var BACKTICK_RE = /`/g;
+var URL_ESCAPE_RE = /[|<>]/g;
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var WEB_URL_RE = /^https?:\/\//i;
+/* END JSSTYLED */
+
+var ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;'
+};
+
+/*
+ * mrkdwn has no way to escape backticks either, so those in code are kept
+ * from ending it early by putting a zero-width space between them and the
+ * text around them.
+ */
+var ZERO_WIDTH_SPACE = '\u200b';
+
+var BULLETS = [ '•', '◦', '▪' ];
+var QUOTE_PREFIX = '> ';
+
+/*
+ * Limits on the length of text in Block Kit blocks.
+ */
+var MAX_HEADER_LENGTH = 150;
+var MAX_SECTION_LENGTH = 3000;
+
+var DEFAULT_OPS = {
+    lookupUser: function lookupUser() {
+        return null;
+    },
+    formatAttachmentLink: function formatAttachmentLink(_, mrkdwn) {
+        return mrkdwn;
+    },
+    formatEmbedded: function formatEmbedded(src) {
+        return WEB_URL_RE.test(src) ? '<' + escapeURL(src) + '>' :
+            escapeMrkdwn(src);
+    }
+};
+
+function escapeMrkdwn(str) {
+    return str.replace(ESCAPE_RE, function (c) {
+        return ESCAPES[c];
+    });
+}
+
+/*
+ * Characters that would end the link are percent-encoded, and "&" is
+ * escaped as it is elsewhere.
+ */
+function escapeURL(href) {
+    return href.replace(URL_ESCAPE_RE, function (c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    }).replace(/&/g, '&amp;');
+}
+
+/*
+ * Only three backticks in a row end a block of code, so we just need to
+ * break up any runs of them in the contents.
+ */
+function fence(str) {
+    return '```\n' + str.replace(FENCE_RE, function (run) {
+        return run.split('').join(ZERO_WIDTH_SPACE);
+    }) + '\n```';
+}
+
+/*
+ * Any backtick ends inline code, so each one is set apart from the text
+ * around it.
+ */
+function escapeCode(str) {
+    return str.replace(BACKTICK_RE,
+        ZERO_WIDTH_SPACE + '`' + ZERO_WIDTH_SPACE);
+}
+
+
+// --- mrkdwn
+
+/*
+ * Renders the tree returned by parse() as Slack mrkdwn. The following
+ * functions can be passed in "ops":
+ *
+ * - "lookupUser", which is passed the username of a mention, and returns
+ *   the ID of the Slack user to mention, or null to write "@username"
+ * - "formatAttachmentLink" and "formatEmbedded", which return the mrkdwn
+ *   to use for attachments and embedded attachments (see DEFAULT_OPS above)
+ */
+function SlackRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.sr_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+
+    assert.func(this.sr_ops.lookupUser, 'ops.lookupUser');
+    assert.func(this.sr_ops.formatAttachmentLink, 'ops.formatAttachmentLink');
+    assert.func(this.sr_ops.formatEmbedded, 'ops.formatEmbedded');
+
+    this.sr_text = new mod_text.TextRenderer();
+    this.sr_depth = 0;
+    this.sr_bold = 0;
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(SlackRenderer, mod_renderer.Renderer);
+
+SlackRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+SlackRenderer.prototype.renderBlocks = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).filter(function (mrkdwn) {
+        return mrkdwn !== '';
+    }).join('\n\n');
+};
+
+/*
+ * Render text in bold. Slack doesn't allow bold text to be nested, so
+ * anything within it that's already bold is written as it is.
+ */
+SlackRenderer.prototype.renderBold = function (nodes) {
+    this.sr_bold += 1;
+
+    try {
+        var mrkdwn = this.renderInline(nodes);
+        return this.sr_bold > 1 ? mrkdwn : delimit(mrkdwn, '*', '*');
+    } finally {
+        this.sr_bold -= 1;
+    }
+};
+
+/*
+ * Blocks that can have a title get it written in bold above them.
+ */
+SlackRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title') ||
+        node.options.title.trim() === '') {
+        return '';
+    }
+
+    return '*' + escapeMrkdwn(node.options.title.trim()) + '*\n';
+};
+
+SlackRenderer.prototype.renderCode = function (node) {
+    return this.renderTitle(node) +
+        fence(escapeMrkdwn(node.value.replace(TRAILING_NL_RE, '')));
+};
+
+SlackRenderer.prototype.document = function (node) {
+    return this.renderBlocks(node.children);
+};
+
+SlackRenderer.prototype.paragraph = function (node) {
+    return this.renderInline(node.children);
+};
+
+/*
+ * mrkdwn doesn't have headings, so they're written in bold.
+ */
+SlackRenderer.prototype.heading = function (node) {
+    return this.renderBold(node.children.map(function (child) {
+        return child.type === 'lineBreak' ? { type: 'text', value: ' ' } :
+            child;
+    }));
+};
+
+SlackRenderer.prototype.blockquote = function (node) {
+    return indent(this.renderInline(node.children),
+        QUOTE_PREFIX, QUOTE_PREFIX);
+};
+
+SlackRenderer.prototype.quote = function (node) {
+    return indent(this.renderBlocks(node.children), QUOTE_PREFIX,
+        QUOTE_PREFIX);
+};
+
+/*
+ * mrkdwn doesn't have panels, so we quote them to set them apart.
+ */
+SlackRenderer.prototype.panel = function (node) {
+    return indent(this.renderTitle(node) + this.renderBlocks(node.children),
+        QUOTE_PREFIX, QUOTE_PREFIX);
+};
+
+SlackRenderer.prototype.code = function (node) {
+    return this.renderCode(node);
+};
+
+SlackRenderer.prototype.noformat = function (node) {
+    return this.renderCode(node);
+};
+
+/*
+ * mrkdwn doesn't have lists either, so we write out bullets and numbers,
+ * and indent nested lists.
+ */
+SlackRenderer.prototype.list = function (node) {
+    var self = this;
+    var bullet = BULLETS[this.sr_depth % BULLETS.length] + ' ';
+
+    this.sr_depth += 1;
+
+    try {
+        return node.children.map(function (item, i) {
+            var marker = node.ordered ? (i + 1) + '. ' : bullet;
+            return indent(self.render(item), marker,
+                repeat(' ', marker.length));
+        }).join('\n');
+    } finally {
+        this.sr_depth -= 1;
+    }
+};
+
+SlackRenderer.prototype.listItem = function (node) {
+    var self = this;
+
+    return node.children.map(function (child) {
+        return self.render(child);
+    }).join('\n');
+};
+
+/*
+ * Tables are written as preformatted text, with their columns lined up.
+ */
+SlackRenderer.prototype.table = function (node) {
+    return fence(escapeMrkdwn(this.sr_text.render(node)));
+};
+
+SlackRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+SlackRenderer.prototype.tableCell = function (node) {
+    return this.renderBlocks(node.children);
+};
+
+SlackRenderer.prototype.text = function (node) {
+    return escapeMrkdwn(node.value);
+};
+
+SlackRenderer.prototype.entity = function (node) {
+    return escapeMrkdwn(node.value);
+};
+
+SlackRenderer.prototype.lineBreak = function (_) {
+    return '\n';
+};
+
+SlackRenderer.prototype.strong = function (node) {
+    return this.renderBold(node.children);
+};
+
+SlackRenderer.prototype.emphasis = function (node) {
+    return delimit(this.renderInline(node.children), '_', '_');
+};
+
+SlackRenderer.prototype.citation = function (node) {
+    return delimit(this.renderInline(node.children), '_', '_');
+};
+
+SlackRenderer.prototype.deleted = function (node) {
+    return delimit(this.renderInline(node.children), '~', '~');
+};
+
+/*
+ * Code can't contain any formatting, so it gets written as plain text.
+ */
+SlackRenderer.prototype.monospace = function (node) {
+    return delimit(escapeCode(escapeMrkdwn(
+        this.sr_text.renderInline(node.children))), '`', '`');
+};
+
+SlackRenderer.prototype.subscript = function (node) {
+    return this.renderInline(node.children);
+};
+
+SlackRenderer.prototype.superscript = function (node) {
+    return this.renderInline(node.children);
+};
+
+SlackRenderer.prototype.inserted = function (node) {
+    return this.renderInline(node.children);
+};
+
+SlackRenderer.prototype.color = function (node) {
+    return this.renderInline(node.children);
+};
+
+SlackRenderer.prototype.link = function (node) {
+    var text = this.renderInline(node.children);
+
+    if (node.bare || text === '' || text === escapeMrkdwn(node.href)) {
+        return '<' + escapeURL(node.href) + '>';
+    }
+
+    return '<' + escapeURL(node.href) + '|' + text + '>';
+};
+
+SlackRenderer.prototype.attachment = function (node) {
+    return this.sr_ops.formatAttachmentLink(node.filename,
+        this.renderInline(node.children));
+};
+
+SlackRenderer.prototype.embed = function (node) {
+    return this.sr_ops.formatEmbedded(node.src, node.options);
+};
+
+SlackRenderer.prototype.mention = function (node) {
+    var id = this.sr_ops.lookupUser(node.username);
+
+    if (id === null || id === undefined) {
+        return '@' + escapeMrkdwn(node.username);
+    }
+
+    return '<@' + id + '>';
+};
+
+
+// --- Block Kit
+
+/*
+ * Split "str" into pieces no longer than "max", preferring to split it
+ * between lines.
+ */
+function splitText(str, max) {
+    var pieces = [];
+
+    while (str.length > max) {
+        var idx = str.lastIndexOf('\n', max);
+        if (idx <= 0) {
+            pieces.push(str.slice(0, max));
+            str = str.slice(max);
+        } else {
+            pieces.push(str.slice(0, idx));
+            str = str.slice(idx + 1);
+        }
+    }
+
+    pieces.push(str);
+
+    return pieces;
+}
+
+function textElement(text, style) {
+    var element = { type: 'text', text: text };
+
+    if (Object.keys(style).length > 0) {
+        element.style = mod_jsprim.deepCopy(style);
+    }
+
+    return element;
+}
+
+function preformatted(text) {
+    return {
+        type: 'rich_text_preformatted',
+        elements: [ { type: 'text', text: text === '' ? ' ' : text } ]
+    };
+}
+
+/*
+ * Neighbouring text elements with the same style are merged.
+ */
+function mergeElements(elements) {
+    var merged = [];
+
+    elements.forEach(function (element) {
+        var last = merged[merged.length - 1];
+
+        if (last !== undefined && last.type === 'text' &&
+            element.type === 'text' &&
+            mod_jsprim.deepEqual(last.style, element.style)) {
+            last.text += element.text;
+        } else {
+            merged.push(element);
+        }
+    });
+
+    return merged;
+}
+
+/*
+ * Renders the tree returned by parse() as an array of Block Kit layout
+ * blocks. Paragraphs, quotes and panels become "section" blocks holding
+ * mrkdwn, headings become "header" blocks, and lists, code blocks and
+ * tables become "rich_text" blocks. It accepts the same "ops" as
+ * SlackRenderer, which is used for the mrkdwn.
+ */
+function BlockKitRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.bk_mrkdwn = new SlackRenderer(ops);
+    this.bk_ops = this.bk_mrkdwn.sr_ops;
+    this.bk_text = new mod_text.TextRenderer();
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(BlockKitRenderer, mod_renderer.Renderer);
+
+BlockKitRenderer.prototype.renderBlocks = function (nodes) {
+    var self = this;
+
+    return nodes.reduce(function (acc, node) {
+        return acc.concat(self.render(node));
+    }, []);
+};
+
+/*
+ * Render "node" as mrkdwn within one or more "section" blocks.
+ */
+BlockKitRenderer.prototype.renderSection = function (node) {
+    var mrkdwn = this.bk_mrkdwn.render(node);
+
+    if (mrkdwn.trim() === '') {
+        return [];
+    }
+
+    return splitText(mrkdwn, MAX_SECTION_LENGTH).map(function (text) {
+        return { type: 'section', text: { type: 'mrkdwn', text: text } };
+    });
+};
+
+/*
+ * Convert inline nodes into the elements of a "rich_text_section".
+ */
+BlockKitRenderer.prototype.renderElements = function (nodes, style) {
+    var self = this;
+    var elements = [];
+
+    function styled(name, children) {
+        var inner = mod_jsprim.deepCopy(style);
+        inner[name] = true;
+        elements = elements.concat(self.renderElements(children, inner));
+    }
+
+    nodes.forEach(function (node) {
+        var text;
+
+        switch (node.type) {
+        case 'text':
+        case 'entity':
+            elements.push(textElement(node.value, style));
+            break;
+        case 'lineBreak':
+            elements.push(textElement('\n', style));
+            break;
+        case 'strong':
+            styled('bold', node.children);
+            break;
+        case 'emphasis':
+        case 'citation':
+            styled('italic', node.children);
+            break;
+        case 'deleted':
+            styled('strike', node.children);
+            break;
+        case 'monospace':
+            styled('code', node.children);
+            break;
+        case 'link':
+            var link = { type: 'link', url: node.href };
+            text = self.bk_text.renderInline(node.children);
+            if (!node.bare && text !== '' && text !== node.href) {
+                link.text = text;
+            }
+            if (Object.keys(style).length > 0) {
+                link.style = mod_jsprim.deepCopy(style);
+            }
+            elements.push(link);
+            break;
+        case 'mention':
+            var id = self.bk_ops.lookupUser(node.username);
+            if (id === null || id === undefined) {
+                elements.push(textElement('@' + node.username, style));
+            } else {
+                elements.push({ type: 'user', user_id: id });
+            }
+            break;
+        case 'embed':
+            elements.push(WEB_URL_RE.test(node.src) ?
+                { type: 'link', url: node.src } :
+                textElement(node.src, style));
+            break;
+        default:
+            /* Attachments, colors, and other effects Slack doesn't have */
+            elements = elements.concat(self.renderElements(
+                node.children || [], style));
+            break;
+        }
+    });
+
+    return mergeElements(elements);
+};
+
+/*
+ * Lists are written as a flat series of "rich_text_list" elements, each
+ * with the indentation of the list it came from. The items of an ordered
+ * list that follow a nested list continue its numbering using "offset".
+ */
+BlockKitRenderer.prototype.renderList = function (node, depth) {
+    var self = this;
+    var elements = [];
+    var current = null;
+    var count = 0;
+
+    function section(children) {
+        if (current === null) {
+            current = {
+                type: 'rich_text_list',
+                style: node.ordered ? 'ordered' : 'bullet',
+                indent: depth,
+                elements: []
+            };
+            if (node.ordered && count > 0) {
+                current.offset = count;
+            }
+            elements.push(current);
+        }
+
+        var inline = self.renderElements(children, {});
+        if (inline.length === 0) {
+            inline = [ textElement(' ', {}) ];
+        }
+
+        current.elements.push({ type: 'rich_text_section', elements: inline });
+        count += 1;
+    }
+
+    node.children.forEach(function (item) {
+        var children = item.children;
+
+        if (children.length > 0 && children[0].type === 'paragraph') {
+            section(children[0].children);
+            children = children.slice(1);
+        } else {
+            section([]);
+        }
+
+        children.forEach(function (child) {
+            current = null;
+
+            if (child.type === 'list') {
+                elements = elements.concat(self.renderList(child, depth + 1));
+            } else if (child.type === 'code' || child.type === 'noformat') {
+                elements.push(preformatted(
+                    child.value.replace(TRAILING_NL_RE, '')));
+            } else {
+                elements.push(preformatted(self.bk_text.render(child)));
+            }
+        });
+    });
+
+    return elements;
+};
+
+BlockKitRenderer.prototype.document = function (node) {
+    return this.renderBlocks(node.children);
+};
+
+BlockKitRenderer.prototype.paragraph = function (node) {
+    return this.renderSection(node);
+};
+
+BlockKitRenderer.prototype.heading = function (node) {
+    var text = this.bk_text.render(node).replace(/\s+/g, ' ').trim();
+
+    if (text === '') {
+        return [];
+    }
+
+    if (text.length > MAX_HEADER_LENGTH) {
+        text = text.slice(0, MAX_HEADER_LENGTH - 1) + '…';
+    }
+
+    return [ {
+        type: 'header',
+        text: { type: 'plain_text', text: text, emoji: true }
+    } ];
+};
+
+BlockKitRenderer.prototype.blockquote = function (node) {
+    return this.renderSection(node);
+};
+
+BlockKitRenderer.prototype.quote = function (node) {
+    return this.renderSection(node);
+};
+
+BlockKitRenderer.prototype.panel = function (node) {
+    return this.renderSection(node);
+};
+
+/*
+ * Code blocks become preformatted text, with any title in a section above
+ * them.
+ */
+BlockKitRenderer.prototype.code = function (node) {
+    var blocks = [];
+    var title = this.bk_mrkdwn.renderTitle(node);
+
+    if (title !== '') {
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: title.replace(/\n$/, '') }
+        });
+    }
+
+    blocks.push({
+        type: 'rich_text',
+        elements: [ preformatted(node.value.replace(TRAILING_NL_RE, '')) ]
+    });
+
+    return blocks;
+};
+
+BlockKitRenderer.prototype.noformat = function (node) {
+    return this.code(node);
+};
+
+BlockKitRenderer.prototype.list = function (node) {
+    return [ { type: 'rich_text', elements: this.renderList(node, 0) } ];
+};
+
+BlockKitRenderer.prototype.listItem = function (node) {
+    return this.render({ type: 'list', ordered: false, bullet: '*',
+        children: [ node ] });
+};
+
+/*
+ * Block Kit doesn't have tables, so they're written as preformatted text,
+ * with their columns lined up.
+ */
+BlockKitRenderer.prototype.table = function (node) {
+    return [ {
+        type: 'rich_text',
+        elements: [ preformatted(this.bk_text.render(node)) ]
+    } ];
+};
+
+BlockKitRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+BlockKitRenderer.prototype.tableCell = function (node) {
+    return this.renderBlocks(node.children);
+};
+
+/*
+ * Inline nodes outside of a block are wrapped in a section.
+ */
+mod_renderer.NODE_TYPES.forEach(function (type) {
+    if (mod_jsprim.hasKey(BlockKitRenderer.prototype, type)) {
+        return;
+    }
+
+    BlockKitRenderer.prototype[type] = function (node) {
+        return this.renderSection(node);
+    };
+});
+
+module.exports = {
+    BlockKitRenderer: BlockKitRenderer,
+    SlackRenderer: SlackRenderer
+};
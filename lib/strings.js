@@ -0,0 +1,148 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_ent = require('ent');
+
+/*
+ * Helpers for working with strings that are shared by the renderers and
+ * parsers.
+ */
+
+/* BEGIN JSSTYLED */
+var ENTITY_RE =
+    /&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/g;
+var MARKUP_ENTITY_RE = /&#?[a-zA-Z0-9]+;/g;
+var XML_ESCAPE_RE = /[&<>"]/g;
+var XML_INVALID_RE = new RegExp('[\uD800-\uDBFF][\uDC00-\uDFFF]|' +
+    '[\u0000-\u0008\u000B\u000C\u000E-\u001F\uD800-\uDFFF\uFFFE\uFFFF]',
+    'g');
+/* END JSSTYLED */
+
+var XML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;'
+};
+
+/*
+ * Decode each entity in "str" separately, since ent's decode() would also
+ * decode entities that only appear once another one has been decoded (like
+ * "&#38;amp;"). This is used for values taken from the markup as they were
+ * written, like options and URLs.
+ */
+function decodeEntities(str) {
+    return str.replace(ENTITY_RE, function (entity) {
+        return mod_ent.decode(entity);
+    });
+}
+
+/*
+ * Wrap "str" in the "open" and "close" delimiters of a text effect. Most
+ * formats need the delimiters to be next to the text that they format, so
+ * any whitespace at the edges of "str" gets moved outside of them, and text
+ * that's nothing but whitespace isn't wrapped at all.
+ */
+function delimit(str, open, close) {
+    var m = /^(\s*)([\s\S]*?)(\s*)$/.exec(str);
+    if (m[2] === '') {
+        return str;
+    }
+
+    return m[1] + open + m[2] + close + m[3];
+}
+
+/*
+ * Values taken from the markup as it was written, like options, may contain
+ * entities that should be passed through to formats that understand them.
+ * This escapes everything around the entities (as the markup grammar
+ * recognizes them) with "escape", and leaves the entities themselves alone.
+ */
+function escapeAroundEntities(str, escape) {
+    var out = '';
+    var last = 0;
+    var m;
+
+    MARKUP_ENTITY_RE.lastIndex = 0;
+    while ((m = MARKUP_ENTITY_RE.exec(str)) !== null) {
+        out += escape(str.slice(last, m.index)) + m[0];
+        last = m.index + m[0].length;
+    }
+
+    return out + escape(str.slice(last));
+}
+
+/*
+ * Prefix each line of "str" with "first" for the first line, and "rest" for
+ * the remaining ones. Empty lines are left without trailing whitespace, so a
+ * prefix like "> " still keeps them inside of a quote.
+ */
+function indent(str, first, rest) {
+    return str.split('\n').map(function (line, i) {
+        var prefix = i === 0 ? first : rest;
+        if (line === '') {
+            return prefix.replace(/ +$/, '');
+        }
+        return prefix + line;
+    }).join('\n');
+}
+
+/*
+ * Remove the characters that XML 1.0 doesn't allow anywhere in a document,
+ * even as character references: most C0 control characters (like the
+ * escape character in pasted terminal output), unpaired surrogates, and
+ * U+FFFE and U+FFFF. Surrogate pairs are matched first so that they're kept.
+ */
+function stripInvalidXML(str) {
+    return str.replace(XML_INVALID_RE, function (c) {
+        return c.length === 2 ? c : '';
+    });
+}
+
+/*
+ * Escape "str" for use in XML text or a double-quoted attribute.
+ */
+function escapeXML(str) {
+    return stripInvalidXML(str).replace(XML_ESCAPE_RE, function (c) {
+        return XML_ESCAPES[c];
+    });
+}
+
+/*
+ * Pad "str" with spaces on the right until it's "width" columns wide. Text
+ * with characters that don't each take up one column can be measured with
+ * the "measure" function instead of by its length.
+ */
+function padRight(str, width, measure) {
+    var length = measure === undefined ? str.length : measure(str);
+
+    return str + repeat(' ', width - length);
+}
+
+/*
+ * Return "str" repeated "n" times, or the empty string if "n" isn't
+ * positive.
+ */
+function repeat(str, n) {
+    return new Array(Math.max(n, 0) + 1).join(str);
+}
+
+module.exports = {
+    decodeEntities: decodeEntities,
+    delimit: delimit,
+    escapeAroundEntities: escapeAroundEntities,
+    escapeXML: escapeXML,
+    indent: indent,
+    padRight: padRight,
+    repeat: repeat,
+    stripInvalidXML: stripInvalidXML
+};
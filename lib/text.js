@@ -0,0 +1,288 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_util = require('util');
+
+var indent = mod_strings.indent;
+var padRight = mod_strings.padRight;
+var repeat = mod_strings.repeat;
+
+/*
+ * This file renders the tree returned by parse() as plain text, for places
+ * like notification emails and search indexes where markup can't be used.
+ * Text effects are dropped, while the structure of lists, tables and code
+ * blocks is kept using indentation and alignment.
+ */
+
+var CODE_INDENT = '    ';
+var QUOTE_PREFIX = '> ';
+var COLUMN_GAP = '  ';
+
+/*
+ * Renders the tree returned by parse() as plain text.
+ */
+function TextRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(TextRenderer, mod_renderer.Renderer);
+
+TextRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+TextRenderer.prototype.renderBlocks = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).filter(function (text) {
+        return text !== '';
+    }).join('\n\n');
+};
+
+/*
+ * Blocks that can have a title get it written on a line above them.
+ */
+TextRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return '';
+    }
+
+    return node.options.title + '\n\n';
+};
+
+TextRenderer.prototype.renderCode = function (node) {
+    var body = node.value.replace(/\n$/, '');
+    if (body === '') {
+        return this.renderTitle(node).replace(/\n+$/, '');
+    }
+
+    return this.renderTitle(node) + indent(body, CODE_INDENT, CODE_INDENT);
+};
+
+TextRenderer.prototype.document = function (node) {
+    return this.renderBlocks(node.children);
+};
+
+TextRenderer.prototype.paragraph = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.heading = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.blockquote = function (node) {
+    return indent(this.renderInline(node.children),
+        QUOTE_PREFIX, QUOTE_PREFIX);
+};
+
+TextRenderer.prototype.quote = function (node) {
+    return indent(this.renderBlocks(node.children),
+        QUOTE_PREFIX, QUOTE_PREFIX);
+};
+
+TextRenderer.prototype.panel = function (node) {
+    return this.renderTitle(node) + this.renderBlocks(node.children);
+};
+
+TextRenderer.prototype.code = function (node) {
+    return this.renderCode(node);
+};
+
+TextRenderer.prototype.noformat = function (node) {
+    return this.renderCode(node);
+};
+
+/*
+ * Each item gets a bullet or number, and the lines after the first one are
+ * indented to line up with its contents, which also indents nested lists.
+ */
+TextRenderer.prototype.list = function (node) {
+    var self = this;
+    var width = String(node.children.length).length + 2;
+
+    return node.children.map(function (item, i) {
+        var marker = node.ordered ? padRight((i + 1) + '.', width) : '* ';
+        return indent(self.render(item), marker,
+            repeat(' ', marker.length));
+    }).join('\n');
+};
+
+TextRenderer.prototype.listItem = function (node) {
+    var self = this;
+
+    return node.children.map(function (child) {
+        return self.render(child);
+    }).join('\n');
+};
+
+/*
+ * Tables are written with their columns padded out to line up. When the
+ * first row is made up of header cells, it gets underlined.
+ */
+TextRenderer.prototype.table = function (node) {
+    var self = this;
+    var widths = [];
+
+    var rows = node.children.map(function (row) {
+        return row.children.map(function (cell, i) {
+            var lines = self.render(cell).split('\n');
+            lines.forEach(function (text) {
+                widths[i] = Math.max(widths[i] || 0, text.length);
+            });
+            return lines;
+        });
+    });
+
+    function line(cells) {
+        return cells.map(function (cell, i) {
+            return padRight(cell, widths[i]);
+        }).join(COLUMN_GAP).replace(/ +$/, '');
+    }
+
+    var header = node.children[0].children.every(function (cell) {
+        return cell.header;
+    });
+    var lines = [];
+
+    function cellLine(i, cell) {
+        return i < cell.length ? cell[i] : '';
+    }
+
+    rows.forEach(function (row, r) {
+        var height = 0;
+        var i;
+
+        row.forEach(function (cell) {
+            height = Math.max(height, cell.length);
+        });
+
+        for (i = 0; i < height; ++i) {
+            lines.push(line(row.map(cellLine.bind(null, i))));
+        }
+
+        if (r === 0 && header && rows.length > 1) {
+            lines.push(line(widths.map(function (width) {
+                return repeat('-', width);
+            })));
+        }
+    });
+
+    return lines.join('\n');
+};
+
+TextRenderer.prototype.tableRow = function (node) {
+    return this.render({ type: 'table', children: [ node ] });
+};
+
+TextRenderer.prototype.tableCell = function (node) {
+    var self = this;
+
+    return node.children.map(function (child) {
+        return self.render(child);
+    }).join('\n');
+};
+
+TextRenderer.prototype.text = function (node) {
+    return node.value;
+};
+
+TextRenderer.prototype.entity = function (node) {
+    return node.value;
+};
+
+TextRenderer.prototype.lineBreak = function (_) {
+    return '\n';
+};
+
+TextRenderer.prototype.strong = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.emphasis = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.citation = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.subscript = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.superscript = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.deleted = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.inserted = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.monospace = function (node) {
+    return this.renderInline(node.children);
+};
+
+TextRenderer.prototype.color = function (node) {
+    return this.renderInline(node.children);
+};
+
+/*
+ * Links are written as their text followed by the URL, unless the text is
+ * just the URL.
+ */
+TextRenderer.prototype.link = function (node) {
+    var text = this.renderInline(node.children);
+
+    if (text === '' || text === node.href) {
+        return node.href;
+    }
+
+    return text + ' (' + node.href + ')';
+};
+
+TextRenderer.prototype.attachment = function (node) {
+    var text = this.renderInline(node.children);
+
+    if (text === '' || text === node.filename) {
+        return node.filename;
+    }
+
+    return text + ' (' + node.filename + ')';
+};
+
+TextRenderer.prototype.embed = function (node) {
+    return node.src;
+};
+
+TextRenderer.prototype.mention = function (node) {
+    return '@' + node.username;
+};
+
+module.exports = {
+    TextRenderer: TextRenderer
+};
@@ -0,0 +1,573 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_html = require('./html');
+var mod_jsprim = require('jsprim');
+var mod_renderer = require('./renderer');
+var mod_strings = require('./strings');
+var mod_text = require('./text');
+var mod_util = require('util');
+
+var delimit = mod_strings.delimit;
+var escapeAroundEntities = mod_strings.escapeAroundEntities;
+var escapeXML = mod_strings.escapeXML;
+
+/*
+ * This file renders the tree returned by parse() as Textile, as understood
+ * by RedCloth (and so by Redmine). Textile's text effects are close to
+ * JIRA's, but its blocks start with a signature ("bq.", "bc.") and can't be
+ * nested, so blocks within quotes, panels, list items and tables are
+ * flattened where needed.
+ *
+ * Characters that Textile would treat as markup are written as character
+ * references ("&#42;"), which Textile passes through.
+ */
+
+/* BEGIN JSSTYLED */
+var WORD_RE = /[0-9A-Za-z\u00c0-\uffff]/;
+var SPACE_RE = /\s/;
+var SIGNATURE_RE =
+    /^(?:h[1-6]|bq|bc|p|pre|notextile|fn[0-9]+|table)[^\s.]*\.\.?(?:\s|$)/;
+var LINE_START_RE = /^(?:[*#]+|[-;:])(?:\s|$)|^\|/;
+var LEADING_SPACE_RE = /^[ \t]+/;
+var BLANK_LINE_RE = /\n[ \t]*\n/;
+var BLANK_LINES_RE = /\n(?:[ \t]*\n)+/;
+var TRAILING_NL_RE = /(\r\n|\n|\r)$/;
+var LANGUAGE_RE = /^[a-zA-Z0-9_-]+$/;
+var URL_ESCAPE_RE = /[\s"<>[\]{}|]/g;
+var TRAILING_PUNCT_RE = /[.,;:!?)]$/;
+var SIZE_RE = /^[0-9]+$/;
+/* END JSSTYLED */
+
+/*
+ * Characters that start a phrase (like "*strong*" or "!image!") when they
+ * come at the start of a word.
+ */
+var PHRASE_CHARS = '*_-+^~@%?=!';
+
+var IMAGE_ALIGNMENTS = {
+    left: '<',
+    right: '>',
+    center: '='
+};
+
+var DEFAULT_OPS = {
+    formatMention: function formatMention(username) {
+        return '@' + username;
+    },
+    formatAttachmentLink: function formatAttachmentLink(filename, textile) {
+        return link(textile, filename);
+    },
+    formatEmbedded: function formatEmbedded(src, options) {
+        return image(src, options);
+    }
+};
+
+function charRef(c) {
+    return '&#' + c.charCodeAt(0) + ';';
+}
+
+function isWordChar(c) {
+    return c !== undefined && c !== '' && WORD_RE.test(c);
+}
+
+/*
+ * Escape the characters in "str" that Textile would treat as markup. A
+ * phrase can only start at the beginning of a word, so we escape the
+ * characters that could start one there, which keeps the ones that could
+ * end it from doing anything. Links need a quote followed by a colon, so
+ * we escape the colon.
+ */
+function escapeTextile(str) {
+    var out = '';
+
+    for (var i = 0; i < str.length; ++i) {
+        var c = str[i];
+        var next = str[i + 1];
+
+        if (c === '&') {
+            out += '&amp;';
+        } else if (c === '<') {
+            out += '&lt;';
+        } else if (c === '[' || c === '|' ||
+            (c === ':' && str[i - 1] === '"')) {
+            out += charRef(c);
+        } else if (PHRASE_CHARS.indexOf(c) !== -1 && !isWordChar(str[i - 1]) &&
+            next !== undefined && !SPACE_RE.test(next)) {
+            out += charRef(c);
+        } else {
+            out += c;
+        }
+    }
+
+    return out;
+}
+
+/*
+ * Option values are kept as they were written, including any entities,
+ * so we escape everything around the entities.
+ */
+function escapeOption(str) {
+    return escapeAroundEntities(str, escapeTextile);
+}
+
+/*
+ * Escape a line of text that would otherwise be read as the start of a
+ * block, like a block signature ("p. "), list item or table row. Leading
+ * whitespace is dropped, since it isn't significant in JIRA.
+ */
+function escapeLineStart(line) {
+    line = line.replace(LEADING_SPACE_RE, '');
+
+    if (!SIGNATURE_RE.test(line) && !LINE_START_RE.test(line)) {
+        return line;
+    }
+
+    return charRef(line.charAt(0)) + line.slice(1);
+}
+
+/*
+ * URLs end at whitespace, so that (and anything else that would be taken
+ * as markup) is percent-encoded.
+ */
+function escapeURL(href) {
+    return href.replace(URL_ESCAPE_RE, function (c) {
+        return encodeURIComponent(c);
+    });
+}
+
+/*
+ * Trailing punctuation is left out of a link's URL, unless the link is
+ * wrapped in brackets.
+ */
+function link(textile, href) {
+    var str = '"' + textile + '":' + escapeURL(href);
+
+    return TRAILING_PUNCT_RE.test(href) ? '[' + str + ']' : str;
+}
+
+/*
+ * Embedded attachments become images, with the alignment, size and title
+ * taken from their options.
+ */
+function image(src, options) {
+    var named = {};
+    var style = [];
+    var textile = '!';
+
+    options.forEach(function (option) {
+        var idx = option.indexOf('=');
+        if (idx !== -1) {
+            named[option.slice(0, idx).trim()] = option.slice(idx + 1).trim();
+        }
+    });
+
+    if (typeof (named.align) === 'string' &&
+        mod_jsprim.hasKey(IMAGE_ALIGNMENTS, named.align)) {
+        textile += IMAGE_ALIGNMENTS[named.align];
+    }
+
+    [ 'width', 'height' ].forEach(function (name) {
+        if (typeof (named[name]) === 'string' && SIZE_RE.test(named[name])) {
+            style.push(name + ':' + named[name] + 'px');
+        }
+    });
+
+    if (style.length > 0) {
+        textile += '{' + style.join(';') + '}';
+    }
+
+    textile += escapeURL(src);
+
+    if (typeof (named.title) === 'string') {
+        textile += '(' + escapeOption(named.title).replace(/[()]/g, charRef) +
+            ')';
+    }
+
+    return textile + '!';
+}
+
+function isExtended(value) {
+    return BLANK_LINE_RE.test(value.replace(TRAILING_NL_RE, ''));
+}
+
+/*
+ * Whether an extended block holding "value" would end early, because a
+ * line after a blank one starts with a block signature.
+ */
+function hasSignature(value) {
+    return value.split(BLANK_LINES_RE).slice(1).some(function (para) {
+        return SIGNATURE_RE.test(para);
+    });
+}
+
+function isPreformatted(value) {
+    return isExtended(value) && hasSignature(value);
+}
+
+/*
+ * Whether the Textile for "node" ends with an extended block, which
+ * includes quotes and panels that end with one.
+ */
+function endsExtended(node) {
+    switch (node.type) {
+    case 'code':
+    case 'noformat':
+        return isExtended(node.value) && !isPreformatted(node.value);
+    case 'quote':
+    case 'panel':
+        return node.children.length > 0 &&
+            endsExtended(node.children[node.children.length - 1]);
+    default:
+        return false;
+    }
+}
+
+/*
+ * Renders the tree returned by parse() as Textile. The Textile used for
+ * mentions, attachments and embedded attachments can be changed by passing
+ * "format" functions in "ops" (see DEFAULT_OPS above).
+ */
+function TextileRenderer(ops) {
+    assert.optionalObject(ops, 'ops');
+
+    this.tx_ops = mod_jsprim.mergeObjects(ops, null, DEFAULT_OPS);
+    this.tx_text = new mod_text.TextRenderer();
+
+    /*
+     * The markers for the lists that we are within ("*#"), which start
+     * each of their items.
+     */
+    this.tx_markers = '';
+
+    mod_renderer.Renderer.call(this);
+}
+mod_util.inherits(TextileRenderer, mod_renderer.Renderer);
+
+TextileRenderer.prototype.renderInline = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node) {
+        return self.render(node);
+    }).join('');
+};
+
+/*
+ * Render the contents of a paragraph, which may span multiple lines.
+ * Textile turns the newlines within a paragraph into line breaks, like
+ * JIRA does.
+ */
+TextileRenderer.prototype.renderLines = function (nodes) {
+    var lines = [ [] ];
+
+    nodes.forEach(function (node) {
+        if (node.type === 'lineBreak') {
+            lines.push([]);
+        } else {
+            lines[lines.length - 1].push(node);
+        }
+    });
+
+    return lines.map(function (line) {
+        return escapeLineStart(this.renderInline(line));
+    }, this).join('\n');
+};
+
+/*
+ * Render a list of blocks. Extended blocks ("bc..") continue until the
+ * next block with a signature, so a paragraph that follows one is given
+ * an explicit "p." signature.
+ */
+TextileRenderer.prototype.renderBlocks = function (nodes) {
+    var self = this;
+
+    return nodes.map(function (node, i) {
+        var textile = self.render(node);
+
+        if (i > 0 && node.type === 'paragraph' && endsExtended(nodes[i - 1])) {
+            textile = 'p. ' + textile;
+        }
+
+        return textile;
+    }).join('\n\n');
+};
+
+/*
+ * Blocks that can have a title get it written as a bold line above them.
+ */
+TextileRenderer.prototype.renderTitle = function (node) {
+    if (!mod_jsprim.hasKey(node.options, 'title')) {
+        return '';
+    }
+
+    return delimit(escapeOption(node.options.title), '*', '*');
+};
+
+/*
+ * Quotes can only hold paragraphs, so each paragraph within a quote or
+ * panel becomes its own "bq." block, and other blocks are written as they
+ * would be outside of it.
+ */
+TextileRenderer.prototype.renderQuoted = function (nodes, title) {
+    var self = this;
+    var blocks = nodes.map(function (node) {
+        if (node.type === 'paragraph') {
+            return 'bq. ' + self.renderLines(node.children);
+        }
+        return self.render(node);
+    });
+
+    if (title !== '') {
+        blocks.unshift('bq. ' + title);
+    }
+
+    return blocks.join('\n\n');
+};
+
+/*
+ * Code is written in a "bc." block, or an extended "bc.." block when it
+ * contains blank lines, which would otherwise end the block. Languages
+ * become the block's class. When a line in the code would end an extended
+ * block as well, it's written as HTML inside of a "notextile" tag instead,
+ * which Textile leaves as it is.
+ */
+TextileRenderer.prototype.renderCode = function (node, language) {
+    var title = this.renderTitle(node);
+    var body = node.value.replace(TRAILING_NL_RE, '');
+    var attrs = language === null ? '' : ' class="' + language + '"';
+    var code;
+
+    if (isPreformatted(body)) {
+        code = '<notextile><pre' + attrs + '><code' + attrs + '>' +
+            escapeXML(body) + '</code></pre></notextile>';
+    } else {
+        code = 'bc' + (language === null ? '' : '(' + language + ')') +
+            (isExtended(body) ? '.. ' : '. ') + body;
+    }
+
+    return (title === '' ? '' : title + '\n\n') + code;
+};
+
+/*
+ * Table cells have to fit within their row, so any blocks other than
+ * paragraphs are written as plain text.
+ */
+TextileRenderer.prototype.renderCell = function (node) {
+    var self = this;
+
+    return node.children.map(function (child) {
+        if (child.type === 'paragraph') {
+            return self.renderLines(child.children);
+        }
+
+        return self.tx_text.render(child).split('\n').map(function (line) {
+            return escapeLineStart(escapeTextile(line));
+        }).join('\n');
+    }).join('\n');
+};
+
+TextileRenderer.prototype.document = function (node) {
+    return this.renderBlocks(node.children);
+};
+
+TextileRenderer.prototype.paragraph = function (node) {
+    return this.renderLines(node.children);
+};
+
+TextileRenderer.prototype.heading = function (node) {
+    var textile = this.renderInline(node.children.map(function (child) {
+        return child.type === 'lineBreak' ? { type: 'text', value: ' ' } :
+            child;
+    })).trim();
+
+    return 'h' + node.level + '. ' + textile;
+};
+
+TextileRenderer.prototype.blockquote = function (node) {
+    return 'bq. ' + this.renderLines(node.children);
+};
+
+TextileRenderer.prototype.quote = function (node) {
+    return this.renderQuoted(node.children, '');
+};
+
+/*
+ * Textile doesn't have panels, so we use blockquotes to set them apart.
+ */
+TextileRenderer.prototype.panel = function (node) {
+    return this.renderQuoted(node.children, this.renderTitle(node));
+};
+
+TextileRenderer.prototype.code = function (node) {
+    var language = node.language !== null &&
+        LANGUAGE_RE.test(node.language) ? node.language : null;
+
+    return this.renderCode(node, language);
+};
+
+TextileRenderer.prototype.noformat = function (node) {
+    return this.renderCode(node, null);
+};
+
+/*
+ * Each item of a list starts with the markers of all of the lists it's
+ * within. The paragraphs of an item are continued on the following lines,
+ * and headings are written as bold text. Other blocks can't appear within
+ * a list, and so are written after the item, ending the list.
+ */
+TextileRenderer.prototype.list = function (node) {
+    var self = this;
+    var markers = this.tx_markers + (node.ordered ? '#' : '*');
+    var saved = this.tx_markers;
+
+    this.tx_markers = markers;
+
+    try {
+        return node.children.map(function (item) {
+            var lines = [];
+            var blocks = [];
+
+            item.children.forEach(function (child) {
+                switch (child.type) {
+                case 'list':
+                    lines.push(self.render(child));
+                    break;
+                case 'paragraph':
+                    lines.push(self.renderLines(child.children));
+                    break;
+                case 'heading':
+                    lines.push(delimit(self.renderInline(child.children),
+                        '*', '*'));
+                    break;
+                default:
+                    blocks.push(self.render(child));
+                    break;
+                }
+            });
+
+            var textile = markers + ' ' + lines.join('\n');
+            if (blocks.length > 0) {
+                textile += '\n\n' + blocks.join('\n\n');
+            }
+
+            return textile;
+        }).join('\n');
+    } finally {
+        this.tx_markers = saved;
+    }
+};
+
+TextileRenderer.prototype.listItem = function (node) {
+    return this.render({ type: 'list', ordered: false, children: [ node ] });
+};
+
+TextileRenderer.prototype.table = function (node) {
+    return this.renderChildren(node).join('\n');
+};
+
+TextileRenderer.prototype.tableRow = function (node) {
+    return '|' + this.renderChildren(node).join('|') + '|';
+};
+
+TextileRenderer.prototype.tableCell = function (node) {
+    var textile = this.renderCell(node);
+
+    if (node.header) {
+        return '_. ' + textile;
+    }
+
+    return textile === '' ? ' ' : textile;
+};
+
+TextileRenderer.prototype.text = function (node) {
+    return escapeTextile(node.value);
+};
+
+TextileRenderer.prototype.entity = function (node) {
+    return node.entity;
+};
+
+TextileRenderer.prototype.lineBreak = function (_) {
+    return '\n';
+};
+
+TextileRenderer.prototype.strong = function (node) {
+    return delimit(this.renderInline(node.children), '*', '*');
+};
+
+TextileRenderer.prototype.emphasis = function (node) {
+    return delimit(this.renderInline(node.children), '_', '_');
+};
+
+TextileRenderer.prototype.citation = function (node) {
+    return delimit(this.renderInline(node.children), '??', '??');
+};
+
+TextileRenderer.prototype.subscript = function (node) {
+    return delimit(this.renderInline(node.children), '~', '~');
+};
+
+TextileRenderer.prototype.superscript = function (node) {
+    return delimit(this.renderInline(node.children), '^', '^');
+};
+
+TextileRenderer.prototype.deleted = function (node) {
+    return delimit(this.renderInline(node.children), '-', '-');
+};
+
+TextileRenderer.prototype.inserted = function (node) {
+    return delimit(this.renderInline(node.children), '+', '+');
+};
+
+TextileRenderer.prototype.monospace = function (node) {
+    return delimit(this.renderInline(node.children), '@', '@');
+};
+
+TextileRenderer.prototype.color = function (node) {
+    var textile = this.renderInline(node.children);
+
+    if (node.color === null || !mod_html.COLOR_RE.test(node.color)) {
+        return textile;
+    }
+
+    return delimit(textile, '%{color:' + node.color + '}', '%');
+};
+
+/*
+ * Links that were written directly into the text are left for Textile to
+ * turn back into links.
+ */
+TextileRenderer.prototype.link = function (node) {
+    if (node.bare) {
+        return escapeURL(node.href);
+    }
+
+    return link(this.renderInline(node.children), node.href);
+};
+
+TextileRenderer.prototype.attachment = function (node) {
+    return this.tx_ops.formatAttachmentLink(node.filename,
+        this.renderInline(node.children));
+};
+
+TextileRenderer.prototype.embed = function (node) {
+    return this.tx_ops.formatEmbedded(node.src, node.options);
+};
+
+TextileRenderer.prototype.mention = function (node) {
+    return this.tx_ops.formatMention(node.username);
+};
+
+module.exports = {
+    TextileRenderer: TextileRenderer
+};
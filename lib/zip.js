@@ -0,0 +1,154 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_zlib = require('zlib');
+
+/*
+ * This file writes ZIP archives, as used for the packages of Office Open XML
+ * documents. Only what those need is supported: each file is compressed
+ * with DEFLATE, and all of the archive is kept in memory.
+ */
+
+var LOCAL_HEADER_SIG = 0x04034b50;
+var CENTRAL_HEADER_SIG = 0x02014b50;
+var END_SIG = 0x06054b50;
+
+var VERSION = 20;
+var METHOD_DEFLATE = 8;
+
+/*
+ * Bit 11 of the flags marks the file names as UTF-8.
+ */
+var FLAG_UTF8 = 0x0800;
+
+/*
+ * Every file gets the same modification time (the earliest that the MS-DOS
+ * format can represent, 1980-01-01 00:00), so that an archive's contents
+ * only depend on its files.
+ */
+var DOS_TIME = 0;
+var DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+var CRC_TABLE = (function () {
+    var table = [];
+
+    for (var n = 0; n < 256; ++n) {
+        var c = n;
+        for (var k = 0; k < 8; ++k) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table.push(c >>> 0);
+    }
+
+    return table;
+}());
+
+function crc32(buf) {
+    var crc = 0xffffffff;
+
+    for (var i = 0; i < buf.length; ++i) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/*
+ * Write the fields shared by the local and central headers, starting from
+ * "offset".
+ */
+function writeCommon(header, offset, file) {
+    header.writeUInt16LE(VERSION, offset);
+    header.writeUInt16LE(FLAG_UTF8, offset + 2);
+    header.writeUInt16LE(METHOD_DEFLATE, offset + 4);
+    header.writeUInt16LE(DOS_TIME, offset + 6);
+    header.writeUInt16LE(DOS_DATE, offset + 8);
+    header.writeUInt32LE(file.crc, offset + 10);
+    header.writeUInt32LE(file.compressed.length, offset + 14);
+    header.writeUInt32LE(file.size, offset + 18);
+    header.writeUInt16LE(file.name.length, offset + 22);
+    header.writeUInt16LE(0, offset + 24);
+}
+
+/*
+ * Create a ZIP archive holding "files", an array of objects with the
+ * "name" of each file and its "data" (a string or a Buffer). The files are
+ * written in the order they are given. Returns the archive as a Buffer.
+ */
+function createZip(files) {
+    assert.arrayOfObject(files, 'files');
+
+    var chunks = [];
+    var central = [];
+    var offset = 0;
+
+    files.forEach(function (file) {
+        assert.string(file.name, 'file.name');
+        assert.ok(typeof (file.data) === 'string' ||
+            Buffer.isBuffer(file.data), 'file.data must be a string or Buffer');
+
+        var data = Buffer.isBuffer(file.data) ? file.data :
+            Buffer.from(file.data, 'utf8');
+        var entry = {
+            name: Buffer.from(file.name, 'utf8'),
+            crc: crc32(data),
+            size: data.length,
+            compressed: mod_zlib.deflateRawSync(data),
+            offset: offset
+        };
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER_SIG, 0);
+        writeCommon(local, 4, entry);
+
+        chunks.push(local, entry.name, entry.compressed);
+        offset += local.length + entry.name.length + entry.compressed.length;
+        central.push(entry);
+    });
+
+    var start = offset;
+
+    central.forEach(function (entry) {
+        var header = Buffer.alloc(46);
+        header.writeUInt32LE(CENTRAL_HEADER_SIG, 0);
+        header.writeUInt16LE(VERSION, 4);
+        writeCommon(header, 6, entry);
+        /* Comment length, disk number, and internal and external attributes */
+        header.writeUInt16LE(0, 32);
+        header.writeUInt16LE(0, 34);
+        header.writeUInt16LE(0, 36);
+        header.writeUInt32LE(0, 38);
+        header.writeUInt32LE(entry.offset, 42);
+
+        chunks.push(header, entry.name);
+        offset += header.length + entry.name.length;
+    });
+
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(END_SIG, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    end.writeUInt16LE(0, 20);
+
+    chunks.push(end);
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    createZip: createZip
+};
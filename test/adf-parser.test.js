@@ -0,0 +1,252 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+
+// --- Helpers
+
+/*
+ * Convert a document with the nodes in "content" to JIRA markup, and check
+ * that the grammar can parse the result.
+ */
+function toMarkup(content, ops) {
+    var markup = mod_jiramark.adfToMarkup({
+        version: 1,
+        type: 'doc',
+        content: content
+    }, ops);
+
+    mod_jiramark.parse(markup);
+
+    return markup;
+}
+
+/*
+ * Return the types of the nodes and marks dropped while converting "content".
+ */
+function dropped(content) {
+    var types = [];
+
+    toMarkup(content, {
+        onDropped: function (info) {
+            types.push(info.kind + ':' + info.type);
+        }
+    });
+
+    return types;
+}
+
+/*
+ * Check that converting the output of markupToADF() gives back the markup
+ * it was made from.
+ */
+function roundTrip(t, markup) {
+    t.equal(mod_jiramark.adfToMarkup(mod_jiramark.markupToADF(markup)),
+        markup, JSON.stringify(markup));
+}
+
+function text(str, marks) {
+    var node = { type: 'text', text: str };
+    if (marks !== undefined) {
+        node.marks = marks;
+    }
+    return node;
+}
+
+function paragraph(content) {
+    return { type: 'paragraph', content: content };
+}
+
+
+// --- Tests
+
+test('Round-tripping markupToADF() output', function (t) {
+    roundTrip(t, 'h1. Title *bold*\n\nSome text\nover two lines');
+    roundTrip(t, '*a* _b_ -c- +d+ ^e^ ~f~ {{g}} *a _b_*');
+    roundTrip(t, '* a\n** b\n* c\n\n# d\n#* e');
+    roundTrip(t, '||a||b||\n|c|d|');
+    roundTrip(t, 'bq. Quoted\n\n{quote}\na\n\nb\n{quote}');
+    roundTrip(t, '{code:java}\nint a;\n{code}\n\n{noformat}\n*a*\n{noformat}');
+    roundTrip(t, '[a|http://x.com] http://x.com [~bob]');
+
+    t.end();
+});
+
+test('Documents', function (t) {
+    t.equal(mod_jiramark.adfToMarkup('{"type":"doc","content":[]}'), '');
+    t.equal(mod_jiramark.adfToMarkup(JSON.stringify({
+        version: 1,
+        type: 'doc',
+        content: [ paragraph([ text('*a*') ]), paragraph([]) ]
+    })), '\\*a*');
+
+    t.throws(function () {
+        mod_jiramark.adfToMarkup({ type: 'paragraph', content: [] });
+    }, /expected an ADF "doc" node, but found type "paragraph"/);
+    t.throws(function () {
+        toMarkup([ paragraph([ 'a' ]) ]);
+    }, /invalid ADF node: "a"/);
+
+    t.end();
+});
+
+test('Marks', function (t) {
+    t.equal(toMarkup([ paragraph([
+        text('a', [ { type: 'strong' } ]),
+        text(' b', [ { type: 'strong' }, { type: 'em' } ]),
+        text(' '),
+        text('c', [ { type: 'textColor', attrs: { color: '#ff0000' } } ])
+    ]) ]), '*a _b_* {color:#ff0000}c{color}');
+
+    // Links hold the other marks
+    t.equal(toMarkup([ paragraph([
+        text('a', [ { type: 'code' },
+            { type: 'link', attrs: { href: 'http://x.com' } } ])
+    ]) ]), '[{{a}}|http://x.com]');
+
+    t.end();
+});
+
+test('Blocks', function (t) {
+    t.equal(toMarkup([ {
+        type: 'heading',
+        attrs: { level: 2 },
+        content: [ text('a'), { type: 'hardBreak' }, text('b') ]
+    } ]), 'h2. a b');
+
+    t.equal(toMarkup([ {
+        type: 'panel',
+        attrs: { panelType: 'warning' },
+        content: [ paragraph([ text('a') ]) ]
+    }, {
+        type: 'expand',
+        attrs: { title: 'More' },
+        content: [ paragraph([ text('b') ]) ]
+    } ]), '{panel:bgColor=#fffae6}\na\n{panel}\n\n{panel:title=More}\nb\n' +
+        '{panel}');
+    t.equal(toMarkup([ {
+        type: 'panel',
+        content: [ paragraph([ text('a') ]) ]
+    } ]), '{panel}\na\n{panel}');
+
+    t.equal(toMarkup([ { type: 'taskList', content: [
+        { type: 'taskItem', attrs: { state: 'DONE' }, content: [ text('a') ] },
+        { type: 'taskItem', attrs: { state: 'TODO' }, content: [ text('b') ] }
+    ] } ]), '* \\[x\\] a\n* \\[ \\] b');
+
+    // Cells spanning several columns are followed by empty ones
+    t.equal(toMarkup([ { type: 'table', content: [
+        { type: 'tableRow', content: [ { type: 'tableHeader',
+            attrs: { colspan: 2 }, content: [ paragraph([ text('a') ]) ] } ] },
+        { type: 'tableRow', content: [
+            { type: 'tableCell', content: [ paragraph([ text('b') ]) ] },
+            { type: 'tableCell', content: [ paragraph([ text('c') ]) ] }
+        ] }
+    ] } ]), '||a|| ||\n|b|c|');
+
+    t.end();
+});
+
+test('Inline nodes', function (t) {
+    t.equal(toMarkup([ paragraph([
+        { type: 'emoji', attrs: { shortName: ':smile:', text: '😄' } },
+        text(' '),
+        { type: 'status', attrs: { text: 'DONE', color: 'green' } },
+        text(' '),
+        { type: 'date', attrs: { timestamp: '1571443200000' } },
+        text(' '),
+        { type: 'inlineCard', attrs: { url: 'http://x.com/a' } }
+    ]) ]), '😄 DONE 2019-10-19 http://x.com/a');
+
+    t.equal(toMarkup([ {
+        type: 'mediaSingle',
+        content: [ { type: 'media', attrs: { type: 'external',
+            url: 'http://x.com/a.png', width: 300 } } ]
+    }, {
+        type: 'mediaGroup',
+        content: [ { type: 'media', attrs: { type: 'file', id: '1234',
+            collection: '', alt: 'b.png' } } ]
+    } ]), '!http://x.com/a.png|width=300!\n\n!b.png!');
+
+    t.equal(toMarkup([ paragraph([
+        { type: 'mention', attrs: { id: '5b10ac', text: '@Bob' } }
+    ]) ], {
+        formatMention: function (attrs) {
+            return attrs.text.slice(1).toLowerCase();
+        }
+    }), '[~bob]');
+
+    t.end();
+});
+
+test('Reporting dropped nodes and marks', function (t) {
+    t.deepEqual(dropped([
+        { type: 'rule' },
+        paragraph([
+            text('a', [ { type: 'backgroundColor',
+                attrs: { color: '#ffff00' } } ]),
+            { type: 'placeholder', attrs: { text: 'b' } }
+        ]),
+        {
+            type: 'paragraph',
+            marks: [ { type: 'alignment', attrs: { align: 'center' } } ],
+            content: [ text('c') ]
+        },
+        { type: 'mediaSingle', content: [ { type: 'media',
+            attrs: { type: 'file', id: '1234', collection: '' } } ] },
+        { type: 'layoutSection', content: [ { type: 'layoutColumn',
+            content: [ { type: 'bodiedExtension', content: [] } ] } ] }
+    ]), [
+        'node:rule',
+        'mark:backgroundColor',
+        'node:placeholder',
+        'mark:alignment',
+        'node:media',
+        'node:bodiedExtension'
+    ]);
+
+    var infos = [];
+    t.equal(toMarkup([ { type: 'rule' }, paragraph([ text('a') ]) ], {
+        onDropped: function (info) {
+            infos.push(info);
+        }
+    }), 'a');
+    t.deepEqual(infos, [ {
+        message: 'dropped ADF node of type "rule"',
+        kind: 'node',
+        type: 'rule',
+        value: { type: 'rule' }
+    } ]);
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function demoteHeadings(tree) {
+        tree.children.forEach(function (node) {
+            if (node.type === 'heading') {
+                node.level += 1;
+            }
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(demoteHeadings).adfToMarkup({
+        type: 'doc',
+        content: [ { type: 'heading', attrs: { level: 1 },
+            content: [ text('a') ] } ]
+    }), 'h2. a');
+
+    t.end();
+});
@@ -0,0 +1,248 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+
+// --- Helpers
+
+/*
+ * Convert "markup" to ADF, returning the nodes in the document.
+ */
+function toADF(markup, ops) {
+    return mod_jiramark.markupToADF(markup, ops).content;
+}
+
+function text(str, marks) {
+    var node = { type: 'text', text: str };
+    if (marks !== undefined) {
+        node.marks = marks;
+    }
+    return node;
+}
+
+function paragraph(content) {
+    return { type: 'paragraph', content: content };
+}
+
+
+// --- Tests
+
+test('Documents', function (t) {
+    t.deepEqual(mod_jiramark.markupToADF('a'), {
+        version: 1,
+        type: 'doc',
+        content: [ paragraph([ text('a') ]) ]
+    });
+    t.deepEqual(mod_jiramark.markupToADF(''),
+        { version: 1, type: 'doc', content: [] });
+
+    t.end();
+});
+
+test('Paragraphs and headings', function (t) {
+    t.deepEqual(toADF('h2. Title\n\na\nb &amp; c'), [
+        { type: 'heading', attrs: { level: 2 }, content: [ text('Title') ] },
+        paragraph([ text('a'), { type: 'hardBreak' }, text('b & c') ])
+    ]);
+
+    t.end();
+});
+
+test('Text effects become marks', function (t) {
+    t.deepEqual(toADF('*a* _b_ -c- +d+ ??e?? {{f}}'), [ paragraph([
+        text('a', [ { type: 'strong' } ]), text(' '),
+        text('b', [ { type: 'em' } ]), text(' '),
+        text('c', [ { type: 'strike' } ]), text(' '),
+        text('d', [ { type: 'underline' } ]), text(' '),
+        text('e', [ { type: 'em' } ]), text(' '),
+        text('f', [ { type: 'code' } ])
+    ]) ]);
+    t.deepEqual(toADF('^a^ ~b~'), [ paragraph([
+        text('a', [ { type: 'subsup', attrs: { type: 'sup' } } ]), text(' '),
+        text('b', [ { type: 'subsup', attrs: { type: 'sub' } } ])
+    ]) ]);
+    t.deepEqual(toADF('*a _b_*'), [ paragraph([
+        text('a ', [ { type: 'strong' } ]),
+        text('b', [ { type: 'strong' }, { type: 'em' } ])
+    ]) ]);
+
+    // Code can only be combined with links
+    t.deepEqual(toADF('*{{a}}* [{{b}}|http://x.com]'), [ paragraph([
+        text('a', [ { type: 'code' } ]), text(' '),
+        text('b', [ { type: 'link', attrs: { href: 'http://x.com' } },
+            { type: 'code' } ])
+    ]) ]);
+
+    t.end();
+});
+
+test('Colors', function (t) {
+    t.deepEqual(toADF('{color:red}a{color} {color:#14892C}b{color}'), [
+        paragraph([
+            text('a', [ { type: 'textColor', attrs: { color: '#ff0000' } } ]),
+            text(' '),
+            text('b', [ { type: 'textColor', attrs: { color: '#14892c' } } ])
+        ])
+    ]);
+
+    // Colors we don't know are dropped
+    t.deepEqual(toADF('{color:chartreuse}a{color}'),
+        [ paragraph([ text('a') ]) ]);
+
+    t.end();
+});
+
+test('Links, attachments and mentions', function (t) {
+    var link = { type: 'link', attrs: { href: 'http://x.com' } };
+
+    t.deepEqual(toADF('[a|http://x.com] http://x.com'), [ paragraph([
+        text('a', [ link ]), text(' '), text('http://x.com', [ link ])
+    ]) ]);
+    t.deepEqual(toADF('[^a.txt] [~bob]'), [ paragraph([
+        text('a.txt '),
+        { type: 'mention', attrs: { id: 'bob', text: '@bob' } }
+    ]) ]);
+
+    t.deepEqual(toADF('[^a.txt] [~bob]', {
+        formatAttachmentLink: function (filename) {
+            return 'http://x.com/' + filename;
+        },
+        formatMention: function (username) {
+            return { id: 'id-' + username };
+        }
+    }), [ paragraph([
+        text('a.txt', [ { type: 'link',
+            attrs: { href: 'http://x.com/a.txt' } } ]),
+        text(' '),
+        { type: 'mention', attrs: { id: 'id-bob' } }
+    ]) ]);
+
+    t.end();
+});
+
+test('Embedded images split up paragraphs', function (t) {
+    t.deepEqual(toADF('a !http://x.com/b.png|width=300! c'), [
+        paragraph([ text('a') ]),
+        {
+            type: 'mediaSingle',
+            attrs: { layout: 'center' },
+            content: [ { type: 'media', attrs: {
+                type: 'external',
+                url: 'http://x.com/b.png',
+                width: 300
+            } } ]
+        },
+        paragraph([ text('c') ])
+    ]);
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.deepEqual(toADF('* a\n*# b'), [ { type: 'bulletList', content: [ {
+        type: 'listItem',
+        content: [
+            paragraph([ text('a') ]),
+            { type: 'orderedList', content: [ {
+                type: 'listItem',
+                content: [ paragraph([ text('b') ]) ]
+            } ] }
+        ]
+    } ] } ]);
+
+    // Items have to start with a paragraph
+    t.deepEqual(toADF('** a'), [ { type: 'bulletList', content: [ {
+        type: 'listItem',
+        content: [
+            paragraph([]),
+            { type: 'bulletList', content: [ {
+                type: 'listItem',
+                content: [ paragraph([ text('a') ]) ]
+            } ] }
+        ]
+    } ] } ]);
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    function cell(type, content) {
+        return { type: type, attrs: {}, content: content };
+    }
+
+    t.deepEqual(toADF('||a||b||\n| c |'), [ {
+        type: 'table',
+        attrs: { isNumberColumnEnabled: false, layout: 'default' },
+        content: [
+            { type: 'tableRow', content: [
+                cell('tableHeader', [ paragraph([ text('a') ]) ]),
+                cell('tableHeader', [ paragraph([ text('b') ]) ])
+            ] },
+            { type: 'tableRow', content: [
+                cell('tableCell', [ paragraph([ text('c') ]) ]),
+                cell('tableCell', [ paragraph([]) ])
+            ] }
+        ]
+    } ]);
+
+    t.end();
+});
+
+test('Code blocks, quotes and panels', function (t) {
+    t.deepEqual(toADF('{code:java}\nint a;\n{code}'), [ {
+        type: 'codeBlock',
+        attrs: { language: 'java' },
+        content: [ text('int a;') ]
+    } ]);
+    t.deepEqual(toADF('{noformat}\n{noformat}'),
+        [ { type: 'codeBlock', content: [] } ]);
+
+    t.deepEqual(toADF('bq. a'),
+        [ { type: 'blockquote', content: [ paragraph([ text('a') ]) ] } ]);
+
+    /*
+     * Titles are written before the block, and blocks that aren't allowed
+     * within a panel are replaced by their contents.
+     */
+    t.deepEqual(toADF('{panel:title=T}\nh1. a\n{quote}\nb\n{quote}\n{panel}'), [
+        { type: 'panel', attrs: { panelType: 'info' }, content: [
+            paragraph([ text('T', [ { type: 'strong' } ]) ]),
+            { type: 'heading', attrs: { level: 1 }, content: [ text('a') ] },
+            paragraph([ text('b') ])
+        ] }
+    ]);
+    t.deepEqual(toADF('{quote}\nh1. a\n{quote}'), [ {
+        type: 'blockquote',
+        content: [ paragraph([ text('a') ]) ]
+    } ]);
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function dropCode(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'code';
+        });
+        return tree;
+    }
+
+    t.deepEqual(mod_jiramark.use(dropCode)
+        .markupToADF('a\n\n{code}\nb\n{code}').content,
+        [ paragraph([ text('a') ]) ]);
+    t.deepEqual(new mod_jiramark.ADFRenderer().render(
+        mod_jiramark.parse('a')).content, [ paragraph([ text('a') ]) ]);
+
+    t.end();
+});
@@ -0,0 +1,237 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toANSI = mod_jiramark.markupToANSI;
+
+var PLAIN = { color: false };
+
+
+// --- Helpers
+
+/*
+ * Make escape sequences readable in test failures.
+ */
+function show(str) {
+    return str.split('\u001b[').map(function (part, i) {
+        return i === 0 ? part : '<' + part.replace('m', '>');
+    }).join('').split('\u001b]8;;').map(function (part, i) {
+        return i === 0 ? part : '<link ' + part.replace('\u001b\\', '>');
+    }).join('');
+}
+
+
+// --- Tests
+
+test('Text effects', function (t) {
+    t.equal(show(toANSI('*a* _b_ -c- +d+ ??e?? {{f}} ^g^ ~h~')),
+        '<1>a<0> <3>b<0> <9>c<0> <4>d<0> <3>e<0> <36>f<0> g h');
+
+    // Styles that are still open are turned back on
+    t.equal(show(toANSI('*a _b_ c*')), '<1>a <3>b<0><1> c<0>');
+
+    t.equal(toANSI('*a* _b_ {{c}}', PLAIN), 'a b c');
+
+    t.end();
+});
+
+test('Colors', function (t) {
+    t.equal(show(toANSI('{color:red}a{color} {color:#14892c}b{color}')),
+        '<91>a<0> <32>b<0>');
+    t.equal(show(toANSI('{color:Navy}a{color}')), '<34>a<0>');
+
+    // Colors we don't know are ignored
+    t.equal(toANSI('{color:chartreuse}a{color} {color:#abc}b{color}'),
+        'a b');
+
+    t.end();
+});
+
+test('Headings', function (t) {
+    t.equal(show(toANSI('h1. A *b*\n\nh3. C')),
+        '<1;4>A <1>b<0><1;4><0>\n\n<1>C<0>');
+    t.equal(toANSI('h1. Title\n\nh2. Sub\n\nh3. Small', PLAIN),
+        'Title\n=====\n\nSub\n---\n\nSmall');
+
+    t.end();
+});
+
+test('Wrapping', function (t) {
+    t.equal(toANSI('aaa bbb ccc ddd', { color: false, width: 8 }),
+        'aaa bbb\nccc ddd');
+    t.equal(toANSI('abcdefghij', { color: false, width: 4 }),
+        'abcd\nefgh\nij');
+
+    // Styles are turned off at the end of each line, and back on after
+    t.equal(show(toANSI('*aaa bbb* c', { width: 4 })),
+        '<1>aaa<0>\n<1>bbb<0>\nc');
+
+    t.throws(function () {
+        toANSI('a', { width: 0 });
+    }, /"width" must be a positive integer/);
+
+    t.end();
+});
+
+test('Links, attachments, embeds and mentions', function (t) {
+    t.equal(show(toANSI('[Example|http://example.com]')),
+        '<link http://example.com><4>Example<0><link >');
+    t.equal(show(toANSI('[Example|http://example.com]',
+        { hyperlinks: false })),
+        '<4>Example<0> (http://example.com)');
+    t.equal(toANSI('[Example|http://example.com] http://example.com/a',
+        PLAIN), 'Example (http://example.com) http://example.com/a');
+
+    // Links that wrap get closed and reopened on each line
+    t.equal(show(toANSI('[a b|http://x.com]', { width: 1 })),
+        '<link http://x.com><4>a<link ><0>\n' +
+        '<4><link http://x.com>b<0><link >');
+
+    t.equal(toANSI('[^a.txt] [Log|^b.log] !c.png! [~alice]', PLAIN),
+        'a.txt Log (b.log) [c.png] @alice');
+    t.equal(show(toANSI('[~alice]')), '<1>@alice<0>');
+
+    t.end();
+});
+
+test('Control characters are removed', function (t) {
+    t.equal(show(toANSI('a\u001b[31mb\u0007 &#27;')), 'a[31mb ');
+    t.equal(show(new mod_jiramark.ANSIRenderer().render({
+        type: 'link',
+        href: 'http://x.com/\u001b\\ a',
+        children: [ { type: 'text', value: 'a' } ]
+    })), '<link http://x.com/\\%20a><4>a<0><link >');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toANSI('* a\n** b\n*** c\n**** d', PLAIN),
+        '• a\n  ◦ b\n    ▪ c\n      • d');
+    t.equal(toANSI('# a\n#* b\n# c', PLAIN), '1. a\n   ◦ b\n2. c');
+
+    // Items wrap within their indentation
+    t.equal(toANSI('* aaa bbb', { color: false, width: 5 }), '• aaa\n  bbb');
+
+    t.end();
+});
+
+test('Quotes, panels and code blocks', function (t) {
+    t.equal(toANSI('bq. a\n\n{quote}\nb\n\nc\n{quote}', PLAIN),
+        '│ a\n\n│ b\n│\n│ c');
+    t.equal(toANSI('{panel:title=Note}\n*a*\n{panel}',
+        { color: false, width: 14 }),
+        '┌─ Note ─────┐\n' +
+        '│ a          │\n' +
+        '└────────────┘');
+    t.equal(toANSI('{code:js}\nvar a;\n\tb();\n{code}',
+        { color: false, width: 16 }),
+        '┌──────────────┐\n' +
+        '│ var a;       │\n' +
+        '│         b(); │\n' +
+        '└──────────────┘');
+
+    // Long lines of code are broken up
+    t.equal(toANSI('{noformat}\nabcdefgh\n{noformat}',
+        { color: false, width: 8 }),
+        '┌──────┐\n' +
+        '│ abcd │\n' +
+        '│ efgh │\n' +
+        '└──────┘');
+
+    t.equal(show(toANSI('{code:title=a.js}\nx\n{code}', { width: 12 })),
+        '┌─<1> a.js <0>───┐\n' +
+        '│ x        │\n' +
+        '└──────────┘');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toANSI('||Name||Value||\n|a|b|\n|c|', PLAIN),
+        '┌──────┬───────┐\n' +
+        '│ Name │ Value │\n' +
+        '├──────┼───────┤\n' +
+        '│ a    │ b     │\n' +
+        '├──────┼───────┤\n' +
+        '│ c    │       │\n' +
+        '└──────┴───────┘');
+    t.equal(show(toANSI('||a||\n|b|')),
+        '┌───┐\n' +
+        '│ <1>a<0> │\n' +
+        '├───┤\n' +
+        '│ b │\n' +
+        '└───┘');
+
+    // The widest columns are narrowed to fit the table within the width
+    t.equal(toANSI('|a|bbb ccc ddd|', { color: false, width: 15 }),
+        '┌───┬─────────┐\n' +
+        '│ a │ bbb ccc │\n' +
+        '│   │ ddd     │\n' +
+        '└───┴─────────┘');
+
+    t.end();
+});
+
+test('Wide and zero-width characters', function (t) {
+    t.equal(toANSI('||h||\n|日本語テキスト|', { color: false, width: 20 }),
+        '┌────────────────┐\n' +
+        '│ h              │\n' +
+        '├────────────────┤\n' +
+        '│ 日本語テキスト │\n' +
+        '└────────────────┘');
+
+    // Wide characters are never split across columns or lines
+    t.equal(toANSI('日本語テキスト', { color: false, width: 5 }),
+        '日本\n語テ\nキス\nト');
+
+    // Characters outside the BMP and combining marks
+    t.equal(toANSI('|\ud83d\ude00|e\u0301|\n|ab|c|',
+        { color: false, width: 20 }),
+        '┌────┬───┐\n' +
+        '│ \ud83d\ude00 │ e\u0301 │\n' +
+        '├────┼───┤\n' +
+        '│ ab │ c │\n' +
+        '└────┴───┘');
+
+    t.equal(toANSI('{code}\n日本語テキスト\n{code}',
+        { color: false, width: 10 }),
+        '┌────────┐\n' +
+        '│ 日本語 │\n' +
+        '│ テキス │\n' +
+        '│ ト     │\n' +
+        '└────────┘');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function upcase(tree) {
+        (function visit(node) {
+            if (node.type === 'text') {
+                node.value = node.value.toUpperCase();
+            }
+            if (node.children) {
+                node.children.forEach(visit);
+            }
+        })(tree);
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(upcase).markupToANSI('a b', PLAIN), 'A B');
+    t.equal(new mod_jiramark.ANSIRenderer(PLAIN).render(
+        mod_jiramark.parse('*a*')), 'a');
+
+    t.end();
+});
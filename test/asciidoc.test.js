@@ -0,0 +1,200 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toAsciiDoc = mod_jiramark.markupToAsciiDoc;
+
+
+// --- Tests
+
+test('Paragraphs and text', function (t) {
+    t.equal(toAsciiDoc('Hello world'), 'Hello world');
+    t.equal(toAsciiDoc('a\n\nb'), 'a\n\nb');
+
+    // Newlines within a paragraph are hard line breaks
+    t.equal(toAsciiDoc('a\nb'), 'a +\nb');
+
+    // AsciiDoc syntax in the text is passed through
+    t.equal(toAsciiDoc('a_b _c \\*d\\* [e] {f} `g` 1^2 <<h>>'),
+        'a_b ++_++c ++*++d++*++ ++[++e] ++{++f} ++`++g++`++ 1++^++2 ' +
+        '++<++<h>>');
+    t.equal(toAsciiDoc('a+b C++'), 'a+b C{plus}{plus}');
+    t.equal(toAsciiDoc('a\n1. b\n= c\n.d\nNOTE: e\nf:: g\n  h'),
+        'a +\n{empty}1. b +\n{empty}= c +\n{empty}.d +\n{empty}NOTE: e +\n' +
+        'f:{empty}: g +\nh');
+
+    // Entities are kept as they were written
+    t.equal(toAsciiDoc('a &amp; b &copy;'), 'a &amp; b &copy;');
+
+    t.end();
+});
+
+test('Headings', function (t) {
+    t.equal(toAsciiDoc('h1. Title'), '== Title');
+    t.equal(toAsciiDoc('h3. *Bold* title'), '==== **Bold** title');
+    t.equal(toAsciiDoc('h6. Deep'), '====== Deep');
+
+    // Sections can't appear within blocks
+    t.equal(toAsciiDoc('{panel}\nh2. a\n{panel}'),
+        '****\n[discrete]\n=== a\n****');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toAsciiDoc('*strong* _emphasis_ ??cite?? {{mono}}'),
+        '**strong** __emphasis__ __cite__ ``mono``');
+    t.equal(toAsciiDoc('-deleted- +inserted+'),
+        '[.line-through]##deleted## [.underline]##inserted##');
+    t.equal(toAsciiDoc('^sup^ ~sub~ ^a b^'), '^sup^ ~sub~ ^a{nbsp}b^');
+    t.equal(toAsciiDoc('*_both_*'), '**__both__**');
+
+    t.end();
+});
+
+test('{code} and {noformat} blocks', function (t) {
+    t.equal(toAsciiDoc('{code:java}\nint a;\n{code}'),
+        '[source,java]\n----\nint a;\n----');
+    t.equal(toAsciiDoc('{code:title=a.txt}\n----\n{code}'),
+        '.a.txt\n[source]\n-----\n----\n-----');
+    t.equal(toAsciiDoc('{noformat}\n*a* [b]\n{noformat}'),
+        '....\n*a* [b]\n....');
+
+    t.end();
+});
+
+test('Quotes and panels', function (t) {
+    t.equal(toAsciiDoc('bq. a'), '____\na\n____');
+    t.equal(toAsciiDoc('{quote}\na\n\nb\n{quote}'), '____\na\n\nb\n____');
+    t.equal(toAsciiDoc('{panel:title=Note}\n*a*\n{panel}'),
+        '.Note\n****\n**a**\n****');
+    t.equal(toAsciiDoc('{panel:title=Note}\na\n{panel}',
+        { panel: 'example' }), '[caption=""]\n.Note\n====\na\n====');
+
+    t.throws(function () {
+        toAsciiDoc('a', { panel: 'aside' });
+    }, /"panel" must be "sidebar" or "example"/);
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toAsciiDoc('* a\n** b\n*# c\n* d'), '* a\n** b\n.. c\n* d');
+    t.equal(toAsciiDoc('# a\n# b'), '. a\n. b');
+    t.equal(toAsciiDoc('** a'), '* {empty}\n** a');
+
+    // Separate lists need to be kept apart
+    t.equal(toAsciiDoc('* a\n\n# b'), '* a\n\n//-\n\n. b');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toAsciiDoc('||a||b||\n|c|d|'),
+        '[cols="2*",options="header"]\n|===\n|a |b\n|c |d\n|===');
+
+    // Short rows are padded, and other header cells get the header style
+    t.equal(toAsciiDoc('|a||b||\n|c|'),
+        '[cols="2*"]\n|===\n|a h|b\n|c |\n|===');
+
+    // Cells that hold more than a paragraph are AsciiDoc cells
+    t.equal(toAsciiDoc('|a\n* b|c\nd|'),
+        '[cols="2*"]\n|===\na|\na\n\n* b\n|c +\nd\n|===');
+
+    // Pipes in cells are escaped
+    t.equal(new mod_jiramark.AsciiDocRenderer().render({
+        type: 'tableCell',
+        header: false,
+        children: [ { type: 'paragraph', children: [
+            { type: 'text', value: 'a | b' }
+        ] } ]
+    }), '|a \\| b');
+
+    t.end();
+});
+
+test('Links, attachments, embeds and mentions', function (t) {
+    t.equal(toAsciiDoc('http://example.com [a|http://example.com]'),
+        'http://example.com link:http://example.com[a]');
+    t.equal(toAsciiDoc('[a]b|http://example.com]'),
+        'link:http://example.com[a\\]b]');
+    t.equal(toAsciiDoc('[^a.txt] !c.png|width=300,align=right! [~bob]'),
+        'link:a.txt[a.txt] image:c.png[width=300] @bob');
+    t.equal(new mod_jiramark.AsciiDocRenderer().render({
+        type: 'link',
+        href: 'http://example.com/a b',
+        children: [ { type: 'text', value: 'a' } ]
+    }), 'link:++http://example.com/a b++[a]');
+
+    t.equal(toAsciiDoc('[^a.txt] !b.png! [~alice]', {
+        formatAttachmentLink: function (filename, asciidoc) {
+            return 'link:https://cdn.example.com/' + filename + '[' +
+                asciidoc + ']';
+        },
+        formatEmbedded: function (src) {
+            return 'image::https://cdn.example.com/' + src + '[]';
+        },
+        formatMention: function (username) {
+            return '**' + username + '**';
+        }
+    }), 'link:https://cdn.example.com/a.txt[a.txt] ' +
+        'image::https://cdn.example.com/b.png[] **alice**');
+
+    t.end();
+});
+
+test('{color} text', function (t) {
+    var input = '{color:red}a{color} {color:#008000}b{color} ' +
+        '{color:#123456}c{color}';
+
+    t.equal(toAsciiDoc(input), '[.red]##a## [.green]##b## c');
+    t.equal(toAsciiDoc(input, { color: 'role' }),
+        '[.red]##a## [.green]##b## c');
+    t.equal(toAsciiDoc(input, { color: 'strip' }), 'a b c');
+    t.equal(toAsciiDoc(input, {
+        color: function (asciidoc, color) {
+            return '[.color-' + color.slice(1) + ']##' + asciidoc + '##';
+        }
+    }), '[.color-ed]##a## [.color-008000]##b## [.color-123456]##c##');
+
+    t.throws(function () {
+        toAsciiDoc(input, { color: 'html' });
+    }, /"color" must be "role", "strip" or a function/);
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripHeadings)
+        .markupToAsciiDoc('h1. Title\n\nBody'), 'Body');
+    t.equal(new mod_jiramark.AsciiDocRenderer().render(
+        mod_jiramark.parse('*a*')), '**a**');
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        toAsciiDoc('{code}a');
+    }, mod_jiramark.JIRAParseError);
+
+    t.end();
+});
@@ -0,0 +1,331 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+// --- Helpers
+
+/*
+ * Most tests here are about the shape of the tree, so we remove the source
+ * positions before comparing.
+ */
+function stripPositions(node) {
+    var copy = {};
+
+    Object.keys(node).forEach(function (key) {
+        if (key === 'position') {
+            return;
+        }
+
+        if (key === 'children') {
+            copy.children = node.children.map(stripPositions);
+        } else {
+            copy[key] = node[key];
+        }
+    });
+
+    return copy;
+}
+
+function parse(str) {
+    return stripPositions(mod_jiramark.parse(str));
+}
+
+function point(offset, line, column) {
+    return { offset: offset, line: line, column: column };
+}
+
+function txt(value) {
+    return { type: 'text', value: value };
+}
+
+function para(children) {
+    return { type: 'paragraph', children: children };
+}
+
+function doc(children) {
+    return { type: 'document', children: children };
+}
+
+function item(children) {
+    return { type: 'listItem', children: children };
+}
+
+function list(bullet, items) {
+    return {
+        type: 'list',
+        ordered: bullet === '#',
+        bullet: bullet,
+        children: items
+    };
+}
+
+function cell(header, children) {
+    return { type: 'tableCell', header: header, children: children };
+}
+
+function row(cells) {
+    return { type: 'tableRow', children: cells };
+}
+
+var BR = { type: 'lineBreak' };
+
+
+// --- Tests
+
+test('Paragraphs', function (t) {
+    t.deepEqual(parse('hello world'), doc([ para([ txt('hello world') ]) ]));
+    t.deepEqual(parse('hello\nworld\n\nagain'), doc([
+        para([ txt('hello'), BR, txt('world') ]),
+        para([ txt('again') ])
+    ]));
+    t.deepEqual(parse(''), doc([]));
+
+    t.end();
+});
+
+test('Text, escapes and entities', function (t) {
+    t.deepEqual(parse('\\*not bold\\* a&copy;b'), doc([ para([
+        txt('*not bold* a'),
+        { type: 'entity', entity: '&copy;', value: '©' },
+        txt('b')
+    ]) ]));
+
+    t.end();
+});
+
+test('Headings and blockquotes', function (t) {
+    t.deepEqual(parse('h3. Hello *World*'), doc([ {
+        type: 'heading',
+        level: 3,
+        children: [ txt('Hello '), {
+            type: 'strong',
+            children: [ txt('World') ]
+        } ]
+    } ]));
+    t.deepEqual(parse('bq. Hello'), doc([
+        { type: 'blockquote', children: [ txt('Hello') ] }
+    ]));
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    var effects = {
+        '??': 'citation',
+        '*': 'strong',
+        '_': 'emphasis',
+        '~': 'subscript',
+        '^': 'superscript',
+        '-': 'deleted',
+        '+': 'inserted'
+    };
+
+    Object.keys(effects).forEach(function (c) {
+        t.deepEqual(parse(c + 'hello' + c), doc([ para([
+            { type: effects[c], children: [ txt('hello') ] }
+        ]) ]), effects[c]);
+    });
+
+    t.deepEqual(parse('{{*a*}}'), doc([ para([ {
+        type: 'monospace',
+        children: [ { type: 'strong', children: [ txt('a') ] } ]
+    } ]) ]));
+    t.deepEqual(parse('{color:#ff0000}red{color}'), doc([ para([
+        { type: 'color', color: '#ff0000', children: [ txt('red') ] }
+    ]) ]));
+
+    t.end();
+});
+
+test('Links, attachments, embeds and mentions', function (t) {
+    t.deepEqual(parse('[GitHub|http://github.com]'), doc([ para([ {
+        type: 'link',
+        href: 'http://github.com',
+        children: [ txt('GitHub') ]
+    } ]) ]));
+    t.deepEqual(parse('[#anchor]'), doc([ para([ {
+        type: 'link',
+        href: '#anchor',
+        children: [ txt('anchor') ]
+    } ]) ]));
+    t.deepEqual(parse('See http://example.com.'), doc([ para([
+        txt('See '),
+        {
+            type: 'link',
+            href: 'http://example.com',
+            bare: true,
+            children: [ txt('http://example.com') ]
+        },
+        txt('.')
+    ]) ]));
+    t.deepEqual(parse('[example|^foo.gif]'), doc([ para([ {
+        type: 'attachment',
+        filename: 'foo.gif',
+        children: [ txt('example') ]
+    } ]) ]));
+    t.deepEqual(parse('!foo.gif|align=right, vspace=4!'), doc([ para([ {
+        type: 'embed',
+        src: 'foo.gif',
+        options: [ 'align=right', 'vspace=4' ]
+    } ]) ]));
+    t.deepEqual(parse('[~john.smith]'), doc([ para([
+        { type: 'mention', username: 'john.smith' }
+    ]) ]));
+
+    t.end();
+});
+
+test('{code}, {noformat}, {panel} and {quote} blocks', function (t) {
+    t.deepEqual(parse('{code:sql|title=Q}\nSELECT 1;\n{code}'), doc([ {
+        type: 'code',
+        language: 'sql',
+        options: { title: 'Q' },
+        value: 'SELECT 1;\n'
+    } ]));
+    t.deepEqual(parse('{noformat}*a*{noformat}'), doc([ {
+        type: 'noformat',
+        options: {},
+        value: '*a*'
+    } ]));
+    t.deepEqual(parse('{panel:title=T|bgColor=#eee}hi{panel}'), doc([ {
+        type: 'panel',
+        options: { title: 'T', bgColor: '#eee' },
+        children: [ para([ txt('hi') ]) ]
+    } ]));
+    t.deepEqual(parse('{quote}a\n\nb{quote}'), doc([ {
+        type: 'quote',
+        children: [ para([ txt('a') ]), para([ txt('b') ]) ]
+    } ]));
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.deepEqual(parse('# A\n** B\n** C\n# D'), doc([ list('#', [
+        item([ para([ txt('A') ]), list('*', [
+            item([ para([ txt('B') ]) ]),
+            item([ para([ txt('C') ]) ])
+        ]) ]),
+        item([ para([ txt('D') ]) ])
+    ]) ]));
+
+    // Changing the list type starts a new list
+    t.deepEqual(parse('* A\n# B'), doc([
+        list('*', [ item([ para([ txt('A') ]) ]) ]),
+        list('#', [ item([ para([ txt('B') ]) ]) ])
+    ]));
+
+    // Multi-line items and blocks within items
+    t.deepEqual(parse('- A\n  B {noformat}c{noformat}'), doc([ list('-', [
+        item([
+            para([ txt('A'), BR, txt('B ') ]),
+            { type: 'noformat', options: {}, value: 'c' }
+        ])
+    ]) ]));
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.deepEqual(parse('||a||b||\n|c|d\ne|'), doc([ {
+        type: 'table',
+        children: [
+            row([
+                cell(true, [ para([ txt('a') ]) ]),
+                cell(true, [ para([ txt('b') ]) ])
+            ]),
+            row([
+                cell(false, [ para([ txt('c') ]) ]),
+                cell(false, [ para([ txt('d'), BR, txt('e') ]) ])
+            ])
+        ]
+    } ]));
+
+    t.end();
+});
+
+test('Source positions', function (t) {
+    var input = 'h1. *Hi*\n\n* a\n** [b|http://b.com]\n  c\n';
+    var tree = mod_jiramark.parse(input);
+    var heading = tree.children[0];
+    var outer = tree.children[1];
+    var inner = outer.children[0].children[1].children[0];
+    var link = inner.children[0].children[0];
+
+    function source(node) {
+        return input.slice(node.position.start.offset,
+            node.position.end.offset);
+    }
+
+    t.deepEqual(tree.position, {
+        start: point(0, 1, 1),
+        end: point(input.length, 6, 1)
+    });
+    t.deepEqual(heading.position, {
+        start: point(0, 1, 1),
+        end: point(8, 1, 9)
+    });
+    t.deepEqual(heading.children[0].position, {
+        start: point(4, 1, 5),
+        end: point(8, 1, 9)
+    });
+    t.equal(source(heading.children[0].children[0]), 'Hi');
+
+    // Lists are located by their bullets and contents
+    t.equal(source(outer), '* a\n** [b|http://b.com]\n  c');
+    t.equal(source(inner), '** [b|http://b.com]\n  c');
+    t.deepEqual(link.position, {
+        start: point(17, 4, 4),
+        end: point(33, 4, 20)
+    });
+    t.equal(source(link.children[0]), 'b');
+
+    // Line breaks span the newline and any indentation
+    t.equal(source(inner.children[0].children[1]), '\n  ');
+    t.equal(source(inner.children[0].children[2]), 'c');
+
+    t.end();
+});
+
+test('Trees are JSON-serializable', function (t) {
+    var tree = mod_jiramark.parse('h1. Title\n* [a|http://a.com]\n||x||\n|y|');
+
+    t.deepEqual(JSON.parse(JSON.stringify(tree)), tree);
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    var input = 'a\n{panel}b\nc';
+    var tree = mod_jiramark.parse(input, { strict: false });
+
+    t.throws(function () {
+        mod_jiramark.parse(input);
+    }, /failed to parse/);
+    t.deepEqual(stripPositions(tree), doc([
+        para([ txt('a') ]),
+        para([ txt('{panel}b') ]),
+        para([ txt('c') ])
+    ]));
+    t.deepEqual(tree.children[1].position, {
+        start: point(2, 2, 1),
+        end: point(10, 2, 9)
+    });
+    t.deepEqual(tree.children[2].position, {
+        start: point(11, 3, 1),
+        end: point(12, 3, 2)
+    });
+
+    t.end();
+});
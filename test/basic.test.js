@@ -10,10 +10,12 @@
 
 'use strict';
 
+var mod_jiramark = require('..');
 var mod_url = require('url');
-var toHTML = require('..').markupToHTML;
 var test = require('tape');
 
+var toHTML = mod_jiramark.markupToHTML;
+
 // --- Helpers
 
 function createPanelBlock(names, contents, header) {
@@ -97,6 +99,7 @@ test('Single Paragraph', function (t) {
 
 test('Sentences w/ special characters', function (t) {
     t.equals(toHTML('how are you?'), '<p>how are you?</p>');
+    t.equals(toHTML('it\'s here'), '<p>it&#39;s here</p>');
     t.equals(toHTML('cat & dog'), '<p>cat &#38; dog</p>');
     t.equals(toHTML('a no-op function'), '<p>a no-op function</p>');
     t.equals(toHTML('this function pre- and post-processes'),
@@ -557,6 +560,12 @@ test('Lists', function (t) {
         '<ol>\n<li>Item 1</li>\n<li>Item 2</li>\n</ol>\n' +
         '<ul>\n<li>Item B</li>\n</ul></li>\n</ul>');
 
+    // Skipping a level adds an empty item to hold the sublist
+    t.equals(toHTML('* Top\n*** Bottom'),
+        '<ul>\n<li>Top\n' +
+        '<ul>\n<li>\n' +
+        '<ul>\n<li>Bottom</li>\n</ul></li>\n</ul></li>\n</ul>');
+
     // Spaces before bullets
     t.equals(toHTML(' * *Top*\n * *  *Middle*\n   * * *   *Bottom*'),
         '<ul>\n<li><b>Top</b>\n' +
@@ -908,8 +917,254 @@ test('Overriding HTML tags/attributes', function (t) {
     t.end();
 });
 
+test('Overriding HTML for blocks and text effects', function (t) {
+    function tag(name, attrs) {
+        return function (html) {
+            var open = '<' + name;
+            if (attrs) {
+                open += ' ' + attrs.apply(null, arguments);
+            }
+            return open + '>' + html + '</' + name + '>';
+        };
+    }
+
+    var ops = {
+        formatParagraph: tag('para'),
+        formatHeading: function (level, html) {
+            return '<heading level="' + level + '">' + html + '</heading>';
+        },
+        formatBlockquote: tag('bq'),
+        formatQuote: tag('quote'),
+        formatPanel: tag('panel', function (_, options) {
+            return JSON.stringify(options);
+        }),
+        formatCode: tag('code', function (_, language, options) {
+            return language + ' ' + JSON.stringify(options);
+        }),
+        formatNoformat: tag('noformat', function (_, options) {
+            return JSON.stringify(options);
+        }),
+        formatList: function (items, ordered) {
+            return tag(ordered ? 'ordered' : 'unordered')(items.join(''));
+        },
+        formatListItem: tag('item'),
+        formatTable: function (rows) {
+            return tag('table')(rows.join(''));
+        },
+        formatTableRow: function (cells) {
+            return tag('row')(cells.join(''));
+        },
+        formatTableCell: tag('cell', function (_, header) {
+            return 'header=' + header;
+        }),
+        formatColor: tag('color', function (_, color) {
+            return String(color);
+        }),
+        formatMonospace: tag('mono'),
+        formatCitation: tag('citation'),
+        formatStrong: tag('strong'),
+        formatEmphasis: tag('emphasis'),
+        formatSubscript: tag('subscript'),
+        formatSuperscript: tag('superscript'),
+        formatDeleted: tag('deleted'),
+        formatInserted: tag('inserted'),
+        formatMention: tag('mention')
+    };
+
+    t.equals(toHTML('h2. Hello *World*', ops),
+        '<heading level="2">Hello <strong>World</strong></heading>');
+    t.equals(toHTML('Line 1\nLine 2', ops),
+        '<para>Line 1<br />\nLine 2</para>');
+    t.equals(toHTML('bq. Hello', ops), '<bq>Hello</bq>');
+    t.equals(toHTML('{quote}Hello{quote}', ops),
+        '<quote><para>Hello</para></quote>');
+
+    // Blocks get their parsed options
+    t.equals(toHTML('{panel:title=Hello|bgColor=#eee}World{panel}', ops),
+        '<panel {"title":"Hello","bgColor":"#eee"}>' +
+        '<para>World</para></panel>');
+    t.equals(toHTML('{code:sql|title=Query}SELECT 1 < 2;{code}', ops),
+        '<code sql {"title":"Query"}>SELECT 1 &#60; 2;</code>');
+    t.equals(toHTML('{code}a{code}', ops), '<code null {}>a</code>');
+    t.equals(toHTML('{noformat:title=A|title=B}a{noformat}', ops),
+        '<noformat {"title":"A"}>a</noformat>');
+
+    // Lists and tables get their rendered children
+    t.equals(toHTML('# A\n** B\n** C\n# D', ops),
+        '<ordered><item>A\n' +
+        '<unordered><item>B</item><item>C</item></unordered></item>' +
+        '<item>D</item></ordered>');
+    t.equals(toHTML('||A||B||\n|C|D|', ops),
+        '<table>' +
+        '<row><cell header=true>A</cell><cell header=true>B</cell></row>' +
+        '<row><cell header=false>C</cell><cell header=false>D</cell></row>' +
+        '</table>');
+
+    // Inline elements
+    t.equals(toHTML('{color:red}a{color} {color:not a color}b{color}', ops),
+        '<para><color red>a</color> <color null>b</color></para>');
+    t.equals(toHTML('{{a}} ??b?? _c_ ~d~ ^e^ -f- +g+ [~h]', ops),
+        '<para><mono>a</mono> <citation>b</citation> ' +
+        '<emphasis>c</emphasis> <subscript>d</subscript> ' +
+        '<superscript>e</superscript> <deleted>f</deleted> ' +
+        '<inserted>g</inserted> <mention>h</mention></para>');
+
+    t.end();
+});
+
+test('Rendering markup from within hooks', function (t) {
+    var previews = {
+        'http://example.com/A-1': 'Fix *bold* [text|http://example.com/x]'
+    };
+    var ops = {
+        formatLink: function (href, text) {
+            if (!previews.hasOwnProperty(href)) {
+                return '<a class="outer" href="' + href + '">' + text + '</a>';
+            }
+
+            var preview = toHTML(previews[href], {
+                formatLink: function (ihref, itext) {
+                    return '<a class="inner" href="' + ihref + '">' +
+                        itext + '</a>';
+                }
+            });
+
+            return '<a class="outer" href="' + href + '" title="' +
+                preview.replace(/"/g, '&quot;') + '">' + text + '</a>';
+        }
+    };
+
+    // Links after the nested rendering use the outer options
+    t.equals(toHTML('[A-1|http://example.com/A-1] [B|http://example.com/b]',
+        ops),
+        '<p><a class="outer" href="http://example.com/A-1" title="' +
+        '<p>Fix <b>bold</b> <a class=&quot;inner&quot; ' +
+        'href=&quot;http://example.com/x&quot;>text</a></p>">A-1</a> ' +
+        '<a class="outer" href="http://example.com/b">B</a></p>');
+
+    t.end();
+});
+
 test('User References', function (t) {
     t.equals(toHTML('[~john.smith]'), '<p>@john.smith</p>');
 
     t.end();
 });
+
+test('Unparseable markup', function (t) {
+    var skipped = [];
+    var ops = {
+        strict: false,
+        onSkipped: function (info) {
+            skipped.push(info);
+        }
+    };
+
+    // Strict mode (the default) throws
+    t.throws(function () {
+        toHTML('{code}unbalanced\n\nmore');
+    }, /failed to parse/);
+    t.throws(function () {
+        toHTML('{code}unbalanced\n\nmore', { strict: true });
+    }, /failed to parse/);
+
+    // Lenient mode renders the offending line as text
+    t.equals(toHTML('{code}unbalanced\n\nmore', ops),
+        '<p>{code}unbalanced</p>\n<p>more</p>');
+    t.equals(skipped.length, 1);
+    t.equals(skipped[0].error.line, 3);
+    delete skipped[0].error;
+    t.deepEquals(skipped, [ {
+        message: 'failed to parse "{code}unbalanced"',
+        text: '{code}unbalanced',
+        start: { offset: 0, line: 1, column: 1 },
+        end: { offset: 16, line: 1, column: 17 }
+    } ]);
+
+    // Blocks before the problem are kept, and parsing resumes afterwards
+    skipped = [];
+    t.equals(toHTML('*ok*\n\na {panel} <b>\nafter *this*', ops),
+        '<p><b>ok</b></p>\n<p>a </p>\n<p>{panel} &#60;b&#62;</p>\n' +
+        '<p>after <b>this</b></p>');
+    t.deepEquals(skipped.map(function (s) {
+        return [ s.text, s.start.line, s.start.column ];
+    }), [ [ '{panel} <b>', 3, 3 ] ]);
+
+    // Multiple problems are each reported
+    skipped = [];
+    t.equals(toHTML('{quote}a\n{noformat}b\nc', ops),
+        '<p>{quote}a</p>\n<p>{noformat}b</p>\n<p>c</p>');
+    t.equals(skipped.length, 2);
+
+    // Reporting is optional
+    t.equals(toHTML('{panel}', { strict: false }), '<p>{panel}</p>');
+
+    t.end();
+});
+
+test('Parse errors', function (t) {
+    var err;
+
+    function catchError(str) {
+        try {
+            toHTML(str);
+        } catch (e) {
+            return e;
+        }
+
+        return null;
+    }
+
+    // Unclosed blocks fail when the end of the input is reached
+    err = catchError('Some text\n{noformat}\nhello');
+    t.ok(err instanceof mod_jiramark.JIRAParseError);
+    t.ok(err instanceof Error);
+    t.equals(err.name, 'JIRAParseError');
+    t.equals(err.offset, 26);
+    t.equals(err.line, 3);
+    t.equals(err.column, 6);
+    t.deepEquals(err.expected, [ 'the end of the {noformat} block' ]);
+    t.equals(err.excerpt, 'hello\n     ^');
+    t.equals(err.message, 'failed to parse input at the end of the ' +
+        'input: expected the end of the {noformat} block\nhello\n     ^');
+
+    // Rule descriptions are used to describe what was expected
+    err = catchError('{panel}x');
+    t.deepEquals(err.expected, [
+        'a blockquote',
+        'a bullet point',
+        'a heading',
+        'a newline',
+        'a table separator',
+        'the end of the {panel} block',
+        'the start of a block'
+    ]);
+    err = catchError('a {quote} b');
+    t.ok(err.expected.indexOf('the end of the {quote} block') !== -1);
+    err = catchError('{panel:title=a');
+    t.equals(err.message, 'failed to parse input at the end of the ' +
+        'input: expected "}", a character or a punctuation character\n' +
+        '{panel:title=a\n              ^');
+
+    // Tabs are preserved when lining up the caret
+    err = catchError('\t{code}a');
+    t.equals(err.excerpt, '\t{code}a\n\t       ^');
+
+    // Long lines are trimmed around the problem
+    err = catchError('{code}' + new Array(101).join('x'));
+    t.equals(err.column, 107);
+    t.equals(err.excerpt, '...' + new Array(41).join('x') + '\n' +
+        new Array(44).join(' ') + '^');
+
+    // Lenient mode includes the error when reporting skipped text
+    toHTML('a\n{panel}b\nc', {
+        strict: false,
+        onSkipped: function (info) {
+            t.ok(info.error instanceof mod_jiramark.JIRAParseError);
+            t.equals(info.error.line, 3);
+            t.equals(info.error.column, 2);
+        }
+    });
+
+    t.end();
+});
@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toConfluence = mod_jiramark.markupToConfluence;
+
+
+// --- Tests
+
+test('Paragraphs and text', function (t) {
+    t.equal(toConfluence('Hello world'), '<p>Hello world</p>');
+    t.equal(toConfluence('a\nb\n\nc'), '<p>a<br />b</p>\n<p>c</p>');
+
+    // Characters special to XML are escaped
+    t.equal(toConfluence('a < b > "c"'),
+        '<p>a &lt; b &gt; &quot;c&quot;</p>');
+
+    // Entities are written as the characters they stand for
+    t.equal(toConfluence('a &amp; b &copy;'), '<p>a &amp; b ©</p>');
+
+    // Characters that XML doesn't allow are dropped
+    t.equal(toConfluence('a\u001b[1mb &#27;c'), '<p>a[1mb c</p>');
+
+    t.end();
+});
+
+test('Headings and quotes', function (t) {
+    t.equal(toConfluence('h1. Title\n\nh6. *a*'),
+        '<h1>Title</h1>\n<h6><strong>a</strong></h6>');
+    t.equal(toConfluence('bq. a'), '<blockquote><p>a</p></blockquote>');
+    t.equal(toConfluence('{quote}\na\n\nb\n{quote}'),
+        '<blockquote><p>a</p><p>b</p></blockquote>');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toConfluence('*a* _b_ ??c?? {{d}} ^e^ ~f~'),
+        '<p><strong>a</strong> <em>b</em> <cite>c</cite> <code>d</code> ' +
+        '<sup>e</sup> <sub>f</sub></p>');
+    t.equal(toConfluence('-a- +b+'),
+        '<p><span style="text-decoration: line-through;">a</span> ' +
+        '<u>b</u></p>');
+
+    // Invalid colors are dropped
+    t.equal(toConfluence('{color:red}a{color} {color:#14892C}b{color}'),
+        '<p><span style="color: red;">a</span> ' +
+        '<span style="color: #14892C;">b</span></p>');
+    t.equal(toConfluence('{color:a b}c{color}'), '<p>c</p>');
+
+    t.end();
+});
+
+test('Code blocks', function (t) {
+    t.equal(toConfluence('{code:java|title=A &amp; B|borderStyle=solid}\n' +
+        'if (a < b) {}\n{code}'),
+        '<ac:structured-macro ac:name="code">' +
+        '<ac:parameter ac:name="language">java</ac:parameter>' +
+        '<ac:parameter ac:name="title">A &amp; B</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[if (a < b) {}]]></ac:plain-text-body>' +
+        '</ac:structured-macro>');
+    t.equal(toConfluence('{code}\na\n{code}'),
+        '<ac:structured-macro ac:name="code">' +
+        '<ac:plain-text-body><![CDATA[a]]></ac:plain-text-body>' +
+        '</ac:structured-macro>');
+    t.equal(toConfluence('{noformat:nopanel=true}\na]]>b\n{noformat}'),
+        '<ac:structured-macro ac:name="noformat">' +
+        '<ac:parameter ac:name="nopanel">true</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[a]]]]><![CDATA[>b]]>' +
+        '</ac:plain-text-body></ac:structured-macro>');
+    t.equal(toConfluence('{noformat}\n\u001b[31ma\u0000\n{noformat}'),
+        '<ac:structured-macro ac:name="noformat">' +
+        '<ac:plain-text-body><![CDATA[[31ma]]></ac:plain-text-body>' +
+        '</ac:structured-macro>');
+
+    t.end();
+});
+
+test('Panels', function (t) {
+    t.equal(toConfluence('{panel:title=T|borderStyle=dashed|bgColor=#fff|' +
+        'foo=bar}\n* a\n{panel}'),
+        '<ac:structured-macro ac:name="panel">' +
+        '<ac:parameter ac:name="title">T</ac:parameter>' +
+        '<ac:parameter ac:name="borderStyle">dashed</ac:parameter>' +
+        '<ac:parameter ac:name="bgColor">#fff</ac:parameter>' +
+        '<ac:rich-text-body><ul><li>a</li></ul></ac:rich-text-body>' +
+        '</ac:structured-macro>');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toConfluence('* a\n*# b\n* c'),
+        '<ul><li>a<ol><li>b</li></ol></li><li>c</li></ul>');
+
+    // Items with several blocks keep their paragraphs
+    t.equal(toConfluence('* a\n{quote}\nb\n{quote}'),
+        '<ul><li><p>a</p><blockquote><p>b</p></blockquote></li></ul>');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toConfluence('||a||b||\n|c|d\ne|'),
+        '<table><tbody><tr><th><p>a</p></th><th><p>b</p></th></tr>' +
+        '<tr><td><p>c</p></td><td><p>d<br />e</p></td></tr></tbody></table>');
+
+    t.end();
+});
+
+test('Links and attachments', function (t) {
+    t.equal(toConfluence('[a|http://x.com/?a=1&amp;b=2] http://x.com'),
+        '<p><a href="http://x.com/?a=1&amp;b=2">a</a> ' +
+        '<a href="http://x.com">http://x.com</a></p>');
+
+    // Attachments only get a link body when it isn't the filename
+    t.equal(toConfluence('[^a.txt] [*b*|^a&amp;b.txt]'),
+        '<p><ac:link><ri:attachment ri:filename="a.txt" /></ac:link> ' +
+        '<ac:link><ri:attachment ri:filename="a&amp;b.txt" />' +
+        '<ac:link-body><strong>b</strong></ac:link-body></ac:link></p>');
+
+    t.end();
+});
+
+test('Embedded images', function (t) {
+    t.equal(toConfluence('!a.png|thumbnail! !http://x.com/b.png|' +
+        'width=300, align=right, foo=bar!'),
+        '<p><ac:image ac:thumbnail="true">' +
+        '<ri:attachment ri:filename="a.png" /></ac:image> ' +
+        '<ac:image ac:width="300" ac:align="right">' +
+        '<ri:url ri:value="http://x.com/b.png" /></ac:image></p>');
+
+    t.end();
+});
+
+test('Mentions', function (t) {
+    t.equal(toConfluence('[~bob]'),
+        '<p><ac:link><ri:user ri:username="bob" /></ac:link></p>');
+    t.equal(toConfluence('[~bob] [~alice]', {
+        lookupUser: function (username) {
+            return username === 'bob' ? '5b10ac8d82e05b22cc7d4ef5' : null;
+        }
+    }), '<p><ac:link><ri:user ri:account-id="5b10ac8d82e05b22cc7d4ef5" />' +
+        '</ac:link> <ac:link><ri:user ri:username="alice" /></ac:link></p>');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripHeadings)
+        .markupToConfluence('h1. Title\n\nBody'), '<p>Body</p>');
+    t.equal(new mod_jiramark.ConfluenceRenderer().render(
+        mod_jiramark.parse('*a*')), '<p><strong>a</strong></p>');
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        toConfluence('{code}a');
+    }, mod_jiramark.JIRAParseError);
+
+    t.end();
+});
@@ -0,0 +1,303 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var mod_zlib = require('zlib');
+var test = require('tape');
+
+
+// --- Helpers
+
+/*
+ * Read the files in a ZIP archive using its central directory, returning
+ * an object mapping each file's name to its contents.
+ */
+function unzip(buf) {
+    var end = buf.length - 22;
+    var count = buf.readUInt16LE(end + 10);
+    var offset = buf.readUInt32LE(end + 16);
+    var files = {};
+
+    for (var i = 0; i < count; ++i) {
+        var nameLength = buf.readUInt16LE(offset + 28);
+        var name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+        var local = buf.readUInt32LE(offset + 42);
+        var start = local + 30 + buf.readUInt16LE(local + 26);
+        var data = mod_zlib.inflateRawSync(
+            buf.slice(start, start + buf.readUInt32LE(offset + 20)));
+
+        files[name] = data.toString('utf8');
+        offset += 46 + nameLength;
+    }
+
+    return files;
+}
+
+function toDOCX(markup, ops) {
+    return unzip(mod_jiramark.markupToDOCX(markup, ops));
+}
+
+/*
+ * Convert "markup" to a Word document, returning the contents of its body.
+ */
+function toBody(markup, ops) {
+    var xml = toDOCX(markup, ops)['word/document.xml'];
+
+    return xml.slice(xml.indexOf('<w:body>') + 8, xml.indexOf('<w:sectPr>'));
+}
+
+function r(str, rPr) {
+    return '<w:r>' + (rPr ? '<w:rPr>' + rPr + '</w:rPr>' : '') +
+        '<w:t xml:space="preserve">' + str + '</w:t></w:r>';
+}
+
+function p(runs, pPr) {
+    return '<w:p>' + (pPr ? '<w:pPr>' + pPr + '</w:pPr>' : '') + runs +
+        '</w:p>';
+}
+
+function pStyle(name) {
+    return '<w:pStyle w:val="' + name + '"/>';
+}
+
+function numPr(level, numId) {
+    return '<w:numPr><w:ilvl w:val="' + level + '"/><w:numId w:val="' +
+        numId + '"/></w:numPr>';
+}
+
+
+// --- Tests
+
+test('Packages', function (t) {
+    var files = toDOCX('a');
+
+    t.deepEqual(Object.keys(files), [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'word/document.xml',
+        'word/_rels/document.xml.rels',
+        'word/styles.xml',
+        'word/numbering.xml'
+    ]);
+    t.ok(files['[Content_Types].xml'].indexOf('PartName="/word/document.xml" ' +
+        'ContentType="application/vnd.openxmlformats-officedocument.' +
+        'wordprocessingml.document.main+xml"') !== -1);
+    t.ok(files['_rels/.rels'].indexOf('Target="word/document.xml"') !== -1);
+    t.ok(files['word/styles.xml'].indexOf('<w:name w:val="heading 1"/>') !==
+        -1);
+
+    // The same markup always produces the same package
+    t.ok(mod_jiramark.markupToDOCX('a').equals(mod_jiramark.markupToDOCX('a')));
+
+    // Word requires the body to contain a paragraph
+    t.equal(toBody(''), '<w:p/>');
+
+    t.end();
+});
+
+test('Paragraphs and text', function (t) {
+    t.equal(toBody('Hello world\n\nb'), p(r('Hello world')) + p(r('b')));
+    t.equal(toBody('a\nb'), p(r('a') + '<w:r><w:br/></w:r>' + r('b')));
+
+    // Text is escaped, and entities are written as their characters
+    t.equal(toBody('<a> & "b" &copy;'),
+        p(r('&lt;a&gt; &amp; &quot;b&quot; ') + r('©')));
+
+    t.end();
+});
+
+test('Headings and quotes', function (t) {
+    t.equal(toBody('h1. Title\n\nh3. *Bold*'),
+        p(r('Title'), pStyle('Heading1')) +
+        p(r('Bold', '<w:b/>'), pStyle('Heading3')));
+    t.equal(toBody('bq. a'), p(r('a'), pStyle('Quote')));
+    t.equal(toBody('{quote}\na\n\nb\n{quote}'),
+        p(r('a'), pStyle('Quote')) + p(r('b'), pStyle('Quote')));
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toBody('*a* _b_ ??c?? {{d}}'),
+        p(r('a', '<w:b/>') + r(' ') + r('b', '<w:i/>') + r(' ') +
+        r('c', '<w:i/>') + r(' ') + r('d', '<w:rStyle w:val="CodeChar"/>')));
+    t.equal(toBody('-a- +b+ ^c^ ~d~'),
+        p(r('a', '<w:strike/>') + r(' ') + r('b', '<w:u w:val="single"/>') +
+        r(' ') + r('c', '<w:vertAlign w:val="superscript"/>') + r(' ') +
+        r('d', '<w:vertAlign w:val="subscript"/>')));
+    t.equal(toBody('*_a_*'), p(r('a', '<w:b/><w:i/>')));
+
+    // Colors that aren't known are dropped
+    t.equal(toBody('{color:red}a{color} {color:#00aa00}b{color} ' +
+        '{color:a b}c{color}'),
+        p(r('a', '<w:color w:val="FF0000"/>') + r(' ') +
+        r('b', '<w:color w:val="00AA00"/>') + r(' ') + r('c')));
+
+    t.end();
+});
+
+test('Code blocks', function (t) {
+    t.equal(toBody('{code:java|title=A & B}\nif (a < b) {\n\tc();\n}\n{code}'),
+        p(r('A &amp; B'), pStyle('CodeTitle') + '<w:keepNext/>') +
+        p(r('if (a &lt; b) {') + '<w:r><w:br/></w:r><w:r><w:tab/>' +
+        '<w:t xml:space="preserve">c();</w:t></w:r><w:r><w:br/></w:r>' +
+        r('}'), pStyle('Code')));
+    t.equal(toBody('{noformat}\n*a*\n{noformat}'),
+        p(r('*a*'), pStyle('Code')));
+
+    // Characters that XML doesn't allow, like terminal escapes, are dropped
+    t.equal(toBody('{noformat}\n\u001b[31ma\u0000\u001b[0m\n{noformat}'),
+        p(r('[31ma[0m'), pStyle('Code')));
+    t.equal(toBody('a\u0008 &#27;b \ud83d\ude00'),
+        p(r('a ') + r('') + r('b \ud83d\ude00')));
+
+    t.end();
+});
+
+test('Panels', function (t) {
+    function border(style, size, color) {
+        return '<w:pBdr>' + [ 'top', 'left', 'bottom', 'right' ].map(
+            function (side) {
+            return '<w:' + side + ' w:val="' + style + '" w:sz="' + size +
+                '" w:space="4" w:color="' + color + '"/>';
+        }).join('') + '</w:pBdr>';
+    }
+
+    function shd(fill) {
+        return '<w:shd w:val="clear" w:color="auto" w:fill="' + fill + '"/>';
+    }
+
+    t.equal(toBody('{panel:title=T|borderStyle=dashed|borderColor=red|' +
+        'borderWidth=2px|bgColor=#eeeeee|titleBGColor=yellow}\na\n{panel}'),
+        p(r('T'), pStyle('PanelTitle') + '<w:keepNext/>' +
+        border('dashed', 12, 'FF0000') + shd('FFFF00')) +
+        p(r('a'), border('dashed', 12, 'FF0000') + shd('EEEEEE')));
+
+    // Options that aren't valid are ignored
+    t.equal(toBody('{panel:borderStyle=x|bgColor=url(a)|borderWidth=a}\n' +
+        'a\n{panel}'),
+        p(r('a'), border('single', 4, 'DFE1E6') + shd('F4F5F7')));
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    var list = pStyle('ListParagraph');
+
+    t.equal(toBody('# a\n## b\n# c\n\n* d'),
+        p(r('a'), list + numPr(0, 1)) +
+        p(r('b'), list + numPr(1, 2)) +
+        p(r('c'), list + numPr(0, 1)) +
+        p(r('d'), list + numPr(0, 3)));
+
+    // Each list gets its own numbering, starting from one
+    t.ok(toDOCX('# a\n## b\n\n* c')['word/numbering.xml'].indexOf(
+        '<w:num w:numId="1"><w:abstractNumId w:val="1"/>' +
+        '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/>' +
+        '</w:lvlOverride></w:num>' +
+        '<w:num w:numId="2"><w:abstractNumId w:val="1"/>' +
+        '<w:lvlOverride w:ilvl="1"><w:startOverride w:val="1"/>' +
+        '</w:lvlOverride></w:num>' +
+        '<w:num w:numId="3"><w:abstractNumId w:val="0"/>' +
+        '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/>' +
+        '</w:lvlOverride></w:num>') !== -1);
+
+    // Later blocks in an item are indented to line up with its text
+    t.equal(toBody('* a\n{noformat}\nb\n{noformat}'),
+        p(r('a'), list + numPr(0, 1)) +
+        p(r('b'), pStyle('Code') + '<w:ind w:left="720"/>'));
+
+    // Items that start with a nested list get an empty paragraph
+    t.equal(toBody('** a'),
+        p('', list + numPr(0, 1)) + p(r('a'), list + numPr(1, 2)));
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    function tc(contents, header) {
+        return '<w:tc><w:tcPr><w:tcW w:w="4680" w:type="dxa"/>' +
+            (header ? '<w:shd w:val="clear" w:color="auto" ' +
+            'w:fill="F4F5F7"/>' : '') + '</w:tcPr>' + contents + '</w:tc>';
+    }
+
+    t.equal(toBody('||a||b||\n|c|'),
+        '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/>' +
+        '<w:tblW w:w="9360" w:type="dxa"/><w:tblLook w:val="04A0" ' +
+        'w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" ' +
+        'w:noHBand="0" w:noVBand="1"/></w:tblPr><w:tblGrid>' +
+        '<w:gridCol w:w="4680"/><w:gridCol w:w="4680"/></w:tblGrid>' +
+        '<w:tr><w:trPr><w:tblHeader/></w:trPr>' +
+        tc(p(r('a', '<w:b/>')), true) + tc(p(r('b', '<w:b/>')), true) +
+        '</w:tr><w:tr>' + tc(p(r('c'))) + tc('<w:p/>') + '</w:tr></w:tbl>');
+
+    t.end();
+});
+
+test('Links and attachments', function (t) {
+    var files = toDOCX('[a|http://x.com/?a&amp;b] http://y.com');
+
+    t.equal(toBody('[a|http://x.com/?a&amp;b] http://y.com'), p(
+        '<w:hyperlink r:id="rId3" w:history="1">' +
+        r('a', '<w:rStyle w:val="Hyperlink"/>') + '</w:hyperlink>' + r(' ') +
+        '<w:hyperlink r:id="rId4" w:history="1">' +
+        r('http://y.com', '<w:rStyle w:val="Hyperlink"/>') + '</w:hyperlink>'));
+    t.ok(files['word/_rels/document.xml.rels'].indexOf('<Relationship ' +
+        'Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/' +
+        '2006/relationships/hyperlink" Target="http://x.com/?a&amp;b" ' +
+        'TargetMode="External"/>') !== -1);
+
+    t.equal(toBody('[^a.txt] !b.png|width=300! [~bob]'),
+        p(r('a.txt') + r(' ') + r('[b.png]') + r(' ') + r('@bob')));
+
+    t.equal(toBody('[^a.txt] !b.png! [~bob]', {
+        formatAttachmentLink: function (filename) {
+            return 'http://x.com/' + filename;
+        },
+        formatEmbedded: function (src) {
+            return 'Image: ' + src;
+        },
+        formatMention: function (username) {
+            return username.toUpperCase();
+        }
+    }), p('<w:hyperlink r:id="rId3" w:history="1">' +
+        r('a.txt', '<w:rStyle w:val="Hyperlink"/>') + '</w:hyperlink>' +
+        r(' ') + r('Image: b.png') + r(' ') + r('BOB')));
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    var docx = mod_jiramark.use(stripHeadings)
+        .markupToDOCX('h1. Title\n\nBody');
+
+    t.ok(unzip(docx)['word/document.xml'].indexOf('Title') === -1);
+    t.equal(new mod_jiramark.DOCXRenderer().render(
+        mod_jiramark.parse('*a*').children[0]), p(r('a', '<w:b/>')));
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        mod_jiramark.markupToDOCX('{code}a');
+    }, mod_jiramark.JIRAParseError);
+
+    t.end();
+});
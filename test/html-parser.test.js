@@ -0,0 +1,186 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+// --- Helpers
+
+/*
+ * Convert "html" to JIRA markup, and check that the grammar can parse the
+ * result.
+ */
+function toMarkup(html) {
+    var markup = mod_jiramark.htmlToMarkup(html);
+
+    mod_jiramark.parse(markup);
+
+    return markup;
+}
+
+/*
+ * Check that converting the output of markupToHTML() gives back the markup
+ * it was made from.
+ */
+function roundTrip(t, markup) {
+    t.equal(toMarkup(mod_jiramark.markupToHTML(markup)), markup,
+        JSON.stringify(markup));
+}
+
+
+// --- Tests
+
+test('Round-tripping markupToHTML() output', function (t) {
+    roundTrip(t, 'h1. Title *bold*\n\nSome text\nover two lines');
+    roundTrip(t, '*a* _b_ -c- +d+ ^e^ ~f~ ??g?? {{h}} {color:red}i{color}');
+    roundTrip(t, '* a\n** b\n* c\n\n# d\n#* e');
+    roundTrip(t, '||a||b||\n|c|d|\n|e\nf|g|');
+    roundTrip(t, 'bq. Quoted\n\n{quote}\na\n\nb\n{quote}');
+    roundTrip(t, '{panel:title=Note}\nSome *text*\n\n* item\n{panel}');
+    roundTrip(t, '{code:title=a.js}\nvar a = 1 < 2;\n{code}');
+    roundTrip(t, '{noformat}\n*a* &amp;\n{noformat}');
+    roundTrip(t, '[Example|http://example.com] http://example.com/a');
+    roundTrip(t, '!image.png!');
+
+    t.end();
+});
+
+test('Paragraphs and whitespace', function (t) {
+    t.equal(toMarkup('<p>a\n  b</p>\n\n<p> c <br>\n d </p>'), 'a b\n\nc\nd');
+    t.equal(toMarkup('a<p>b<p>c'), 'a\n\nb\n\nc');
+    t.equal(toMarkup('<div dir="ltr">Hi,<div><br></div><div>Bye</div></div>'),
+        'Hi,\n\nBye');
+    t.equal(toMarkup('<h2>  A <br> b </h2><h7>c</h7>'), 'h2. A b\n\nc');
+
+    // Things JIRA has no equivalent for are dropped
+    t.equal(toMarkup('<!DOCTYPE html><html><head><title>T</title>' +
+        '<style>p { }</style></head><body>a<hr>b<!-- c --></body></html>'),
+        'a\n\nb');
+    t.equal(toMarkup('<p>a<script>alert("<p>")</script> b</p>'), 'a b');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toMarkup('<strong>a</strong> <i>b</i> <s>c</s> <u>d</u> ' +
+        '<code>e</code> <sub>f</sub> <sup>g</sup> <cite>h</cite>'),
+        '*a* _b_ -c- +d+ {{e}} ~f~ ^g^ ??h??');
+    t.equal(toMarkup('<b>a <em>b</em></b><b> </b>c'), '*a _b_* c');
+
+    // Formatting from "style" attributes
+    t.equal(toMarkup('<span style="font-weight: bold; font-style: italic">' +
+        'a</span> <span style="text-decoration: line-through">b</span>'),
+        '_*a*_ -b-');
+    t.equal(toMarkup('<b style="font-weight: normal"><span ' +
+        'style="font-weight: 700">a</span> b</b>'), '*a* b');
+
+    t.end();
+});
+
+test('Colors', function (t) {
+    t.equal(toMarkup('<span style="color: #F00">a</span> ' +
+        '<span style="color: rgb(0, 128, 0)">b</span> ' +
+        '<font color="blue">c</font>'),
+        '{color:#ff0000}a{color} {color:#008000}b{color} {color:blue}c{color}');
+    t.equal(toMarkup('<span style="background-color: red">a</span> ' +
+        '<span style="color: inherit">b</span>'), 'a b');
+
+    t.end();
+});
+
+test('Escaping JIRA markup', function (t) {
+    t.equal(toMarkup('<p>*a* [b] {c} 1 &lt; 2 &amp; 3 < 4</p>'),
+        '\\*a* \\[b\\] \\{c\\} 1 < 2 & 3 < 4');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toMarkup('<ul><li>a<ul><li>b</ul><li>c</ul>'), '* a\n** b\n* c');
+    t.equal(toMarkup('<ol>\n  <li><p>a</p><p>b</p></li>\n</ol>'), '# a\nb');
+
+    // Lists placed directly inside of another list belong to its last item
+    t.equal(toMarkup('<ol><li>a</li><ul><li>b</li></ul></ol>'), '# a\n#* b');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toMarkup('<table><tr><th>a<th>b<tr><td>c<td>d</table>'),
+        '||a||b||\n|c|d|');
+
+    // Cells in the <thead> are headers
+    t.equal(toMarkup('<table><caption>Cap</caption><thead><tr><td>a</td>' +
+        '</tr></thead><tbody><tr><td>b</td></tr></tbody></table>'),
+        'Cap\n\n||a||\n|b|');
+
+    // Cells spanning several columns are followed by empty ones
+    t.equal(toMarkup('<table><tr><td colspan="2">a<tr><td>b<td>c</table>'),
+        '|a| |\n|b|c|');
+
+    t.end();
+});
+
+test('Code blocks, quotes and panels', function (t) {
+    t.equal(toMarkup('<pre>\na *b*\n  c</pre>'),
+        '{noformat}\na *b*\n  c\n{noformat}');
+    t.equal(toMarkup('<pre><code class="language-python">x = 1\n' +
+        '</code></pre>'), '{code:python}\nx = 1\n{code}');
+
+    // The HTML that JIRA itself produces
+    t.equal(toMarkup('<div class="code panel" style="border-width: 1px;">' +
+        '<div class="codeHeader panelHeader"><b>a.java</b></div>' +
+        '<div class="codeContent panelContent">' +
+        '<pre class="code-java">int a;</pre></div></div>'),
+        '{code:java|title=a.java}\nint a;\n{code}');
+
+    t.equal(toMarkup('<blockquote>a</blockquote>'), 'bq. a');
+    t.equal(toMarkup('<blockquote>a<br>b</blockquote>'),
+        '{quote}\na\nb\n{quote}');
+
+    t.end();
+});
+
+test('Links and images', function (t) {
+    t.equal(toMarkup('<a href="http://example.com">a <b>b</b></a>'),
+        '[a *b*|http://example.com]');
+    t.equal(toMarkup('<a href="http://example.com">http://example.com</a>'),
+        'http://example.com');
+    t.equal(toMarkup('<a name="top">a</a> <a href="#top">b</a>'), 'a b');
+
+    // The grammar doesn't support every kind of URL
+    t.equal(toMarkup('<a href="docs/index.html">docs</a>'),
+        'docs (docs/index.html)');
+
+    t.equal(toMarkup('<img src="a.png" width="100" height="50" alt="A">'),
+        '!a.png|width=100,height=50!');
+    t.equal(toMarkup('<img src="data:image/png;base64,AAAA" alt="Logo">'),
+        'Logo');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function demoteHeadings(tree) {
+        tree.children.forEach(function (node) {
+            if (node.type === 'heading') {
+                node.level += 1;
+            }
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(demoteHeadings).htmlToMarkup('<h1>a</h1>'),
+        'h2. a');
+
+    t.end();
+});
@@ -0,0 +1,219 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+
+// --- Helpers
+
+/*
+ * A hyperscript function that returns a plain object describing each
+ * element, so that the results can be compared.
+ */
+function h(tag, props, children) {
+    return { tag: tag, props: props, children: children };
+}
+
+/*
+ * Convert "markup", returning the elements within the document's <div>.
+ */
+function toElements(markup, components) {
+    var tree = mod_jiramark.markupToHyperscript(markup,
+        { h: h, components: components });
+
+    return tree.children;
+}
+
+function UserChip() {
+}
+
+
+// --- Tests
+
+test('Paragraphs and text', function (t) {
+    t.deepEqual(mod_jiramark.markupToHyperscript('a', { h: h }),
+        h('div', {}, [ h('p', {}, [ 'a' ]) ]));
+    t.deepEqual(toElements('a\nb\n\nc'), [
+        h('p', {}, [ 'a', h('br', {}, []), 'b' ]),
+        h('p', {}, [ 'c' ])
+    ]);
+
+    // Text isn't escaped, and entities are passed as their characters
+    t.deepEqual(toElements('<a> & &copy;'),
+        [ h('p', {}, [ '<a> & ', '©' ]) ]);
+
+    t.end();
+});
+
+test('Headings and quotes', function (t) {
+    t.deepEqual(toElements('h1. Title\n\nh3. *Bold*'), [
+        h('h1', {}, [ 'Title' ]),
+        h('h3', {}, [ h('b', {}, [ 'Bold' ]) ])
+    ]);
+    t.deepEqual(toElements('bq. a'), [ h('blockquote', {}, [ 'a' ]) ]);
+    t.deepEqual(toElements('{quote}\na\n{quote}'),
+        [ h('blockquote', {}, [ h('p', {}, [ 'a' ]) ]) ]);
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.deepEqual(toElements('*a* _b_ ??c?? {{d}} -e- +f+ ^g^ ~h~'), [
+        h('p', {}, [
+            h('b', {}, [ 'a' ]), ' ',
+            h('i', {}, [ 'b' ]), ' ',
+            h('cite', {}, [ 'c' ]), ' ',
+            h('code', {}, [ 'd' ]), ' ',
+            h('del', {}, [ 'e' ]), ' ',
+            h('ins', {}, [ 'f' ]), ' ',
+            h('sup', {}, [ 'g' ]), ' ',
+            h('sub', {}, [ 'h' ])
+        ])
+    ]);
+
+    // Colors that aren't valid are dropped
+    t.deepEqual(toElements('{color:red}a{color} {color:a b}c{color}'), [
+        h('p', {}, [
+            h('span', { style: { color: 'red' } }, [ 'a' ]), ' ',
+            h('span', {}, [ 'c' ])
+        ])
+    ]);
+
+    t.end();
+});
+
+test('Panels and code blocks', function (t) {
+    t.deepEqual(toElements('{panel:title=A &amp; B}\na\n{panel}'), [
+        h('div', { className: 'panel' }, [
+            h('div', { className: 'panelHeader' }, [
+                h('b', {}, [ 'A & B' ])
+            ]),
+            h('div', { className: 'panelContent' }, [ h('p', {}, [ 'a' ]) ])
+        ])
+    ]);
+    t.deepEqual(toElements('{code:java}\nif (a < b) {}\n{code}'), [
+        h('div', { className: 'code panel' }, [
+            h('div', { className: 'codeContent panelContent' }, [
+                h('pre', {}, [ 'if (a < b) {}\n' ])
+            ])
+        ])
+    ]);
+    t.deepEqual(toElements('{noformat}\na\n{noformat}'), [
+        h('div', { className: 'preformatted panel' }, [
+            h('div', { className: 'preformattedContent panelContent' }, [
+                h('pre', {}, [ 'a\n' ])
+            ])
+        ])
+    ]);
+
+    t.end();
+});
+
+test('Lists and tables', function (t) {
+    t.deepEqual(toElements('* a\nb\n*# c'), [
+        h('ul', {}, [
+            h('li', {}, [
+                'a', h('br', {}, []), 'b',
+                h('ol', {}, [ h('li', {}, [ 'c' ]) ])
+            ])
+        ])
+    ]);
+    t.deepEqual(toElements('||a||b||\n|c|d|'), [
+        h('table', {}, [
+            h('tbody', {}, [
+                h('tr', {}, [ h('th', {}, [ 'a' ]), h('th', {}, [ 'b' ]) ]),
+                h('tr', {}, [ h('td', {}, [ 'c' ]), h('td', {}, [ 'd' ]) ])
+            ])
+        ])
+    ]);
+
+    t.end();
+});
+
+test('Links, attachments and mentions', function (t) {
+    t.deepEqual(toElements('[a|http://x.com/?a&amp;b] [^a.txt] [~bob]'), [
+        h('p', {}, [
+            h('a', { href: 'http://x.com/?a&b' }, [ 'a' ]), ' ',
+            h('a', { href: '#' }, [ 'a.txt' ]), ' ',
+            '@bob'
+        ])
+    ]);
+    t.deepEqual(toElements('!a.png!'), [
+        h('p', {}, [
+            h('span', {}, [ '[Attachment: ', h('tt', {}, [ 'a.png' ]), ']' ])
+        ])
+    ]);
+
+    t.end();
+});
+
+test('Components', function (t) {
+    t.deepEqual(toElements('[~bob] *a*',
+        { mention: UserChip, strong: 'strong' }), [
+        h('p', {}, [
+            h(UserChip, { username: 'bob' }, []), ' ',
+            h('strong', {}, [ 'a' ])
+        ])
+    ]);
+
+    // Components are given the node's properties, with raw values decoded
+    t.deepEqual(toElements('{code:js|title=a&amp;b}\nx\n{code}\n\nh2. T',
+        { code: 'Code', heading: 'Heading' }), [
+        h('Code', {
+            language: 'js',
+            options: { title: 'a&b' },
+            value: 'x\n'
+        }, []),
+        h('Heading', { level: 2 }, [ 'T' ])
+    ]);
+
+    // Blocks within a component are rendered as usual
+    t.deepEqual(toElements('* a', { listItem: 'Item' }),
+        [ h('ul', {}, [ h('Item', {}, [ h('p', {}, [ 'a' ]) ]) ]) ]);
+
+    t.throws(function () {
+        toElements('a', { mentions: UserChip });
+    }, /"components" must only contain node types, but contains "mentions"/);
+
+    t.throws(function () {
+        mod_jiramark.markupToHyperscript('a');
+    }, /ops.h \(func\) is required/);
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.deepEqual(mod_jiramark.use(stripHeadings)
+        .markupToHyperscript('h1. Title\n\nBody', { h: h }),
+        h('div', {}, [ h('p', {}, [ 'Body' ]) ]));
+    t.deepEqual(new mod_jiramark.HyperscriptRenderer({ h: h }).render(
+        mod_jiramark.parse('*a*')),
+        h('div', {}, [ h('p', {}, [ h('b', {}, [ 'a' ]) ]) ]));
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        mod_jiramark.markupToHyperscript('{code}a', { h: h });
+    }, mod_jiramark.JIRAParseError);
+
+    t.end();
+});
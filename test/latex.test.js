@@ -0,0 +1,218 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toLaTeX = mod_jiramark.markupToLaTeX;
+
+
+// --- Tests
+
+test('Paragraphs and text', function (t) {
+    t.equal(toLaTeX('Hello world'), 'Hello world');
+    t.equal(toLaTeX('a\n\nb'), 'a\n\nb');
+
+    // Newlines within a paragraph are line breaks
+    t.equal(toLaTeX('a\nb\n[c]'), 'a \\\\\nb \\\\\n{}[c]');
+
+    // LaTeX's special characters are escaped
+    t.equal(toLaTeX('$5 & 10% #1 a_b \\{c\\} ~d ^e \\\\ <f> |'),
+        '\\$5 \\& 10\\% \\#1 a\\_b \\{c\\} \\textasciitilde{}d ' +
+        '\\textasciicircum{}e \\textbackslash{} \\textless{}f\\textgreater{} ' +
+        '\\textbar{}');
+
+    // Entities are written as the characters they stand for
+    t.equal(toLaTeX('a &amp; b &copy;'), 'a \\& b ©');
+
+    t.end();
+});
+
+test('Headings', function (t) {
+    t.equal(toLaTeX('h1. Title'), '\\section*{Title}');
+    t.equal(toLaTeX('h3. *Bold* title'),
+        '\\subsubsection*{\\textbf{Bold} title}');
+    t.equal(toLaTeX('h5. a\n\nh6. b'),
+        '\\subparagraph*{a}\n\n\\subparagraph*{b}');
+    t.equal(toLaTeX('h2. Numbered', { numbered: true }),
+        '\\subsection{Numbered}');
+
+    // Sections can't be used within other blocks
+    t.equal(toLaTeX('{quote}\nh1. a\n{quote}'),
+        '\\begin{quote}\n\\textbf{a}\n\\end{quote}');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toLaTeX('*strong* _emphasis_ ??cite?? {{mono}}'),
+        '\\textbf{strong} \\emph{emphasis} \\emph{cite} \\texttt{mono}');
+    t.equal(toLaTeX('-deleted- +inserted+ ^sup^ ~sub~'),
+        '\\sout{deleted} \\uline{inserted} \\textsuperscript{sup} ' +
+        '\\textsubscript{sub}');
+
+    t.end();
+});
+
+test('{code} and {noformat} blocks', function (t) {
+    t.equal(toLaTeX('{code:java|title=A_1.java}\nint a;\n{code}'),
+        '\\begin{lstlisting}[language=Java,title={A\\_1.java}]\nint a;\n' +
+        '\\end{lstlisting}');
+
+    // Languages that listings doesn't know are left out
+    t.equal(toLaTeX('{code:javascript}\nvar a;\n{code}'),
+        '\\begin{lstlisting}\nvar a;\n\\end{lstlisting}');
+
+    t.equal(toLaTeX('{noformat:title=T}\n*a* \\end{verbatim}\n{noformat}'),
+        '\\noindent\\textbf{T}\n\\begin{verbatim}\n*a* \\end {verbatim}\n' +
+        '\\end{verbatim}');
+    t.equal(toLaTeX('{code:java}\nint a;\n{code}', { code: 'verbatim' }),
+        '\\begin{verbatim}\nint a;\n\\end{verbatim}');
+
+    t.throws(function () {
+        toLaTeX('a', { code: 'minted' });
+    }, /"code" must be "listings" or "verbatim"/);
+
+    t.end();
+});
+
+test('Quotes and panels', function (t) {
+    t.equal(toLaTeX('bq. a'), '\\begin{quote}\na\n\\end{quote}');
+    t.equal(toLaTeX('{quote}\na\n\nb\n{quote}'),
+        '\\begin{quote}\na\n\nb\n\\end{quote}');
+    t.equal(toLaTeX('{panel:title=Note}\n*a*\n{panel}'),
+        '\\begin{framed}\n\\textbf{Note}\n\n\\textbf{a}\n\\end{framed}');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toLaTeX('* a\n** b\n*# c\n* d'),
+        '\\begin{itemize}\n\\item a\n\\begin{itemize}\n\\item b\n' +
+        '\\end{itemize}\n\\begin{enumerate}\n\\item c\n\\end{enumerate}\n' +
+        '\\item d\n\\end{itemize}');
+    t.equal(toLaTeX('# [a]'),
+        '\\begin{enumerate}\n\\item {}[a]\n\\end{enumerate}');
+
+    // Lists nested too deeply for LaTeX become paragraphs
+    t.equal(toLaTeX('***** a'), [
+        '\\begin{itemize}', '\\item \\begin{itemize}',
+        '\\item \\begin{itemize}', '\\item \\begin{itemize}',
+        '\\item \\textbullet{} a',
+        '\\end{itemize}', '\\end{itemize}', '\\end{itemize}', '\\end{itemize}'
+    ].join('\n'));
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toLaTeX('||a||b||\n|c|'), [
+        '\\begin{tabularx}{\\linewidth}{|X|X|}',
+        '\\hline',
+        '\\bfseries a & \\bfseries b \\\\',
+        '\\hline',
+        'c & \\\\',
+        '\\hline',
+        '\\end{tabularx}'
+    ].join('\n'));
+
+    // Rows can't be ended within a cell
+    t.equal(toLaTeX('|a\nb|{code}\n  c\n{code}|'), [
+        '\\begin{tabularx}{\\linewidth}{|X|X|}',
+        '\\hline',
+        'a \\newline',
+        'b & \\texttt{~~c} \\\\',
+        '\\hline',
+        '\\end{tabularx}'
+    ].join('\n'));
+
+    t.end();
+});
+
+test('Links, attachments, embeds and mentions', function (t) {
+    t.equal(toLaTeX('http://example.com/a_b [a|http://example.com/#c%20d]'),
+        '\\url{http://example.com/a_b} ' +
+        '\\href{http://example.com/\\#c\\%20d}{a}');
+    t.equal(toLaTeX('[^a.txt] !b.png! [~bob_c]'),
+        'a.txt \\texttt{[b.png]} @bob\\_c');
+
+    t.equal(toLaTeX('[^a.txt] !b.png|width=300! [~alice]', {
+        formatAttachmentLink: function (filename, latex) {
+            return '\\href{https://cdn.example.com/' + filename + '}{' +
+                latex + '}';
+        },
+        formatEmbedded: function (src, options) {
+            return '\\includegraphics{' + src + '} ' + options.join(',');
+        },
+        formatMention: function (username) {
+            return '\\textbf{' + username + '}';
+        }
+    }), '\\href{https://cdn.example.com/a.txt}{a.txt} ' +
+        '\\includegraphics{b.png} width=300 \\textbf{alice}');
+
+    t.end();
+});
+
+test('{color} text', function (t) {
+    var input = '{color:red}a{color} {color:#14892c}b{color} ' +
+        '{color:zz}c{color}';
+
+    t.equal(toLaTeX(input), '\\textcolor[HTML]{FF0000}{a} ' +
+        '\\textcolor[HTML]{14892C}{b} c');
+    t.equal(toLaTeX(input, { color: 'strip' }), 'a b c');
+    t.equal(toLaTeX(input, {
+        color: function (latex, color) {
+            return color === null ? latex : '\\textbf{' + latex + '}';
+        }
+    }), '\\textbf{a} \\textbf{b} c');
+
+    t.throws(function () {
+        toLaTeX(input, { color: 'html' });
+    }, /"color" must be "textcolor", "strip" or a function/);
+
+    t.end();
+});
+
+test('Standalone documents', function (t) {
+    var latex = toLaTeX('a', { standalone: true });
+
+    t.ok(/^\\documentclass\{article\}\n/.test(latex), 'document class');
+    t.ok(latex.indexOf('\\usepackage{hyperref}\n') !== -1, 'packages');
+    t.ok(/\n\\begin\{document\}\na\n\n\\end\{document\}$/.test(latex),
+        'body');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripHeadings)
+        .markupToLaTeX('h1. Title\n\nBody'), 'Body');
+    t.equal(new mod_jiramark.LaTeXRenderer().render(
+        mod_jiramark.parse('*a*')), '\\textbf{a}');
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        toLaTeX('{code}a');
+    }, mod_jiramark.JIRAParseError);
+
+    t.end();
+});
@@ -0,0 +1,197 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+// --- Helpers
+
+/*
+ * Convert "md" to JIRA markup, and check that the grammar can parse the
+ * result.
+ */
+function toMarkup(md) {
+    var markup = mod_jiramark.markdownToMarkup(md);
+
+    mod_jiramark.parse(markup);
+
+    return markup;
+}
+
+
+// --- Tests
+
+test('Paragraphs and headings', function (t) {
+    t.equal(toMarkup('Hello world'), 'Hello world');
+    t.equal(toMarkup('a\n\n\nb'), 'a\n\nb');
+
+    // Soft line breaks become spaces, and hard ones become newlines
+    t.equal(toMarkup('a\nb'), 'a b');
+    t.equal(toMarkup('a  \nb\\\nc'), 'a\nb\nc');
+
+    t.equal(toMarkup('# One\n\n### Three ###'), 'h1. One\n\nh3. Three');
+    t.equal(toMarkup('One\n===\n\nTwo\n---'), 'h1. One\n\nh2. Two');
+
+    // Thematic breaks have no JIRA equivalent
+    t.equal(toMarkup('a\n\n***\n\nb'), 'a\n\nb');
+
+    t.end();
+});
+
+test('Emphasis and inline code', function (t) {
+    t.equal(toMarkup('*a* _b_ **c** __d__ ~~e~~'), '_a_ _b_ *c* *d* -e-');
+    t.equal(toMarkup('***a*** *b **c** d*'), '_*a*_ _b *c* d_');
+    t.equal(toMarkup('`code` and ``a ` b``'), '{{code}} and {{a ` b}}');
+    t.equal(toMarkup('`*not emphasis*`'), '{{\\*not emphasis*}}');
+
+    // Stray delimiters are only escaped where JIRA would see formatting
+    t.equal(toMarkup('a * b _ c **d'), 'a * b _ c \\*\\*d');
+    t.equal(toMarkup('snake_case_name'), 'snake_case_name');
+
+    // JIRA can't format part of a word
+    t.equal(toMarkup('foo**bar**'), 'foobar');
+
+    t.end();
+});
+
+test('Escaping JIRA markup', function (t) {
+    t.equal(toMarkup('\\*a\\* \\_b\\_ {c} [d] \\\\'),
+        '\\*a* \\_b_ \\{c\\} \\[d\\] \\\\');
+    t.equal(toMarkup('-not deleted- +not inserted+ ^not sup^'),
+        '\\-not deleted- \\+not inserted+ \\^not sup^');
+    t.equal(toMarkup('a ?? b &amp;copy; !c!'),
+        'a \\?? b &#38;copy; &#33;c!');
+
+    // Text that would start a JIRA block
+    t.equal(toMarkup('h1. a'), 'h1&#46; a');
+    t.equal(toMarkup('bq. a'), 'bq&#46; a');
+    t.equal(toMarkup('\\- a'), '\\- a');
+    t.equal(toMarkup('\\# a'), '&#35; a');
+    t.equal(toMarkup('| a |'), '&#124; a |');
+
+    t.end();
+});
+
+test('Code blocks', function (t) {
+    t.equal(toMarkup('```js\nvar a = 1;\n```'),
+        '{code:js}\nvar a = 1;\n{code}');
+    t.equal(toMarkup('~~~ python extra\nprint(1)\n~~~'),
+        '{code:python}\nprint(1)\n{code}');
+    t.equal(toMarkup('```\n*a* {b}\n```'), '{noformat}\n*a* {b}\n{noformat}');
+    t.equal(toMarkup('    indented\n\n    code'),
+        '{noformat}\nindented\n\ncode\n{noformat}');
+
+    // Unclosed fences run to the end of the document
+    t.equal(toMarkup('```sh\nls'), '{code:sh}\nls\n{code}');
+
+    // {code} blocks can't contain "{code"
+    t.equal(toMarkup('```java\n{code}\n```'),
+        '{noformat}\n{code}\n{noformat}');
+
+    t.end();
+});
+
+test('Blockquotes', function (t) {
+    t.equal(toMarkup('> a\nb\n\n> c'),
+        '{quote}\na b\n{quote}\n\n{quote}\nc\n{quote}');
+    t.equal(toMarkup('> # Title\n>\n> - a\n> - b'),
+        '{quote}\nh1. Title\n\n* a\n* b\n{quote}');
+
+    // Nested quotes are merged into the outer one
+    t.equal(toMarkup('> a\n>\n> > b'), '{quote}\na\n\nb\n{quote}');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toMarkup('- a\n- b'), '* a\n* b');
+    t.equal(toMarkup('+ a\n+ b'), '* a\n* b');
+    t.equal(toMarkup('1. a\n2. b'), '# a\n# b');
+    t.equal(toMarkup('3) a\n4) b'), '# a\n# b');
+    t.equal(toMarkup('- a\n  - b\n    1. c\n- d'), '* a\n** b\n**# c\n* d');
+    t.equal(toMarkup('1. a\n\n   - b\n   - c\n2. d'),
+        '# a\n#* b\n#* c\n# d');
+
+    // Changing the bullet starts a new list
+    t.equal(toMarkup('- a\n* b'), '* a\n\n* b');
+
+    // Items with more than one block
+    t.equal(toMarkup('- a\n\n  b\n\n  ```\n  c\n  ```\n- d'),
+        '* a\nb\n{noformat}\nc\n{noformat}\n* d');
+    t.equal(toMarkup('- a\ncontinued'), '* a continued');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toMarkup('| a | b |\n| --- | :-: |\n| c | d |'),
+        '||a||b||\n|c|d|');
+    t.equal(toMarkup('a | b\n- | -\nc | d\ne'), '||a||b||\n|c|d|\n|e| |');
+    t.equal(toMarkup('| *a* | `b\\|c` |\n|---|---|\n| x \\| y |'),
+        '||_a_||{{b&#124;c}}||\n|x &#124; y| |');
+
+    // Rows with too many cells are cut short
+    t.equal(toMarkup('|a|\n|-|\n|b|c|'), '||a||\n|b|');
+
+    // The delimiter row has to match the header
+    t.equal(toMarkup('| a | b |\n| --- |'), '&#124; a | b | | \\-\\-- |');
+
+    t.end();
+});
+
+test('Links and images', function (t) {
+    t.equal(toMarkup('[a *b*](http://example.com)'),
+        '[a _b_|http://example.com]');
+    t.equal(toMarkup('[a](<http://example.com/a b> "Title")'),
+        '[a|http://example.com/a%20b]');
+    t.equal(toMarkup('<http://example.com>'), 'http://example.com');
+    t.equal(toMarkup('[http://example.com](http://example.com)'),
+        '[http://example.com]');
+    t.equal(toMarkup('![alt](image.png)'), '!image.png!');
+
+    // Reference links
+    t.equal(toMarkup('[a][Ref] [Ref][] [ref]\n\n[REF]: http://example.com'),
+        '[a|http://example.com] [Ref|http://example.com] ' +
+        '[ref|http://example.com]');
+    t.equal(toMarkup('[a][missing]'), '\\[a\\]\\[missing\\]');
+
+    // The grammar doesn't support every kind of URL
+    t.equal(toMarkup('[docs](docs/index.html)'), 'docs (docs/index.html)');
+    t.equal(toMarkup('<user@example.com>'),
+        'user@example.com (mailto:user@example.com)');
+
+    t.end();
+});
+
+test('HTML entities and line breaks', function (t) {
+    t.equal(toMarkup('&copy; &#42; &nbsp;'), '\u00a9 * \u00a0');
+    t.equal(toMarkup('a<br>b<br />c'), 'a\nb\nc');
+    t.equal(toMarkup('a <b>c</b>'), 'a <b>c</b>');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function demoteHeadings(tree) {
+        tree.children.forEach(function (node) {
+            if (node.type === 'heading') {
+                node.level += 1;
+            }
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(demoteHeadings).markdownToMarkup('# a'),
+        'h2. a');
+
+    t.end();
+});
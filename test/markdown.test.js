@@ -0,0 +1,210 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toMarkdown = mod_jiramark.markupToMarkdown;
+
+
+// --- Tests
+
+test('Paragraphs and text', function (t) {
+    t.equal(toMarkdown('Hello world'), 'Hello world');
+    t.equal(toMarkdown('a\n\nb'), 'a\n\nb');
+
+    // Newlines within a paragraph are hard line breaks
+    t.equal(toMarkdown('a\nb'), 'a\\\nb');
+
+    // Markdown syntax in the text gets escaped
+    t.equal(toMarkdown('a_b \\*c\\* [d] <e> `f` ~g'),
+        'a\\_b \\*c\\* \\[d\\] \\<e> \\`f\\` \\~g');
+    t.equal(toMarkdown('a\n1. b\n+ c\n> d'),
+        'a\\\n1\\. b\\\n\\+ c\\\n\\> d');
+    t.equal(toMarkdown('  indented'), 'indented');
+
+    // Entities are kept as they were written
+    t.equal(toMarkdown('a &amp; b &copy;'), 'a &amp; b &copy;');
+
+    t.end();
+});
+
+test('Headings', function (t) {
+    t.equal(toMarkdown('h1. Title'), '# Title');
+    t.equal(toMarkdown('h3. *Bold* title'), '### **Bold** title');
+    t.equal(toMarkdown('h6. Issue #'), '###### Issue \\#');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toMarkdown('*strong* _emphasis_ -deleted-'),
+        '**strong** *emphasis* ~~deleted~~');
+    t.equal(toMarkdown('+inserted+ ^sup^ ~sub~ ??cite??'),
+        '<ins>inserted</ins> <sup>sup</sup> <sub>sub</sub> <cite>cite</cite>');
+    t.equal(toMarkdown('*_both_*'), '***both***');
+
+    t.end();
+});
+
+test('Monospaced text', function (t) {
+    t.equal(toMarkdown('{{a_b}}'), '`a_b`');
+    t.equal(toMarkdown('{{a`b}}'), '``a`b``');
+    t.equal(toMarkdown('{{`a}}'), '`` `a ``');
+    t.equal(toMarkdown('{{&lt;}}'), '`<`');
+
+    // Code spans can't contain formatting
+    t.equal(toMarkdown('{{*a*}}'), '<code>**a**</code>');
+
+    t.end();
+});
+
+test('{code} and {noformat} blocks', function (t) {
+    t.equal(toMarkdown('{code}\n(+ 1 2)\n{code}'), '```\n(+ 1 2)\n```');
+    t.equal(toMarkdown('{code:javascript}\nvar a;\n{code}'),
+        '```javascript\nvar a;\n```');
+    t.equal(toMarkdown('{code:title=a.js|borderStyle=solid}\nvar a;\n{code}'),
+        '**a.js**\n\n```\nvar a;\n```');
+    t.equal(toMarkdown('{noformat}\n*a*\n{noformat}'), '```\n*a*\n```');
+
+    // Fences get longer than any backticks inside them
+    t.equal(toMarkdown('{noformat}\n```\n{noformat}'), '````\n```\n````');
+
+    t.end();
+});
+
+test('Quotes and panels', function (t) {
+    t.equal(toMarkdown('bq. Quoted *text*'), '> Quoted **text**');
+    t.equal(toMarkdown('{quote}\na\n\nb\n{quote}'), '> a\n>\n> b');
+    t.equal(toMarkdown('{quote}\n* a\n* b\n{quote}'), '> - a\n> - b');
+    t.equal(toMarkdown('{panel:title=Note}\nSome text\n{panel}'),
+        '> **Note**\n>\n> Some text');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toMarkdown('* a\n* b'), '- a\n- b');
+    t.equal(toMarkdown('- a\n- b'), '- a\n- b');
+    t.equal(toMarkdown('# a\n# b'), '1. a\n2. b');
+    t.equal(toMarkdown('* a\n** b\n*** c\n* d'), '- a\n  - b\n    - c\n- d');
+    t.equal(toMarkdown('# a\n#* b\n#* c\n# d'),
+        '1. a\n   - b\n   - c\n2. d');
+    t.equal(toMarkdown('* a\nb'), '- a\\\n  b');
+
+    // Blocks within list items are indented to line up with the contents
+    t.equal(toMarkdown('* a\n{code}\nb\n{code}\n* c'),
+        '- a\n\n  ```\n  b\n  ```\n- c');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toMarkdown('||a||b||\n|c|d|'),
+        '| a | b |\n| --- | --- |\n| c | d |');
+
+    // Tables without a header row get an empty one
+    t.equal(toMarkdown('|a|b|\n|c|d|'),
+        '| | |\n| --- | --- |\n| a | b |\n| c | d |');
+
+    // Header cells elsewhere are made bold
+    t.equal(toMarkdown('||a|b|\n||c|d|'),
+        '| | |\n| --- | --- |\n| **a** | b |\n| **c** | d |');
+
+    // Short rows are padded out
+    t.equal(toMarkdown('||a||b||\n|c|'),
+        '| a | b |\n| --- | --- |\n| c | |');
+
+    // Cells have to stay on one line, and pipes have to be escaped
+    t.equal(toMarkdown('|a\nb|{{c\\|d}}|'),
+        '| | |\n| --- | --- |\n| a<br>b | `c\\\\|d` |');
+
+    t.end();
+});
+
+test('Links, attachments, embeds and mentions', function (t) {
+    t.equal(toMarkdown('[Example|http://example.com]'),
+        '[Example](http://example.com)');
+    t.equal(toMarkdown('[http://example.com]'),
+        '[http://example.com](http://example.com)');
+    t.equal(toMarkdown('See http://example.com/a_b.'),
+        'See <http://example.com/a_b>.');
+    t.equal(toMarkdown('[*Bold* link|http://example.com/(a)]'),
+        '[**Bold** link](<http://example.com/(a)>)');
+    t.equal(toMarkdown('[^file.txt]'), '[file.txt](file.txt)');
+    t.equal(toMarkdown('[Log|^out.log]'), '[Log](out.log)');
+    t.equal(toMarkdown('!image.png|thumbnail!'), '![image.png](image.png)');
+    t.equal(toMarkdown('[~alice]'), '@alice');
+
+    t.equal(toMarkdown('[^a.txt] !b.png! [~alice]', {
+        formatAttachmentLink: function (filename, markdown) {
+            return '[' + markdown + '](https://cdn.example.com/' +
+                filename + ')';
+        },
+        formatEmbedded: function (src, options) {
+            return '![' + options.join(',') + '](https://cdn.example.com/' +
+                src + ')';
+        },
+        formatMention: function (username) {
+            return '**' + username + '**';
+        }
+    }), '[a.txt](https://cdn.example.com/a.txt) ' +
+        '![](https://cdn.example.com/b.png) **alice**');
+
+    t.end();
+});
+
+test('{color} text', function (t) {
+    var input = '{color:red}a{color} {color:#zz}b{color}';
+
+    t.equal(toMarkdown(input), 'a b');
+    t.equal(toMarkdown(input, { color: 'strip' }), 'a b');
+    t.equal(toMarkdown(input, { color: 'html' }),
+        '<span style="color: red">a</span> b');
+    t.equal(toMarkdown(input, {
+        color: function (markdown, color) {
+            return color === null ? markdown : '**' + markdown + '**';
+        }
+    }), '**a** b');
+
+    t.throws(function () {
+        toMarkdown(input, { color: 'blue' });
+    }, /"color" must be "strip", "html" or a function/);
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripHeadings)
+        .markupToMarkdown('h1. Title\n\nBody'), 'Body');
+    t.equal(new mod_jiramark.MarkdownRenderer().render(
+        mod_jiramark.parse('*a*')), '**a**');
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        toMarkdown('{code}a');
+    }, mod_jiramark.JIRAParseError);
+    t.equal(toMarkdown('*a*\n{code}b', { strict: false }),
+        '**a**\n\n{code}b');
+
+    t.end();
+});
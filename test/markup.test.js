@@ -0,0 +1,223 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toMarkup = mod_jiramark.markupToMarkup;
+
+
+// --- Helpers
+
+function stripPositions(node) {
+    var copy = {};
+
+    Object.keys(node).forEach(function (key) {
+        if (key === 'children') {
+            copy.children = node.children.map(stripPositions);
+        } else if (key !== 'position') {
+            copy[key] = node[key];
+        }
+    });
+
+    return copy;
+}
+
+/*
+ * Check that writing out the tree for "input" produces "expected", and that
+ * parsing that gives back the same tree.
+ */
+function roundTrip(t, input, expected) {
+    var markup = toMarkup(input);
+
+    t.equal(markup, expected, JSON.stringify(input));
+    t.deepEqual(stripPositions(mod_jiramark.parse(markup)),
+        stripPositions(mod_jiramark.parse(input)),
+        'reparsed ' + JSON.stringify(markup));
+}
+
+
+// --- Tests
+
+test('Blocks', function (t) {
+    roundTrip(t, 'a\nb\n\n\nc', 'a\nb\n\nc');
+    roundTrip(t, 'h1. Title\n\nh6. *Small* title',
+        'h1. Title\n\nh6. *Small* title');
+    roundTrip(t, 'bq. Quoted', 'bq. Quoted');
+    roundTrip(t, '{quote}\na\n\nb\n{quote}', '{quote}\na\n\nb\n{quote}');
+    roundTrip(t, '{panel:title=T|bgColor=#fff}\na\n{panel}',
+        '{panel:title=T|bgColor=#fff}\na\n{panel}');
+    roundTrip(t, '{code:java|title=X}\nfoo\n{code}',
+        '{code:java|title=X}\nfoo\n{code}');
+    roundTrip(t, '{noformat}\n*a*\n{noformat}', '{noformat}\n*a*\n{noformat}');
+
+    // Code that doesn't end in a newline keeps the closing tag on its line
+    roundTrip(t, '|a|{code}x{code}|', '|a|{code}\nx{code}|');
+
+    t.end();
+});
+
+test('Lists and tables', function (t) {
+    roundTrip(t, '* a\n** b\n* c', '* a\n** b\n* c');
+    roundTrip(t, '- a\n- b', '- a\n- b');
+    roundTrip(t, '# a\n#* b\n# c', '# a\n#* b\n# c');
+    roundTrip(t, '* a\n{code}\nx\n{code}\n* b', '* a\n{code}\nx\n{code}\n* b');
+
+    roundTrip(t, '||a||b||\n|c|d|', '||a||b||\n|c|d|');
+    roundTrip(t, '|| a || b\n| c |d|', '|| a || b||\n| c |d|');
+    roundTrip(t, '|a\nb|c|', '|a\nb|c|');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    roundTrip(t, '*a* _b_ ??c?? ~d~ ^e^ -f- +g+ {{h}}',
+        '*a* _b_ ??c?? ~d~ ^e^ -f- +g+ {{h}}');
+    roundTrip(t, '*-a-* x (*b*) y:_c_', '*-a-* x (*b*) y:_c_');
+    roundTrip(t, '{color:red}a{color} {{ b}}', '{color:red}a{color} {{ b}}');
+
+    // Formatting can follow a bracket, as long as it isn't escaped
+    roundTrip(t, 'a ]*b* {_c_', 'a ]*b* {_c_');
+
+    t.end();
+});
+
+test('Escaping', function (t) {
+    roundTrip(t, '\\*a\\* \\_b\\_ \\[c\\] \\{d\\} \\\\',
+        '\\*a* \\_b_ \\[c\\] \\{d\\} \\\\');
+    roundTrip(t, 'a - b * c', 'a - b * c');
+    roundTrip(t, 'x\\??y', 'x\\??y');
+    roundTrip(t, 'Hello! How are you?', 'Hello! How are you?');
+    roundTrip(t, 'a &amp;amp; b', 'a &amp;amp; b');
+
+    // Text that would otherwise start a block
+    t.equal(toMarkup('h1&#46; a'), 'h1&#46; a');
+    t.equal(toMarkup('\\- a'), '\\- a');
+    t.equal(toMarkup('|a\nh1. b'), '&#124;a\n\nh1. b');
+
+    // Characters are only escaped where formatting couldn't follow them
+    roundTrip(t, '|-[~u]-{color:red}', '|-[~u]-\\{color:red\\}');
+    roundTrip(t, '[*\\&amp;=-}*??', '[*\\\\&amp;=\\-\\}*\\??');
+    roundTrip(t, 'a!*b* c !d !{e}', 'a!*b* c !d !\\{e\\}');
+    t.equal(toMarkup('x ??*b* c'), 'x &#63;?*b* c');
+    t.equal(toMarkup('h1.*a* b'), '&#104;1.*a* b');
+    roundTrip(t, '[*a* b] [_c_]*d*', '[*a* b\\] [_c_]*d*');
+    roundTrip(t, '[~a~ b [*c* d|e', '[~a~ b [*c* d|e');
+
+    t.end();
+});
+
+test('Links, attachments, embeds and mentions', function (t) {
+    roundTrip(t, '[a *b*|http://x.com]', '[a *b*|http://x.com]');
+    roundTrip(t, '[http://x.com] http://y.com', '[http://x.com] http://y.com');
+    roundTrip(t, 'see http://a.com/x, ok.', 'see http://a.com/x, ok.');
+    roundTrip(t, '[~bob] http://a.com/b!', '[~bob] http://a.com/b!');
+    roundTrip(t, '[^a.txt] [Log|^b.log]', '[^a.txt] [Log|^b.log]');
+    roundTrip(t, '!a.png|thumbnail!', '!a.png|thumbnail!');
+
+    // Text after a bare link mustn't continue its URL
+    roundTrip(t, 'http://x.com\\+{color:red}||',
+        'http://x.com\\+\\{color:red\\}||');
+    t.equal(new mod_jiramark.MarkupRenderer().render({
+        type: 'document',
+        children: [ { type: 'paragraph', children: [
+            { type: 'link', href: 'http://x.com', bare: false,
+                children: [ { type: 'text', value: 'http://x.com' } ] },
+            { type: 'text', value: 'a|b' }
+        ] } ]
+    }), '[http://x.com]a&#124;b');
+
+    t.end();
+});
+
+test('Normalizing', function (t) {
+    var ops = { normalize: true };
+
+    t.equal(toMarkup('- a\n-- b\n\n# c\n#- d', ops),
+        '* a\n** b\n\n# c\n#* d');
+    t.equal(toMarkup('h1.    Title  ', ops), 'h1. Title');
+    t.equal(toMarkup('||a||  b||\n|c|\n| |', ops),
+        '|| a || b ||\n| c |\n| |');
+    t.equal(toMarkup('|a|{code}\nx\n{code}|', ops),
+        '| a | {code}\nx\n{code}|');
+
+    // Normalized markup stays the same when normalized again
+    var markup = toMarkup('|| *a* || (_b_ \n| c!|', ops);
+    t.equal(toMarkup(markup, ops), markup);
+
+    t.throws(function () {
+        toMarkup('a', { normalize: 'yes' });
+    }, /ops.normalize \(bool\) is required/);
+
+    t.end();
+});
+
+test('Rewriting documents with plugins', function (t) {
+    function rewriteLinks(tree) {
+        (function visit(node) {
+            if (node.type === 'link') {
+                node.href = node.href.replace('http:', 'https:');
+            }
+            if (node.children) {
+                node.children.forEach(visit);
+            }
+        })(tree);
+        return tree;
+    }
+
+    function appendRow(tree, options) {
+        tree.children.forEach(function (node) {
+            if (node.type === 'table') {
+                node.children.push({
+                    type: 'tableRow',
+                    children: options.cells.map(function (value) {
+                        return {
+                            type: 'tableCell',
+                            header: false,
+                            children: [ {
+                                type: 'paragraph',
+                                children: [ { type: 'text', value: value } ]
+                            } ]
+                        };
+                    })
+                });
+            }
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(rewriteLinks)
+        .markupToMarkup('See [docs|http://x.com] or http://y.com.'),
+        'See [docs|https://x.com] or https://y.com.');
+    t.equal(mod_jiramark.use(appendRow, { cells: [ 'a|b', '*c*' ] })
+        .markupToMarkup('||x||y||'), '||x||y||\n|a&#124;b|\\*c*|');
+
+    // Trees that didn't come from the parser are written so that they parse
+    t.equal(new mod_jiramark.MarkupRenderer().render({
+        type: 'document',
+        children: [ { type: 'paragraph', children: [
+            { type: 'strong', children: [ { type: 'text', value: 'a' } ] },
+            { type: 'text', value: 'b !c! d' }
+        ] } ]
+    }), 'ab &#33;c! d');
+    t.equal(new mod_jiramark.MarkupRenderer().render({
+        type: 'document',
+        children: [ { type: 'paragraph', children: [
+            { type: 'text', value: '[' },
+            { type: 'subscript', children: [ { type: 'text', value: 'a' } ] },
+            { type: 'text', value: ' b]' },
+            { type: 'strong', children: [ { type: 'text', value: 'c' } ] }
+        ] } ]
+    }), '\\[a b]*c*');
+
+    t.end();
+});
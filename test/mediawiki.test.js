@@ -0,0 +1,173 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toMediaWiki = mod_jiramark.markupToMediaWiki;
+
+
+// --- Tests
+
+test('Paragraphs and text', function (t) {
+    t.equal(toMediaWiki('Hello world'), 'Hello world');
+    t.equal(toMediaWiki('a\nb\n\nc'), 'a<br />\nb\n\nc');
+
+    // Wikitext's special characters are escaped
+    t.equal(toMediaWiki('[a] {b} c|d <e> f & g'),
+        '&#91;a&#93; &#123;b&#125; c&#124;d &lt;e> f &amp; g');
+    t.equal(toMediaWiki('it\'s \'\'a\'\' ~~~~ __TOC__'),
+        'it\'s &#39;&#39;a&#39;&#39; &#126;&#126;&#126;&#126; ' +
+        '&#95;&#95;TOC&#95;&#95;');
+
+    // Lines that would start a block are escaped
+    t.equal(toMediaWiki('a\n;b\n:c\n=d\n----'),
+        'a<br />\n&#59;b<br />\n&#58;c<br />\n&#61;d<br />\n&#45;---');
+
+    // Entities are kept as they are
+    t.equal(toMediaWiki('a &amp; b &copy;'), 'a &amp; b &copy;');
+
+    t.end();
+});
+
+test('Headings and quotes', function (t) {
+    t.equal(toMediaWiki('h1. Title\n\nh3. *Bold*'),
+        '= Title =\n\n=== \'\'\'Bold\'\'\' ===');
+    t.equal(toMediaWiki('bq. a'), '<blockquote>a</blockquote>');
+    t.equal(toMediaWiki('{quote}\na\n\nb\n{quote}'),
+        '<blockquote>\na\n\nb\n</blockquote>');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toMediaWiki('*a* _b_ *_c_*'),
+        '\'\'\'a\'\'\' \'\'b\'\' \'\'\'\'\'c\'\'\'\'\'');
+    t.equal(toMediaWiki('??a?? {{b}} ^c^ ~d~ -e- +f+'),
+        '<cite>a</cite> <code>b</code> <sup>c</sup> <sub>d</sub> <s>e</s> ' +
+        '<u>f</u>');
+
+    // Apostrophes next to bold or italic text are escaped
+    t.equal(toMediaWiki('*\'a\'*'), '\'\'\'&#39;a&#39;\'\'\'');
+
+    t.equal(toMediaWiki('{color:red}a{color} {color:a b}c{color}'),
+        '<span style="color: red">a</span> c');
+
+    t.end();
+});
+
+test('Code blocks', function (t) {
+    t.equal(toMediaWiki('{code:java|title=T}\nif (a < b) {}\n{code}'),
+        '\'\'\'T\'\'\'\n<syntaxhighlight lang="java">\nif (a < b) {}\n' +
+        '</syntaxhighlight>');
+    t.equal(toMediaWiki('{code}\na\n{code}'),
+        '<syntaxhighlight lang="text">\na\n</syntaxhighlight>');
+    t.equal(toMediaWiki('{code}\na\n{code}', { code: 'pre' }), '<pre>a</pre>');
+
+    // <pre> is used when the code would end the <syntaxhighlight> block
+    t.equal(toMediaWiki('{code}\n</syntaxhighlight> &amp;\n{code}'),
+        '<pre>&lt;/syntaxhighlight> &amp;amp;</pre>');
+    t.equal(toMediaWiki('{noformat}\n</pre>\n{noformat}'),
+        '<pre>&lt;/pre></pre>');
+
+    t.throws(function () {
+        toMediaWiki('a', { code: 'source' });
+    }, /"code" must be "syntaxhighlight" or "pre"/);
+
+    t.end();
+});
+
+test('Panels', function (t) {
+    t.equal(toMediaWiki('{panel:title=T|borderStyle=dashed|borderColor=red|' +
+        'bgColor=#eeeeee}\na\n{panel}'),
+        '<div style="border: 1px dashed red; background-color: #eeeeee; ' +
+        'padding: 0 1em;">\n\'\'\'T\'\'\'\n\na\n</div>');
+
+    // Options that aren't valid are ignored
+    t.equal(toMediaWiki('{panel:borderStyle=x;y|bgColor=url(a)}\na\n{panel}'),
+        '<div style="border: 1px solid #ccc; padding: 0 1em;">\na\n</div>');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toMediaWiki('* a\n*# b\n*# c\n* d'),
+        '* a\n*# b\n*# c\n* d');
+
+    // Each item has to fit on one line
+    t.equal(toMediaWiki('# a\nb'), '# a<br />b');
+    t.equal(toMediaWiki('* a\n{noformat}\nb\nc\n{noformat}'),
+        '* a\n*: <pre>b\nc</pre>');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toMediaWiki('||a||b||\n|c|d\ne|\n| |f|'),
+        '{| class="wikitable"\n|-\n! a\n! b\n|-\n| c\n| d<br />\ne\n' +
+        '|-\n|\n| f\n|}');
+
+    // Cells holding other blocks start on their own line
+    t.equal(toMediaWiki('|{quote}a{quote}|'),
+        '{| class="wikitable"\n|-\n|\n<blockquote>\na\n</blockquote>\n|}');
+
+    t.end();
+});
+
+test('Links and attachments', function (t) {
+    t.equal(toMediaWiki('[a|http://x.com/a_b] http://x.com'),
+        '[http://x.com/a_b a] http://x.com');
+    t.equal(new mod_jiramark.MediaWikiRenderer().render({
+        type: 'link',
+        href: 'http://x.com/a b]',
+        children: [ { type: 'text', value: 'a' } ]
+    }), '[http://x.com/a%20b%5D a]');
+
+    t.equal(toMediaWiki('[^a.txt] [b|^a.txt] [~bob]'),
+        '[[Media:a.txt|a.txt]] [[Media:a.txt|b]] [[User:bob|bob]]');
+    t.equal(toMediaWiki('!a.png|thumbnail,width=300,height=200,align=right,' +
+        'title=A [b]! !http://x.com/b.png!'),
+        '[[File:a.png|thumb|300x200px|right|A &#91;b&#93;]] ' +
+        'http://x.com/b.png');
+
+    t.equal(toMediaWiki('[~bob]', {
+        formatMention: function (username) {
+            return '{{user|' + username + '}}';
+        }
+    }), '{{user|bob}}');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripHeadings)
+        .markupToMediaWiki('h1. Title\n\nBody'), 'Body');
+    t.equal(new mod_jiramark.MediaWikiRenderer().render(
+        mod_jiramark.parse('*a*')), '\'\'\'a\'\'\'');
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        toMediaWiki('{code}a');
+    }, mod_jiramark.JIRAParseError);
+
+    t.end();
+});
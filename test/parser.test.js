@@ -0,0 +1,149 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var mod_parser = require('../lib/alt-parser');
+var test = require('tape');
+
+// --- Helpers
+
+function repeat(str, n) {
+    return new Array(n + 1).join(str);
+}
+
+function parseStats(str) {
+    var stats = { hits: 0, misses: 0 };
+    var result = mod_parser.parseJIRA(str, stats);
+
+    return {
+        failed: result.failed(),
+        hits: stats.hits,
+        misses: stats.misses,
+        applied: stats.hits + stats.misses
+    };
+}
+
+
+// --- Tests
+
+test('Memoizing rule applications', function (t) {
+    /*
+     * Unclosed formatting characters make the parser backtrack and try the
+     * same rules again at the same positions, and look for where they get
+     * closed from each of the later ones.
+     */
+    [
+        'x *a* _b -c ',
+        'rm -rf /tmp/build_*/obj-* && ls *.c_old ~user/x+y [WARN] {a '
+    ].forEach(function (line) {
+        var small = parseStats(repeat(line, 8) + '\n');
+        var large = parseStats(repeat(line, 32) + '\n');
+
+        t.equal(small.failed, false);
+        t.equal(large.failed, false);
+        t.ok(large.hits > 0, 'rule applications are reused');
+
+        // The number of rules looked up or run grows linearly with the input
+        t.ok(large.applied <= small.applied * 4 * 1.1,
+            'applications grow linearly (' + small.applied + ' -> ' +
+            large.applied + ')');
+    });
+
+    t.end();
+});
+
+test('Memoizing nested formatting', function (t) {
+    /*
+     * Each unclosed formatting character is tried both as the start of
+     * formatted text and as a plain character, so the text after it gets
+     * parsed both with and without its stop character. Contexts that stop
+     * at the same characters need to share their entries in the memo table,
+     * or the number of them doubles with each new formatting character.
+     */
+    [
+        '*a _b -c +d ^e ~f {{g [h|',
+        '*a _b -c +d ^e ~f {{g [h|* _ - + ^ ~ }} '
+    ].forEach(function (line) {
+        var small = parseStats(repeat(line, 2) + '\n');
+        var medium = parseStats(repeat(line, 4) + '\n');
+        var before = process.memoryUsage().heapUsed;
+        var large = parseStats(repeat(line, 8) + '\n');
+        var used = process.memoryUsage().heapUsed - before;
+
+        t.equal(small.failed, false);
+        t.equal(medium.failed, false);
+        t.equal(large.failed, false);
+
+        // Once every context has been seen, applications grow linearly
+        t.ok(large.applied - medium.applied <=
+            (medium.applied - small.applied) * 2 * 1.1,
+            'applications grow linearly (' + small.applied + ' -> ' +
+            medium.applied + ' -> ' + large.applied + ')');
+        t.ok(used < 256 * 1024 * 1024, 'memory stays bounded (' +
+            Math.round(used / 1024 / 1024) + ' MB)');
+    });
+
+    t.end();
+});
+
+test('Memoized results are unchanged', function (t) {
+    var input = repeat('x *a* _b -c ', 2) + '\n\n|a|b *c|\n|d _e|f|\n';
+
+    t.equal(mod_jiramark.markupToHTML(input),
+        '<p>x <b>a</b> _b -c x <b>a</b> _b -c </p>\n' +
+        '<table><tbody>\n' +
+        '<tr><td>a</td><td>b *c</td></tr>\n' +
+        '<tr><td>d _e</td><td>f</td></tr>\n' +
+        '</tbody></table>');
+    t.equal(mod_jiramark.markupToHTML('*a _b* c_ -d +e* f- g+'),
+        '<p>*a <i>b* c</i> -d <ins>e* f- g</ins></p>');
+
+    t.end();
+});
+
+test('Failures are reported from memoized rules', function (t) {
+    /*
+     * Rules get applied inside of negative lookaheads while looking for the
+     * end of the paragraph, and then again outside of them, where their
+     * failures need to be reported.
+     */
+    var err = null;
+
+    try {
+        mod_jiramark.markupToHTML('a\n{panel}b');
+    } catch (e) {
+        err = e;
+    }
+
+    t.ok(err instanceof mod_jiramark.JIRAParseError);
+    t.deepEqual(err.expected, [
+        'a blockquote',
+        'a bullet point',
+        'a heading',
+        'a newline',
+        'a table separator',
+        'the end of the {panel} block',
+        'the start of a block'
+    ]);
+
+    t.end();
+});
+
+test('Matching deep into large documents', function (t) {
+    var block = 'h2. Title\n\n|a *b*|[c|http://c.com]|\n\n* d _e_\n\n';
+    var html = mod_jiramark.markupToHTML(block);
+
+    t.equal(mod_jiramark.markupToHTML(repeat(block, 500)),
+        repeat(html + '\n', 500).slice(0, -1));
+
+    t.end();
+});
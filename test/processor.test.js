@@ -0,0 +1,202 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+// --- Helpers
+
+/*
+ * Call "func" on each node in the tree, replacing each node's children with
+ * the list of nodes that "func" returns for them.
+ */
+function flatMapChildren(node, func) {
+    if (Array.isArray(node.children)) {
+        var children = [];
+
+        node.children.forEach(function (child) {
+            children = children.concat(func(flatMapChildren(child, func)));
+        });
+
+        node.children = children;
+    }
+
+    return node;
+}
+
+/*
+ * Turn issue keys in text into links to the issue tracker.
+ */
+function linkIssues(tree, options) {
+    /* JSSTYLED */
+    var re = /\b[A-Z]+-[0-9]+\b/g;
+
+    return flatMapChildren(tree, function (node) {
+        if (node.type !== 'text') {
+            return [ node ];
+        }
+
+        var nodes = [];
+        var last = 0;
+        var m;
+
+        while ((m = re.exec(node.value)) !== null) {
+            if (m.index > last) {
+                nodes.push({
+                    type: 'text',
+                    value: node.value.slice(last, m.index)
+                });
+            }
+
+            nodes.push({
+                type: 'link',
+                href: options.url + m[0],
+                bare: false,
+                children: [ { type: 'text', value: m[0] } ]
+            });
+
+            last = re.lastIndex;
+        }
+
+        if (last < node.value.length) {
+            nodes.push({ type: 'text', value: node.value.slice(last) });
+        }
+
+        return nodes;
+    });
+}
+
+function stripColor(tree) {
+    return flatMapChildren(tree, function (node) {
+        return node.type === 'color' ? node.children : [ node ];
+    });
+}
+
+function demoteHeadings(tree, options) {
+    return flatMapChildren(tree, function (node) {
+        if (node.type === 'heading') {
+            node.level = Math.min(node.level + options.by, 6);
+        }
+
+        return [ node ];
+    });
+}
+
+
+// --- Tests
+
+test('Running plugins', function (t) {
+    var input = 'h1. See {color:red}TRITON-12{color}';
+
+    t.equal(mod_jiramark.use(stripColor).markupToHTML(input),
+        '<h1>See TRITON-12</h1>');
+
+    t.equal(mod_jiramark
+        .use(stripColor)
+        .use(linkIssues, { url: 'https://jira.example.com/browse/' })
+        .use(demoteHeadings, { by: 2 })
+        .markupToHTML(input),
+        '<h3>See <a href="https://jira.example.com/browse/TRITON-12">' +
+        'TRITON-12</a></h3>');
+
+    // The tree can also be retrieved without rendering it
+    var tree = mod_jiramark.use(demoteHeadings, { by: 1 }).parse(input);
+    t.equal(tree.children[0].level, 2);
+
+    // Processors can be created directly, and reused
+    var processor = new mod_jiramark.Processor()
+        .use(demoteHeadings, { by: 1 });
+    t.equal(processor.markupToHTML('h1. a'), '<h2>a</h2>');
+    t.equal(processor.markupToHTML('h2. b'), '<h3>b</h3>');
+
+    t.end();
+});
+
+test('Plugins run in order', function (t) {
+    var calls = [];
+
+    function record(tree, options) {
+        calls.push(options.name);
+        return tree;
+    }
+
+    mod_jiramark.use(record, { name: 'first' })
+        .use(record, { name: 'second' })
+        .use(record, { name: 'third' })
+        .parse('Hello');
+    t.deepEqual(calls, [ 'first', 'second', 'third' ]);
+
+    // Plugins without options are passed an empty object
+    mod_jiramark.use(function (tree, options) {
+        t.deepEqual(options, {});
+        return tree;
+    }).parse('Hello');
+
+    // Later plugins see the tree returned by earlier ones
+    t.equal(mod_jiramark.use(function () {
+        return mod_jiramark.parse('replaced');
+    }).use(stripColor).markupToHTML('original'), '<p>replaced</p>');
+
+    t.end();
+});
+
+test('Plugins must return the tree', function (t) {
+    t.throws(function () {
+        mod_jiramark.use(function forgetful() { }).parse('Hello');
+    }, /plugin forgetful did not return a document tree/);
+
+    t.throws(function () {
+        mod_jiramark.use('stripColor');
+    }, /plugin \(func\) is required/);
+
+    t.end();
+});
+
+test('Plugins with parse and render options', function (t) {
+    var skipped = [];
+
+    t.equal(mod_jiramark.use(stripColor).markupToHTML(
+        '{color:red}*a*{color}\n{code}b', {
+        strict: false,
+        onSkipped: function (info) {
+            skipped.push(info.text);
+        },
+        formatStrong: function (html) {
+            return '<strong>' + html + '</strong>';
+        }
+    }), '<p><strong>a</strong></p>\n<p>{code}b</p>');
+    t.deepEqual(skipped, [ '{code}b' ]);
+
+    t.end();
+});
+
+test('Plugins setting link targets', function (t) {
+    function rewriteLinks(tree) {
+        return flatMapChildren(tree, function (node) {
+            if (node.type === 'link') {
+                node.href = 'http://x/"><img src=x onerror=alert(1)>';
+            } else if (node.type === 'attachment') {
+                node.filename = '\'><b>';
+            }
+            return [ node ];
+        });
+    }
+
+    t.equal(mod_jiramark.use(rewriteLinks).markupToHTML('[a|http://y] [^b]', {
+        formatAttachmentLink: function (filename, html) {
+            return '<a href=\'' + filename + '\'>' + html + '</a>';
+        }
+    }), '<p><a href="http://x/&#34;&#62;&#60;img src=x onerror=alert(1)&#62;">' +
+        'a</a> <a href=\'&#39;&#62;&#60;b&#62;\'>b</a></p>');
+
+    t.end();
+});
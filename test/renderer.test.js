@@ -0,0 +1,105 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var mod_util = require('util');
+var test = require('tape');
+
+var HTMLRenderer = mod_jiramark.HTMLRenderer;
+var Renderer = mod_jiramark.Renderer;
+
+// --- Helpers
+
+/*
+ * A renderer that only knows about paragraphs, text and strong text, and
+ * writes them out as S-expressions.
+ */
+function SexpRenderer() {
+    Renderer.call(this);
+}
+mod_util.inherits(SexpRenderer, Renderer);
+
+SexpRenderer.prototype.document = function (node) {
+    return this.renderChildren(node).join(' ');
+};
+
+SexpRenderer.prototype.paragraph = function (node) {
+    return '(p ' + this.renderChildren(node).join(' ') + ')';
+};
+
+SexpRenderer.prototype.strong = function (node) {
+    return '(strong ' + this.renderChildren(node).join(' ') + ')';
+};
+
+SexpRenderer.prototype.text = function (node) {
+    return JSON.stringify(node.value);
+};
+
+/*
+ * An HTML renderer that adds anchors to headings.
+ */
+function AnchorRenderer() {
+    HTMLRenderer.call(this);
+}
+mod_util.inherits(AnchorRenderer, HTMLRenderer);
+
+AnchorRenderer.prototype.heading = function (node) {
+    var id = node.children.map(function (child) {
+        return child.type === 'text' ? child.value : '';
+    }).join('').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+    return '<h' + node.level + ' id="' + id + '">' +
+        this.renderChildren(node).join('') + '</h' + node.level + '>';
+};
+
+
+// --- Tests
+
+test('Subclassing Renderer', function (t) {
+    var renderer = new SexpRenderer();
+
+    t.equal(renderer.render(mod_jiramark.parse('Hello *World*\n\nAgain')),
+        '(p "Hello " (strong "World")) (p "Again")');
+
+    // Nodes can be rendered on their own
+    t.equal(renderer.render({ type: 'text', value: 'a' }), '"a"');
+
+    // Node types that the subclass doesn't handle
+    t.throws(function () {
+        renderer.render(mod_jiramark.parse('h1. Hello'));
+    }, /Renderer subclass does not implement "heading"/);
+    t.throws(function () {
+        renderer.render({ type: 'bogus' });
+    }, /unknown node type: "bogus"/);
+
+    t.end();
+});
+
+test('Subclassing HTMLRenderer', function (t) {
+    var tree = mod_jiramark.parse('h2. Getting Started\n\nSome *text*');
+
+    t.equal(new AnchorRenderer().render(tree),
+        '<h2 id="getting-started">Getting Started</h2>\n' +
+        '<p>Some <b>text</b></p>');
+    t.equal(new HTMLRenderer().render(tree),
+        mod_jiramark.markupToHTML('h2. Getting Started\n\nSome *text*'));
+
+    // Options are passed to the format functions
+    t.equal(new HTMLRenderer({
+        formatStrong: function (html) {
+            return '<strong>' + html + '</strong>';
+        }
+    }).render(tree),
+        '<h2>Getting Started</h2>\n<p>Some <strong>text</strong></p>');
+
+    t.end();
+});
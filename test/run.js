@@ -11,3 +11,23 @@
 'use strict';
 
 require('./basic.test.js');
+require('./ast.test.js');
+require('./parser.test.js');
+require('./renderer.test.js');
+require('./processor.test.js');
+require('./markdown.test.js');
+require('./markdown-parser.test.js');
+require('./asciidoc.test.js');
+require('./confluence.test.js');
+require('./docx.test.js');
+require('./html-parser.test.js');
+require('./hyperscript.test.js');
+require('./latex.test.js');
+require('./markup.test.js');
+require('./mediawiki.test.js');
+require('./text.test.js');
+require('./textile.test.js');
+require('./slack.test.js');
+require('./ansi.test.js');
+require('./adf.test.js');
+require('./adf-parser.test.js');
@@ -0,0 +1,187 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toSlack = mod_jiramark.markupToSlack;
+var toBlockKit = mod_jiramark.markupToBlockKit;
+
+
+// --- Helpers
+
+function section(text) {
+    return { type: 'section', text: { type: 'mrkdwn', text: text } };
+}
+
+function richText(elements) {
+    return { type: 'rich_text', elements: elements };
+}
+
+function preformatted(text) {
+    return {
+        type: 'rich_text_preformatted',
+        elements: [ { type: 'text', text: text } ]
+    };
+}
+
+function items(style, indent, texts) {
+    return {
+        type: 'rich_text_list',
+        style: style,
+        indent: indent,
+        elements: texts.map(function (text) {
+            return {
+                type: 'rich_text_section',
+                elements: [ { type: 'text', text: text } ]
+            };
+        })
+    };
+}
+
+
+// --- Tests
+
+test('mrkdwn text', function (t) {
+    t.equal(toSlack('a\nb\n\nc'), 'a\nb\n\nc');
+    t.equal(toSlack('a & <b>'), 'a &amp; &lt;b&gt;');
+    t.equal(toSlack('h2. *Bold* title'), '*Bold title*');
+
+    t.end();
+});
+
+test('mrkdwn text effects', function (t) {
+    t.equal(toSlack('*a* _b_ -c- {{d}} ??e??'), '*a* _b_ ~c~ `d` _e_');
+    t.equal(toSlack('*a _b_*'), '*a _b_*');
+
+    // Effects that Slack doesn't have are dropped
+    t.equal(toSlack('+a+ ^b^ ~c~ {color:red}d{color}'), 'a b c d');
+
+    // Code can't contain other formatting
+    t.equal(toSlack('{{*a* b}}'), '`a b`');
+
+    // Backticks can't end the code early
+    t.equal(toSlack('{{a`b}}'), '`a\u200b`\u200bb`');
+
+    t.end();
+});
+
+test('mrkdwn blocks', function (t) {
+    t.equal(toSlack('{code:java|title=A.java}\nint a < b;\n{code}'),
+        '*A.java*\n```\nint a &lt; b;\n```');
+
+    // Runs of backticks that would end the block are broken up
+    t.equal(toSlack('{code}\nx\n```\n*not bold*\n{code}'),
+        '```\nx\n`\u200b`\u200b`\n*not bold*\n```');
+    t.equal(toSlack('{noformat}\n`a` ````\n{noformat}'),
+        '```\n`a` `\u200b`\u200b`\u200b`\n```');
+    t.equal(toSlack('bq. a'), '> a');
+    t.equal(toSlack('{quote}\na\n\nb\n{quote}'), '> a\n>\n> b');
+    t.equal(toSlack('{panel:title=Note}\na\n{panel}'), '> *Note*\n> a');
+
+    t.equal(toSlack('* a\n** b\n*# c\n* d'), '• a\n  ◦ b\n  1. c\n• d');
+
+    // Tables are written as preformatted text
+    t.equal(toSlack('||a||b||\n|c|d|'), '```\na  b\n-  -\nc  d\n```');
+
+    t.end();
+});
+
+test('mrkdwn links and mentions', function (t) {
+    t.equal(toSlack('[a|http://example.com/?a=1&b=2] http://example.com'),
+        '<http://example.com/?a=1&amp;b=2|a> <http://example.com>');
+    t.equal(new mod_jiramark.SlackRenderer().render({
+        type: 'link',
+        href: 'http://example.com/a|b',
+        children: [ { type: 'text', value: 'a' } ]
+    }), '<http://example.com/a%7Cb|a>');
+    t.equal(toSlack('[^a.txt] !b.png! !http://example.com/c.png!'),
+        'a.txt b.png <http://example.com/c.png>');
+
+    var ops = {
+        lookupUser: function (username) {
+            return username === 'bob' ? 'U1234' : null;
+        }
+    };
+    t.equal(toSlack('[~bob] [~alice]'), '@bob @alice');
+    t.equal(toSlack('[~bob] [~alice]', ops), '<@U1234> @alice');
+
+    t.end();
+});
+
+test('Block Kit blocks', function (t) {
+    t.deepEqual(toBlockKit('h1. *Title*\n\nSome _text_'), [
+        {
+            type: 'header',
+            text: { type: 'plain_text', text: 'Title', emoji: true }
+        },
+        section('Some _text_')
+    ]);
+    t.deepEqual(toBlockKit('bq. a'), [ section('> a') ]);
+
+    t.deepEqual(toBlockKit('{code:title=a.sh}\nls\n{code}\n\n||a||\n|b|'), [
+        section('*a.sh*'),
+        richText([ preformatted('ls') ]),
+        richText([ preformatted('a\n-\nb') ])
+    ]);
+
+    t.end();
+});
+
+test('Block Kit lists', function (t) {
+    t.deepEqual(toBlockKit('* a\n** b\n* c'), [ richText([
+        items('bullet', 0, [ 'a' ]),
+        items('bullet', 1, [ 'b' ]),
+        items('bullet', 0, [ 'c' ])
+    ]) ]);
+
+    // Numbering continues after a nested list
+    var ordered = items('ordered', 0, [ 'c' ]);
+    ordered.offset = 1;
+    t.deepEqual(toBlockKit('# a\n#* b\n# c'), [ richText([
+        items('ordered', 0, [ 'a' ]),
+        items('bullet', 1, [ 'b' ]),
+        ordered
+    ]) ]);
+
+    t.deepEqual(toBlockKit('* *a* [b|http://example.com] [~bob]', {
+        lookupUser: function () {
+            return 'U1234';
+        }
+    })[0].elements[0].elements[0].elements, [
+        { type: 'text', text: 'a', style: { bold: true } },
+        { type: 'text', text: ' ' },
+        { type: 'link', url: 'http://example.com', text: 'b' },
+        { type: 'text', text: ' ' },
+        { type: 'user', user_id: 'U1234' }
+    ]);
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripHeadings)
+        .markupToSlack('h1. Title\n\nBody'), 'Body');
+    t.deepEqual(mod_jiramark.use(stripHeadings)
+        .markupToBlockKit('h1. Title\n\nBody'), [ section('Body') ]);
+    t.equal(new mod_jiramark.SlackRenderer().render(
+        mod_jiramark.parse('*a*')), '*a*');
+
+    t.end();
+});
@@ -0,0 +1,132 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toText = mod_jiramark.markupToText;
+
+
+// --- Tests
+
+test('Paragraphs and headings', function (t) {
+    t.equal(toText('h1. Title\n\nSome text\nover two lines'),
+        'Title\n\nSome text\nover two lines');
+    t.equal(toText('h2. *Bold* title'), 'Bold title');
+
+    t.end();
+});
+
+test('Text effects are dropped', function (t) {
+    t.equal(toText('*a* _b_ -c- +d+ ^e^ ~f~ ??g?? {{h}}'),
+        'a b c d e f g h');
+    t.equal(toText('{color:red}*red*{color}'), 'red');
+
+    t.end();
+});
+
+test('Entities are decoded', function (t) {
+    t.equal(toText('a &amp; b &lt;c&gt; &copy; &#x41;'), 'a & b <c> © A');
+    t.equal(toText('&bogus;'), '&bogus;');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toText('* a\n* b'), '* a\n* b');
+    t.equal(toText('# a\n# b'), '1. a\n2. b');
+    t.equal(toText('* a\n** b\n*** c\n* d'), '* a\n  * b\n    * c\n* d');
+    t.equal(toText('# a\n#* b\n## c\n# d'),
+        '1. a\n   * b\n   1. c\n2. d');
+
+    // Numbers are padded so that the contents line up
+    t.equal(toText('# a\n# a\n# a\n# a\n# a\n# a\n# a\n# a\n# a\n# b'),
+        '1.  a\n2.  a\n3.  a\n4.  a\n5.  a\n6.  a\n7.  a\n8.  a\n9.  a\n' +
+        '10. b');
+
+    // Later lines of an item are indented to match
+    t.equal(toText('* a\nb\n{noformat}\nc\n{noformat}'),
+        '* a\n  b\n      c');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toText('||Name||Value||\n|a|long value|\n|bb|c|'),
+        'Name  Value\n' +
+        '----  ----------\n' +
+        'a     long value\n' +
+        'bb    c');
+
+    // Tables without a header row aren't underlined
+    t.equal(toText('|a|b|\n|ccc|d|'), 'a    b\nccc  d');
+
+    // Cells can span several lines
+    t.equal(toText('|a\nb|c|\n|d|e|'), 'a  c\nb\nd  e');
+
+    // Short rows are fine
+    t.equal(toText('||a||b||\n|c|'), 'a  b\n-  -\nc');
+
+    t.end();
+});
+
+test('Code blocks, quotes and panels', function (t) {
+    t.equal(toText('{code:js}\nvar a;\n  b();\n{code}'),
+        '    var a;\n      b();');
+    t.equal(toText('{code:title=a.js}\nvar a;\n{code}'), 'a.js\n\n    var a;');
+    t.equal(toText('{noformat}\n*a* &amp;\n{noformat}'), '    *a* &amp;');
+
+    t.equal(toText('bq. Quoted *text*'), '> Quoted text');
+    t.equal(toText('{quote}\na\n\nb\n{quote}'), '> a\n>\n> b');
+    t.equal(toText('{panel:title=Note}\nSome text\n{panel}'),
+        'Note\n\nSome text');
+
+    t.end();
+});
+
+test('Links, attachments, embeds and mentions', function (t) {
+    t.equal(toText('[Example|http://example.com]'),
+        'Example (http://example.com)');
+    t.equal(toText('[http://example.com] and http://example.com/a'),
+        'http://example.com and http://example.com/a');
+    t.equal(toText('[^file.txt] [Log|^out.log]'),
+        'file.txt Log (out.log)');
+    t.equal(toText('!image.png|thumbnail!'), 'image.png');
+    t.equal(toText('[~alice]'), '@alice');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripCode(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'code';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripCode)
+        .markupToText('Text\n\n{code}\na\n{code}'), 'Text');
+    t.equal(new mod_jiramark.TextRenderer().render(
+        mod_jiramark.parse('*a*')), 'a');
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        toText('{code}a');
+    }, mod_jiramark.JIRAParseError);
+    t.equal(toText('*a*\n{code}b', { strict: false }), 'a\n\n{code}b');
+
+    t.end();
+});
@@ -0,0 +1,145 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019, Joyent, Inc.
+ */
+
+'use strict';
+
+var mod_jiramark = require('..');
+var test = require('tape');
+
+var toTextile = mod_jiramark.markupToTextile;
+
+
+// --- Tests
+
+test('Paragraphs and text', function (t) {
+    t.equal(toTextile('Hello world'), 'Hello world');
+    t.equal(toTextile('a\nb\n\nc'), 'a\nb\n\nc');
+
+    // Characters that would start a phrase are escaped
+    t.equal(toTextile('a*b *c _d ^e x-y x - y 100% off!'),
+        'a*b &#42;c &#95;d &#94;e x-y x - y 100% off!');
+    t.equal(toTextile('[a] b|c <d> & "e":f'),
+        '&#91;a] b&#124;c &lt;d> &amp; "e"&#58;f');
+
+    // Lines that would start a block are escaped
+    t.equal(toTextile('a\np. b\nbc. c\n; d'),
+        'a\n&#112;. b\n&#98;c. c\n&#59; d');
+
+    // Entities are kept as they are
+    t.equal(toTextile('a &amp; b &copy;'), 'a &amp; b &copy;');
+
+    t.end();
+});
+
+test('Headings and quotes', function (t) {
+    t.equal(toTextile('h1. Title\n\nh3. *Bold*'),
+        'h1. Title\n\nh3. *Bold*');
+    t.equal(toTextile('bq. a'), 'bq. a');
+
+    // Each paragraph of a quote becomes its own blockquote
+    t.equal(toTextile('{quote}\na\n\nb\n{quote}'), 'bq. a\n\nbq. b');
+
+    t.end();
+});
+
+test('Text effects', function (t) {
+    t.equal(toTextile('*a* _b_ ??c?? {{d}}'), '*a* _b_ ??c?? @d@');
+    t.equal(toTextile('-a- +b+ ^c^ ~d~'), '-a- +b+ ^c^ ~d~');
+    t.equal(toTextile('{color:red}a{color} {color:a b}c{color}'),
+        '%{color:red}a% c');
+
+    t.end();
+});
+
+test('Code blocks', function (t) {
+    t.equal(toTextile('{code:java|title=T}\nif (a < b) {}\n{code}'),
+        '*T*\n\nbc(java). if (a < b) {}');
+    t.equal(toTextile('{noformat}\na\n{noformat}'), 'bc. a');
+
+    // Code with blank lines uses an extended block
+    t.equal(toTextile('{code}\na\n\nb\n{code}\nc\n\nh1. d'),
+        'bc.. a\n\nb\n\np. c\n\nh1. d');
+
+    // Code that would end an extended block early is written as HTML
+    t.equal(toTextile('{code:sh}\nx\n\nh1. <y>\n{code}\n\nafter'),
+        '<notextile><pre class="sh"><code class="sh">x\n\nh1. &lt;y&gt;' +
+        '</code></pre></notextile>\n\nafter');
+
+    // Languages that can't be used as a class are dropped
+    t.equal(toTextile('{code:c#}\na\n{code}'), 'bc. a');
+
+    t.end();
+});
+
+test('Panels', function (t) {
+    t.equal(toTextile('{panel:title=T}\na\n{panel}\n\nb'),
+        'bq. *T*\n\nbq. a\n\nb');
+
+    t.end();
+});
+
+test('Lists', function (t) {
+    t.equal(toTextile('* a\n*# b\n*# c\n* d'), '* a\n*# b\n*# c\n* d');
+    t.equal(toTextile('# a\nb'), '# a\nb');
+
+    // Blocks other than paragraphs and lists come after the item
+    t.equal(toTextile('* a\n{noformat}\nb\n{noformat}'), '* a\n\nbc. b');
+
+    t.end();
+});
+
+test('Tables', function (t) {
+    t.equal(toTextile('||a||b||\n|c|d|\n| |{noformat}e{noformat}|'),
+        '|_. a|_. b|\n|c|d|\n| |e|');
+
+    t.end();
+});
+
+test('Links and attachments', function (t) {
+    t.equal(toTextile('[a|http://x.com/a] [b|http://x.com/b.] http://x.com'),
+        '"a":http://x.com/a ["b":http://x.com/b.] http://x.com');
+
+    t.equal(toTextile('[^a.txt] [~bob]'), '"a.txt":a.txt @bob');
+    t.equal(toTextile('!a.png! !b.png|thumbnail!'), '!a.png! !b.png!');
+    t.equal(toTextile('!a.png|width=300,align=right,title=A (b)!'),
+        '!>{width:300px}a.png(A &#40;b&#41;)!');
+
+    t.equal(toTextile('[^a.txt]', {
+        formatAttachmentLink: function (filename) {
+            return 'attachment:' + filename;
+        }
+    }), 'attachment:a.txt');
+
+    t.end();
+});
+
+test('Converting with plugins', function (t) {
+    function stripHeadings(tree) {
+        tree.children = tree.children.filter(function (node) {
+            return node.type !== 'heading';
+        });
+        return tree;
+    }
+
+    t.equal(mod_jiramark.use(stripHeadings)
+        .markupToTextile('h1. Title\n\nBody'), 'Body');
+    t.equal(new mod_jiramark.TextileRenderer().render(
+        mod_jiramark.parse('*a*')), '*a*');
+
+    t.end();
+});
+
+test('Unparseable markup', function (t) {
+    t.throws(function () {
+        toTextile('{code}a');
+    }, mod_jiramark.JIRAParseError);
+
+    t.end();
+});